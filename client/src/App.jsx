@@ -1,9 +1,12 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Lobby from './pages/Lobby';
 import CharacterSelection from './pages/CharacterSelection';
 import Settings from './pages/Settings';
+import MapEditor from './pages/MapEditor';
 import GameCanvas from './game/GameCanvas';
 import LandingPage from './pages/LandingPage';
 
@@ -14,9 +17,12 @@ function App() {
         <Route path="/" element={<LandingPage />} />
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
         <Route path="/lobby" element={<Lobby />} />
         <Route path="/character-selection" element={<CharacterSelection />} />
         <Route path="/settings" element={<Settings />} />
+        <Route path="/map-editor" element={<MapEditor />} />
         <Route path="/game" element={<GameCanvas />} />
       </Routes>
     </Router>
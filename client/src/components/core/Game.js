@@ -6,9 +6,12 @@ import entityManager from '../entities/EntityManager.js';
 import grid from '../world/Grid.js';
 import uiManager from '../ui/UIManager.js';
 import CHARACTER_CLASSES from '../../config/classes.js';
+import { getMapFile } from '../../config/maps.js';
 import tournamentMap from '../world/TournamentMap.js';
 import battleRoyaleMap from '../world/BattleRoyaleMap.js';
 import BattleRoyaleNotification from '../ui/BattleRoyaleNotification.js';
+import MatchReadyCheck from '../ui/MatchReadyCheck.js';
+import BattleRoyaleStatus from '../ui/BattleRoyaleStatus.js';
 
 /**
  * Game - Main game controller
@@ -37,6 +40,8 @@ class Game {
     
     // Initialize UI components
     this.battleRoyaleNotification = null;
+    this.matchReadyCheck = null;
+    this.battleRoyaleStatus = null;
   }
 
   /**
@@ -133,6 +138,9 @@ class Game {
       // Set up battle royale event handlers
       this._setupBattleRoyaleEventHandlers();
       
+      // Set up shared arena seeds
+      this._setupMapSeedHandlers();
+      
       // Set up health pickup handler
       this._setupHealthPickupHandler();
       
@@ -232,6 +240,12 @@ class Game {
     // Initialize battle royale notification
     this.battleRoyaleNotification = new BattleRoyaleNotification();
     
+    // Initialize tournament match ready check
+    this.matchReadyCheck = new MatchReadyCheck();
+    
+    // Initialize battle royale countdown, status and results
+    this.battleRoyaleStatus = new BattleRoyaleStatus();
+    
     // ... any other UI component initialization ...
   }
 
@@ -774,7 +788,7 @@ class Game {
 
   /**
    * Show visual feedback for a missed attack
-   * @param {string} reason - Reason for miss (e.g., 'outOfRange')
+   * @param {string} reason - Reason for miss (e.g., 'OUT_OF_RANGE', 'ON_COOLDOWN')
    * @param {number} distance - Distance to target
    * @param {number} maxRange - Maximum attack range
    */
@@ -805,8 +819,14 @@ class Game {
     // Set message content based on reason
     let message = 'Attack Missed!';
     
-    if (reason === 'outOfRange') {
+    if (reason === 'outOfRange' || reason === 'OUT_OF_RANGE') {
       message = `Out of Range (${distance.toFixed(1)} > ${maxRange})`;
+    } else if (reason === 'ON_COOLDOWN') {
+      message = 'Ability on Cooldown';
+    } else if (reason === 'TARGET_DEAD') {
+      message = 'Target Already Defeated';
+    } else if (reason === 'STUNNED') {
+      message = 'Stunned';
     }
     
     // Display message
@@ -956,10 +976,14 @@ class Game {
   /**
    * Load the appropriate map for the given game mode
    * @param {string} mode - Game mode (standard, tournament, battleRoyale)
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Arena seed; defaults to the current room's seed
+   * @param {string} [options.mapId] - Bundled map file to build; defaults to the current room's map
+   * @param {Object} [options.mapFile] - Map file to build, e.g. one opened in the editor
    * @returns {Promise} - Promise that resolves when map is loaded
    * @private
    */
-  _loadMap(mode = 'standard') {
+  _loadMap(mode = 'standard', options = {}) {
     return new Promise((resolve, reject) => {
       try {
         console.log(`[MAP] Loading map for mode: ${mode}`);
@@ -967,6 +991,12 @@ class Game {
         // Store the game mode
         this.gameMode = mode;
         
+        // Match rooms carry the seed every player generates the arena from
+        const seed = options.seed ?? webSocketManager.currentRoom?.mapSeed;
+        
+        // Rooms on a hand-authored arena also name its map file
+        const mapFile = this._getMapFile(mode, options);
+        
         // Clean up existing map if any
         if (this.currentMap) {
           console.log(`[MAP] Disposing of current map: ${this.currentMap === grid ? 'grid' : 
@@ -1005,7 +1035,7 @@ class Game {
           eventBus.once('tournamentMap.ready', onMapReady);
           
           // Initialize tournament map
-          tournamentMap.init();
+          tournamentMap.init({ seed, mapFile });
           
           // Set a timeout in case the ready event doesn't fire
           setTimeout(() => {
@@ -1038,7 +1068,7 @@ class Game {
           eventBus.once('battleRoyaleMap.ready', onMapReady);
           
           // Initialize battle royale map
-          battleRoyaleMap.init();
+          battleRoyaleMap.init({ seed, mapFile });
           
           // Set a timeout in case the ready event doesn't fire
           setTimeout(() => {
@@ -1137,22 +1167,19 @@ class Game {
   _setupHealthPickupHandler() {
     eventBus.on('player.healthPickup', (data) => {
       if (this.player && this.player.health !== undefined) {
-        // Calculate new health (don't exceed max)
-        const newHealth = Math.min(
-          this.player.stats.health, 
-          this.player.health + data.healAmount
-        );
+        // The server applied the heal; take its health rather than adding it again
+        const newHealth = data.health;
         
         // Update player health
         this.player.health = newHealth;
         
         // Update UI
-        this.updateHealthUI(newHealth, this.player.stats.health);
+        this.updateHealthUI(newHealth, data.maxHealth);
         
         // Play heal effect
         this._playHealEffect();
         
-        console.log(`Player healed for ${data.healAmount}. New health: ${newHealth}/${this.player.stats.health}`);
+        console.log(`Player healed for ${data.healAmount}. New health: ${newHealth}/${data.maxHealth}`);
       }
     });
   }
@@ -1385,9 +1412,16 @@ class Game {
     this._updateTournamentStatus('Creating tournament...');
     
     // Create tournament data
+    const formatSelect = document.getElementById('tournament-format');
+    const bestOfSelect = document.getElementById('tournament-best-of');
+    const tierSelect = document.getElementById('tournament-tier');
+    const mapsSelect = document.getElementById('tournament-maps');
     const tournamentData = {
       name: tournamentName,
-      tier: 'ALL' // Default tier
+      tier: (tierSelect && tierSelect.value) || 'ALL', // Open to all tiers by default
+      format: (formatSelect && formatSelect.value) || 'SINGLE_ELIMINATION',
+      bestOf: (bestOfSelect && Number(bestOfSelect.value)) || 1,
+      maps: mapsSelect ? Array.from(mapsSelect.selectedOptions, option => option.value) : [] // Generated arenas if none
     };
     
     // Register a one-time handler for tournament created event
@@ -1591,13 +1625,20 @@ class Game {
     tournamentName.className = 'tournament-name';
     tournamentName.textContent = tournament.name;
     
+    // Create tournament tier
+    const tier = tournament.tier || 'ALL';
+    const tournamentTier = document.createElement('div');
+    tournamentTier.className = 'tournament-tier';
+    tournamentTier.textContent = tier === 'ALL' ? 'Tier: All' : `Tier: ${tier}`;
+    
     // Create tournament players count
     const tournamentPlayers = document.createElement('div');
     tournamentPlayers.className = 'tournament-players';
     tournamentPlayers.textContent = `Players: ${tournament.playerCount}/${tournament.maxPlayers || 16}`;
     
-    // Add name and players to info
+    // Add name, tier and players to info
     tournamentInfo.appendChild(tournamentName);
+    tournamentInfo.appendChild(tournamentTier);
     tournamentInfo.appendChild(tournamentPlayers);
     
     // Create join button
@@ -1607,12 +1648,16 @@ class Game {
       this._joinTournament(tournament.id);
     });
     
-    // Disable join button if tournament is full or not in WAITING status
+    // Disable join button if tournament is full, not in WAITING status, or for another tier
+    const playerTier = this.networkManager && this.networkManager.playerTier;
     if (tournament.status !== 'WAITING' || tournament.playerCount >= (tournament.maxPlayers || 16)) {
       joinButton.disabled = true;
       joinButton.title = tournament.status !== 'WAITING' 
         ? 'Tournament already started' 
         : 'Tournament is full';
+    } else if (tier !== 'ALL' && playerTier && playerTier !== tier) {
+      joinButton.disabled = true;
+      joinButton.title = `For ${tier} tier players (you are ${playerTier})`;
     }
     
     // Add info and button to item
@@ -1781,6 +1826,81 @@ class Game {
       this.startBattleRoyaleMode();
     });
   }
+
+  /**
+   * Set up handlers that keep the arena in step with the seed the server issued
+   * @private
+   */
+  _setupMapSeedHandlers() {
+    eventBus.on('tournament.matchReady', (data) => {
+      this._applyMapSeed('tournament', data.mapSeed, data.mapId);
+    });
+    
+    eventBus.on('network.battleRoyaleStarted', (data) => {
+      if (webSocketManager.currentRoom?.id === data.roomId) {
+        this._applyMapSeed('battleRoyale', data.mapSeed, data.mapId);
+      }
+    });
+    
+    // Report the arena once it has been generated
+    eventBus.on('tournamentMap.ready', (data) => this._reportMapChecksum(data));
+    eventBus.on('map.ready', (data) => this._reportMapChecksum(data));
+  }
+
+  /**
+   * Regenerate the arena if it was not built from the match's seed and map file
+   * @param {string} mode - Game mode the seed is for (tournament, battleRoyale)
+   * @param {number} seed - Seed issued by the server
+   * @param {string|null} [mapId] - Map file the match is played on; null for a generated arena
+   * @private
+   */
+  _applyMapSeed(mode, seed, mapId = null) {
+    // Players still choosing a character load the map with the room's seed when they start
+    if (seed === undefined || seed === null || this.state !== 'playing' || this.gameMode !== mode) return;
+    if (this.currentMap && this.currentMap.seed === seed && (this.currentMap.mapId ?? null) === (mapId ?? null)) return;
+    
+    console.log(`[MAP] Regenerating ${mode} arena from seed ${seed}${mapId ? ` on map ${mapId}` : ''}`);
+    this._loadMap(mode, { seed, mapId });
+  }
+
+  /**
+   * Map file to build the arena of a mode from
+   * @param {string} mode - Game mode (tournament, battleRoyale)
+   * @param {Object} options - _loadMap options { mapId, mapFile }
+   * @returns {Object|null} - The map file, or null to generate the arena
+   * @private
+   */
+  _getMapFile(mode, options) {
+    if (options.mapFile) return options.mapFile;
+    
+    const mapId = options.mapId !== undefined ? options.mapId : webSocketManager.currentRoom?.mapId;
+    if (!mapId) return null;
+    
+    const mapFile = getMapFile(mapId);
+    if (!mapFile) {
+      console.warn(`[MAP] Unknown map ${mapId}, generating the arena instead`);
+      return null;
+    }
+    if (mapFile.style !== mode) {
+      console.warn(`[MAP] Map ${mapId} is a ${mapFile.style} map, not ${mode}; generating the arena instead`);
+      return null;
+    }
+    
+    return mapFile;
+  }
+
+  /**
+   * Send the checksum of a generated arena to the server, if it was built for the current room
+   * @param {Object} data - Map ready event { type, seed, checksum }
+   * @private
+   */
+  _reportMapChecksum(data) {
+    const room = webSocketManager.currentRoom;
+    if (!room || room.mapSeed === undefined || room.mapSeed === null) return;
+    if (!data || data.seed !== room.mapSeed || !data.checksum) return;
+    
+    webSocketManager.sendMapChecksum(room.id, room.mapSeed, data.checksum);
+  }
 }
 
 // Create singleton instance
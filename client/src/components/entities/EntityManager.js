@@ -3,6 +3,7 @@ import eventBus from '../core/EventBus.js';
 import renderer from '../core/Renderer.js';
 import Player from './Player.js';
 import OtherPlayer from './OtherPlayer.js';
+import serverClock from '../network/ServerClock.js';
 import CHARACTER_CLASSES from '../../config/classes.js';
 
 /**
@@ -14,6 +15,10 @@ class EntityManager {
     this.entities = new Map();
     this.player = null;
     
+    // Most recent server snapshot applied, used to drop stale or out-of-order snapshots
+    this.snapshotRoomId = null;
+    this.lastSnapshotTick = -1;
+    
     // Bindings
     this._boundHandleExistingPlayers = this._handleExistingPlayers.bind(this);
     this._boundHandlePlayerJoined = this._handlePlayerJoined.bind(this);
@@ -32,7 +37,9 @@ class EntityManager {
     eventBus.on('network.existingPlayers', this._boundHandleExistingPlayers);
     eventBus.on('network.playerJoined', this._boundHandlePlayerJoined);
     eventBus.on('network.playerLeft', this._boundHandlePlayerLeft);
+    eventBus.on('network.roomJoined', this._handleRoomJoined.bind(this));
     eventBus.on('network.playerMoved', this._handlePlayerMoved.bind(this));
+    eventBus.on('network.worldSnapshot', this._handleWorldSnapshot.bind(this));
     eventBus.on('network.playerAttacked', this._handlePlayerAttacked.bind(this));
     eventBus.on('network.playerHealthChanged', this._handlePlayerHealthChanged.bind(this));
     eventBus.on('network.playerDied', this._handlePlayerDied.bind(this));
@@ -640,6 +647,22 @@ class EntityManager {
     }
   }
 
+  /**
+   * Handle moving to a different room
+   * Removes every remote player; the server follows up with the new room's existingPlayers
+   * @param {Object} room - Room summary from server
+   * @private
+   */
+  _handleRoomJoined(room) {
+    console.log(`[ENTITY MANAGER] Moved to room ${room?.id}, clearing remote players`);
+    
+    [...this.entities.keys()].forEach(id => {
+      if (!this.player || id !== this.player.id) {
+        this.removeEntity(id);
+      }
+    });
+  }
+
   /**
    * Add an entity to the manager
    * @param {Entity} entity - Entity to add
@@ -1757,7 +1780,9 @@ class EntityManager {
     eventBus.off('network.existingPlayers');
     eventBus.off('network.playerJoined');
     eventBus.off('network.playerLeft');
+    eventBus.off('network.roomJoined');
     eventBus.off('network.playerMoved');
+    eventBus.off('network.worldSnapshot');
     eventBus.off('network.playerAttacked');
     eventBus.off('network.playerHealthChanged');
     eventBus.off('network.playerDied');
@@ -1789,8 +1814,6 @@ class EntityManager {
       return;
     }
     
-    console.log(`[ENTITY] Player ${data.id} moved to:`, data.position);
-    
     // Get the entity
     let entity = this.getEntity(data.id);
     
@@ -1849,27 +1872,17 @@ class EntityManager {
         }
       }
     } else {
-      // Update position
-      entity.position.set(
-        data.position.x,
-        data.position.y,
-        data.position.z
-      );
-      
-      // Update target position if entity has it
-      if (entity.targetPosition) {
-        entity.targetPosition.set(
+      // Networked players interpolate towards the server position themselves
+      if (typeof entity._handlePlayerMoved === 'function') {
+        entity._handlePlayerMoved(data);
+      } else {
+        entity.position.set(
           data.position.x,
           data.position.y,
           data.position.z
         );
       }
       
-      // Enable interpolation if entity supports it
-      if (typeof entity.isInterpolating !== 'undefined') {
-        entity.isInterpolating = true;
-      }
-      
       // Ensure the entity is visible
       if (entity.mesh && !entity.mesh.visible) {
         entity.mesh.visible = true;
@@ -1892,6 +1905,66 @@ class EntityManager {
     });
   }
 
+  /**
+   * Handle a world snapshot from the server
+   * Snapshots are deltas: each entity only carries the fields that changed since the previous tick
+   * @param {Object} snapshot - Snapshot data (roomId, tick, tickRate, full, entities, removed)
+   * @private
+   */
+  _handleWorldSnapshot(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.entities)) {
+      console.warn('[ENTITY] Invalid world snapshot:', snapshot);
+      return;
+    }
+    
+    // Tick numbers restart in every room
+    if (snapshot.roomId !== this.snapshotRoomId) {
+      this.snapshotRoomId = snapshot.roomId;
+      this.lastSnapshotTick = -1;
+    }
+    
+    if (snapshot.tick <= this.lastSnapshotTick) {
+      return;
+    }
+    this.lastSnapshotTick = snapshot.tick;
+    
+    serverClock.sync(snapshot.serverTime);
+    
+    const localPlayerId = window.webSocketManager?.playerId;
+    
+    snapshot.entities.forEach(state => {
+      // The local player predicts its own movement and only reconciles against the server;
+      // its health arrives through combat events
+      if (state.id === localPlayerId) {
+        if (this.player && typeof this.player.reconcileWithServer === 'function') {
+          this.player.reconcileWithServer(state);
+        }
+        return;
+      }
+      
+      if (state.position) {
+        this._handlePlayerMoved({
+          id: state.id,
+          position: state.position,
+          tick: snapshot.tick,
+          tickRate: snapshot.tickRate,
+          serverTime: snapshot.serverTime
+        });
+      }
+      
+      const entity = this.getEntity(state.id);
+      if (entity && typeof entity.applySnapshotState === 'function') {
+        entity.applySnapshotState(state);
+      }
+    });
+    
+    (snapshot.removed || []).forEach(id => {
+      if (id !== localPlayerId) {
+        this.removeEntity(id);
+      }
+    });
+  }
+
   /**
    * Handle player attack missed event from network
    * @param {Object} data - Attack missed data
@@ -1,6 +1,13 @@
 import * as THREE from 'three';
 import Entity from './Entity.js';
 import eventBus from '../core/EventBus.js';
+import serverClock from '../network/ServerClock.js';
+
+// Milliseconds between server snapshots when the snapshot does not say (20 Hz)
+const DEFAULT_SNAPSHOT_INTERVAL = 50;
+
+// Server time (milliseconds) of position history kept for interpolation
+const POSITION_BUFFER_DURATION = 1000;
 
 /**
  * OtherPlayer - Represents another player in the game
@@ -39,12 +46,11 @@ class OtherPlayer extends Entity {
       this.targetPosition.copy(this.position);
     }
     
-    // Smoothing
-    this.lerpFactor = 0.1; // Adjust for smoother/snappier movement
-    this.isInterpolating = false;
+    // Timestamped server positions, rendered INTERPOLATION_DELAY behind the server clock
+    this.positionBuffer = [];
     
-    // Event bindings
-    this._boundHandlePlayerMoved = this._handlePlayerMoved.bind(this);
+    // Status effects replicated by the server (e.g. 'stun', 'slow')
+    this.statusEffects = [];
   }
 
   /**
@@ -63,12 +69,7 @@ class OtherPlayer extends Entity {
     // Create health bar
     this._createHealthBar();
     
-    // Listen for movement updates from network
-    eventBus.on(`network.playerMoved`, (data) => {
-      if (data.id === this.id) {
-        this._handlePlayerMoved(data);
-      }
-    });
+    // Movement updates arrive through EntityManager from server snapshots
     
     // Listen for health updates from network
     eventBus.on(`network.playerHealthChanged`, (data) => {
@@ -126,6 +127,7 @@ class OtherPlayer extends Entity {
             data.position.z
           );
           this.targetPosition.copy(this.position);
+          this.positionBuffer = [];
         }
         
         // Check if mesh exists
@@ -188,6 +190,7 @@ class OtherPlayer extends Entity {
             data.position.z
           );
           this.targetPosition.copy(this.position);
+          this.positionBuffer = [];
         }
         
         // Ensure health bar is visible
@@ -268,12 +271,11 @@ class OtherPlayer extends Entity {
 
   /**
    * Handle player movement update from network
-   * @param {Object} data - Movement data from server
+   * Adds the position to the interpolation buffer at the server time it was recorded
+   * @param {Object} data - Movement data from server (position, serverTime, tickRate)
    * @private
    */
   _handlePlayerMoved(data) {
-    console.log(`[OTHER_PLAYER] Player ${this.id} moved to:`, data.position);
-    
     if (!data.position) {
       console.warn(`[OTHER_PLAYER] Invalid position data for player ${this.id}:`, data);
       return;
@@ -315,8 +317,11 @@ class OtherPlayer extends Entity {
       this.targetPosition.copy(newTargetPosition);
     }
     
-    // Enable interpolation
-    this.isInterpolating = true;
+    this._addPositionSample(
+      typeof data.serverTime === 'number' ? data.serverTime : serverClock.now(),
+      this.targetPosition,
+      data.tickRate ? 1000 / data.tickRate : DEFAULT_SNAPSHOT_INTERVAL
+    );
     
     // Ensure mesh is visible
     if (this.mesh && !this.mesh.visible) {
@@ -333,6 +338,77 @@ class OtherPlayer extends Entity {
     }
   }
 
+  /**
+   * Add a server position to the interpolation buffer
+   * Snapshots only carry positions that changed, so after a pause the previous position is
+   * repeated one tick earlier; otherwise the player would drift across the whole pause
+   * @param {number} time - Server time of the position in milliseconds
+   * @param {THREE.Vector3} position - Position at that time
+   * @param {number} interval - Milliseconds between server snapshots
+   * @private
+   */
+  _addPositionSample(time, position, interval) {
+    const last = this.positionBuffer[this.positionBuffer.length - 1];
+    
+    // Ignore samples that arrive out of order
+    if (last && time <= last.time) return;
+    
+    if (last && time - last.time > interval * 1.5) {
+      this.positionBuffer.push({ time: time - interval, position: last.position.clone() });
+    }
+    
+    this.positionBuffer.push({ time, position: position.clone() });
+    
+    // Keep at least two samples so there is always something to interpolate from
+    while (this.positionBuffer.length > 2 && this.positionBuffer[0].time < time - POSITION_BUFFER_DURATION) {
+      this.positionBuffer.shift();
+    }
+  }
+
+  /**
+   * Get the interpolated position at a server time from the buffer
+   * Holds the oldest or newest position outside the buffered range rather than extrapolating
+   * @param {number} renderTime - Server time in milliseconds
+   * @returns {THREE.Vector3|null} - Position, or null if nothing is buffered
+   * @private
+   */
+  _getBufferedPosition(renderTime) {
+    const buffer = this.positionBuffer;
+    if (buffer.length === 0) return null;
+    
+    if (renderTime <= buffer[0].time) {
+      return buffer[0].position;
+    }
+    
+    for (let i = buffer.length - 1; i > 0; i--) {
+      const from = buffer[i - 1];
+      const to = buffer[i];
+      
+      if (renderTime >= from.time && renderTime <= to.time) {
+        const alpha = (renderTime - from.time) / (to.time - from.time);
+        return new THREE.Vector3().lerpVectors(from.position, to.position, alpha);
+      }
+    }
+    
+    return buffer[buffer.length - 1].position;
+  }
+
+  /**
+   * Apply non-positional state from a server snapshot
+   * Only fields present in the (delta) state are applied
+   * @param {Object} state - Entity state from a worldSnapshot
+   */
+  applySnapshotState(state) {
+    if (typeof state.health === 'number' && state.health !== this.health) {
+      this.health = state.health;
+      this._updateHealthBar();
+    }
+    
+    if (Array.isArray(state.statusEffects)) {
+      this.statusEffects = state.statusEffects;
+    }
+  }
+
   /**
    * Update player position with interpolation
    * @param {number} deltaTime - Time since last update in seconds
@@ -347,38 +423,13 @@ class OtherPlayer extends Entity {
     // Always update height based on terrain to ensure player stays on top of tiles
     this._updateHeightBasedOnTerrain();
     
-    // Interpolate position if needed
-    if (this.isInterpolating) {
-      // Calculate distance to target
-      const distance = this.position.distanceTo(this.targetPosition);
+    // Render where the server had this player INTERPOLATION_DELAY ago
+    const bufferedPosition = this._getBufferedPosition(serverClock.getRenderTime());
+    if (bufferedPosition) {
+      this.position.copy(bufferedPosition);
       
-      // If close enough, snap to target position
-      if (distance < 0.01) {
-        this.position.copy(this.targetPosition);
-        this.isInterpolating = false;
-        
-        // Update mesh position
-        if (this.mesh) {
-          this.mesh.position.copy(this.position);
-        }
-      } else {
-        // Store previous position for comparison
-        this._previousPosition = this._previousPosition || this.position.clone();
-        
-        // Interpolate position
-        const newPosition = new THREE.Vector3().copy(this.position).lerp(
-          this.targetPosition, 
-          this.lerpFactor
-        );
-        
-        // Update position without triggering events
-        this.position.copy(newPosition);
-        
-        // Update mesh position only if it has changed significantly
-        if (this.mesh && this.position.distanceTo(this._previousPosition) > 0.001) {
-          this.mesh.position.copy(this.position);
-          this._previousPosition.copy(this.position);
-        }
+      if (this.mesh) {
+        this.mesh.position.copy(this.position);
       }
     }
     
@@ -915,7 +966,6 @@ class OtherPlayer extends Entity {
     eventBus.off(`entity.${this.id}.respawned`);
     
     // Also remove network event listeners
-    eventBus.off(`network.playerMoved`, (data) => data.id === this.id);
     eventBus.off(`network.playerHealthChanged`, (data) => data.id === this.id);
     eventBus.off(`network.playerDied`, (data) => data.id === this.id);
     eventBus.off(`network.playerRespawned`, (data) => data.id === this.id);
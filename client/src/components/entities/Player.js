@@ -3,6 +3,19 @@ import Entity from './Entity.js';
 import eventBus from '../core/EventBus.js';
 import webSocketManager from '../network/WebSocketManager.js';
 import game from '../core/Game.js';
+import { findPath } from '../world/Pathfinder.js';
+
+// Server/prediction disagreement (units) below which no correction is made
+const RECONCILE_THRESHOLD = 0.25;
+
+// Disagreement (units) above which the player snaps to the server position instead of blending
+const RECONCILE_SNAP_DISTANCE = 3;
+
+// Fraction of a pending correction applied per second while blending
+const RECONCILE_BLEND_RATE = 10;
+
+// Unacknowledged inputs kept before the oldest are dropped
+const MAX_PENDING_INPUTS = 100;
 
 /**
  * Player - Represents the local player in the game
@@ -29,12 +42,27 @@ class Player extends Entity {
     // Mouse movement properties
     this.targetPosition = null;
     this.isMouseMoving = false;
-    this.pathfindingPath = [];
+    this.pathfindingPath = []; // Waypoints still to visit after targetPosition
+    this.pathPreview = null;
     this.movementSpeed = stats.speed * 2.0; // DRAMATICALLY increased from 0.5 to 2.0 for much faster movement
     
     // Attack target tracking
     this.attackTargetId = null;
     
+    // Position sync with the server (the server validates attack range against it)
+    this.positionSyncInterval = 100; // Milliseconds between position updates while moving
+    this.lastPositionSyncTime = 0;
+    this.lastSyncedPosition = null;
+    
+    // Client-side prediction: movement is applied immediately, each position sent is
+    // a numbered input, and server snapshots acknowledge the last input they applied
+    this.inputSeq = 0;
+    this.pendingInputs = [];
+    this.lastAckedInput = null;
+    this.serverPosition = null;
+    this.correctionSeq = 0; // Inputs up to this seq were predicted before the last correction
+    this.reconcileOffset = new THREE.Vector3();
+    
     // Add mana system
     this.mana = 100; // Default max mana for all classes
     this.maxMana = 100;
@@ -198,6 +226,9 @@ class Player extends Entity {
     eventBus.on('input.skill.slot2.start', this._boundHandleSkill2 = this._handleSkill.bind(this, 2));
     eventBus.on('input.skill.slot3.start', this._boundHandleSkill3 = this._handleSkill.bind(this, 3));
     eventBus.on('input.skill.slot4.start', this._boundHandleSkill4 = this._handleSkill.bind(this, 4));
+    
+    // Each game of a tournament series starts from a clean slate
+    eventBus.on('tournament.gameStart', this._boundHandleGameStart = this._handleGameStart.bind(this));
   }
 
   /**
@@ -390,17 +421,10 @@ class Player extends Entity {
     const distance = this.position.distanceTo(position);
     console.log(`Distance to click: ${distance.toFixed(2)} units`);
     
-    // Create movement indicator at clicked position
-    this._createMovementIndicator(position);
-    
-    // Set target position directly with no walkable check (for simplicity)
-    this.targetPosition = position.clone();
-    
-    // Clear any existing path
-    this.walkablePath = null;
-    
-    // Start mouse movement
-    this.isMouseMoving = true;
+    // Head for the clicked position around any obstacles
+    if (!this._moveAlongPath(position)) {
+      return;
+    }
     
     // Reset WASD movement since mouse movement takes priority
     this.movementDirection.set(0, 0, 0);
@@ -410,91 +434,127 @@ class Player extends Entity {
       this.mesh.position.copy(this.position);
     }
     
-    // Emit movement event
-    eventBus.emit('player.moveStart', { targetPosition: this.targetPosition.clone() });
+    // Emit movement event with the end of the path
+    const destination = this.pathfindingPath[this.pathfindingPath.length - 1] || this.targetPosition;
+    eventBus.emit('player.moveStart', { targetPosition: destination.clone() });
+  }
+  
+  /**
+   * Start click-to-move toward a position, following a path around obstacles
+   * Positions that can't be reached are marked with a red X, and the player walks as
+   * close to them as the path allows
+   * @param {THREE.Vector3} position - Destination
+   * @returns {boolean} - Whether the player started moving
+   * @private
+   */
+  _moveAlongPath(position) {
+    const path = this._findWalkablePath(position);
+    
+    if (!path.complete) {
+      this._createNonWalkableIndicator(position);
+    }
+    if (path.waypoints.length === 0) {
+      console.log(`[PATH] No walkable path toward (${position.x.toFixed(2)}, ${position.z.toFixed(2)})`);
+      return false;
+    }
+    
+    const waypoints = path.waypoints;
+    console.log(`[PATH] Following ${waypoints.length} waypoint(s)${path.complete ? '' : ' toward the closest reachable position'}`);
+    
+    // Show the destination and the route to it
+    this._createMovementIndicator(waypoints[waypoints.length - 1], waypoints);
+    
+    this.targetPosition = waypoints[0];
+    this.pathfindingPath = waypoints.slice(1);
+    this.isMouseMoving = true;
+    return true;
   }
   
   /**
    * Find a walkable path to the target position
+   * Maps without a navigation graph (see Pathfinder.js) are crossed in a straight line
    * @param {THREE.Vector3} targetPosition - The target position
-   * @param {number} maxSteps - Maximum number of steps to try
-   * @returns {Array<THREE.Vector3>|null} - Array of positions forming a path, or null if no path found
+   * @returns {{waypoints: Array<THREE.Vector3>, complete: boolean}} - Waypoints after the
+   *   current position, and whether they end at the target
    * @private
    */
-  _findWalkablePath(targetPosition, maxSteps = 10) {
+  _findWalkablePath(targetPosition) {
     const currentMap = window.game?.currentMap;
-    if (!currentMap || typeof currentMap.isWalkable !== 'function') {
-      console.warn(`[PATH] No valid map or isWalkable function found`);
-      return null;
+    if (!currentMap || typeof currentMap.getPathNode !== 'function') {
+      return { waypoints: [targetPosition.clone()], complete: true };
     }
     
-    console.log(`[PATH] Finding walkable path from (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)}) to (${targetPosition.x.toFixed(2)}, ${targetPosition.y.toFixed(2)}, ${targetPosition.z.toFixed(2)})`);
-    
-    // Direction from current to target
-    const direction = new THREE.Vector3()
-      .subVectors(targetPosition, this.position)
-      .normalize();
+    const path = findPath(currentMap, this.position, targetPosition);
+    if (!path) {
+      return { waypoints: [], complete: false };
+    }
     
-    // Total distance to target
-    const totalDistance = this.position.distanceTo(targetPosition);
+    // Waypoints stand on the terrain
+    const waypoints = path.points.map(point => {
+      const waypoint = new THREE.Vector3(point.x, targetPosition.y, point.z);
+      if (typeof currentMap.getHeightAt === 'function') {
+        waypoint.y = currentMap.getHeightAt(waypoint) + 0.1;
+      }
+      return waypoint;
+    });
     
-    // Step size (divide total distance by number of steps)
-    // Use a smaller step size for more precise path finding
-    const stepSize = Math.max(0.3, totalDistance / maxSteps);
-    console.log(`[PATH] Total distance: ${totalDistance.toFixed(2)}, Step size: ${stepSize.toFixed(2)}, Max steps: ${maxSteps}`);
+    return { waypoints, complete: path.complete };
+  }
+  
+  /**
+   * Stop click-to-move, dropping any remaining waypoints
+   * @private
+   */
+  _stopPathMovement() {
+    this.isMouseMoving = false;
+    this.pathfindingPath = [];
+    this._clearPathPreview();
+  }
+  
+  /**
+   * Draw the route to a click-to-move destination, replacing any previous one
+   * @param {Array<THREE.Vector3>} waypoints - Waypoints after the current position
+   * @private
+   */
+  _showPathPreview(waypoints) {
+    this._clearPathPreview();
+    
+    // Lift the line a little above the terrain so it isn't hidden by the tiles
+    const points = [this.position, ...waypoints].map(point =>
+      new THREE.Vector3(point.x, point.y + 0.15, point.z)
+    );
+    
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineDashedMaterial({
+      color: 0x00ffff, // Cyan to match the movement indicator
+      dashSize: 0.4,
+      gapSize: 0.25,
+      transparent: true,
+      opacity: 0.7,
+      depthTest: false
+    });
     
-    // Create path array
-    const path = [];
+    this.pathPreview = new THREE.Line(geometry, material);
+    this.pathPreview.computeLineDistances();
+    this.pathPreview.renderOrder = 1;
     
-    // Try stepping towards the target
-    for (let step = 1; step <= maxSteps; step++) {
-      // Calculate distance for this step (don't exceed total distance)
-      const stepDistance = Math.min(step * stepSize, totalDistance);
-      
-      // Calculate position at this step
-      const stepPosition = new THREE.Vector3()
-        .copy(this.position)
-        .addScaledVector(direction, stepDistance);
-      
-      // Check if this position is walkable
-      const isWalkable = currentMap.isWalkable(stepPosition);
-      console.log(`[PATH] Step ${step}: Position (${stepPosition.x.toFixed(2)}, ${stepPosition.y.toFixed(2)}, ${stepPosition.z.toFixed(2)}) is ${isWalkable ? 'walkable' : 'NOT walkable'}`);
-      
-      if (isWalkable) {
-        // Adjust height to match terrain
-        if (typeof currentMap.getHeightAt === 'function') {
-          const height = currentMap.getHeightAt(stepPosition);
-          stepPosition.y = height + 0.1;
-        }
-        
-        // Add to path
-        path.push(stepPosition);
-        
-        // If we've reached the target, we're done
-        if (stepDistance >= totalDistance) {
-          console.log(`[PATH] Reached target, path complete with ${path.length} steps`);
-          return path;
-        }
-      } else {
-        // If we hit a non-walkable tile, return the path so far (if any)
-        if (path.length > 0) {
-          console.log(`[PATH] Hit non-walkable tile at step ${step}, returning partial path with ${path.length} steps`);
-          return path;
-        } else {
-          console.log(`[PATH] No walkable path found - first step is not walkable`);
-          return null;
-        }
-      }
-    }
+    eventBus.emit('renderer.addObject', {
+      id: `path-preview-${this.id}`,
+      object: this.pathPreview
+    });
+  }
+  
+  /**
+   * Remove the click-to-move route, once walked or cancelled
+   * @private
+   */
+  _clearPathPreview() {
+    if (!this.pathPreview) return;
     
-    // If we've tried all steps and still have a path, return it
-    if (path.length > 0) {
-      console.log(`[PATH] Reached max steps (${maxSteps}), returning partial path with ${path.length} steps`);
-      return path;
-    } else {
-      console.log(`[PATH] No walkable path found after ${maxSteps} steps`);
-      return null;
-    }
+    eventBus.emit('renderer.removeObject', { id: `path-preview-${this.id}` });
+    this.pathPreview.geometry.dispose();
+    this.pathPreview.material.dispose();
+    this.pathPreview = null;
   }
   
   /**
@@ -570,9 +630,10 @@ class Player extends Entity {
   /**
    * Create a more visible indicator
    * @param {THREE.Vector3} position - Position to place the indicator
+   * @param {Array<THREE.Vector3>} [waypoints] - Route to the position, drawn as a path preview
    * @private
    */
-  _createMovementIndicator(position) {
+  _createMovementIndicator(position, waypoints = null) {
     // Ensure we have a valid position
     if (!position) {
       console.warn(`[INDICATOR] Cannot create movement indicator: invalid position`);
@@ -593,6 +654,10 @@ class Player extends Entity {
       }
     }
     
+    if (waypoints && waypoints.length > 0) {
+      this._showPathPreview(waypoints);
+    }
+    
     // Create a much more visible indicator
     const geometry = new THREE.RingGeometry(0.5, 0.7, 32);
     const material = new THREE.MeshBasicMaterial({
@@ -673,11 +738,6 @@ class Player extends Entity {
       return;
     }
     
-    // Set evade cooldown (in seconds)
-    this.evadeCooldown = 1.5; // Adjust as needed
-    
-    console.log('Evade executed');
-    
     // Calculate evade direction based on current movement
     const evadeDirection = this.movementDirection.clone();
     
@@ -689,16 +749,26 @@ class Player extends Entity {
     // Normalize and scale by evade distance
     evadeDirection.normalize().multiplyScalar(5);
     
+    // The server refuses dashes into obstacles or off the map, so do not start one
+    const destination = this.position.clone().add(evadeDirection);
+    const currentMap = window.game?.currentMap;
+    if (currentMap && typeof currentMap.isWalkable === 'function' && !currentMap.isWalkable(destination)) {
+      console.debug('Evade blocked: destination is not walkable');
+      return;
+    }
+    
+    // Set evade cooldown (in seconds)
+    this.evadeCooldown = 1.5; // Adjust as needed
+    
+    console.log('Evade executed');
+    
     // Apply evade movement
     this.position.x += evadeDirection.x;
     this.position.z += evadeDirection.z;
     
-    // Send position update to server
-    webSocketManager.updatePosition({
-      x: this.position.x,
-      y: this.position.y,
-      z: this.position.z
-    });
+    // Send position update to server right away rather than waiting for the next sync;
+    // the server allows the dash on top of normal movement once per cooldown
+    this._syncPositionToServer(true, true);
     
     // TODO: Add evade animation and effects
   }
@@ -842,26 +912,34 @@ class Player extends Entity {
     
     // Handle mouse-driven movement (click to move)
     if (this.isMouseMoving && this.targetPosition) {
-      // Calculate distance to target
-      const distanceToTarget = this.position.distanceTo(this.targetPosition);
+      // Distance along the ground, since waypoint heights follow the terrain
+      const distanceToTarget = Math.hypot(
+        this.targetPosition.x - this.position.x,
+        this.targetPosition.z - this.position.z
+      );
       
-      // If very close to target, just snap to it
-      if (distanceToTarget < 0.1) {
+      // Move towards target at appropriate speed
+      const moveDistance = this.stats.speed * safeDeltatime * 40;
+      
+      // If the waypoint is within this frame's step, snap to it and head for the next
+      if (distanceToTarget <= Math.max(0.1, moveDistance)) {
         this.position.copy(this.targetPosition);
         if (this.mesh) {
           this.mesh.position.copy(this.position);
         }
-        console.log(`[MOVEMENT] Reached target position`);
-        this.isMouseMoving = false;
+        
+        if (this.pathfindingPath.length > 0) {
+          this.targetPosition = this.pathfindingPath.shift();
+        } else {
+          console.log(`[MOVEMENT] Reached target position`);
+          this._stopPathMovement();
+        }
       } else {
         // Calculate direction to target
         const direction = new THREE.Vector3()
           .subVectors(this.targetPosition, this.position)
           .normalize();
         
-        // Move towards target at appropriate speed
-        const moveDistance = this.stats.speed * safeDeltatime * 40;
-        
         // Calculate new position
         const newPosition = new THREE.Vector3()
           .copy(this.position)
@@ -887,6 +965,11 @@ class Player extends Entity {
     
     // Handle keyboard movement (WASD)
     if (this.isMoving && this.movementDirection.length() > 0) {
+      // Keyboard movement takes over from click-to-move
+      if (this.isMouseMoving) {
+        this._stopPathMovement();
+      }
+      
       // Normalize movement direction
       const normalizedDirection = this.movementDirection.clone().normalize();
       
@@ -915,6 +998,12 @@ class Player extends Entity {
       }
     }
     
+    // Blend in any correction from server reconciliation
+    this._applyReconcileOffset(safeDeltatime);
+    
+    // Keep the server's copy of our position current
+    this._syncPositionToServer();
+    
     // Update camera position to follow player
     if (this.isMainPlayer && typeof window.updateCameraPosition === 'function') {
       window.updateCameraPosition(this.position);
@@ -929,6 +1018,157 @@ class Player extends Entity {
     this._updateCooldownUI();
   }
   
+  /**
+   * Send our position to the server when it has changed, throttled to positionSyncInterval
+   * Each update is a numbered input kept until the server acknowledges it
+   * @param {boolean} force - Send even if the throttle interval has not passed
+   * @param {boolean} evade - The movement includes an evade dash
+   * @private
+   */
+  _syncPositionToServer(force = false, evade = false) {
+    const now = Date.now();
+    if (!force && now - this.lastPositionSyncTime < this.positionSyncInterval) return;
+    
+    // Skip if we have not moved since the last update
+    if (this.lastSyncedPosition && this.lastSyncedPosition.distanceToSquared(this.position) < 0.0001) {
+      return;
+    }
+    
+    this.lastPositionSyncTime = now;
+    this.lastSyncedPosition = this.position.clone();
+    
+    this.inputSeq++;
+    this.pendingInputs.push({ seq: this.inputSeq, position: this.position.clone() });
+    
+    // Without acknowledgements (e.g. while disconnected) keep the buffer bounded
+    if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+    
+    webSocketManager.updatePosition({
+      x: this.position.x,
+      y: this.position.y,
+      z: this.position.z
+    }, this.inputSeq, evade);
+    
+    // Let the map check for pickups at the position the server is about to receive
+    eventBus.emit('player.moved', {
+      position: { x: this.position.x, y: this.position.y, z: this.position.z }
+    });
+  }
+  
+  /**
+   * Reconcile the predicted position with the server's authoritative state
+   * Acknowledged inputs are dropped; if the server ended up somewhere other than where we
+   * predicted for the acknowledged input, the difference is applied on top of the
+   * unacknowledged movement so it is not replayed or lost
+   * @param {Object} state - Local player's entity state from a worldSnapshot (may be a delta)
+   */
+  reconcileWithServer(state) {
+    if (state.position) {
+      this.serverPosition = new THREE.Vector3(state.position.x, state.position.y, state.position.z);
+    }
+    
+    let ackedSeq = null;
+    if (typeof state.lastInputSeq === 'number') {
+      ackedSeq = state.lastInputSeq;
+      
+      const acked = this.pendingInputs.filter(input => input.seq <= ackedSeq);
+      if (acked.length > 0) {
+        this.lastAckedInput = acked[acked.length - 1];
+      }
+      this.pendingInputs = this.pendingInputs.filter(input => input.seq > ackedSeq);
+    }
+    
+    if (!this.serverPosition || this.isDead) return;
+    
+    // Inputs predicted before the last correction would just repeat it
+    if (ackedSeq !== null && ackedSeq <= this.correctionSeq && this.correctionSeq > 0) return;
+    
+    // Where we predicted the server would be: at the acknowledged input, or where we
+    // stand if we have not moved since joining
+    let predicted = null;
+    if (this.lastAckedInput) {
+      predicted = this.lastAckedInput.position;
+    } else if (this.pendingInputs.length === 0) {
+      predicted = this.position;
+    }
+    if (!predicted) return;
+    
+    // Height comes from local terrain, so only the ground plane is compared
+    const error = new THREE.Vector3(
+      this.serverPosition.x - predicted.x,
+      0,
+      this.serverPosition.z - predicted.z
+    );
+    const errorDistance = error.length();
+    
+    if (errorDistance < RECONCILE_THRESHOLD) return;
+    
+    this.correctionSeq = this.inputSeq;
+    if (this.lastAckedInput) {
+      this.lastAckedInput.position.add(error);
+    }
+    
+    if (errorDistance > RECONCILE_SNAP_DISTANCE) {
+      // Large corrections (teleports, respawns) are applied at once
+      this.reconcileOffset.set(0, 0, 0);
+      this.position.add(error);
+      this._stopPathMovement();
+      if (this.mesh) {
+        this.mesh.position.copy(this.position);
+      }
+    } else {
+      this.reconcileOffset.add(error);
+    }
+  }
+  
+  /**
+   * Reset cooldowns and mana when the next game of a tournament series starts
+   * Health and position arrive separately as a respawn
+   * @private
+   */
+  _handleGameStart() {
+    this.attackCooldown = 0;
+    this.coreSkillCooldown = 0;
+    this.evadeCooldown = 0;
+    this.isAttacking = false;
+    this.mana = this.maxMana;
+    
+    this._updateCooldownUI();
+  }
+  
+  /**
+   * Forget all predicted movement, e.g. after a respawn moves the player
+   * Acknowledgements for inputs sent before this point are ignored
+   * @private
+   */
+  _resetPrediction() {
+    this.pendingInputs = [];
+    this.lastAckedInput = null;
+    this.serverPosition = null;
+    this.lastSyncedPosition = this.position.clone();
+    this.correctionSeq = this.inputSeq;
+    this.reconcileOffset.set(0, 0, 0);
+  }
+  
+  /**
+   * Move part of the way through a pending reconciliation correction
+   * @param {number} deltaTime - Time since last update in seconds
+   * @private
+   */
+  _applyReconcileOffset(deltaTime) {
+    if (this.reconcileOffset.lengthSq() < 0.000001) return;
+    
+    const step = this.reconcileOffset.clone().multiplyScalar(Math.min(deltaTime * RECONCILE_BLEND_RATE, 1));
+    this.position.add(step);
+    this.reconcileOffset.sub(step);
+    
+    if (this.mesh) {
+      this.mesh.position.copy(this.position);
+    }
+  }
+  
   /**
    * Helper to get the shortest angle difference
    * @param {number} current - Current angle in radians
@@ -1180,10 +1420,8 @@ class Player extends Entity {
                 directionToTarget.multiplyScalar(desiredDistance)
               );
               
-              // Set as movement target
-              this.targetPosition = moveToPosition;
-              this.isMouseMoving = true;
-              this._createMovementIndicator(moveToPosition);
+              // Set as movement target, walking around obstacles on the way
+              this._moveAlongPath(moveToPosition);
               
               // Store the target so we can try to attack when we get in range
               this.attackTargetId = targetEntityId;
@@ -1633,6 +1871,9 @@ class Player extends Entity {
     const randomZ = Math.floor(Math.random() * 10) - 5;
     this.setPosition(randomX, 0.8, randomZ);
     
+    // The respawn position is authoritative; movement predicted before death no longer applies
+    this._resetPrediction();
+    
     // Make player mesh visible again
     if (this.mesh) {
       console.log('RESPAWN: Making player mesh visible again');
@@ -1813,6 +2054,9 @@ class Player extends Entity {
     eventBus.off('input.skill.slot2.start', this._boundHandleSkill2);
     eventBus.off('input.skill.slot3.start', this._boundHandleSkill3);
     eventBus.off('input.skill.slot4.start', this._boundHandleSkill4);
+    eventBus.off('tournament.gameStart', this._boundHandleGameStart);
+    
+    this._clearPathPreview();
     
     // Call base entity destroy
     super.destroy();
@@ -0,0 +1,57 @@
+/**
+ * ServerClock - Estimates the server's clock from snapshot timestamps
+ * Remote entities are rendered INTERPOLATION_DELAY behind the estimated server time,
+ * so there is always a snapshot on either side of the rendered moment
+ */
+
+// How far in the past remote entities are rendered (milliseconds)
+export const INTERPOLATION_DELAY = 100;
+
+// Weight given to each new offset sample; low values smooth out network jitter
+const OFFSET_SMOOTHING = 0.1;
+
+class ServerClock {
+  constructor() {
+    this.offset = 0;
+    this.hasSample = false;
+  }
+
+  /**
+   * Update the clock offset from a server timestamp
+   * The sample includes one-way latency, which the interpolation delay absorbs
+   * @param {number} serverTime - Server time in milliseconds
+   */
+  sync(serverTime) {
+    if (typeof serverTime !== 'number') return;
+
+    const sample = serverTime - Date.now();
+
+    if (!this.hasSample) {
+      this.offset = sample;
+      this.hasSample = true;
+    } else {
+      this.offset += (sample - this.offset) * OFFSET_SMOOTHING;
+    }
+  }
+
+  /**
+   * Estimated current server time
+   * @returns {number} - Milliseconds
+   */
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  /**
+   * Server time at which remote entities are currently rendered
+   * @returns {number} - Milliseconds
+   */
+  getRenderTime() {
+    return this.now() - INTERPOLATION_DELAY;
+  }
+}
+
+// Create a singleton instance
+const serverClock = new ServerClock();
+
+export default serverClock;
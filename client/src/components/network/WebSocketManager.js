@@ -1,4 +1,10 @@
 import eventBus from '../core/EventBus.js';
+import serverClock from './ServerClock.js';
+import { getAuthToken } from '../../lib/auth.js';
+import CHARACTER_CLASSES, {
+  CLASS_DEFINITIONS_VERSION,
+  CLASS_DEFINITIONS_HASH
+} from '../../config/classes.js';
 
 /**
  * WebSocketManager - Simple WebSocket implementation for multiplayer communication
@@ -18,10 +24,15 @@ class WebSocketManager {
     this._connectionStatus = 'disconnected';
     this.messageHandlers = {};
     this.statusCallback = null;
+    this._reconnectDisabled = false;
+    this.currentRoom = null;
     
     // Tournament-related properties
     this._currentTournament = null;
     this._availableTournaments = [];
+    
+    // Tier of the logged-in account, as last reported by the server
+    this.playerTier = null;
     this._tournamentCallbacks = {
       onTournamentCreated: null,
       onTournamentJoined: null,
@@ -167,8 +178,17 @@ class WebSocketManager {
           this.socket = null;
         }
         
+        // The server refuses the handshake without the session token issued at login
+        const token = getAuthToken();
+        if (!token) {
+          console.error('[NETWORK] Cannot connect: not logged in');
+          reject(new Error('Not logged in'));
+          return;
+        }
+        
         // Create WebSocket connection
-        this.socket = new WebSocket(serverUrl);
+        const separator = serverUrl.includes('?') ? '&' : '?';
+        this.socket = new WebSocket(`${serverUrl}${separator}token=${encodeURIComponent(token)}`);
         
         // Set up event handlers with proper binding
         this.socket.onopen = () => {
@@ -200,6 +220,12 @@ class WebSocketManager {
           // Emit disconnection event for other components
           eventBus.emit('network.disconnected');
           
+          // Reconnecting cannot help once the server has refused this client
+          if (this._reconnectDisabled) {
+            console.warn('Not reconnecting: server refused this client');
+            return;
+          }
+          
           // Try to reconnect after a delay
           setTimeout(() => {
             console.log('Attempting to reconnect to WebSocket server...');
@@ -230,7 +256,7 @@ class WebSocketManager {
       }
       
       // Log message (except for high-frequency messages)
-      if (message.type !== 'ping' && message.type !== 'pong') {
+      if (message.type !== 'ping' && message.type !== 'pong' && message.type !== 'playerMoved' && message.type !== 'worldSnapshot') {
         console.log('[NETWORK] Received message:', message);
       }
       
@@ -261,6 +287,15 @@ class WebSocketManager {
           }
           break;
           
+        case 'joinRefused':
+          console.error('[NETWORK] Server refused join:', message.reason, message.expected);
+          this._reconnectDisabled = true;
+          this._hasJoined = false;
+          
+          eventBus.emit('network.joinRefused', message);
+          this._showNotification(message.message || `Join refused: ${message.reason}`);
+          break;
+          
         case 'joinConfirmed':
           console.log('[NETWORK] Joined game with ID:', message.id);
           this.playerId = message.id;
@@ -269,6 +304,16 @@ class WebSocketManager {
           eventBus.emit('network.joinConfirmed', { id: message.id });
           break;
           
+        case 'roomJoined':
+          console.log('[NETWORK] Joined room:', message.room?.id, message.room?.type);
+          this.currentRoom = message.room || null;
+          
+          // Players from the previous room are no longer visible
+          this.otherPlayers = {};
+          
+          eventBus.emit('network.roomJoined', message.room);
+          break;
+          
         case 'existingPlayers':
           console.log('[NETWORK] Received existing players:', message.players);
           console.log('[NETWORK DEBUG] Current game mode:', window.game?.gameMode);
@@ -488,6 +533,21 @@ class WebSocketManager {
           }
           break;
           
+        case 'worldSnapshot':
+          // Skip logging for snapshots to reduce spam
+          
+          // Keep cached player data in step with the server
+          (message.entities || []).forEach(state => {
+            const cached = this.otherPlayers[state.id];
+            if (!cached) return;
+            
+            if (state.position) cached.position = state.position;
+            if (state.health !== undefined) cached.health = state.health;
+          });
+          
+          eventBus.emit('network.worldSnapshot', message);
+          break;
+          
         case 'playerAttacked':
           console.log('Player attacked:', message);
           
@@ -535,15 +595,19 @@ class WebSocketManager {
           
           // If we are the attacker, show feedback
           if (message.id === this.playerId) {
-            console.log(`Your attack missed: Target out of range (${message.distance.toFixed(2)} > ${message.maxRange})`);
+            const distance = message.distance || 0;
+            const missMessage = message.reason === 'OUT_OF_RANGE'
+              ? `Attack missed: Target out of range (${distance.toFixed(2)} > ${message.maxRange})`
+              : `Attack rejected by server: ${message.reason}`;
+            
+            console.log(`Your attack missed: ${missMessage}`);
             
             // Show visual feedback
             if (window.game && window.game.showAttackMissedFeedback) {
-              window.game.showAttackMissedFeedback(message.reason, message.distance, message.maxRange);
+              window.game.showAttackMissedFeedback(message.reason, distance, message.maxRange);
             }
             
             // Show message in UI
-            const missMessage = `Attack missed: Target out of range (${message.distance.toFixed(2)} > ${message.maxRange})`;
             this._showNotification(missMessage);
           }
           break;
@@ -836,6 +900,8 @@ class WebSocketManager {
           eventBus.emit('tournamentStarted', {
             tournamentId: message.tournamentId,
             name: message.name,
+            format: message.format,
+            bestOf: message.bestOf,
             brackets: message.brackets
           });
           this._showNotification(`Tournament "${message.name}" has started!`);
@@ -845,20 +911,134 @@ class WebSocketManager {
           console.log('Tournament bracket updated:', message.tournamentId);
           eventBus.emit('tournamentBracketUpdate', {
             tournamentId: message.tournamentId,
+            format: message.format,
+            bestOf: message.bestOf,
             brackets: message.brackets
           });
           break;
           
+        case 'tournamentGameComplete':
+          console.log('Tournament game complete:', message.matchId, message.score);
+          eventBus.emit('tournament.gameComplete', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId,
+            winnerId: message.winnerId,
+            score: message.score,
+            bestOf: message.bestOf,
+            seriesOver: message.seriesOver
+          });
+          this._showNotification(
+            `${message.winnerId === this.playerId ? 'You won' : 'You lost'} the game! ` +
+            `Score: ${message.score.player1}-${message.score.player2}`
+          );
+          break;
+          
+        case 'ratingUpdated':
+          console.log('Rating updated:', message.rating, message.change);
+          
+          if (message.tier) {
+            this.playerTier = message.tier;
+          }
+          
+          eventBus.emit('network.ratingUpdated', message);
+          this._showNotification(
+            `Rating: ${message.rating} (${message.change >= 0 ? '+' : ''}${message.change}) - ${message.tier}`
+          );
+          break;
+          
+        case 'tournamentGameStart':
+          console.log('Tournament game starting:', message.matchId, message.game);
+          eventBus.emit('tournament.gameStart', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId,
+            game: message.game,
+            score: message.score,
+            bestOf: message.bestOf
+          });
+          this._showNotification(`Game ${message.game} of ${message.bestOf} - fight!`);
+          break;
+          
         case 'tournamentMatchReady':
           console.log('Tournament match ready:', message.matchId);
           eventBus.emit('tournament.matchReady', {
             tournamentId: message.tournamentId,
             matchId: message.matchId,
-            opponent: message.opponent
+            roomId: message.roomId,
+            mapSeed: message.mapSeed,
+            mapId: message.mapId,
+            opponent: message.opponent,
+            readyCheckExpiresAt: message.readyCheckExpiresAt
           });
           this._showNotification(`Your tournament match is ready! Opponent: ${message.opponent.name}`);
           break;
           
+        case 'tournamentMatchReadyUpdate':
+          console.log('Tournament ready check updated:', message.matchId, message.readyCheck);
+          eventBus.emit('tournament.matchReadyUpdate', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId,
+            readyCheck: message.readyCheck
+          });
+          break;
+          
+        case 'tournamentMatchForfeit':
+          console.log('Tournament match forfeited:', message.matchId, message.reason);
+          eventBus.emit('tournament.matchForfeit', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId,
+            forfeitedId: message.forfeitedId,
+            winnerId: message.winnerId,
+            reason: message.reason
+          });
+          this._showNotification(
+            message.winnerId === this.playerId
+              ? 'Your opponent forfeited the match - you advance!'
+              : 'You forfeited the match'
+          );
+          break;
+          
+        case 'tournamentOpponentDisconnected':
+          console.log('Tournament opponent disconnected:', message.matchId);
+          eventBus.emit('tournament.opponentDisconnected', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId,
+            forfeitAt: message.forfeitAt
+          });
+          this._showNotification(
+            `Your opponent disconnected. They forfeit in ${Math.max(0, Math.ceil((message.forfeitAt - Date.now()) / 1000))}s unless they return`
+          );
+          break;
+          
+        case 'tournamentOpponentReconnected':
+          console.log('Tournament opponent reconnected:', message.matchId);
+          eventBus.emit('tournament.opponentReconnected', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId
+          });
+          this._showNotification('Your opponent reconnected');
+          break;
+          
+        case 'tournamentSessionRestored':
+          console.log('Tournament session restored:', message.tournamentId, message.matchId);
+          
+          // Put the local player back where the server kept them
+          if (this.playerData) {
+            this.playerData.position = message.position;
+          }
+          
+          eventBus.emit('network.playerRespawned', {
+            id: this.playerId,
+            position: message.position,
+            health: message.health,
+            maxHealth: message.maxHealth || 100
+          });
+          eventBus.emit('tournament.sessionRestored', {
+            tournamentId: message.tournamentId,
+            matchId: message.matchId
+          });
+          this._showNotification('Reconnected to your tournament match');
+          break;
+          
         case 'tournamentComplete':
           console.log('Tournament completed:', message.tournamentId);
           eventBus.emit('tournamentComplete', {
@@ -874,6 +1054,8 @@ class WebSocketManager {
             tournamentId: message.tournamentId,
             name: message.name,
             status: message.status,
+            format: message.format,
+            bestOf: message.bestOf,
             brackets: message.brackets,
             winner: message.winner
           });
@@ -933,15 +1115,21 @@ class WebSocketManager {
           // Store available tournaments
           this._availableTournaments = message.tournaments;
           
+          if (message.playerTier) {
+            this.playerTier = message.playerTier;
+          }
+          
           // Emit tournaments list event
           eventBus.emit('tournament.list', message);
           break;
           
         case 'error':
-          console.error('Server error:', message.message);
+          // Battle royale errors carry their message in data
+          const errorMessage = message.message || (message.data && message.data.message);
+          console.error('Server error:', errorMessage);
           
           // Show error notification
-          this._showNotification(`Error: ${message.message}`);
+          this._showNotification(`Error: ${errorMessage}`);
           
           // Emit error event
           eventBus.emit('network.error', message);
@@ -964,7 +1152,102 @@ class WebSocketManager {
           
         case 'battleRoyaleJoined':
           console.log('Joined Battle Royale:', message);
-          eventBus.emit('network.battleRoyaleJoined', message.battleRoyale);
+          eventBus.emit('network.battleRoyaleJoined', message.data);
+          break;
+          
+        case 'battleRoyaleUpdated':
+          eventBus.emit('network.battleRoyaleUpdated', message.data);
+          break;
+          
+        case 'battleRoyaleCountdown':
+          console.log('Battle Royale countdown:', message.battleRoyaleId, new Date(message.startTime));
+          serverClock.sync(message.serverTime);
+          eventBus.emit('network.battleRoyaleCountdown', message);
+          break;
+          
+        case 'battleRoyaleStarted':
+          console.log('Battle Royale started:', message.roomId);
+          eventBus.emit('network.battleRoyaleStarted', {
+            battleRoyaleId: message.battleRoyaleId,
+            participants: message.participants || [],
+            roomId: message.roomId,
+            mapSeed: message.mapSeed,
+            mapId: message.mapId,
+            remaining: message.remaining
+          });
+          
+          if (this.currentRoom && this.currentRoom.id === message.roomId) {
+            this._showNotification(`Battle Royale started - ${message.remaining} players, last one standing wins!`);
+          }
+          break;
+          
+        case 'mapChecksumResult':
+          if (!message.valid) {
+            console.warn('[NETWORK] Arena does not match the other players:', message.roomId, 'seed', message.mapSeed);
+            this._showNotification('Your arena does not match the other players\' - positions may look out of place');
+          }
+          
+          eventBus.emit('network.mapChecksumResult', message);
+          break;
+          
+        case 'battleRoyaleElimination':
+          console.log('Battle Royale elimination:', message.playerId, 'by', message.killerId);
+          eventBus.emit('network.battleRoyaleElimination', message);
+          
+          if (message.playerId === this.playerId) {
+            this._showNotification(`You were eliminated! Placement: #${message.placement}`);
+          } else if (message.killerId === this.playerId) {
+            this._showNotification(`You eliminated ${message.playerName}! ${message.remaining} players left`);
+          }
+          break;
+          
+        case 'battleRoyaleComplete':
+          console.log('Battle Royale complete:', message.battleRoyaleId, 'winner', message.winnerId);
+          eventBus.emit('network.battleRoyaleComplete', message);
+          
+          if (this.currentRoom && this.currentRoom.id === message.roomId) {
+            this._showNotification(
+              message.winnerId === this.playerId ? 'Victory! You are the last one standing!' : `${message.winnerName} wins the Battle Royale!`
+            );
+          }
+          break;
+          
+        case 'pickupsState':
+          console.log('Pickups received:', message.pickups?.length, 'seed', message.seed);
+          eventBus.emit('network.pickupsState', message);
+          break;
+          
+        case 'pickupCollected':
+          eventBus.emit('network.pickupCollected', message);
+          
+          // Only the server heals, so our health comes from its message
+          if (message.playerId === this.playerId) {
+            eventBus.emit('player.healthPickup', {
+              healAmount: message.healAmount,
+              health: message.health,
+              maxHealth: message.maxHealth
+            });
+          }
+          break;
+          
+        case 'pickupRespawned':
+          eventBus.emit('network.pickupRespawned', message);
+          break;
+          
+        case 'pickupRejected':
+          console.log('Pickup rejected:', message.pickupId, message.reason);
+          eventBus.emit('network.pickupRejected', message);
+          break;
+          
+        case 'safeZoneUpdate':
+          console.log('Safe zone update:', message.stage, message.status);
+          eventBus.emit('network.safeZoneUpdate', message);
+          
+          if (message.status === 'SHRINKING') {
+            this._showNotification('The safe zone is shrinking!');
+          } else if (message.status === 'FINAL') {
+            this._showNotification('The safe zone has closed - last one standing wins!');
+          }
           break;
       }
     } catch (error) {
@@ -1026,7 +1309,11 @@ class WebSocketManager {
     
     try {
       const messageStr = JSON.stringify(message);
-      console.log('Sending message to server:', message.type, message);
+      
+      // Position updates are sent continuously while moving, so skip logging them
+      if (message.type !== 'playerMove') {
+        console.log('Sending message to server:', message.type, message);
+      }
       this.socket.send(messageStr);
       return true;
     } catch (error) {
@@ -1051,14 +1338,11 @@ class WebSocketManager {
     // Store player data for later use
     this.playerData = { ...playerData };
     
-    // Include authentication data if available
-    if (window.authData && window.authData.username) {
-      console.log('[NETWORK] Including authentication data for user:', window.authData.username);
-      this.playerData.auth = {
-        username: window.authData.username,
-        userId: window.authData.userId || null
-      };
-    }
+    // Let the server verify we share its class/ability definitions
+    this.playerData.classDefinitions = this._getClassDefinitionsInfo();
+    
+    // No account data is sent here; the server binds the connection to the
+    // account from the session token presented in the handshake
     
     // Ensure player has class data
     if (!this.playerData.class && this.playerData.characterClass) {
@@ -1136,34 +1420,19 @@ class WebSocketManager {
    * @private
    */
   _getDefaultStatsForClass(classType) {
-    const defaultStats = {
-      'CLERK': {
-        id: 'CLERK',
-        name: 'Clerk',
-        color: 0x428CD5,
-        health: 80,
-        speed: 0.15,
-        description: 'High speed, lower health. Uses magic attacks.'
-      },
-      'WARRIOR': {
-        id: 'WARRIOR',
-        name: 'Warrior',
-        color: 0xD54242,
-        health: 120,
-        speed: 0.1,
-        description: 'High health, lower speed. Uses melee attacks.'
-      },
-      'RANGER': {
-        id: 'RANGER',
-        name: 'Ranger',
-        color: 0x42D54C,
-        health: 100,
-        speed: 0.125,
-        description: 'Balanced health and speed. Uses ranged attacks.'
-      }
+    return CHARACTER_CLASSES[classType] || CHARACTER_CLASSES['WARRIOR'];
+  }
+  
+  /**
+   * Get the version and hash of the class definitions this client was built with
+   * @returns {{version: number, hash: string}}
+   * @private
+   */
+  _getClassDefinitionsInfo() {
+    return {
+      version: CLASS_DEFINITIONS_VERSION,
+      hash: CLASS_DEFINITIONS_HASH
     };
-    
-    return defaultStats[classType] || defaultStats['WARRIOR'];
   }
   
   /**
@@ -1315,21 +1584,78 @@ class WebSocketManager {
   /**
    * Update player position
    * @param {Object} position - The new position
+   * @param {number} [seq] - Input sequence number used for server reconciliation
+   * @param {boolean} [evade] - The movement includes an evade dash
    */
-  updatePosition(position) {
+  updatePosition(position, seq, evade = false) {
     // Update local player data
     if (this.playerData) {
       this.playerData.position = position;
     }
     
-    // Send position update
-    this.sendMessage({
+    // Send position update; seq lets the server acknowledge the input in its snapshots
+    const message = {
       type: 'playerMove',
+      seq,
       position: {
         x: parseFloat(position.x.toFixed(2)),
         y: parseFloat(position.y.toFixed(2)),
         z: parseFloat(position.z.toFixed(2))
       }
+    };
+    
+    // The server allows an evade dash on top of normal movement
+    if (evade) {
+      message.evade = true;
+    }
+    
+    this.sendMessage(message);
+  }
+  
+  /**
+   * Join a pending battle royale
+   * @param {string} battleRoyaleId - Battle royale ID
+   * @returns {boolean} - Whether the request was sent
+   */
+  joinBattleRoyale(battleRoyaleId) {
+    if (!this.connected || !this.socket) {
+      console.error('Cannot join battle royale: Not connected to server');
+      return false;
+    }
+    
+    console.log('Joining battle royale:', battleRoyaleId);
+    
+    return this.sendMessage({
+      type: 'joinBattleRoyale',
+      battleRoyaleId
+    });
+  }
+  
+  /**
+   * Ask the server to collect a health pickup
+   * @param {string} pickupId - Pickup ID
+   * @returns {boolean} - Whether the request was sent
+   */
+  collectPickup(pickupId) {
+    return this.sendMessage({
+      type: 'collectPickup',
+      pickupId
+    });
+  }
+  
+  /**
+   * Report the checksum of the arena generated from a room's map seed
+   * @param {string} roomId - Room the arena was generated for
+   * @param {number} mapSeed - Seed the arena was generated from
+   * @param {string} checksum - Checksum of the walkable tiles
+   * @returns {boolean} - Whether the report was sent
+   */
+  sendMapChecksum(roomId, mapSeed, checksum) {
+    return this.sendMessage({
+      type: 'mapChecksum',
+      roomId,
+      mapSeed,
+      checksum
     });
   }
   
@@ -1368,7 +1694,9 @@ class WebSocketManager {
         damage: attackData.damage,
         attackType: attackData.attackType || 'primary',
         position: positionData,
-        attackId: attackData.attackId || `client-${Date.now()}`
+        attackId: attackData.attackId || `client-${Date.now()}`,
+        // Server time at which we were rendering the target, used for hit rewind
+        viewTime: Math.round(serverClock.getRenderTime())
       };
       
       // Log the exact message being sent
@@ -1427,14 +1755,7 @@ class WebSocketManager {
       // Get class from player data
       const classType = this.playerData?.class || this.playerData?.characterClass || 'WARRIOR';
       
-      // Set default health values based on class
-      const defaultHealthByClass = {
-        'CLERK': 80,
-        'WARRIOR': 120,
-        'RANGER': 100
-      };
-      
-      maxHealth = defaultHealthByClass[classType] || 100;
+      maxHealth = CHARACTER_CLASSES[classType]?.health || 100;
     }
     
     // Ensure damage is a valid number
@@ -1486,11 +1807,9 @@ class WebSocketManager {
       this.playerData.position = respawnData.position;
     }
     
-    // Send respawn notification
+    // Ask the server to respawn us; it picks the position and health and broadcasts them
     this.sendMessage({
-      type: 'playerRespawn',
-      position: respawnData.position,
-      health: respawnData.health
+      type: 'playerRespawn'
     });
   }
   
@@ -1544,6 +1863,9 @@ class WebSocketManager {
    * @param {Object} tournamentData - Tournament data
    * @param {string} tournamentData.name - Tournament name
    * @param {string} tournamentData.tier - Tournament tier (optional)
+   * @param {string} tournamentData.format - SINGLE_ELIMINATION, DOUBLE_ELIMINATION or SWISS (optional)
+   * @param {number} tournamentData.bestOf - Games per match: 1, 3 or 5 (optional)
+   * @param {Array<string>} tournamentData.maps - Map IDs rotated by bracket round (optional)
    * @returns {boolean} - Success status
    */
   createTournament(tournamentData) {
@@ -1560,7 +1882,8 @@ class WebSocketManager {
       // If we have player data, use it, otherwise use a default
       const playerData = this.playerData || {
         username: `Player_${Date.now().toString().slice(-6)}`,
-        characterClass: 'clerk' // Default class if none selected
+        characterClass: 'clerk', // Default class if none selected
+        classDefinitions: this._getClassDefinitionsInfo()
       };
       
       // Join the game first
@@ -1577,7 +1900,10 @@ class WebSocketManager {
     const message = {
       type: 'createTournament',
       name: tournamentData.name,
-      tier: tournamentData.tier || 'ALL'
+      tier: tournamentData.tier || 'ALL',
+      format: tournamentData.format || 'SINGLE_ELIMINATION',
+      bestOf: tournamentData.bestOf || 1,
+      maps: tournamentData.maps || []
     };
     
     // Send message and return result
@@ -1592,6 +1918,27 @@ class WebSocketManager {
     return success;
   }
   
+  /**
+   * Confirm readiness for a scheduled tournament match
+   * @param {string} tournamentId - Tournament ID
+   * @param {string} matchId - Match ID
+   * @returns {boolean} - Whether the confirmation was sent
+   */
+  confirmTournamentMatchReady(tournamentId, matchId) {
+    if (!this.connected || !this.socket) {
+      console.error('Cannot confirm match ready: Not connected to server');
+      return false;
+    }
+    
+    console.log('Confirming ready for tournament match:', matchId);
+    
+    return this.sendMessage({
+      type: 'tournamentMatchReadyConfirm',
+      tournamentId,
+      matchId
+    });
+  }
+  
   /**
    * Request tournament players
    * This is called automatically when joining a tournament
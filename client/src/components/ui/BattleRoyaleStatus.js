@@ -0,0 +1,308 @@
+import eventBus from '../core/EventBus.js';
+import serverClock from '../network/ServerClock.js';
+import webSocketManager from '../network/WebSocketManager.js';
+
+// Eliminations shown in the feed at once
+const FEED_LENGTH = 5;
+
+// How long an elimination stays in the feed (milliseconds)
+const FEED_ENTRY_DURATION = 6000;
+
+// Placements listed on the results screen
+const RESULTS_SHOWN = 10;
+
+/**
+ * BattleRoyaleStatus - Battle royale countdown, players left, elimination feed and results
+ */
+class BattleRoyaleStatus {
+  constructor() {
+    this.container = null;
+    this.countdownElement = null;
+    this.statusElement = null;
+    this.feedElement = null;
+    this.resultsElement = null;
+    this.countdown = null;
+    this.countdownInterval = null;
+    this.kills = 0;
+
+    // Bind methods
+    this._onCountdown = this._onCountdown.bind(this);
+    this._onStarted = this._onStarted.bind(this);
+    this._onElimination = this._onElimination.bind(this);
+    this._onComplete = this._onComplete.bind(this);
+
+    // Initialize the component
+    this._init();
+
+    // Set up event listeners
+    this._setupEventListeners();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  _init() {
+    // Create container in the top right corner
+    this.container = document.createElement('div');
+    this.container.className = 'battle-royale-status';
+    this.container.style.position = 'fixed';
+    this.container.style.top = '20px';
+    this.container.style.right = '20px';
+    this.container.style.zIndex = '1000';
+    this.container.style.color = 'white';
+    this.container.style.textAlign = 'right';
+    this.container.style.pointerEvents = 'none';
+
+    // Create countdown text
+    this.countdownElement = this._createPanel();
+    this.countdownElement.style.border = '1px solid #ffcc00';
+    this.container.appendChild(this.countdownElement);
+
+    // Create players left / kills text
+    this.statusElement = this._createPanel();
+    this.statusElement.style.fontWeight = 'bold';
+    this.container.appendChild(this.statusElement);
+
+    // Create elimination feed
+    this.feedElement = document.createElement('div');
+    this.container.appendChild(this.feedElement);
+
+    // Create results panel in the middle of the screen
+    this.resultsElement = document.createElement('div');
+    this.resultsElement.className = 'battle-royale-results';
+    this.resultsElement.style.display = 'none';
+    this.resultsElement.style.position = 'fixed';
+    this.resultsElement.style.top = '50%';
+    this.resultsElement.style.left = '50%';
+    this.resultsElement.style.transform = 'translate(-50%, -50%)';
+    this.resultsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    this.resultsElement.style.color = 'white';
+    this.resultsElement.style.padding = '20px 30px';
+    this.resultsElement.style.borderRadius = '5px';
+    this.resultsElement.style.border = '1px solid #ff6600';
+    this.resultsElement.style.boxShadow = '0 0 10px rgba(255, 102, 0, 0.7)';
+    this.resultsElement.style.zIndex = '1001';
+    this.resultsElement.style.minWidth = '280px';
+
+    // Add to document
+    document.body.appendChild(this.container);
+    document.body.appendChild(this.resultsElement);
+  }
+
+  /**
+   * Create a hidden text panel
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createPanel() {
+    const panel = document.createElement('div');
+    panel.style.display = 'none';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    panel.style.padding = '8px 12px';
+    panel.style.borderRadius = '5px';
+    panel.style.marginBottom = '8px';
+    return panel;
+  }
+
+  /**
+   * Set up event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on('network.battleRoyaleCountdown', this._onCountdown);
+    eventBus.on('network.battleRoyaleStarted', this._onStarted);
+    eventBus.on('network.battleRoyaleElimination', this._onElimination);
+    eventBus.on('network.battleRoyaleComplete', this._onComplete);
+  }
+
+  /**
+   * Show the time left until a battle royale we joined starts
+   * @param {Object} data - { battleRoyaleId, startTime, participantCount, maxParticipants }
+   * @private
+   */
+  _onCountdown(data) {
+    this.countdown = data;
+
+    clearInterval(this.countdownInterval);
+    this._updateCountdown();
+    this.countdownInterval = setInterval(() => this._updateCountdown(), 250);
+
+    this.countdownElement.style.display = 'block';
+  }
+
+  /**
+   * Update the countdown text
+   * @private
+   */
+  _updateCountdown() {
+    if (!this.countdown) return;
+
+    const totalSeconds = Math.max(0, Math.ceil((this.countdown.startTime - serverClock.now()) / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    this.countdownElement.textContent =
+      `Battle Royale starts in ${minutes}:${seconds} ` +
+      `(${this.countdown.participantCount}/${this.countdown.maxParticipants} players)`;
+  }
+
+  /**
+   * Switch from the countdown to the match status once our battle royale starts
+   * @param {Object} data - { battleRoyaleId, roomId, remaining }
+   * @private
+   */
+  _onStarted(data) {
+    if (!this._isOurRoom(data.roomId)) return;
+
+    this._hideCountdown();
+    this.kills = 0;
+    this.feedElement.innerHTML = '';
+    this.resultsElement.style.display = 'none';
+
+    this._updateStatus(data.remaining);
+    this.statusElement.style.display = 'block';
+  }
+
+  /**
+   * Add an elimination to the feed and update the players left
+   * @param {Object} data - battleRoyaleElimination message
+   * @private
+   */
+  _onElimination(data) {
+    if (data.killerId && data.killerId === webSocketManager.playerId) {
+      this.kills++;
+    }
+
+    this._updateStatus(data.remaining);
+
+    const entry = document.createElement('div');
+    entry.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    entry.style.padding = '4px 10px';
+    entry.style.borderRadius = '3px';
+    entry.style.marginBottom = '4px';
+    entry.style.fontSize = '14px';
+    entry.textContent = data.killerName
+      ? `${data.killerName} eliminated ${data.playerName}`
+      : `${data.playerName} was eliminated`;
+
+    if (data.playerId === webSocketManager.playerId || data.killerId === webSocketManager.playerId) {
+      entry.style.color = '#ffcc00';
+    }
+
+    this.feedElement.appendChild(entry);
+
+    while (this.feedElement.children.length > FEED_LENGTH) {
+      this.feedElement.removeChild(this.feedElement.firstChild);
+    }
+
+    setTimeout(() => entry.remove(), FEED_ENTRY_DURATION);
+  }
+
+  /**
+   * Show the final placements of our battle royale
+   * @param {Object} data - battleRoyaleComplete message
+   * @private
+   */
+  _onComplete(data) {
+    if (!this._isOurRoom(data.roomId)) return;
+
+    this.statusElement.style.display = 'none';
+    this.resultsElement.innerHTML = '';
+
+    const title = document.createElement('h3');
+    title.textContent = data.winnerName ? `${data.winnerName} wins!` : 'Battle Royale over';
+    title.style.margin = '0 0 12px 0';
+    title.style.color = '#ff6600';
+    title.style.textAlign = 'center';
+    this.resultsElement.appendChild(title);
+
+    data.results.slice(0, RESULTS_SHOWN).forEach(result => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.gap = '20px';
+      row.style.padding = '2px 0';
+
+      const name = document.createElement('span');
+      name.textContent = `#${result.position} ${result.name}`;
+
+      const kills = document.createElement('span');
+      kills.textContent = `${result.kills} ${result.kills === 1 ? 'kill' : 'kills'}`;
+
+      row.appendChild(name);
+      row.appendChild(kills);
+      this.resultsElement.appendChild(row);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.style.display = 'block';
+    closeButton.style.margin = '15px auto 0';
+    closeButton.style.backgroundColor = '#ff6600';
+    closeButton.style.color = 'white';
+    closeButton.style.border = 'none';
+    closeButton.style.padding = '5px 20px';
+    closeButton.style.borderRadius = '3px';
+    closeButton.style.cursor = 'pointer';
+    closeButton.addEventListener('click', () => {
+      this.resultsElement.style.display = 'none';
+    });
+    this.resultsElement.appendChild(closeButton);
+
+    this.resultsElement.style.display = 'block';
+  }
+
+  /**
+   * Update the players left / kills text
+   * @param {number} remaining - Players still alive
+   * @private
+   */
+  _updateStatus(remaining) {
+    this.statusElement.textContent = `Players left: ${remaining} | Kills: ${this.kills}`;
+  }
+
+  /**
+   * Check whether a battle royale room is the one we are in
+   * @param {string} roomId - Room ID
+   * @returns {boolean}
+   * @private
+   */
+  _isOurRoom(roomId) {
+    return Boolean(webSocketManager.currentRoom && webSocketManager.currentRoom.id === roomId);
+  }
+
+  /**
+   * Stop and hide the countdown
+   * @private
+   */
+  _hideCountdown() {
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
+    this.countdown = null;
+    this.countdownElement.style.display = 'none';
+  }
+
+  /**
+   * Clean up the component
+   */
+  dispose() {
+    this._hideCountdown();
+
+    // Remove event listeners
+    eventBus.off('network.battleRoyaleCountdown', this._onCountdown);
+    eventBus.off('network.battleRoyaleStarted', this._onStarted);
+    eventBus.off('network.battleRoyaleElimination', this._onElimination);
+    eventBus.off('network.battleRoyaleComplete', this._onComplete);
+
+    // Remove DOM elements
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    if (this.resultsElement && this.resultsElement.parentNode) {
+      this.resultsElement.parentNode.removeChild(this.resultsElement);
+    }
+  }
+}
+
+export default BattleRoyaleStatus;
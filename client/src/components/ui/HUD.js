@@ -1,4 +1,11 @@
 import eventBus from '../core/EventBus.js';
+import safeZone from '../world/SafeZone.js';
+
+// How often the safe zone timer is refreshed (milliseconds)
+const ZONE_TIMER_INTERVAL = 250;
+
+// How long the outside-zone warning stays up after the last zone damage (milliseconds)
+const ZONE_WARNING_DURATION = 1500;
 
 /**
  * HUD - In-game Heads-Up Display
@@ -13,6 +20,10 @@ class HUD {
     this.skillSlots = [];
     this.skillIcons = [];
     this.cooldownOverlays = [];
+    this.zoneTimer = null;
+    this.zoneWarning = null;
+    this.zoneTimerInterval = null;
+    this.zoneWarningTimeout = null;
     this.selectedClass = null;
     this.id = null; // Will be set when player is created
   }
@@ -55,7 +66,15 @@ class HUD {
       } else {
         console.log(`HUD ignoring network health change for OTHER player: ${data.id}`);
       }
+      
+      if (data.id === this.id && data.source === 'safeZone') {
+        this._showZoneWarning();
+      }
     });
+    
+    // Show the zone timer while the current room has a safe zone
+    this._handleSafeZoneChanged = this._handleSafeZoneChanged.bind(this);
+    eventBus.on('safeZone.changed', this._handleSafeZoneChanged);
 
     this.isInitialized = true;
     return this;
@@ -142,7 +161,18 @@ class HUD {
     manaText.textContent = '100';
     this.manaOrb.appendChild(manaText);
     
+    // Create safe zone timer and warning (battle royale only)
+    this.zoneTimer = document.createElement('div');
+    this.zoneTimer.className = 'zone-timer';
+    this.zoneTimer.id = 'zone-timer';
+    
+    this.zoneWarning = document.createElement('div');
+    this.zoneWarning.className = 'zone-warning';
+    this.zoneWarning.textContent = 'You are outside the safe zone!';
+    
     // Append elements to HUD
+    this.hudElement.appendChild(this.zoneTimer);
+    this.hudElement.appendChild(this.zoneWarning);
     this.hudElement.appendChild(this.healthOrb);
     this.hudElement.appendChild(skillsContainer);
     this.hudElement.appendChild(this.manaOrb);
@@ -307,6 +337,44 @@ class HUD {
         background-image: url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><path d="M50,20 L50,80" stroke="white" stroke-width="5"/><path d="M30,40 L70,40 L50,20 Z" fill="white"/></svg>');
       }
       
+      .zone-timer,
+      .zone-warning {
+        position: fixed;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 6px 14px;
+        border-radius: 4px;
+        font-weight: bold;
+        text-shadow: 1px 1px 3px rgba(0, 0, 0, 0.8);
+        user-select: none;
+        display: none;
+      }
+      
+      .zone-timer {
+        top: 20px;
+        background-color: rgba(0, 0, 0, 0.7);
+        border: 2px solid rgba(52, 152, 219, 0.8);
+        color: white;
+        font-size: 18px;
+      }
+      
+      .zone-timer.shrinking {
+        border-color: rgba(231, 76, 60, 0.9);
+        color: #ff6666;
+      }
+      
+      .zone-warning {
+        top: 65px;
+        background-color: rgba(231, 76, 60, 0.8);
+        color: white;
+        font-size: 16px;
+      }
+      
+      .zone-timer.visible,
+      .zone-warning.visible {
+        display: block;
+      }
+      
       /* Slot placeholder styles */
       .skill-slot.empty {
         background-image: linear-gradient(45deg, #444 25%, #333 25%, #333 50%, #444 50%, #444 75%, #333 75%);
@@ -440,6 +508,67 @@ class HUD {
     }
   }
 
+  /**
+   * Start or stop the zone timer when a safe zone appears or goes away
+   * @param {Object|null} state - Zone state from the server
+   * @private
+   */
+  _handleSafeZoneChanged(state) {
+    clearInterval(this.zoneTimerInterval);
+    this.zoneTimerInterval = null;
+    
+    if (!this.zoneTimer) return;
+    
+    if (!state) {
+      this.zoneTimer.classList.remove('visible');
+      this.zoneWarning.classList.remove('visible');
+      return;
+    }
+    
+    this._updateZoneTimer();
+    this.zoneTimerInterval = setInterval(() => this._updateZoneTimer(), ZONE_TIMER_INTERVAL);
+    this.zoneTimer.classList.add('visible');
+  }
+
+  /**
+   * Update the zone timer text
+   * @private
+   */
+  _updateZoneTimer() {
+    const timer = safeZone.getTimer();
+    if (!timer) return;
+    
+    const totalSeconds = Math.ceil(timer.remainingMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    const stage = `Zone ${timer.stage}/${timer.stageCount}`;
+    
+    if (timer.status === 'WAITING') {
+      this.zoneTimer.textContent = `${stage} - shrinks in ${minutes}:${seconds}`;
+    } else if (timer.status === 'SHRINKING') {
+      this.zoneTimer.textContent = `${stage} - shrinking (${minutes}:${seconds})`;
+    } else {
+      this.zoneTimer.textContent = 'Final zone';
+    }
+    
+    this.zoneTimer.classList.toggle('shrinking', timer.status !== 'WAITING');
+  }
+
+  /**
+   * Flash the outside-zone warning; it stays up while zone damage keeps coming
+   * @private
+   */
+  _showZoneWarning() {
+    if (!this.zoneWarning) return;
+    
+    this.zoneWarning.classList.add('visible');
+    
+    clearTimeout(this.zoneWarningTimeout);
+    this.zoneWarningTimeout = setTimeout(() => {
+      this.zoneWarning.classList.remove('visible');
+    }, ZONE_WARNING_DURATION);
+  }
+
   /**
    * Show the HUD
    */
@@ -467,6 +596,11 @@ class HUD {
   dispose() {
     // Remove event listeners
     eventBus.off('game.classSelected');
+    eventBus.off('safeZone.changed', this._handleSafeZoneChanged);
+    
+    // Stop zone timers
+    clearInterval(this.zoneTimerInterval);
+    clearTimeout(this.zoneWarningTimeout);
     
     // Remove DOM elements
     if (this.hudElement && this.hudElement.parentNode) {
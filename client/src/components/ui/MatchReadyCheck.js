@@ -0,0 +1,207 @@
+import eventBus from '../core/EventBus.js';
+import webSocketManager from '../network/WebSocketManager.js';
+
+/**
+ * MatchReadyCheck - Ready check shown when a tournament match is ready
+ * Both players must confirm before the deadline, otherwise the match is forfeited
+ */
+class MatchReadyCheck {
+  constructor() {
+    this.container = null;
+    this.messageElement = null;
+    this.timerElement = null;
+    this.readyButton = null;
+    this.currentMatch = null;
+    this.timerInterval = null;
+
+    // Bind methods
+    this._onMatchReady = this._onMatchReady.bind(this);
+    this._onReadyUpdate = this._onReadyUpdate.bind(this);
+    this._onMatchOver = this._onMatchOver.bind(this);
+    this._handleReadyClick = this._handleReadyClick.bind(this);
+
+    // Initialize the component
+    this._init();
+
+    // Set up event listeners
+    this._setupEventListeners();
+  }
+
+  /**
+   * Initialize the component
+   * @private
+   */
+  _init() {
+    // Create container for the ready check
+    this.container = document.createElement('div');
+    this.container.className = 'match-ready-check';
+    this.container.style.display = 'none';
+    this.container.style.position = 'fixed';
+    this.container.style.top = '20px';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translateX(-50%)';
+    this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    this.container.style.color = 'white';
+    this.container.style.padding = '15px 20px';
+    this.container.style.borderRadius = '5px';
+    this.container.style.zIndex = '1001';
+    this.container.style.textAlign = 'center';
+    this.container.style.border = '1px solid #00cc00';
+    this.container.style.boxShadow = '0 0 10px rgba(0, 204, 0, 0.6)';
+
+    // Create message text
+    this.messageElement = document.createElement('div');
+    this.messageElement.style.marginBottom = '8px';
+    this.container.appendChild(this.messageElement);
+
+    // Create countdown text
+    this.timerElement = document.createElement('div');
+    this.timerElement.style.marginBottom = '10px';
+    this.timerElement.style.color = '#ffcc00';
+    this.container.appendChild(this.timerElement);
+
+    // Create ready button
+    this.readyButton = document.createElement('button');
+    this.readyButton.textContent = 'Ready';
+    this.readyButton.style.backgroundColor = '#00cc00';
+    this.readyButton.style.color = 'black';
+    this.readyButton.style.border = 'none';
+    this.readyButton.style.padding = '8px 25px';
+    this.readyButton.style.borderRadius = '3px';
+    this.readyButton.style.cursor = 'pointer';
+    this.readyButton.style.fontWeight = 'bold';
+    this.container.appendChild(this.readyButton);
+
+    // Add to document
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Set up event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    eventBus.on('tournament.matchReady', this._onMatchReady);
+    eventBus.on('tournament.matchReadyUpdate', this._onReadyUpdate);
+    eventBus.on('tournament.gameStart', this._onMatchOver);
+    eventBus.on('tournament.matchForfeit', this._onMatchOver);
+
+    this.readyButton.addEventListener('click', this._handleReadyClick);
+  }
+
+  /**
+   * Show the ready check for a match
+   * @param {Object} data - { tournamentId, matchId, opponent, readyCheckExpiresAt }
+   * @private
+   */
+  _onMatchReady(data) {
+    this.currentMatch = data;
+
+    this.messageElement.textContent = `Your match against ${data.opponent.name} is ready!`;
+    this.readyButton.disabled = false;
+    this.readyButton.textContent = 'Ready';
+    this.container.style.display = 'block';
+
+    this._startTimer(data.readyCheckExpiresAt);
+  }
+
+  /**
+   * Show which players have confirmed
+   * @param {Object} data - { tournamentId, matchId, readyCheck }
+   * @private
+   */
+  _onReadyUpdate(data) {
+    if (!this._isCurrentMatch(data) || !data.readyCheck) return;
+
+    const confirmed = [data.readyCheck.player1, data.readyCheck.player2].filter(Boolean).length;
+    this.messageElement.textContent = `${confirmed} of 2 players ready`;
+  }
+
+  /**
+   * Hide the ready check once the match starts or is forfeited
+   * @param {Object} data - Event data with tournamentId and matchId
+   * @private
+   */
+  _onMatchOver(data) {
+    if (this._isCurrentMatch(data)) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Handle ready button click
+   * @private
+   */
+  _handleReadyClick() {
+    if (!this.currentMatch) return;
+
+    webSocketManager.confirmTournamentMatchReady(this.currentMatch.tournamentId, this.currentMatch.matchId);
+
+    this.readyButton.disabled = true;
+    this.readyButton.textContent = 'Waiting for opponent...';
+  }
+
+  /**
+   * Count down to the ready check deadline
+   * @param {number|null} expiresAt - Deadline in milliseconds since the epoch
+   * @private
+   */
+  _startTimer(expiresAt) {
+    clearInterval(this.timerInterval);
+
+    if (!expiresAt) {
+      this.timerElement.textContent = '';
+      return;
+    }
+
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+      this.timerElement.textContent = `Confirm within ${seconds}s or forfeit the match`;
+    };
+
+    update();
+    this.timerInterval = setInterval(update, 250);
+  }
+
+  /**
+   * Check whether event data refers to the match being shown
+   * @param {Object} data - Event data with tournamentId and matchId
+   * @returns {boolean}
+   * @private
+   */
+  _isCurrentMatch(data) {
+    return Boolean(this.currentMatch && data &&
+      data.tournamentId === this.currentMatch.tournamentId &&
+      data.matchId === this.currentMatch.matchId);
+  }
+
+  /**
+   * Hide the ready check
+   */
+  hide() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.container.style.display = 'none';
+    this.currentMatch = null;
+  }
+
+  /**
+   * Clean up the component
+   */
+  dispose() {
+    this.hide();
+
+    // Remove event listeners
+    eventBus.off('tournament.matchReady', this._onMatchReady);
+    eventBus.off('tournament.matchReadyUpdate', this._onReadyUpdate);
+    eventBus.off('tournament.gameStart', this._onMatchOver);
+    eventBus.off('tournament.matchForfeit', this._onMatchOver);
+
+    // Remove DOM elements
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+  }
+}
+
+export default MatchReadyCheck;
@@ -5,6 +5,14 @@
 
 import eventBus from '../core/EventBus.js';
 
+// Headings of the bracket sections of double-elimination and Swiss tournaments
+const SECTION_TITLES = {
+  WINNERS: 'Winners Bracket',
+  LOSERS: 'Losers Bracket',
+  GRAND_FINAL: 'Grand Final',
+  SWISS: 'Swiss Rounds'
+};
+
 class TournamentBracket {
   constructor() {
     this.container = null;
@@ -115,6 +123,44 @@ class TournamentBracket {
         border-color: #ffcc00;
       }
       
+      .tournament-bracket .series-length {
+        margin: -10px 0 15px;
+        color: #ccc;
+      }
+      
+      .tournament-bracket .series-score {
+        float: right;
+        font-weight: bold;
+      }
+      
+      .tournament-bracket .match.skipped {
+        opacity: 0.4;
+      }
+      
+      .tournament-bracket .bracket-section {
+        width: 100%;
+        max-width: 1200px;
+        margin-bottom: 20px;
+      }
+      
+      .tournament-bracket .section-title {
+        font-size: 18px;
+        margin-bottom: 10px;
+        color: #ffcc00;
+      }
+      
+      .tournament-bracket .swiss-standings {
+        border-collapse: collapse;
+        margin-top: 10px;
+      }
+      
+      .tournament-bracket .swiss-standings th,
+      .tournament-bracket .swiss-standings td {
+        padding: 4px 12px;
+        border-bottom: 1px solid #444;
+        text-align: left;
+      }
+      
       .tournament-bracket .match.ready {
         border-color: #00cc00;
         animation: pulse 2s infinite;
@@ -214,6 +260,8 @@ class TournamentBracket {
     this.currentTournament = {
       id: data.tournamentId,
       name: data.name,
+      format: data.format || 'SINGLE_ELIMINATION',
+      bestOf: data.bestOf || 1,
       brackets: data.brackets,
       status: 'IN_PROGRESS',
       winner: null
@@ -232,6 +280,12 @@ class TournamentBracket {
     console.log('Tournament bracket updated:', data);
     if (this.currentTournament && this.currentTournament.id === data.tournamentId) {
       this.currentTournament.brackets = data.brackets;
+      if (data.format) {
+        this.currentTournament.format = data.format;
+      }
+      if (data.bestOf) {
+        this.currentTournament.bestOf = data.bestOf;
+      }
       this._renderBracket();
     }
   }
@@ -281,58 +335,42 @@ class TournamentBracket {
     // Create HTML content
     let html = `
       <h1>${this.currentTournament.name}</h1>
-      <div class="bracket-container">
     `;
     
-    // Render each round
-    this.currentTournament.brackets.forEach((round, roundIndex) => {
-      const roundName = this._getRoundName(roundIndex, this.currentTournament.brackets.length);
+    if (this.currentTournament.bestOf > 1) {
+      html += `<div class="series-length">Best of ${this.currentTournament.bestOf}</div>`;
+    }
+    
+    // Render each section (winners, losers, grand final or Swiss rounds) as its own row of rounds
+    this._getSections(this.currentTournament.brackets).forEach(({ section, rounds }) => {
+      const sectionTitle = SECTION_TITLES[section];
       
-      html += `
-        <div class="round">
-          <div class="round-title">${roundName}</div>
-      `;
+      html += `<div class="bracket-section">`;
+      if (sectionTitle && this.currentTournament.format !== 'SINGLE_ELIMINATION') {
+        html += `<div class="section-title">${sectionTitle}</div>`;
+      }
+      html += `<div class="bracket-container">`;
       
-      // Render matches in this round
-      round.matches.forEach(match => {
-        const matchStatus = match.status.toLowerCase();
-        const player1IsTBD = !match.player1Id;
-        const player2IsTBD = !match.player2Id;
-        
-        // Determine winner and loser
-        let player1Class = '';
-        let player2Class = '';
-        
-        if (match.winnerId) {
-          if (match.winnerId === match.player1Id) {
-            player1Class = 'winner';
-            player2Class = 'loser';
-          } else if (match.winnerId === match.player2Id) {
-            player1Class = 'loser';
-            player2Class = 'winner';
-          }
-        }
-        
-        if (player1IsTBD) player1Class = 'tbd';
-        if (player2IsTBD) player2Class = 'tbd';
-        
+      rounds.forEach((round, roundIndex) => {
         html += `
-          <div class="match ${matchStatus}">
-            <div class="match-id">${match.matchId}</div>
-            <div class="player ${player1Class}">
-              ${player1IsTBD ? 'TBD' : match.player1Name}
-            </div>
-            <div class="player ${player2Class}">
-              ${player2IsTBD ? 'TBD' : match.player2Name}
-            </div>
-          </div>
+          <div class="round">
+            <div class="round-title">${this._getRoundName(roundIndex, rounds.length, section)}</div>
         `;
+        
+        // Render matches in this round
+        round.matches.forEach(match => {
+          html += this._renderMatch(match);
+        });
+        
+        html += `</div>`;
       });
       
-      html += `</div>`;
+      html += `</div></div>`;
     });
     
-    html += `</div>`;
+    if (this.currentTournament.format === 'SWISS') {
+      html += this._renderSwissStandings();
+    }
     
     // Add winner announcement if tournament is completed
     if (this.currentTournament.status === 'COMPLETED' && this.currentTournament.winner) {
@@ -353,16 +391,157 @@ class TournamentBracket {
     this.container.innerHTML = html;
   }
   
+  /**
+   * Render a single match
+   * @param {Object} match - Bracket match
+   * @returns {string} Match HTML
+   * @private
+   */
+  _renderMatch(match) {
+    const matchStatus = match.status.toLowerCase();
+    const player1IsTBD = !match.player1Id;
+    const player2IsTBD = !match.player2Id;
+    
+    // Determine winner and loser
+    let player1Class = '';
+    let player2Class = '';
+    
+    if (match.winnerId) {
+      if (match.winnerId === match.player1Id) {
+        player1Class = 'winner';
+        player2Class = 'loser';
+      } else if (match.winnerId === match.player2Id) {
+        player1Class = 'loser';
+        player2Class = 'winner';
+      }
+    }
+    
+    if (player1IsTBD) player1Class = 'tbd';
+    if (player2IsTBD) player2Class = 'tbd';
+    
+    return `
+      <div class="match ${matchStatus}">
+        <div class="match-id">${match.matchId}</div>
+        <div class="player ${player1Class}">
+          ${this._getPlayerLabel(match, 1)}${this._getSeriesScore(match, 1)}
+        </div>
+        <div class="player ${player2Class}">
+          ${this._getPlayerLabel(match, 2)}${this._getSeriesScore(match, 2)}
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Get the games won by one side of a best-of series
+   * @param {Object} match - Bracket match
+   * @param {number} slot - 1 or 2
+   * @returns {string} Score HTML, empty for single-game matches and byes
+   * @private
+   */
+  _getSeriesScore(match, slot) {
+    if (this.currentTournament.bestOf <= 1 || match.bye || !match.score) {
+      return '';
+    }
+    
+    return `<span class="series-score">${match.score[`player${slot}`] || 0}</span>`;
+  }
+  
+  /**
+   * Group consecutive rounds by bracket section, keeping their order
+   * @param {Array} brackets - Tournament rounds
+   * @returns {Array} Sections as { section, rounds }
+   * @private
+   */
+  _getSections(brackets) {
+    const sections = [];
+    
+    brackets.forEach(round => {
+      const section = round.section || 'WINNERS';
+      const last = sections[sections.length - 1];
+      
+      if (last && last.section === section) {
+        last.rounds.push(round);
+      } else {
+        sections.push({ section, rounds: [round] });
+      }
+    });
+    
+    return sections;
+  }
+  
+  /**
+   * Render the Swiss standings table (points, then opponents' points)
+   * @returns {string} Standings HTML
+   * @private
+   */
+  _renderSwissStandings() {
+    const standings = {};
+    const entry = (id, name) => {
+      if (!standings[id]) {
+        standings[id] = { name, points: 0, losses: 0, opponents: [] };
+      }
+      return standings[id];
+    };
+    
+    this.currentTournament.brackets.forEach(round => {
+      round.matches.forEach(match => {
+        if (match.player1Id) entry(match.player1Id, match.player1Name);
+        if (match.player2Id) entry(match.player2Id, match.player2Name);
+        if (match.status !== 'COMPLETED' || !match.winnerId) return;
+        
+        standings[match.winnerId].points++;
+        
+        if (match.player1Id && match.player2Id) {
+          const loserId = match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+          standings[loserId].losses++;
+          standings[match.player1Id].opponents.push(match.player2Id);
+          standings[match.player2Id].opponents.push(match.player1Id);
+        }
+      });
+    });
+    
+    const rows = Object.values(standings)
+      .map(player => ({
+        ...player,
+        buchholz: player.opponents.reduce((sum, id) => sum + standings[id].points, 0)
+      }))
+      .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz);
+    
+    return `
+      <table class="swiss-standings">
+        <tr><th>#</th><th>Player</th><th>W-L</th><th>Opp. pts</th></tr>
+        ${rows.map((player, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${player.name}</td>
+            <td>${player.points}-${player.losses}</td>
+            <td>${player.buchholz}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+  
   /**
    * Get the name of a tournament round based on its index
-   * @param {number} roundIndex - Zero-based index of the round
-   * @param {number} totalRounds - Total number of rounds
+   * @param {number} roundIndex - Zero-based index of the round within its section
+   * @param {number} totalRounds - Total number of rounds in the section
+   * @param {string} section - Bracket section of the round
    * @returns {string} Round name
    * @private
    */
-  _getRoundName(roundIndex, totalRounds) {
+  _getRoundName(roundIndex, totalRounds, section = 'WINNERS') {
     const roundNumber = roundIndex + 1;
     
+    if (section === 'SWISS' || section === 'LOSERS') {
+      return `Round ${roundNumber}`;
+    }
+    
+    if (section === 'GRAND_FINAL') {
+      return roundNumber === 1 ? 'Grand Final' : 'Grand Final Reset';
+    }
+    
     if (roundNumber === totalRounds) {
       return 'Finals';
     } else if (roundNumber === totalRounds - 1) {
@@ -373,7 +552,26 @@ class TournamentBracket {
       return `Round ${roundNumber}`;
     }
   }
-  
+
+  /**
+   * Get the label for one side of a match, including the player's seed
+   * @param {Object} match - Bracket match
+   * @param {number} slot - 1 or 2
+   * @returns {string} Player label
+   * @private
+   */
+  _getPlayerLabel(match, slot) {
+    const playerId = match[`player${slot}Id`];
+
+    if (!playerId) {
+      return match.bye ? 'BYE' : 'TBD';
+    }
+
+    const seed = match[`player${slot}Seed`];
+    const name = match[`player${slot}Name`];
+    return seed ? `(${seed}) ${name}` : name;
+  }
+
   /**
    * Show the tournament bracket
    */
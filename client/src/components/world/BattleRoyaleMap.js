@@ -1,6 +1,13 @@
 import * as THREE from 'three';
 import renderer from '../core/Renderer.js';
 import eventBus from '../core/EventBus.js';
+import safeZone from './SafeZone.js';
+import pickups from './Pickups.js';
+import webSocketManager from '../network/WebSocketManager.js';
+import { createRandom, createMapSeed, checksumTiles } from '@shared/mapSeed.mjs';
+
+// Side length of the generated map; map files set their own
+const DEFAULT_MAP_SIZE = 1000;
 
 /**
  * BattleRoyaleMap - Creates a 1000km x 1000km map with terrain features and health pickups
@@ -10,53 +17,105 @@ class BattleRoyaleMap {
     this.objects = [];
     this.ground = null;
     this.trees = [];
-    this.healthPickups = [];
+    this.healthPickups = new Map(); // Pickup meshes keyed by server pickup ID
+    this.pickupGeometry = null;
+    this.pickupMaterial = null;
+    this.zoneWall = null;
+    this.nextZoneRing = null;
+    
+    // Seed the tree layout is generated from
+    this.seed = null;
+    this.random = null;
+    
+    // Hand-authored map the trees are placed from instead, if any
+    this.mapFile = null;
+    this.mapId = null;
 
     // Map properties
-    this.size = 1000; // 1000 units = 1000km in our scale
+    this.size = DEFAULT_MAP_SIZE; // 1000 units = 1000km in our scale
     this.treeCount = 100; // Number of trees to place
-    this.healthPickupCount = 20; // Number of health pickups
     this.groundColor = 0x4a7e5c; // Green ground
     this.treeColor = 0x2d4a33; // Dark green trees
     this.healthPickupColor = 0xe74c3c; // Red health pickups
+    this.zoneColor = 0x3498db; // Blue zone wall
+    this.nextZoneColor = 0xffffff; // White next zone outline
+    this.zoneWallHeight = 40;
+    this.nextZoneLineWidth = 1.5;
     
     // Pickup properties
     this.pickupRotationSpeed = 0.01;
     this.pickupBobSpeed = 0.5;
     this.pickupBobHeight = 0.2;
+    this.pickupCollectRange = 2;
+    
+    // Click-to-move grid: square cells, blocked around tree trunks
+    this.pathCellSize = 2;
+    this.treeClearance = 1.2; // Trunk radius plus room for the player
+    this.blockedCells = new Set(); // Keys of cells too close to a tree
     
     // Bind methods
     this._updatePickups = this._updatePickups.bind(this);
+    this._syncPickups = this._syncPickups.bind(this);
+    this._handlePickupCollected = this._handlePickupCollected.bind(this);
+    this._handlePickupRespawned = this._handlePickupRespawned.bind(this);
+    this._checkPickupCollision = this._checkPickupCollision.bind(this);
+    this._updateSafeZone = this._updateSafeZone.bind(this);
+    this._handleSafeZoneChanged = this._handleSafeZoneChanged.bind(this);
   }
 
   /**
    * Initialize the battle royale map
    * @param {Object} options - Configuration options
+   * @param {number} [options.seed] - Seed issued by the server for the match; random if omitted
+   * @param {Object} [options.mapFile] - Battle royale map file to place the trees from
    * @returns {BattleRoyaleMap} - This instance for chaining
    */
   init(options = {}) {
+    this.mapFile = options.mapFile || null;
+    this.mapId = this.mapFile ? this.mapFile.id : null;
+    
     // Apply options
-    if (options.size !== undefined) this.size = options.size;
+    this.size = options.size ?? this.mapFile?.size ?? DEFAULT_MAP_SIZE;
     if (options.treeCount !== undefined) this.treeCount = options.treeCount;
-    if (options.healthPickupCount !== undefined) this.healthPickupCount = options.healthPickupCount;
     if (options.groundColor !== undefined) this.groundColor = options.groundColor;
     if (options.treeColor !== undefined) this.treeColor = options.treeColor;
     if (options.healthPickupColor !== undefined) this.healthPickupColor = options.healthPickupColor;
     
+    // Every player of a match places the same trees from the same seed
+    this.seed = options.seed ?? createMapSeed();
+    this.random = createRandom(this.seed);
+    
     // Create ground
     this.createGround();
     
     // Create trees
     this.createTrees();
     
-    // Create health pickups
+    // Create health pickups announced by the server
     this.createHealthPickups();
+    eventBus.on('pickups.changed', this._syncPickups);
+    eventBus.on('pickups.collected', this._handlePickupCollected);
+    eventBus.on('pickups.respawned', this._handlePickupRespawned);
+    eventBus.on('player.moved', this._checkPickupCollision);
+    
+    // Create safe zone wall
+    this.createSafeZone();
     
     // Start animation loop for pickups using the event system
     eventBus.on('renderer.beforeRender', this._updatePickups);
     
+    // Follow the safe zone announced by the server
+    eventBus.on('renderer.beforeRender', this._updateSafeZone);
+    eventBus.on('safeZone.changed', this._handleSafeZoneChanged);
+    this._handleSafeZoneChanged();
+    
     // Emit event that map is ready
-    eventBus.emit('map.ready', { type: 'battleRoyale' });
+    eventBus.emit('map.ready', {
+      type: 'battleRoyale',
+      seed: this.seed,
+      mapId: this.mapId,
+      checksum: this.getWalkableChecksum()
+    });
     
     return this;
   }
@@ -127,7 +186,8 @@ class BattleRoyaleMap {
   }
 
   /**
-   * Create trees (represented as cylinders)
+   * Create trees (represented as cylinders), where the map file puts them or at seeded
+   * random positions
    */
   createTrees() {
     // Create tree geometry and material
@@ -137,8 +197,11 @@ class BattleRoyaleMap {
     const leavesGeometry = new THREE.ConeGeometry(2, 5, 8);
     const leavesMaterial = new THREE.MeshStandardMaterial({ color: this.treeColor });
     
-    // Create trees at random positions
-    for (let i = 0; i < this.treeCount; i++) {
+    const positions = this.mapFile
+      ? (this.mapFile.obstacles || []).filter(obstacle => obstacle.type === 'tree')
+      : this._rollTreePositions();
+    
+    positions.forEach(({ x, z }, i) => {
       // Create trunk
       const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
       trunk.castShadow = true;
@@ -154,117 +217,316 @@ class BattleRoyaleMap {
       tree.add(trunk);
       tree.add(leaves);
       
-      // Position tree randomly on the map
-      const halfSize = this.size / 2 - 10; // Keep away from edges
-      const x = (Math.random() * this.size) - halfSize;
-      const z = (Math.random() * this.size) - halfSize;
       tree.position.set(x, 2, z); // Set y to 2 to place on ground
       
       // Add to scene and store reference
       renderer.addObject(`tree_${i}`, tree);
       this.trees.push(tree);
+    });
+    
+    this._blockTreeCells();
+  }
+
+  /**
+   * Random tree positions drawn from the seed
+   * @returns {Array<Object>} - Positions {x, z}
+   * @private
+   */
+  _rollTreePositions() {
+    const positions = [];
+    const halfSize = this.size / 2 - 10; // Keep away from edges
+    
+    for (let i = 0; i < this.treeCount; i++) {
+      const x = (this.random() * this.size) - halfSize;
+      const z = (this.random() * this.size) - halfSize;
+      positions.push({ x, z });
+    }
+    
+    return positions;
+  }
+
+  /**
+   * Mark the path grid cells around each tree as blocked
+   * A cell is blocked when its centre is within half a cell of a tree's clearance, so a
+   * straight step between two open cell centres never brushes a trunk
+   * @private
+   */
+  _blockTreeCells() {
+    const reach = this.treeClearance + this.pathCellSize / 2;
+    const cells = Math.ceil(reach / this.pathCellSize);
+    
+    this.blockedCells.clear();
+    this.trees.forEach(tree => {
+      const cellX = Math.round(tree.position.x / this.pathCellSize);
+      const cellZ = Math.round(tree.position.z / this.pathCellSize);
+      
+      for (let dx = -cells; dx <= cells; dx++) {
+        for (let dz = -cells; dz <= cells; dz++) {
+          const x = (cellX + dx) * this.pathCellSize;
+          const z = (cellZ + dz) * this.pathCellSize;
+          
+          if (Math.hypot(x - tree.position.x, z - tree.position.z) < reach) {
+            this.blockedCells.add(`${cellX + dx},${cellZ + dz}`);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Navigation graph node (grid cell key) under a world position, for the Pathfinder
+   * @param {Object} position - World position {x, z}
+   * @returns {string} - Cell key "x,z"
+   */
+  getPathNode(position) {
+    return `${Math.round(position.x / this.pathCellSize)},${Math.round(position.z / this.pathCellSize)}`;
+  }
+
+  /**
+   * World position of a navigation graph node's cell centre
+   * @param {string} key - Cell key "x,z"
+   * @returns {Object} - Position {x, z}
+   */
+  getPathNodePosition(key) {
+    const [cellX, cellZ] = key.split(',').map(Number);
+    return { x: cellX * this.pathCellSize, z: cellZ * this.pathCellSize };
+  }
+
+  /**
+   * Open cells around a cell; diagonal steps need both cells beside them open
+   * @param {string} key - Cell key "x,z"
+   * @returns {Array<string>} - Cell keys
+   */
+  getPathNeighbours(key) {
+    const [cellX, cellZ] = key.split(',').map(Number);
+    const open = (dx, dz) => this.isPathNodeWalkable(`${cellX + dx},${cellZ + dz}`);
+    const neighbours = [];
+    
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (dx === 0 && dz === 0) continue;
+        if (!open(dx, dz)) continue;
+        if (dx !== 0 && dz !== 0 && (!open(dx, 0) || !open(0, dz))) continue;
+        
+        neighbours.push(`${cellX + dx},${cellZ + dz}`);
+      }
     }
+    
+    return neighbours;
+  }
+
+  /**
+   * Check whether a navigation graph node is an open cell on the map
+   * @param {string} key - Cell key "x,z"
+   * @returns {boolean}
+   */
+  isPathNodeWalkable(key) {
+    const { x, z } = this.getPathNodePosition(key);
+    const halfSize = this.size / 2;
+    
+    return !this.blockedCells.has(key) && Math.abs(x) <= halfSize && Math.abs(z) <= halfSize;
+  }
+
+  /**
+   * Check whether a position is on the map and clear of the trees, for the Pathfinder
+   * Trees only steer click-to-move paths; the server lets players walk through them
+   * @param {Object} position - World position {x, z}
+   * @returns {boolean}
+   */
+  isPathPointWalkable(position) {
+    const halfSize = this.size / 2;
+    if (Math.abs(position.x) > halfSize || Math.abs(position.z) > halfSize) return false;
+    
+    return this.trees.every(tree =>
+      Math.hypot(position.x - tree.position.x, position.z - tree.position.z) > this.treeClearance
+    );
+  }
+
+  /**
+   * Checksum of the walkable ground, reported to the server to confirm every player of a
+   * match generated the same arena; the ground is open apart from the trees, so their
+   * positions identify it
+   * @returns {string} - 8 hex digits
+   */
+  getWalkableChecksum() {
+    return checksumTiles(this.trees.map(tree => `${tree.position.x.toFixed(2)},${tree.position.z.toFixed(2)}`));
   }
 
   /**
    * Create health pickups (represented as red spheres)
+   * Positions come from the server, so every player sees the same pickups
    */
   createHealthPickups() {
-    // Create health pickup geometry and material
-    const geometry = new THREE.SphereGeometry(1, 16, 16);
-    const material = new THREE.MeshStandardMaterial({ 
+    // Create health pickup geometry and material, shared by every pickup
+    this.pickupGeometry = new THREE.SphereGeometry(1, 16, 16);
+    this.pickupMaterial = new THREE.MeshStandardMaterial({ 
       color: this.healthPickupColor,
       emissive: this.healthPickupColor,
       emissiveIntensity: 0.5
     });
     
-    // Create pickups at random positions
-    for (let i = 0; i < this.healthPickupCount; i++) {
+    this._syncPickups();
+  }
+
+  /**
+   * Rebuild the pickup meshes from the pickups the server announced
+   * @private
+   */
+  _syncPickups() {
+    this._removePickupMeshes();
+    
+    pickups.getAll().forEach(data => {
       // Create pickup
-      const pickup = new THREE.Mesh(geometry, material);
+      const pickup = new THREE.Mesh(this.pickupGeometry, this.pickupMaterial);
       pickup.castShadow = true;
       pickup.receiveShadow = true;
-      
-      // Position pickup randomly on the map
-      const halfSize = this.size / 2 - 10; // Keep away from edges
-      const x = (Math.random() * this.size) - halfSize;
-      const z = (Math.random() * this.size) - halfSize;
-      pickup.position.set(x, 1.5, z); // Float above ground
+      pickup.position.set(data.position.x, data.position.y, data.position.z);
+      pickup.visible = data.available;
       
       // Add custom properties for animation
       pickup.userData = {
-        initialY: 1.5,
+        id: data.id,
+        initialY: data.position.y,
         bobOffset: Math.random() * Math.PI * 2, // Random starting phase
         type: 'healthPickup',
-        healAmount: 20 // Amount of health to restore
+        healAmount: data.healAmount // Amount of health to restore
       };
       
       // Add to scene and store reference
-      renderer.addObject(`healthPickup_${i}`, pickup);
-      this.healthPickups.push(pickup);
-      
-      // Add collision detection for this pickup
-      this._setupPickupCollision(pickup, i);
-    }
+      renderer.addObject(`healthPickup_${data.id}`, pickup);
+      this.healthPickups.set(data.id, pickup);
+    });
   }
 
   /**
-   * Set up collision detection for a health pickup
-   * @param {THREE.Mesh} pickup - The pickup mesh
-   * @param {number} index - Pickup index
+   * Remove every pickup mesh from the scene
    * @private
    */
-  _setupPickupCollision(pickup, index) {
-    // Listen for player position updates
-    eventBus.on('player.moved', (data) => {
-      // Skip if pickup was already collected
-      if (!pickup.visible) return;
-      
-      // Check distance to player
-      const playerPos = data.position;
-      const pickupPos = pickup.position;
-      
-      const dx = playerPos.x - pickupPos.x;
-      const dz = playerPos.z - pickupPos.z;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      
-      // If player is close enough, collect the pickup
-      if (distance < 2) {
-        this._collectPickup(pickup, index);
-      }
+  _removePickupMeshes() {
+    this.healthPickups.forEach((pickup, id) => {
+      renderer.removeObject(`healthPickup_${id}`);
     });
+    
+    this.healthPickups.clear();
   }
 
   /**
-   * Collect a health pickup
-   * @param {THREE.Mesh} pickup - The pickup mesh
-   * @param {number} index - Pickup index
+   * Create the wall marking the edge of the safe zone
+   * It is a unit cylinder scaled to the zone radius every frame, hidden until the server sends a zone
+   */
+  createSafeZone() {
+    const geometry = new THREE.CylinderGeometry(1, 1, this.zoneWallHeight, 128, 1, true);
+    const material = new THREE.MeshBasicMaterial({
+      color: this.zoneColor,
+      transparent: true,
+      opacity: 0.25,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    
+    this.zoneWall = new THREE.Mesh(geometry, material);
+    this.zoneWall.visible = false;
+    
+    renderer.addObject('safeZoneWall', this.zoneWall);
+  }
+
+  /**
+   * Outline the circle the zone will shrink to next
+   * The ring is rebuilt rather than scaled so its line width stays constant
    * @private
    */
-  _collectPickup(pickup, index) {
-    // Hide the pickup
-    pickup.visible = false;
+  _handleSafeZoneChanged() {
+    if (this.nextZoneRing) {
+      renderer.removeObject('safeZoneNextRing');
+      this.nextZoneRing.geometry.dispose();
+      this.nextZoneRing.material.dispose();
+      this.nextZoneRing = null;
+    }
     
-    // Emit event for health restoration
-    eventBus.emit('player.healthPickup', {
-      healAmount: pickup.userData.healAmount
+    const next = safeZone.getNextCircle();
+    if (!next) return;
+    
+    const outerRadius = Math.max(next.radius, this.nextZoneLineWidth);
+    const geometry = new THREE.RingGeometry(outerRadius - this.nextZoneLineWidth, outerRadius, 128);
+    const material = new THREE.MeshBasicMaterial({
+      color: this.nextZoneColor,
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide,
+      depthWrite: false
     });
     
+    this.nextZoneRing = new THREE.Mesh(geometry, material);
+    this.nextZoneRing.rotation.x = -Math.PI / 2; // Lay flat on the ground
+    this.nextZoneRing.position.set(next.center.x, 0.05, next.center.z);
+    
+    renderer.addObject('safeZoneNextRing', this.nextZoneRing);
+  }
+
+  /**
+   * Move and resize the zone wall to the current safe circle
+   * @private
+   */
+  _updateSafeZone() {
+    if (!this.zoneWall) return;
+    
+    const circle = safeZone.getCircle();
+    
+    if (!circle) {
+      this.zoneWall.visible = false;
+      return;
+    }
+    
+    // A zero scale makes the matrix singular, so keep a sliver of wall when the zone closes
+    const radius = Math.max(circle.radius, 0.01);
+    
+    this.zoneWall.visible = true;
+    this.zoneWall.position.set(circle.center.x, this.zoneWallHeight / 2, circle.center.z);
+    this.zoneWall.scale.set(radius, 1, radius);
+  }
+
+  /**
+   * Ask the server for a pickup when the local player moves onto one
+   * The server checks the distance itself and announces the collection to everyone
+   * @param {Object} data - Event data with the player's position
+   * @private
+   */
+  _checkPickupCollision(data) {
+    const pickup = pickups.findInRange(data.position, this.pickupCollectRange);
+    if (!pickup) return;
+    
+    pickups.markRequested(pickup.id);
+    webSocketManager.collectPickup(pickup.id);
+  }
+
+  /**
+   * Hide a pickup the server handed out
+   * @param {Object} data - { pickup, playerId }
+   * @private
+   */
+  _handlePickupCollected({ pickup }) {
+    const mesh = this.healthPickups.get(pickup.id);
+    if (!mesh) return;
+    
+    // Hide the pickup
+    mesh.visible = false;
+    
     // Play pickup effect
-    this._playPickupEffect(pickup.position);
-    
-    // Respawn the pickup after a delay
-    setTimeout(() => {
-      // Reposition the pickup
-      const halfSize = this.size / 2 - 10;
-      const x = (Math.random() * this.size) - halfSize;
-      const z = (Math.random() * this.size) - halfSize;
-      pickup.position.set(x, 1.5, z);
-      pickup.userData.initialY = 1.5;
-      
-      // Make it visible again
-      pickup.visible = true;
-    }, 30000); // Respawn after 30 seconds
+    this._playPickupEffect(mesh.position);
+  }
+
+  /**
+   * Show a pickup again at the position the server chose
+   * @param {Object} data - { pickup }
+   * @private
+   */
+  _handlePickupRespawned({ pickup }) {
+    const mesh = this.healthPickups.get(pickup.id);
+    if (!mesh) return;
+    
+    mesh.position.set(pickup.position.x, pickup.position.y, pickup.position.z);
+    mesh.userData.initialY = pickup.position.y;
+    mesh.visible = true;
   }
 
   /**
@@ -376,6 +638,25 @@ class BattleRoyaleMap {
   dispose() {
     // Remove from animation loop
     eventBus.off('renderer.beforeRender', this._updatePickups);
+    eventBus.off('renderer.beforeRender', this._updateSafeZone);
+    eventBus.off('safeZone.changed', this._handleSafeZoneChanged);
+    eventBus.off('pickups.changed', this._syncPickups);
+    eventBus.off('pickups.collected', this._handlePickupCollected);
+    eventBus.off('pickups.respawned', this._handlePickupRespawned);
+    eventBus.off('player.moved', this._checkPickupCollision);
+    
+    // Remove safe zone wall and next zone outline
+    if (this.zoneWall) {
+      renderer.removeObject('safeZoneWall');
+      this.zoneWall.geometry.dispose();
+      this.zoneWall.material.dispose();
+    }
+    
+    if (this.nextZoneRing) {
+      renderer.removeObject('safeZoneNextRing');
+      this.nextZoneRing.geometry.dispose();
+      this.nextZoneRing.material.dispose();
+    }
     
     // Remove ground
     renderer.removeObject('battleRoyaleGround');
@@ -400,19 +681,19 @@ class BattleRoyaleMap {
       });
     });
     
-    // Remove and dispose health pickups
-    this.healthPickups.forEach((pickup, i) => {
-      renderer.removeObject(`healthPickup_${i}`);
-      
-      // Dispose pickup resources
-      if (pickup.geometry) pickup.geometry.dispose();
-      if (pickup.material) pickup.material.dispose();
-    });
+    // Remove health pickups and dispose their shared resources
+    this._removePickupMeshes();
+    if (this.pickupGeometry) this.pickupGeometry.dispose();
+    if (this.pickupMaterial) this.pickupMaterial.dispose();
     
     // Clear arrays
     this.trees = [];
-    this.healthPickups = [];
+    this.blockedCells.clear();
+    this.pickupGeometry = null;
+    this.pickupMaterial = null;
     this.ground = null;
+    this.zoneWall = null;
+    this.nextZoneRing = null;
   }
 }
 
@@ -0,0 +1,925 @@
+import * as THREE from 'three';
+import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import renderer from '../core/Renderer.js';
+import eventBus from '../core/EventBus.js';
+import tournamentMap from './TournamentMap.js';
+import { createMapSeed } from '@shared/mapSeed.mjs';
+import {
+  MAP_FORMAT_VERSION,
+  MAP_STYLES,
+  MAX_TILE_HEIGHT,
+  TILE_WIDTH,
+  TILE_DEPTH,
+  getMapErrors,
+  parseMapFile
+} from '../../config/maps.js';
+
+// Editing tools; the obstacle tools put a tree or a stone on the tile
+const TOOLS = {
+  PAINT: 'paint',
+  RAISE: 'raise',
+  LOWER: 'lower',
+  TREE: 'tree',
+  STONE: 'stone',
+  CLEAR: 'clear',
+  SPAWN: 'spawn'
+};
+
+// Terrain the paint tool lays; it also clears any obstacle on the tile
+const PAINT_TYPES = ['stone', 'dirt', 'grass', 'sand', 'dirt2'];
+
+// Obstacle tile types and the terrain left when their obstacle is cleared
+const OBSTACLE_GROUND = {
+  grass_with_tree: 'grass',
+  sand_with_stone: 'sand'
+};
+
+// Ground new maps, and tiles added by growing the radius, start with
+const DEFAULT_TILE = { type: 'grass', height: 1 };
+
+// Arena radius limits; 32 is the size of the generated arenas
+const DEFAULT_RADIUS = 24;
+const MIN_RADIUS = 8;
+const MAX_RADIUS = 32;
+
+// Height added or removed by one click of the raise and lower tools
+const HEIGHT_STEP = 0.25;
+
+// Largest brush, in tiles from the centre tile
+const MAX_BRUSH_SIZE = 3;
+
+// Camera movement: pan speed in units per second, and zoom limits
+const PAN_SPEED = 20;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+
+// Spawn marker colours; tournaments start their two players on the first two spawns
+const SPAWN_COLORS = [0x3498db, 0xe74c3c];
+const EXTRA_SPAWN_COLOR = 0xf1c40f;
+
+/**
+ * Round a number to two decimals, as map files store them
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a map file with one tile or point per line, like the files in shared/maps/
+ * @param {Object} map - Map file
+ * @returns {string} - JSON text
+ */
+function formatMapFile(map) {
+  const fields = Object.entries(map).map(([key, value]) => {
+    const text = Array.isArray(value) && value.length > 0
+      ? `[\n${value.map(item => `    ${JSON.stringify(item)}`).join(',\n')}\n  ]`
+      : JSON.stringify(value);
+    return `  ${JSON.stringify(key)}: ${text}`;
+  });
+
+  return `{\n${fields.join(',\n')}\n}\n`;
+}
+
+/**
+ * MapEditor - Paints tournament map files on the hex terrain renderer
+ * The tiles being edited live in tournamentMap.tileTypes, so the map's walkability,
+ * neighbour and debug helpers work on them directly. Each tile is its own mesh, built
+ * with the map's hexGeometry and hexMesh, so an edit only rebuilds the tiles it touches.
+ * Changes are announced with 'mapEditor.changed'.
+ */
+class MapEditor {
+  constructor() {
+    this.canvas = null;
+    this.isInitialized = false;
+
+    // Starts run one after another; a dispose ends the session a start belongs to
+    this.starting = Promise.resolve(this);
+    this.session = 0;
+
+    // Map being edited
+    this.mapId = 'new-arena';
+    this.mapName = 'New Arena';
+    this.radius = DEFAULT_RADIUS;
+    this.spawnPoints = [];
+
+    // Tool settings
+    this.tool = TOOLS.PAINT;
+    this.paintType = 'grass';
+    this.brushSize = 0;
+    this.showWalkable = false;
+
+    // Scene objects
+    this.tileMeshes = new Map(); // Tile meshes keyed by tile key "x,y"
+    this.spawnMarkers = null;
+    this.hoverOutline = null;
+    this.walkableMarkers = null;
+
+    // Pointer and camera state
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.hoverKey = null;
+    this.isPainting = false;
+    this.strokeKeys = new Set(); // Tiles already changed by the current stroke
+    this.cameraTarget = { x: 0, z: 0 };
+    this.heldKeys = new Set();
+
+    // Bind methods
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+    this._handleWheel = this._handleWheel.bind(this);
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleKeyUp = this._handleKeyUp.bind(this);
+    this._updateCamera = this._updateCamera.bind(this);
+  }
+
+  /**
+   * Start the editor on a canvas with a new map
+   * React mounts pages twice in development, so a start may be disposed before it ends
+   * @param {HTMLCanvasElement} canvas - Canvas to render to
+   * @returns {Promise<MapEditor>} - This instance, once the textures are loaded
+   */
+  init(canvas) {
+    const session = ++this.session;
+    this.starting = this.starting.then(() => this._start(canvas, session));
+    return this.starting;
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to render to
+   * @param {number} session - Session the start belongs to
+   * @returns {Promise<MapEditor>}
+   * @private
+   */
+  async _start(canvas, session) {
+    if (session !== this.session) return this;
+
+    console.log('[MAP EDITOR] Initializing map editor');
+
+    this.canvas = canvas;
+    renderer.init(canvas);
+    renderer.setFollowTarget(null, false);
+
+    canvas.addEventListener('pointerdown', this._handlePointerDown);
+    canvas.addEventListener('pointermove', this._handlePointerMove);
+    canvas.addEventListener('wheel', this._handleWheel, { passive: false });
+    window.addEventListener('pointerup', this._handlePointerUp);
+    window.addEventListener('keydown', this._handleKeyDown);
+    window.addEventListener('keyup', this._handleKeyUp);
+    eventBus.on('renderer.beforeRender', this._updateCamera);
+    this.isInitialized = true;
+
+    // Textures and cosmetic details come from the tournament map
+    await tournamentMap.loadTextures();
+    if (session !== this.session) {
+      this._disposeTextures();
+      return this;
+    }
+    tournamentMap.setSeed(createMapSeed());
+
+    this.newMap();
+    renderer.startRendering();
+
+    return this;
+  }
+
+  /**
+   * Start a new map: a disc of grass with two spawn points facing each other
+   * @param {Object} [options]
+   * @param {number} [options.radius] - Arena radius
+   */
+  newMap(options = {}) {
+    this.mapId = 'new-arena';
+    this.mapName = 'New Arena';
+    this.radius = this._clampRadius(options.radius ?? DEFAULT_RADIUS);
+
+    tournamentMap.tileTypes.clear();
+    this._fillRadius();
+
+    // Start both players two thirds of the way to the edge
+    const spawnDistance = this.radius * 2 / 3;
+    this.spawnPoints = [-spawnDistance, spawnDistance].map(x => this._getTileCentre({ x, z: 0 }));
+
+    this._rebuild();
+  }
+
+  /**
+   * Open a tournament map file for editing
+   * @param {Object} map - Valid map file
+   * @throws {Error} - If the map is not a tournament map
+   */
+  loadMap(map) {
+    if (map.style !== MAP_STYLES.TOURNAMENT) {
+      throw new Error(`Only tournament maps can be edited; ${map.id} is a ${map.style} map`);
+    }
+
+    this.mapId = map.id;
+    this.mapName = map.name;
+    this.radius = map.radius;
+
+    tournamentMap.tileTypes.clear();
+    map.tiles.forEach(tile => this._setTile(`${tile.x},${tile.y}`, tile.type, tile.height));
+    this.spawnPoints = map.spawnPoints.map(({ x, z }) => ({ x, z }));
+
+    this._rebuild();
+  }
+
+  /**
+   * Open the text of a map file for editing
+   * @param {string} text - JSON map file
+   * @throws {Error} - If the file is invalid or not a tournament map
+   */
+  importMap(text) {
+    this.loadMap(parseMapFile(text));
+  }
+
+  /**
+   * The map being edited, as a map file
+   * @returns {Object}
+   */
+  toMapFile() {
+    const tiles = [];
+
+    tournamentMap.tileTypes.forEach((tile, key) => {
+      const [x, y] = key.split(',').map(Number);
+      tiles.push({ x, y, type: tile.type, height: tile.height });
+    });
+    tiles.sort((a, b) => a.x - b.x || a.y - b.y);
+
+    return {
+      formatVersion: MAP_FORMAT_VERSION,
+      id: this.mapId,
+      name: this.mapName,
+      style: MAP_STYLES.TOURNAMENT,
+      radius: this.radius,
+      spawnPoints: this.spawnPoints.map(({ x, z }) => ({ x, z })),
+      tiles
+    };
+  }
+
+  /**
+   * The map being edited as map file text, ready to save in shared/maps/
+   * @returns {string} - JSON text
+   * @throws {Error} - If the map has problems, listing them
+   */
+  exportMap() {
+    const problems = this.getProblems();
+    if (problems.length > 0) {
+      throw new Error(`Fix the map before exporting:\n  ${problems.join('\n  ')}`);
+    }
+
+    return formatMapFile(this.toMapFile());
+  }
+
+  /**
+   * Everything that keeps the map from being played: format errors, and spawn points
+   * players could not walk between
+   * @returns {Array<string>}
+   */
+  getProblems() {
+    return [...getMapErrors(this.toMapFile()), ...this.getSpawnProblems()];
+  }
+
+  /**
+   * Check that every spawn point stands on walkable ground connected to the first one
+   * @returns {Array<string>} - Problems found; empty when every spawn is reachable
+   */
+  getSpawnProblems() {
+    const problems = [];
+    const spawnKeys = this.spawnPoints.map(spawn => this._getTileKey(spawn));
+
+    spawnKeys.forEach((key, index) => {
+      if (!tournamentMap.isPathNodeWalkable(key)) {
+        problems.push(`spawnPoints[${index}]: spawn ${index + 1} is not on walkable ground`);
+      }
+    });
+    if (problems.length > 0 || spawnKeys.length < 2) return problems;
+
+    // Flood the walkable tiles from the first spawn
+    const reached = new Set([spawnKeys[0]]);
+    const queue = [spawnKeys[0]];
+
+    while (queue.length > 0) {
+      tournamentMap.getPathNeighbours(queue.shift()).forEach(neighbour => {
+        if (reached.has(neighbour)) return;
+        reached.add(neighbour);
+        queue.push(neighbour);
+      });
+    }
+
+    spawnKeys.forEach((key, index) => {
+      if (!reached.has(key)) {
+        problems.push(`spawnPoints[${index}]: spawn ${index + 1} cannot be reached from spawn 1`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Set the map's ID and name
+   * @param {Object} details - { id, name }
+   */
+  setDetails({ id, name }) {
+    if (id !== undefined) this.mapId = id;
+    if (name !== undefined) this.mapName = name;
+    this._emitChange();
+  }
+
+  /**
+   * Grow or shrink the arena; new ground is grass, and spawns left outside are removed
+   * @param {number} radius - Arena radius
+   */
+  setRadius(radius) {
+    this.radius = this._clampRadius(radius);
+
+    tournamentMap.tileTypes.forEach((tile, key) => {
+      if (!this._isInRadius(key)) tournamentMap.tileTypes.delete(key);
+    });
+    this._fillRadius();
+    this.spawnPoints = this.spawnPoints.filter(({ x, z }) => Math.hypot(x, z) <= this.radius);
+
+    this._rebuild();
+  }
+
+  /**
+   * Choose the editing tool
+   * @param {string} tool - One of TOOLS
+   */
+  setTool(tool) {
+    if (!Object.values(TOOLS).includes(tool)) return;
+    this.tool = tool;
+    this._updateHover();
+    this._emitChange();
+  }
+
+  /**
+   * Choose the terrain the paint tool lays
+   * @param {string} tileType - One of PAINT_TYPES
+   */
+  setPaintType(tileType) {
+    if (!PAINT_TYPES.includes(tileType)) return;
+    this.paintType = tileType;
+    this._emitChange();
+  }
+
+  /**
+   * Choose how many tiles around the one under the pointer each stroke reaches
+   * @param {number} size - 0 for a single tile, up to MAX_BRUSH_SIZE
+   */
+  setBrushSize(size) {
+    this.brushSize = Math.max(0, Math.min(MAX_BRUSH_SIZE, Math.round(size) || 0));
+    this._updateHover();
+    this._emitChange();
+  }
+
+  /**
+   * Show or hide a marker on every tile, green where players can walk and red where not
+   * @param {boolean} show
+   */
+  setShowWalkable(show) {
+    this.showWalkable = show;
+    this._updateWalkableMarkers();
+    this._emitChange();
+  }
+
+  /**
+   * Current state of the editor, as sent in 'mapEditor.changed'
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      id: this.mapId,
+      name: this.mapName,
+      radius: this.radius,
+      tileCount: tournamentMap.tileTypes.size,
+      spawnCount: this.spawnPoints.length,
+      tool: this.tool,
+      paintType: this.paintType,
+      brushSize: this.brushSize,
+      showWalkable: this.showWalkable,
+      problems: this.getProblems()
+    };
+  }
+
+  /**
+   * Stop the editor and release everything it created
+   */
+  dispose() {
+    this.session++;
+    if (!this.isInitialized) return;
+
+    if (this.canvas) {
+      this.canvas.removeEventListener('pointerdown', this._handlePointerDown);
+      this.canvas.removeEventListener('pointermove', this._handlePointerMove);
+      this.canvas.removeEventListener('wheel', this._handleWheel);
+    }
+    window.removeEventListener('pointerup', this._handlePointerUp);
+    window.removeEventListener('keydown', this._handleKeyDown);
+    window.removeEventListener('keyup', this._handleKeyUp);
+    eventBus.off('renderer.beforeRender', this._updateCamera);
+
+    this.tileMeshes.forEach((mesh, key) => this._removeTileMesh(key));
+    this._removeGroup('mapEditorSpawns');
+    this._removeGroup('mapEditorHover');
+    this._removeGroup('walkableTileMarkers');
+    this.spawnMarkers = null;
+    this.hoverOutline = null;
+    this.walkableMarkers = null;
+
+    // The tile meshes share the map's textures, so they go last
+    tournamentMap.dispose();
+    tournamentMap.tileTypes.clear();
+    this._disposeTextures();
+
+    renderer.dispose();
+
+    this.canvas = null;
+    this.hoverKey = null;
+    this.isPainting = false;
+    this.heldKeys.clear();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Free the textures and environment map loaded into the tournament map
+   * @private
+   */
+  _disposeTextures() {
+    Object.values(tournamentMap.textures).forEach(texture => texture.dispose());
+    tournamentMap.textures = {};
+
+    if (tournamentMap.envMap) tournamentMap.envMap.dispose();
+    tournamentMap.envMap = null;
+  }
+
+  /**
+   * Rebuild the whole scene after the map was replaced or resized
+   * @private
+   */
+  _rebuild() {
+    tournamentMap.mapRadius = this.radius;
+
+    this.tileMeshes.forEach((mesh, key) => this._removeTileMesh(key));
+    tournamentMap.tileTypes.forEach((tile, key) => this._buildTileMesh(key));
+
+    this._buildSurroundings();
+    this._frameCamera();
+    this._refresh();
+  }
+
+  /**
+   * Redraw everything that depends on more than one tile, and announce the change
+   * @private
+   */
+  _refresh() {
+    this._updateSpawnMarkers();
+    this._updateWalkableMarkers();
+    this._updateHover();
+    this._emitChange();
+  }
+
+  /**
+   * @private
+   */
+  _emitChange() {
+    eventBus.emit('mapEditor.changed', this.getState());
+  }
+
+  /**
+   * Keep a radius within the editor's limits
+   * @param {number} radius
+   * @returns {number}
+   * @private
+   */
+  _clampRadius(radius) {
+    return Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, Math.round(Number(radius)) || DEFAULT_RADIUS));
+  }
+
+  /**
+   * Whether a tile's centre lies inside the arena radius
+   * @param {string} key - Tile key "x,y"
+   * @returns {boolean}
+   * @private
+   */
+  _isInRadius(key) {
+    const [tileX, tileY] = key.split(',').map(Number);
+    return tournamentMap.tileToPosition(tileX, tileY).length() <= this.radius;
+  }
+
+  /**
+   * Add default ground on every tile inside the radius that has none
+   * @private
+   */
+  _fillRadius() {
+    const rows = Math.ceil(this.radius / TILE_DEPTH);
+    const columns = Math.ceil(this.radius / TILE_WIDTH) + 1;
+
+    for (let tileY = -rows; tileY <= rows; tileY++) {
+      for (let tileX = -columns; tileX <= columns; tileX++) {
+        const key = `${tileX},${tileY}`;
+        if (!tournamentMap.tileTypes.has(key) && this._isInRadius(key)) {
+          this._setTile(key, DEFAULT_TILE.type, DEFAULT_TILE.height);
+        }
+      }
+    }
+  }
+
+  /**
+   * Store a tile the way TournamentMap.makeHex does
+   * @param {string} key - Tile key "x,y"
+   * @param {string} tileType - Tile type
+   * @param {number} height - Tile height
+   * @private
+   */
+  _setTile(key, tileType, height) {
+    const [tileX, tileY] = key.split(',').map(Number);
+    const position = tournamentMap.tileToPosition(tileX, tileY);
+
+    tournamentMap.tileTypes.set(key, {
+      type: tileType,
+      height,
+      position: new THREE.Vector3(position.x, height, position.y)
+    });
+  }
+
+  /**
+   * Key of the tile under a world position
+   * @param {Object} position - World position {x, z}
+   * @returns {string} - Tile key "x,y"
+   * @private
+   */
+  _getTileKey(position) {
+    const tile = tournamentMap.worldToTile(position);
+    return `${tile.x},${tile.y}`;
+  }
+
+  /**
+   * Centre of the tile under a world position, rounded as map files store it
+   * @param {Object} position - World position {x, z}
+   * @returns {{x: number, z: number}}
+   * @private
+   */
+  _getTileCentre(position) {
+    const tile = tournamentMap.worldToTile(position);
+    const centre = tournamentMap.tileToPosition(tile.x, tile.y);
+    return { x: round2(centre.x), z: round2(centre.y) };
+  }
+
+  /**
+   * Build the mesh of one tile, with its tree or stone
+   * @param {string} key - Tile key "x,y"
+   * @private
+   */
+  _buildTileMesh(key) {
+    this._removeTileMesh(key);
+
+    const tile = tournamentMap.tileTypes.get(key);
+    if (!tile) return;
+
+    const position = new THREE.Vector2(tile.position.x, tile.position.z);
+    let geometry = tournamentMap.hexGeometry(tile.height, position);
+
+    if (tile.type === 'grass_with_tree') {
+      geometry = BufferGeometryUtils.mergeGeometries([geometry, tournamentMap.tree(tile.height, position)]);
+    } else if (tile.type === 'sand_with_stone') {
+      geometry = BufferGeometryUtils.mergeGeometries([geometry, tournamentMap.stone(tile.height, position)]);
+    }
+
+    const mesh = tournamentMap.hexMesh(geometry, tournamentMap.textures[tournamentMap.getTileBand(tile.type)]);
+    mesh.userData.tileKey = key;
+
+    renderer.addObject(`mapEditorTile_${key}`, mesh);
+    this.tileMeshes.set(key, mesh);
+  }
+
+  /**
+   * Remove the mesh of one tile; its texture is shared and stays
+   * @param {string} key - Tile key "x,y"
+   * @private
+   */
+  _removeTileMesh(key) {
+    const mesh = this.tileMeshes.get(key);
+    if (!mesh) return;
+
+    renderer.removeObject(`mapEditorTile_${key}`);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    this.tileMeshes.delete(key);
+  }
+
+  /**
+   * Rebuild the water and the arena wall around the current radius
+   * @private
+   */
+  _buildSurroundings() {
+    ['waterMesh', 'mapContainer', 'mapFloor'].forEach(id => {
+      const object = renderer.getObject(id);
+      if (!object) return;
+
+      renderer.removeObject(id);
+      object.geometry.dispose();
+      object.material.dispose();
+      tournamentMap.objects = tournamentMap.objects.filter(other => other !== object);
+    });
+
+    tournamentMap.createWater();
+    tournamentMap.createMapContainer();
+  }
+
+  /**
+   * Remove one of the editor's groups from the scene and free its meshes
+   * @param {string} id - Renderer object ID
+   * @private
+   */
+  _removeGroup(id) {
+    const group = renderer.getObject(id);
+    if (!group) return;
+
+    renderer.removeObject(id);
+    group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  /**
+   * Draw a numbered-by-colour marker on every spawn point
+   * @private
+   */
+  _updateSpawnMarkers() {
+    this._removeGroup('mapEditorSpawns');
+
+    this.spawnMarkers = new THREE.Group();
+    this.spawnPoints.forEach((spawn, index) => {
+      const marker = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.35, 0.35, 0.8, 12),
+        new THREE.MeshBasicMaterial({ color: SPAWN_COLORS[index] ?? EXTRA_SPAWN_COLOR })
+      );
+      const tile = tournamentMap.tileTypes.get(this._getTileKey(spawn));
+      marker.position.set(spawn.x, (tile ? tile.height : 0) + 0.4, spawn.z);
+      this.spawnMarkers.add(marker);
+    });
+
+    renderer.addObject('mapEditorSpawns', this.spawnMarkers);
+  }
+
+  /**
+   * Redraw the walkability markers if they are shown
+   * @private
+   */
+  _updateWalkableMarkers() {
+    this._removeGroup('walkableTileMarkers');
+    this.walkableMarkers = this.showWalkable ? tournamentMap.visualizeWalkableTiles(1) : null;
+  }
+
+  /**
+   * Tiles a stroke centred on a tile reaches with the current brush
+   * @param {string} key - Tile key "x,y" under the pointer
+   * @returns {Array<string>} - Keys of existing tiles
+   * @private
+   */
+  _getBrushKeys(key) {
+    const reached = new Set([key]);
+    let ring = [key];
+
+    for (let step = 0; step < this.brushSize; step++) {
+      const next = [];
+      ring.forEach(ringKey => {
+        tournamentMap.getTileNeighbours(ringKey).forEach(neighbour => {
+          if (reached.has(neighbour) || !tournamentMap.tileTypes.has(neighbour)) return;
+          reached.add(neighbour);
+          next.push(neighbour);
+        });
+      });
+      ring = next;
+    }
+
+    return [...reached].filter(reachedKey => tournamentMap.tileTypes.has(reachedKey));
+  }
+
+  /**
+   * Outline the tiles the next stroke would change
+   * @private
+   */
+  _updateHover() {
+    this._removeGroup('mapEditorHover');
+    this.hoverOutline = null;
+    if (!this.hoverKey || !tournamentMap.tileTypes.has(this.hoverKey)) return;
+
+    // The spawn tool places one point, whatever the brush
+    const keys = this.tool === TOOLS.SPAWN ? [this.hoverKey] : this._getBrushKeys(this.hoverKey);
+    const material = new THREE.LineBasicMaterial({ color: 0xffffff });
+
+    this.hoverOutline = new THREE.Group();
+    keys.forEach(key => {
+      const tile = tournamentMap.tileTypes.get(key);
+      const corners = [];
+      for (let corner = 0; corner < 6; corner++) {
+        const angle = corner * Math.PI / 3;
+        corners.push(new THREE.Vector3(
+          tile.position.x + Math.sin(angle),
+          tile.height + 0.02,
+          tile.position.z + Math.cos(angle)
+        ));
+      }
+      this.hoverOutline.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(corners), material));
+    });
+
+    renderer.addObject('mapEditorHover', this.hoverOutline);
+  }
+
+  /**
+   * Apply the current tool to the tiles under the pointer
+   * Each tile changes at most once per stroke, so holding the raise tool over a tile
+   * raises it by one step
+   * @param {string} key - Tile key "x,y" under the pointer
+   * @private
+   */
+  _applyTool(key) {
+    if (this.tool === TOOLS.SPAWN) {
+      this._toggleSpawn(key);
+      return;
+    }
+
+    this._getBrushKeys(key).forEach(brushKey => {
+      if (this.strokeKeys.has(brushKey)) return;
+      this.strokeKeys.add(brushKey);
+
+      const tile = tournamentMap.tileTypes.get(brushKey);
+      let { type, height } = tile;
+
+      if (this.tool === TOOLS.PAINT) {
+        type = this.paintType;
+      } else if (this.tool === TOOLS.RAISE) {
+        height = round2(Math.min(MAX_TILE_HEIGHT, height + HEIGHT_STEP));
+      } else if (this.tool === TOOLS.LOWER) {
+        height = round2(Math.max(0, height - HEIGHT_STEP));
+      } else if (this.tool === TOOLS.TREE) {
+        type = 'grass_with_tree';
+      } else if (this.tool === TOOLS.STONE) {
+        type = 'sand_with_stone';
+      } else if (this.tool === TOOLS.CLEAR) {
+        type = OBSTACLE_GROUND[type] || type;
+      }
+
+      if (type === tile.type && height === tile.height) return;
+
+      this._setTile(brushKey, type, height);
+      this._buildTileMesh(brushKey);
+    });
+  }
+
+  /**
+   * Add a spawn point on a tile, or remove the one already there
+   * @param {string} key - Tile key "x,y"
+   * @private
+   */
+  _toggleSpawn(key) {
+    const index = this.spawnPoints.findIndex(spawn => this._getTileKey(spawn) === key);
+
+    if (index >= 0) {
+      this.spawnPoints.splice(index, 1);
+    } else {
+      const tile = tournamentMap.tileTypes.get(key);
+      this.spawnPoints.push({ x: round2(tile.position.x), z: round2(tile.position.z) });
+    }
+
+    this._refresh();
+  }
+
+  /**
+   * Key of the tile under the pointer
+   * @param {PointerEvent} event
+   * @returns {string|null}
+   * @private
+   */
+  _pickTile(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.raycaster.setFromCamera(this.pointer, renderer.camera);
+    const [hit] = this.raycaster.intersectObjects([...this.tileMeshes.values()], false);
+
+    return hit ? hit.object.userData.tileKey : null;
+  }
+
+  /**
+   * @param {PointerEvent} event
+   * @private
+   */
+  _handlePointerDown(event) {
+    if (event.button !== 0) return;
+
+    const key = this._pickTile(event);
+    if (!key) return;
+
+    this.isPainting = this.tool !== TOOLS.SPAWN;
+    this.strokeKeys.clear();
+    this._applyTool(key);
+  }
+
+  /**
+   * @param {PointerEvent} event
+   * @private
+   */
+  _handlePointerMove(event) {
+    const key = this._pickTile(event);
+
+    if (key !== this.hoverKey) {
+      this.hoverKey = key;
+      this._updateHover();
+    }
+
+    if (this.isPainting && key) {
+      this._applyTool(key);
+    }
+  }
+
+  /**
+   * Finish a stroke; markers and validation are only refreshed once it ends
+   * @private
+   */
+  _handlePointerUp() {
+    if (!this.isPainting) return;
+
+    this.isPainting = false;
+    if (this.strokeKeys.size > 0) {
+      this.strokeKeys.clear();
+      this._refresh();
+    }
+  }
+
+  /**
+   * Zoom with the mouse wheel
+   * @param {WheelEvent} event
+   * @private
+   */
+  _handleWheel(event) {
+    event.preventDefault();
+
+    const camera = renderer.camera;
+    const factor = event.deltaY > 0 ? 0.9 : 1.1;
+    camera.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, camera.zoom * factor));
+    camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Track the pan keys, unless the user is typing in the editor's form
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    this.heldKeys.add(event.key.toLowerCase());
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _handleKeyUp(event) {
+    this.heldKeys.delete(event.key.toLowerCase());
+  }
+
+  /**
+   * Pan the camera with WASD or the arrow keys, along the screen's axes
+   * @param {Object} data - Render event { deltaTime }
+   * @private
+   */
+  _updateCamera({ deltaTime }) {
+    const held = key => this.heldKeys.has(key);
+    const up = (held('w') || held('arrowup') ? 1 : 0) - (held('s') || held('arrowdown') ? 1 : 0);
+    const right = (held('d') || held('arrowright') ? 1 : 0) - (held('a') || held('arrowleft') ? 1 : 0);
+    if (up === 0 && right === 0) return;
+
+    // The isometric camera looks along +x +z, so screen right is -x +z
+    const step = PAN_SPEED * deltaTime / renderer.camera.zoom / Math.SQRT2;
+    this.cameraTarget.x += (up - right) * step;
+    this.cameraTarget.z += (up + right) * step;
+
+    renderer.updateCameraPosition({ x: this.cameraTarget.x, y: this.cameraTarget.z }, false);
+  }
+
+  /**
+   * Centre the camera on the arena and zoom to fit it
+   * @private
+   */
+  _frameCamera() {
+    this.cameraTarget = { x: 0, z: 0 };
+    renderer.camera.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, 13 / this.radius));
+    renderer.camera.updateProjectionMatrix();
+    renderer.updateCameraPosition({ x: 0, y: 0 }, false);
+  }
+}
+
+// Create singleton instance
+const mapEditor = new MapEditor();
+
+export { TOOLS, PAINT_TYPES, MIN_RADIUS, MAX_RADIUS, MAX_BRUSH_SIZE };
+export default mapEditor;
@@ -0,0 +1,223 @@
+/**
+ * Pathfinder - A* click-to-move paths over a map's navigation graph
+ * A map that supports pathfinding describes its walkable ground as a graph of nodes:
+ *   getPathNode(position)      - key of the node under a world position
+ *   getPathNodePosition(key)   - world position {x, z} of a node
+ *   getPathNeighbours(key)     - keys of the walkable nodes next to a node
+ *   isPathNodeWalkable(key)    - whether a player may stand on a node
+ *   isPathPointWalkable(point) - whether a player may stand at a world position
+ * TournamentMap uses its hex tiles as nodes, BattleRoyaleMap a square grid around its trees.
+ */
+
+// Nodes expanded before a search gives up and heads for the closest node it reached
+const MAX_SEARCH_NODES = 4000;
+
+// Distance between the points checked along a straight line
+const LINE_STEP = 0.1;
+
+// Room kept on either side of a straight line, so a smoothed path doesn't graze the
+// corner of an obstacle that the server's coarser movement check might land on
+const LINE_CLEARANCE = 0.2;
+
+/**
+ * Straight-line distance between two positions on the ground
+ * @param {Object} a - Position {x, z}
+ * @param {Object} b - Position {x, z}
+ * @returns {number}
+ */
+function groundDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+/**
+ * Check that a player can walk straight from one position to another, with
+ * LINE_CLEARANCE to spare on either side
+ * Points still on the starting node are skipped, like the server's movement check, so a
+ * player standing on an obstacle can always step off it
+ * @param {Object} map - Map implementing the navigation graph
+ * @param {Object} from - Start position {x, z}
+ * @param {Object} to - End position {x, z}
+ * @returns {boolean}
+ */
+export function hasLineOfSight(map, from, to) {
+  if (!map.isPathPointWalkable(to)) return false;
+
+  const startNode = map.getPathNode(from);
+  const length = groundDistance(from, to);
+  const steps = Math.ceil(length / LINE_STEP);
+
+  // Sideways offsets of the line and the two edges of its clearance
+  const sideX = length > 0 ? -(to.z - from.z) / length * LINE_CLEARANCE : 0;
+  const sideZ = length > 0 ? (to.x - from.x) / length * LINE_CLEARANCE : 0;
+  const offsets = [0, 1, -1];
+
+  for (let step = 1; step < steps; step++) {
+    const t = step / steps;
+    const x = from.x + (to.x - from.x) * t;
+    const z = from.z + (to.z - from.z) * t;
+
+    const blocked = offsets.some(side => {
+      const point = { x: x + sideX * side, z: z + sideZ * side };
+      return map.getPathNode(point) !== startNode && !map.isPathPointWalkable(point);
+    });
+    if (blocked) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Drop the waypoints a player can walk past in a straight line
+ * Each waypoint is kept only when the next one can't be seen from the last kept one
+ * @param {Object} map - Map implementing the navigation graph
+ * @param {Array<Object>} points - Path positions {x, z}, start first
+ * @returns {Array<Object>} - The smoothed path, with the same start and end
+ */
+export function smoothPath(map, points) {
+  if (points.length <= 2) return points;
+
+  const smoothed = [points[0]];
+  let anchor = points[0];
+
+  for (let i = 2; i < points.length; i++) {
+    if (!hasLineOfSight(map, anchor, points[i])) {
+      anchor = points[i - 1];
+      smoothed.push(anchor);
+    }
+  }
+
+  smoothed.push(points[points.length - 1]);
+  return smoothed;
+}
+
+/**
+ * Find a walkable path between two positions
+ * When the goal can't be reached (an obstacle, water, or too far to search) the path
+ * leads to the reachable node closest to it instead
+ * @param {Object} map - Map implementing the navigation graph
+ * @param {Object} start - Start position {x, z}
+ * @param {Object} goal - Goal position {x, z}
+ * @returns {{points: Array<Object>, complete: boolean}|null} - Smoothed waypoints {x, z}
+ *   after the start, and whether they end at the goal; null if the player can't move closer
+ */
+export function findPath(map, start, goal) {
+  const goalWalkable = map.isPathPointWalkable(goal);
+
+  if (goalWalkable && hasLineOfSight(map, start, goal)) {
+    return { points: [{ x: goal.x, z: goal.z }], complete: true };
+  }
+
+  const startNode = map.getPathNode(start);
+  const goalNode = map.getPathNode(goal);
+  if (startNode === null || goalNode === null) return null;
+
+  const goalPosition = map.getPathNodePosition(goalNode);
+  const heuristic = node => groundDistance(map.getPathNodePosition(node), goalPosition);
+
+  const open = new MinHeap();
+  const cameFrom = new Map();
+  const costs = new Map([[startNode, 0]]);
+  const closed = new Set();
+
+  let closest = startNode;
+  let closestDistance = heuristic(startNode);
+
+  open.push(startNode, closestDistance);
+
+  while (open.size > 0 && closed.size < MAX_SEARCH_NODES) {
+    const node = open.pop();
+    if (closed.has(node)) continue;
+    closed.add(node);
+
+    const distance = heuristic(node);
+    if (distance < closestDistance) {
+      closest = node;
+      closestDistance = distance;
+    }
+
+    if (node === goalNode) break;
+
+    const position = map.getPathNodePosition(node);
+
+    map.getPathNeighbours(node).forEach(neighbour => {
+      if (closed.has(neighbour)) return;
+
+      const cost = costs.get(node) + groundDistance(position, map.getPathNodePosition(neighbour));
+      if (costs.has(neighbour) && cost >= costs.get(neighbour)) return;
+
+      costs.set(neighbour, cost);
+      cameFrom.set(neighbour, node);
+      open.push(neighbour, cost + heuristic(neighbour));
+    });
+  }
+
+  const complete = closest === goalNode && goalWalkable && map.isPathNodeWalkable(goalNode);
+  if (closest === startNode && !complete) return null;
+
+  // Walk back from the last node, then swap the end nodes for the exact positions
+  const nodes = [closest];
+  while (cameFrom.has(nodes[0])) {
+    nodes.unshift(cameFrom.get(nodes[0]));
+  }
+
+  const points = nodes.map(node => map.getPathNodePosition(node));
+  points[0] = { x: start.x, z: start.z };
+  if (complete) {
+    points[points.length - 1] = { x: goal.x, z: goal.z };
+  }
+
+  return { points: smoothPath(map, points).slice(1), complete };
+}
+
+/**
+ * Binary min-heap of nodes ordered by priority, the A* open set
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, priority) {
+    const items = this.items;
+    items.push({ node, priority });
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top.node;
+  }
+}
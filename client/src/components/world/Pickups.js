@@ -0,0 +1,130 @@
+import eventBus from '../core/EventBus.js';
+
+/**
+ * Pickups - Client copy of the health pickups in the current battle royale room
+ * The server places, hands out and respawns pickups; this only mirrors what it announces
+ */
+class Pickups {
+  constructor() {
+    this.seed = null;
+    this.pickups = new Map();
+
+    this._handleState = this._handleState.bind(this);
+    this._handleCollected = this._handleCollected.bind(this);
+    this._handleRespawned = this._handleRespawned.bind(this);
+    this._handleRejected = this._handleRejected.bind(this);
+    this._handleRoomJoined = this._handleRoomJoined.bind(this);
+
+    eventBus.on('network.pickupsState', this._handleState);
+    eventBus.on('network.pickupCollected', this._handleCollected);
+    eventBus.on('network.pickupRespawned', this._handleRespawned);
+    eventBus.on('network.pickupRejected', this._handleRejected);
+    eventBus.on('network.roomJoined', this._handleRoomJoined);
+  }
+
+  /**
+   * All pickups, collected ones included
+   * @returns {Array<Object>} - { id, position, healAmount, available, respawnAt }
+   */
+  getAll() {
+    return [...this.pickups.values()];
+  }
+
+  /**
+   * Find an available pickup within range of a position
+   * Pickups already requested from the server are skipped until it answers
+   * @param {Object} position - Position {x, y, z}
+   * @param {number} range - Collection range
+   * @returns {Object|null}
+   */
+  findInRange(position, range) {
+    for (const pickup of this.pickups.values()) {
+      if (!pickup.available || pickup.requested) continue;
+
+      const dx = position.x - pickup.position.x;
+      const dz = position.z - pickup.position.z;
+
+      if (dx * dx + dz * dz <= range * range) {
+        return pickup;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a pickup as requested so it is not asked for twice
+   * @param {string} pickupId - Pickup ID
+   */
+  markRequested(pickupId) {
+    const pickup = this.pickups.get(pickupId);
+    if (pickup) pickup.requested = true;
+  }
+
+  /**
+   * Replace every pickup with the room's state
+   * @param {Object} state - pickupsState message
+   * @private
+   */
+  _handleState(state) {
+    this.seed = state.seed;
+    this.pickups = new Map((state.pickups || []).map(pickup => [pickup.id, { ...pickup }]));
+    eventBus.emit('pickups.changed', this.getAll());
+  }
+
+  /**
+   * @param {Object} data - pickupCollected message
+   * @private
+   */
+  _handleCollected(data) {
+    const pickup = this.pickups.get(data.pickupId);
+    if (!pickup) return;
+
+    pickup.available = false;
+    pickup.requested = false;
+    pickup.respawnAt = data.respawnAt;
+    eventBus.emit('pickups.collected', { pickup, playerId: data.playerId });
+  }
+
+  /**
+   * @param {Object} data - pickupRespawned message
+   * @private
+   */
+  _handleRespawned(data) {
+    const pickup = this.pickups.get(data.pickupId);
+    if (!pickup) return;
+
+    pickup.position = data.position;
+    pickup.available = true;
+    pickup.respawnAt = null;
+    eventBus.emit('pickups.respawned', { pickup });
+  }
+
+  /**
+   * Allow the pickup to be requested again, e.g. once the player is actually next to it
+   * @param {Object} data - pickupRejected message
+   * @private
+   */
+  _handleRejected(data) {
+    const pickup = this.pickups.get(data.pickupId);
+    if (pickup) pickup.requested = false;
+  }
+
+  /**
+   * Drop the pickups when moving to a room without any
+   * A battle royale room sends its pickups right after roomJoined
+   * @private
+   */
+  _handleRoomJoined() {
+    if (this.pickups.size === 0) return;
+
+    this.seed = null;
+    this.pickups = new Map();
+    eventBus.emit('pickups.changed', []);
+  }
+}
+
+// Create singleton instance
+const pickups = new Pickups();
+
+export default pickups;
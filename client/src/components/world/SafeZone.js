@@ -0,0 +1,111 @@
+import eventBus from '../core/EventBus.js';
+import serverClock from '../network/ServerClock.js';
+
+/**
+ * SafeZone - Client copy of the battle royale safe zone announced by the server
+ * The server only sends phase changes; the shrink in between is interpolated here
+ * from the phase times, using the estimated server clock
+ */
+class SafeZone {
+  constructor() {
+    this.state = null;
+
+    this._handleUpdate = this._handleUpdate.bind(this);
+    this._handleRoomJoined = this._handleRoomJoined.bind(this);
+
+    eventBus.on('network.safeZoneUpdate', this._handleUpdate);
+    eventBus.on('network.roomJoined', this._handleRoomJoined);
+  }
+
+  /**
+   * Whether a zone is active in the current room
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.state !== null;
+  }
+
+  /**
+   * Current safe circle
+   * @param {number} [now] - Server time in milliseconds
+   * @returns {{center: {x: number, z: number}, radius: number}|null}
+   */
+  getCircle(now = serverClock.now()) {
+    if (!this.state) return null;
+
+    const { status, center, radius, nextCenter, nextRadius, shrinkStartsAt, shrinkEndsAt } = this.state;
+
+    if (status !== 'SHRINKING' && !(status === 'WAITING' && now >= shrinkStartsAt)) {
+      return { center, radius };
+    }
+
+    const t = Math.min(1, Math.max(0, (now - shrinkStartsAt) / (shrinkEndsAt - shrinkStartsAt)));
+
+    return {
+      center: {
+        x: center.x + (nextCenter.x - center.x) * t,
+        z: center.z + (nextCenter.z - center.z) * t
+      },
+      radius: radius + (nextRadius - radius) * t
+    };
+  }
+
+  /**
+   * Circle the zone is shrinking towards, or null once the zone is final
+   * @returns {{center: {x: number, z: number}, radius: number}|null}
+   */
+  getNextCircle() {
+    if (!this.state || !this.state.nextCenter) return null;
+    return { center: this.state.nextCenter, radius: this.state.nextRadius };
+  }
+
+  /**
+   * What the zone is doing and how long until that changes
+   * @param {number} [now] - Server time in milliseconds
+   * @returns {{status: string, stage: number, stageCount: number, remainingMs: number, damagePerSecond: number}|null}
+   */
+  getTimer(now = serverClock.now()) {
+    if (!this.state) return null;
+
+    const { stage, stageCount, shrinkStartsAt, shrinkEndsAt, damagePerSecond } = this.state;
+    let status = this.state.status;
+    let remainingMs = 0;
+
+    if (status === 'WAITING' && now < shrinkStartsAt) {
+      remainingMs = shrinkStartsAt - now;
+    } else if (status !== 'FINAL') {
+      status = 'SHRINKING';
+      remainingMs = Math.max(0, shrinkEndsAt - now);
+    }
+
+    return { status, stage, stageCount, remainingMs, damagePerSecond };
+  }
+
+  /**
+   * Store a zone state from the server
+   * @param {Object} state - safeZoneUpdate message
+   * @private
+   */
+  _handleUpdate(state) {
+    serverClock.sync(state.serverTime);
+    this.state = state;
+    eventBus.emit('safeZone.changed', state);
+  }
+
+  /**
+   * Drop the zone when moving to a room without one
+   * A battle royale room sends its zone right after roomJoined
+   * @private
+   */
+  _handleRoomJoined() {
+    if (!this.state) return;
+
+    this.state = null;
+    eventBus.emit('safeZone.changed', null);
+  }
+}
+
+// Create singleton instance
+const safeZone = new SafeZone();
+
+export default safeZone;
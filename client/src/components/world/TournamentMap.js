@@ -4,6 +4,39 @@ import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import renderer from '../core/Renderer.js';
 import eventBus from '../core/EventBus.js';
 import { createNoise2D } from 'simplex-noise';
+import {
+  ARENA_TILE_RANGE,
+  ARENA_RADIUS,
+  NOISE_SCALE,
+  MAX_HEIGHT,
+  STONE_HEIGHT,
+  DIRT_HEIGHT,
+  GRASS_HEIGHT,
+  SAND_HEIGHT,
+  DIRT2_HEIGHT,
+  WATER_HEIGHT,
+  OBSTACLE_ROLL,
+  WALKABLE_TILE_TYPES,
+  createRandom,
+  createMapSeed,
+  checksumTiles
+} from '@shared/mapSeed.mjs';
+import { TILE_WIDTH, TILE_DEPTH } from '../../config/maps.js';
+
+// Offset of the seed used for cosmetic details (stone sizes, tree shapes), so they never
+// shift the random sequence that decides heights and obstacles
+const DECORATION_SEED_OFFSET = 1;
+
+// Height band each tile type is drawn in; the _with_ types also carry their obstacle
+const TILE_BANDS = {
+  stone: 'stone',
+  dirt: 'dirt',
+  grass: 'grass',
+  grass_with_tree: 'grass',
+  sand: 'sand',
+  sand_with_stone: 'sand',
+  dirt2: 'dirt2'
+};
 
 /**
  * TournamentMap - Creates a hexagon-based procedurally generated arena for tournament mode
@@ -19,20 +52,20 @@ class TournamentMap {
 
     // Map properties
     this.size = 80; // 80 units = 2km in our scale
-    this.mapRadius = 32; // Radius of the circular map
+    this.mapRadius = ARENA_RADIUS; // Radius of the circular map
     this.wallHeight = 3;
     this.wallThickness = 0.5;
     
-    // Height constants for terrain types
-    this.MAX_HEIGHT = 2.5; // Reduced height for flatter terrain
-    this.STONE_HEIGHT = this.MAX_HEIGHT * 0.8;
-    this.DIRT_HEIGHT = this.MAX_HEIGHT * 0.7;
-    this.GRASS_HEIGHT = this.MAX_HEIGHT * 0.5;
-    this.SAND_HEIGHT = this.MAX_HEIGHT * 0.3;
-    this.DIRT2_HEIGHT = this.MAX_HEIGHT * 0;
+    // Height constants for terrain types, shared with the server's nav grid
+    this.MAX_HEIGHT = MAX_HEIGHT;
+    this.STONE_HEIGHT = STONE_HEIGHT;
+    this.DIRT_HEIGHT = DIRT_HEIGHT;
+    this.GRASS_HEIGHT = GRASS_HEIGHT;
+    this.SAND_HEIGHT = SAND_HEIGHT;
+    this.DIRT2_HEIGHT = DIRT2_HEIGHT;
     
     // Water height (used for walkable determination)
-    this.WATER_HEIGHT = -0.1; // Slightly below zero to ensure all land is walkable
+    this.WATER_HEIGHT = WATER_HEIGHT;
     
     // Geometry containers for merging
     this.stoneGeo = new THREE.BoxGeometry(0, 0, 0);
@@ -42,14 +75,23 @@ class TournamentMap {
     this.grassGeo = new THREE.BoxGeometry(0, 0, 0);
     this.treeGeo = new THREE.BoxGeometry(0, 0, 0);
     
-    // Simplex noise for terrain generation
-    this.noise2D = createNoise2D();
+    // Seed the terrain is generated from; tiles and obstacles follow from it
+    this.seed = null;
+    
+    // Hand-authored arena the tiles are built from instead, if any
+    this.mapFile = null;
+    this.mapId = null;
+    
+    // Seeded sources for terrain generation, created for each seed
+    this.noise2D = null;
+    this.random = null;
+    this.decorationRandom = null;
     
     // Tile type tracking for walkable areas
     this.tileTypes = new Map(); // Maps position key to tile type
     
     // All terrain types are walkable except those with obstacles
-    this.walkableTileTypes = ['stone', 'dirt', 'grass', 'sand', 'dirt2']; 
+    this.walkableTileTypes = WALKABLE_TILE_TYPES;
     
     // Obstacle tile types that are not walkable
     this.obstacleTypes = ['grass_with_tree', 'sand_with_stone'];
@@ -58,16 +100,25 @@ class TournamentMap {
   /**
    * Initialize the tournament map
    * @param {Object} options - Configuration options
+   * @param {number} [options.seed] - Seed issued by the server for the match; random if omitted
+   * @param {Object} [options.mapFile] - Tournament map file to build the arena from
    * @returns {TournamentMap} - This instance for chaining
    */
   async init(options = {}) {
     console.log('[TOURNAMENT MAP] Initializing tournament map');
     
+    // A map file replaces the generated tiles; the seed still drives the cosmetic details
+    this.mapFile = options.mapFile || null;
+    this.mapId = this.mapFile ? this.mapFile.id : null;
+    
     // Apply options
     if (options.size !== undefined) this.size = options.size;
-    if (options.mapRadius !== undefined) this.mapRadius = options.mapRadius;
+    this.mapRadius = options.mapRadius ?? this.mapFile?.radius ?? ARENA_RADIUS;
     if (options.wallHeight !== undefined) this.wallHeight = options.wallHeight;
     
+    // Every player of a match generates the same arena from the same seed
+    this.setSeed(options.seed ?? createMapSeed());
+    
     // Load textures and environment map
     await this.loadTextures();
     
@@ -88,11 +139,28 @@ class TournamentMap {
     
     // Emit event that map is ready
     console.log('[TOURNAMENT MAP] Tournament map initialization complete, emitting ready event');
-    eventBus.emit('tournamentMap.ready', { type: 'tournament' });
+    eventBus.emit('tournamentMap.ready', {
+      type: 'tournament',
+      seed: this.seed,
+      mapId: this.mapId,
+      checksum: this.getWalkableChecksum()
+    });
     
     return this;
   }
 
+  /**
+   * Set the seed the terrain is generated from
+   * The noise permutation and the obstacle rolls share one sequence, drawn in tile order
+   * @param {number} seed - 32-bit integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.noise2D = createNoise2D(this.random);
+    this.decorationRandom = createRandom(seed + DECORATION_SEED_OFFSET);
+  }
+
   /**
    * Load all required textures and environment map
    */
@@ -173,26 +241,39 @@ class TournamentMap {
   }
 
   /**
-   * Generate the hexagon-based terrain
+   * Generate the hexagon-based terrain, or build it from the map file if one was given
    */
   generateTerrain() {
-    // Clear tile types map before regenerating
+    // Clear tile types map and geometry containers before regenerating
     this.tileTypes.clear();
+    this.stoneGeo = new THREE.BoxGeometry(0, 0, 0);
+    this.dirtGeo = new THREE.BoxGeometry(0, 0, 0);
+    this.dirt2Geo = new THREE.BoxGeometry(0, 0, 0);
+    this.sandGeo = new THREE.BoxGeometry(0, 0, 0);
+    this.grassGeo = new THREE.BoxGeometry(0, 0, 0);
+    this.treeGeo = new THREE.BoxGeometry(0, 0, 0);
     
-    // Generate hexagons for the map
-    for (let i = -40; i < 40; i++) {
-      for (let j = -40; j < 40; j++) {
-        let position = this.tileToPosition(i, j);
-        
-        // Only create hexagons within the map radius
-        if (position.length() > this.mapRadius) continue;
-        
-        // Generate height using simplex noise (flatter than the lobby map)
-        let noise = (this.noise2D(i * 0.1, j * 0.1) + 1) * 0.5;
-        let height = Math.pow(noise, 2) * this.MAX_HEIGHT; // Increased power for flatter terrain
-        
-        // Create the hexagon and track its type
-        this.makeHex(height, position, i, j);
+    if (this.mapFile) {
+      // Build the authored tiles as they are
+      this.mapFile.tiles.forEach(tile => {
+        this.makeHex(tile.height, this.tileToPosition(tile.x, tile.y), tile.x, tile.y, tile.type);
+      });
+    } else {
+      // Generate hexagons for the map
+      for (let i = -ARENA_TILE_RANGE; i < ARENA_TILE_RANGE; i++) {
+        for (let j = -ARENA_TILE_RANGE; j < ARENA_TILE_RANGE; j++) {
+          let position = this.tileToPosition(i, j);
+          
+          // Only create hexagons within the map radius
+          if (position.length() > this.mapRadius) continue;
+          
+          // Generate height using simplex noise (flatter than the lobby map)
+          let noise = (this.noise2D(i * NOISE_SCALE, j * NOISE_SCALE) + 1) * 0.5;
+          let height = Math.pow(noise, 2) * this.MAX_HEIGHT; // Increased power for flatter terrain
+          
+          // Create the hexagon and track its type
+          this.makeHex(height, position, i, j);
+        }
       }
     }
     
@@ -221,7 +302,7 @@ class TournamentMap {
    * @returns {THREE.Vector2} - World position
    */
   tileToPosition(tileX, tileY) {
-    return new THREE.Vector2((tileX + (tileY % 2) * 0.5) * 1.77, tileY * 1.535);
+    return new THREE.Vector2((tileX + (tileY % 2) * 0.5) * TILE_WIDTH, tileY * TILE_DEPTH);
   }
 
   /**
@@ -236,43 +317,76 @@ class TournamentMap {
     return geo;
   }
 
+  /**
+   * Height band a generated tile of the given height is drawn in
+   * @param {number} height - Height of the hexagon
+   * @returns {string|null} - Band name, or null for tiles at or below the lowest band
+   */
+  getHeightBand(height) {
+    if (height > this.STONE_HEIGHT) return 'stone';
+    if (height > this.DIRT_HEIGHT) return 'dirt';
+    if (height > this.GRASS_HEIGHT) return 'grass';
+    if (height > this.SAND_HEIGHT) return 'sand';
+    if (height > this.DIRT2_HEIGHT) return 'dirt2';
+    return null;
+  }
+
+  /**
+   * Height band a tile type is drawn in
+   * @param {string} tileType - Tile type
+   * @returns {string|null} - Band name, which is also the name of its texture
+   */
+  getTileBand(tileType) {
+    return TILE_BANDS[tileType] || null;
+  }
+
   /**
    * Create a hexagon and add it to the appropriate geometry container
+   * Generated tiles take their band from their height and roll for an obstacle; tiles
+   * from a map file pass their type, which decides both
    * @param {number} height - Height of the hexagon
    * @param {THREE.Vector2} position - Position of the hexagon
    * @param {number} tileX - X tile coordinate
    * @param {number} tileY - Y tile coordinate
+   * @param {string} [authoredType] - Tile type from a map file
    */
-  makeHex(height, position, tileX, tileY) {
+  makeHex(height, position, tileX, tileY, authoredType = null) {
     let geo = this.hexGeometry(height, position);
     let tileType = '';
     
-    if (height > this.STONE_HEIGHT) {
+    const band = authoredType ? this.getTileBand(authoredType) : this.getHeightBand(height);
+    const hasObstacle = () => authoredType
+      ? this.obstacleTypes.includes(authoredType)
+      : this.random() > OBSTACLE_ROLL;
+    
+    if (band === 'stone') {
       this.stoneGeo = BufferGeometryUtils.mergeGeometries([this.stoneGeo, geo]);
-      if (Math.random() > 0.8) {
+      // Loose stones on stone tiles are only decoration
+      const hasBoulder = authoredType ? this.decorationRandom() > OBSTACLE_ROLL : this.random() > OBSTACLE_ROLL;
+      if (hasBoulder) {
         this.stoneGeo = BufferGeometryUtils.mergeGeometries([this.stoneGeo, this.stone(height, position)]);
       }
       tileType = 'stone';
-    } else if (height > this.DIRT_HEIGHT) {
+    } else if (band === 'dirt') {
       this.dirtGeo = BufferGeometryUtils.mergeGeometries([this.dirtGeo, geo]);
       tileType = 'dirt';
-    } else if (height > this.GRASS_HEIGHT) {
+    } else if (band === 'grass') {
       this.grassGeo = BufferGeometryUtils.mergeGeometries([this.grassGeo, geo]);
-      if (Math.random() > 0.8) {
+      if (hasObstacle()) {
         this.grassGeo = BufferGeometryUtils.mergeGeometries([this.grassGeo, this.tree(height, position)]);
         tileType = 'grass_with_tree'; // Mark tiles with trees as non-walkable
       } else {
         tileType = 'grass';
       }
-    } else if (height > this.SAND_HEIGHT) {
+    } else if (band === 'sand') {
       this.sandGeo = BufferGeometryUtils.mergeGeometries([geo, this.sandGeo]);
-      if (Math.random() > 0.8) {
+      if (hasObstacle()) {
         this.stoneGeo = BufferGeometryUtils.mergeGeometries([this.stoneGeo, this.stone(height, position)]);
         tileType = 'sand_with_stone'; // Mark tiles with stones as non-walkable
       } else {
         tileType = 'sand';
       }
-    } else if (height > this.DIRT2_HEIGHT) {
+    } else if (band === 'dirt2') {
       this.dirt2Geo = BufferGeometryUtils.mergeGeometries([this.dirt2Geo, geo]);
       tileType = 'dirt2';
     }
@@ -315,10 +429,10 @@ class TournamentMap {
    * @returns {THREE.BufferGeometry} - Stone geometry
    */
   stone(height, position) {
-    const px = position.x + (Math.random() * 0.4 - 0.2);
-    const pz = position.y + (Math.random() * 0.4 - 0.2);
+    const px = position.x + (this.decorationRandom() * 0.4 - 0.2);
+    const pz = position.y + (this.decorationRandom() * 0.4 - 0.2);
     
-    const geometry = new THREE.SphereGeometry(Math.random() * 0.3 + 0.1, 7, 7);
+    const geometry = new THREE.SphereGeometry(this.decorationRandom() * 0.3 + 0.1, 7, 7);
     geometry.translate(px, height + 0.15, pz);
     
     return geometry;
@@ -331,9 +445,9 @@ class TournamentMap {
    * @returns {THREE.BufferGeometry} - Tree geometry
    */
   tree(height, position) {
-    const treeHeight = Math.random() * 0.5 + 0.5;
-    const px = position.x + (Math.random() * 0.4 - 0.2);
-    const pz = position.y + (Math.random() * 0.4 - 0.2);
+    const treeHeight = this.decorationRandom() * 0.5 + 0.5;
+    const px = position.x + (this.decorationRandom() * 0.4 - 0.2);
+    const pz = position.y + (this.decorationRandom() * 0.4 - 0.2);
     
     // Tree trunk
     const trunkGeo = new THREE.CylinderGeometry(0.1, 0.1, treeHeight, 5);
@@ -625,6 +739,23 @@ class TournamentMap {
     return this.MAX_HEIGHT;
   }
 
+  /**
+   * Checksum of the walkable tiles, reported to the server to confirm every player of a
+   * match generated the same arena
+   * @returns {string} - 8 hex digits
+   */
+  getWalkableChecksum() {
+    const walkable = [];
+    
+    this.tileTypes.forEach((tile, key) => {
+      if (this.walkableTileTypes.includes(tile.type)) {
+        walkable.push(key);
+      }
+    });
+    
+    return checksumTiles(walkable);
+  }
+
   /**
    * Check if a position is on a walkable tile
    * @param {THREE.Vector3} position - The position to check
@@ -696,24 +827,95 @@ class TournamentMap {
 
   /**
    * Convert world position to tile coordinates
+   * Finds the tile whose centre is nearest, the same lookup the server's NavGrid uses
    * @param {THREE.Vector3} position - World position
    * @returns {Object} - Tile coordinates {x, y}
    */
   worldToTile(position) {
-    // This is an approximation - finding the exact hex tile from a position
-    // requires more complex math, but this should work for most cases
-    const x = position.x;
-    const z = position.z;
-    
-    // Convert to axial coordinates (approximate)
-    let q = x / 1.77;
-    let r = (z / 1.535) - (q / 2);
-    
-    // Round to nearest hex
-    let rx = Math.round(q);
-    let rz = Math.round(r);
+    const row = position.z / TILE_DEPTH;
+    let best = null;
+    
+    // The nearest centre is always in one of the two rows around the position
+    [Math.floor(row), Math.ceil(row)].forEach(tileY => {
+      const tileX = Math.round(position.x / TILE_WIDTH - (tileY % 2) * 0.5);
+      const centre = this.tileToPosition(tileX, tileY);
+      const distance = (position.x - centre.x) ** 2 + (position.z - centre.y) ** 2;
+      
+      if (!best || distance < best.distance) {
+        best = { x: tileX, y: tileY, distance };
+      }
+    });
     
-    return { x: rx, y: rz };
+    return { x: best.x, y: best.y };
+  }
+
+  /**
+   * Navigation graph node (tile key) under a world position, for the Pathfinder
+   * @param {Object} position - World position {x, z}
+   * @returns {string} - Tile key "x,y"
+   */
+  getPathNode(position) {
+    const tile = this.worldToTile(position);
+    return `${tile.x},${tile.y}`;
+  }
+
+  /**
+   * World position of a navigation graph node's tile centre
+   * @param {string} key - Tile key "x,y"
+   * @returns {Object} - Position {x, z}
+   */
+  getPathNodePosition(key) {
+    const [tileX, tileY] = key.split(',').map(Number);
+    const centre = this.tileToPosition(tileX, tileY);
+    return { x: centre.x, z: centre.y };
+  }
+
+  /**
+   * Keys of the six tiles sharing an edge with a tile, whether or not they exist
+   * Same-row neighbours are one column away; in the rows above and below, the two tiles
+   * whose centres are half a tile to either side, allowing for each row's shift
+   * @param {string} key - Tile key "x,y"
+   * @returns {Array<string>} - Tile keys
+   */
+  getTileNeighbours(key) {
+    const [tileX, tileY] = key.split(',').map(Number);
+    const shift = (tileY % 2) * 0.5;
+    const neighbours = [`${tileX - 1},${tileY}`, `${tileX + 1},${tileY}`];
+
+    [tileY - 1, tileY + 1].forEach(row => {
+      const offset = shift - (row % 2) * 0.5;
+      neighbours.push(`${Math.round(tileX + offset - 0.5)},${row}`);
+      neighbours.push(`${Math.round(tileX + offset + 0.5)},${row}`);
+    });
+
+    return neighbours;
+  }
+
+  /**
+   * Walkable tiles sharing an edge with a tile
+   * @param {string} key - Tile key "x,y"
+   * @returns {Array<string>} - Tile keys
+   */
+  getPathNeighbours(key) {
+    return this.getTileNeighbours(key).filter(neighbour => this.isPathNodeWalkable(neighbour));
+  }
+
+  /**
+   * Check whether a navigation graph node is a walkable tile
+   * @param {string} key - Tile key "x,y"
+   * @returns {boolean}
+   */
+  isPathNodeWalkable(key) {
+    return this.tileTypes.has(key) && this.isWalkable(this.getPathNodePosition(key));
+  }
+
+  /**
+   * Check whether a player may stand at a position, for the Pathfinder
+   * @param {Object} position - World position {x, z}
+   * @returns {boolean}
+   */
+  isPathPointWalkable(position) {
+    return this.isWalkable(position);
   }
 
   /**
@@ -738,6 +940,15 @@ class TournamentMap {
    * @returns {THREE.Vector3} - Spawn position
    */
   getRandomSpawnPosition() {
+    // Map files name their spawn points
+    if (this.mapFile) {
+      const spawns = this.mapFile.spawnPoints;
+      const spawn = spawns[Math.floor(Math.random() * spawns.length)];
+      const position = new THREE.Vector3(spawn.x, 0, spawn.z);
+      position.y = this.getHeightAt(position) + 0.1; // Slightly above ground
+      return position;
+    }
+    
     // Try to find a walkable position
     for (let attempts = 0; attempts < 100; attempts++) {
       // Get a random angle and distance from center (not too close to edge)
@@ -808,23 +1019,23 @@ class TournamentMap {
   /**
    * Create debug visualization of walkable tiles
    * Can be called from console for debugging: window.game.currentMap.visualizeWalkableTiles()
+   * @param {number} [samplingRate=4] - Mark about one tile in this many; 1 marks every tile
+   * @returns {THREE.Group} - The markers
    */
-  visualizeWalkableTiles() {
+  visualizeWalkableTiles(samplingRate = 4) {
     console.log('[MAP] Creating visualization of walkable tiles...');
     
     // Create a group to hold all markers
     const markersGroup = new THREE.Group();
     markersGroup.name = 'walkableTileMarkers';
     
-    // Sample a subset of tiles to avoid too many markers
-    const samplingRate = 4; // Only visualize every 4th tile
     let walkableCount = 0;
     let nonWalkableCount = 0;
     
     // Iterate through stored tile types
     this.tileTypes.forEach((tileInfo, posKey) => {
       // Only process every nth tile to reduce visual clutter
-      if (Math.random() > 1/samplingRate) return;
+      if (samplingRate > 1 && Math.random() > 1/samplingRate) return;
       
       const position = tileInfo.position;
       
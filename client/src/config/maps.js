@@ -0,0 +1,69 @@
+/**
+ * Hand-authored arenas for Guild Clash
+ * The map files live in shared/maps/ so the server loads the same arenas; the format is
+ * described and validated in shared/mapFormat.mjs
+ */
+import {
+  MAP_FORMAT_VERSION,
+  MAP_STYLES,
+  MAX_TILE_HEIGHT,
+  TILE_WIDTH,
+  TILE_DEPTH,
+  getMapErrors
+} from '@shared/mapFormat.mjs';
+
+export { MAP_FORMAT_VERSION, MAP_STYLES, MAX_TILE_HEIGHT, TILE_WIDTH, TILE_DEPTH, getMapErrors };
+
+// Bundled map files, keyed by ID; invalid files are left out with a warning
+const MAP_FILES = new Map();
+
+Object.entries(import.meta.glob('@shared/maps/*.json', { eager: true, import: 'default' }))
+  .sort(([a], [b]) => a.localeCompare(b))
+  .forEach(([file, map]) => {
+    const errors = getMapErrors(map);
+    if (errors.length > 0) {
+      console.warn(`[MAPS] Skipping invalid map file ${file}:\n  ${errors.join('\n  ')}`);
+      return;
+    }
+    MAP_FILES.set(map.id, map);
+  });
+
+/**
+ * Get a bundled map file by ID
+ * @param {string} mapId - Map ID
+ * @returns {Object|null}
+ */
+export function getMapFile(mapId) {
+  return MAP_FILES.get(mapId) || null;
+}
+
+/**
+ * Bundled map files of one style, in file order
+ * @param {string} [style] - 'tournament' or 'battleRoyale'; all maps if omitted
+ * @returns {Array<Object>}
+ */
+export function listMapFiles(style) {
+  return [...MAP_FILES.values()].filter(map => !style || map.style === style);
+}
+
+/**
+ * Parse and validate the text of a map file
+ * @param {string} text - JSON map file
+ * @returns {Object} - The parsed map
+ * @throws {Error} - If the text is not JSON or the map is invalid, listing every problem
+ */
+export function parseMapFile(text) {
+  let map;
+  try {
+    map = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Map file is not valid JSON: ${error.message}`);
+  }
+
+  const errors = getMapErrors(map);
+  if (errors.length > 0) {
+    throw new Error(`Invalid map file:\n  ${errors.join('\n  ')}`);
+  }
+
+  return map;
+}
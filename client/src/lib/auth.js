@@ -0,0 +1,29 @@
+/**
+ * Session helpers for the logged-in account
+ * The login/register response (including its session token) is kept in localStorage
+ */
+
+const USER_STORAGE_KEY = 'guildClashUser';
+
+/**
+ * Get the session token of the logged-in account
+ * @returns {string|null}
+ */
+export function getAuthToken() {
+  try {
+    const user = JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+    return user?.token || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build request headers carrying the session token
+ * @param {Object} headers - Additional headers
+ * @returns {Object}
+ */
+export function authHeaders(headers = {}) {
+  const token = getAuthToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Shield, LogOut, Settings, Sword, Users, Info, CircleDot } from 'lucide-react';
+import CHARACTER_CLASSES from '../config/classes';
+import { authHeaders } from '../lib/auth';
 
 function CharacterSelection() {
   const navigate = useNavigate();
@@ -138,10 +140,16 @@ function CharacterSelection() {
     ]
   };
 
+  // Health and speed come from the shared class definitions
+  const classStats = (id) => ({
+    health: CHARACTER_CLASSES[id].health,
+    speed: Math.round(CHARACTER_CLASSES[id].speed * 100),
+  });
+
   const classes = [
-    { id: 'CLERK', name: 'Clerk', color: 'blue', health: 80, speed: 15, description: 'Magic user with speed and agility', icon: '🧙‍♂️' },
-    { id: 'WARRIOR', name: 'Warrior', color: 'red', health: 120, speed: 8, description: 'Tank with heavy armor and strength', icon: '⚔️' },
-    { id: 'RANGER', name: 'Ranger', color: 'green', health: 100, speed: 12, description: 'Balanced fighter with ranged attacks', icon: '🏹' },
+    { id: 'CLERK', name: 'Clerk', color: 'blue', ...classStats('CLERK'), description: 'Magic user with speed and agility', icon: '🧙‍♂️' },
+    { id: 'WARRIOR', name: 'Warrior', color: 'red', ...classStats('WARRIOR'), description: 'Tank with heavy armor and strength', icon: '⚔️' },
+    { id: 'RANGER', name: 'Ranger', color: 'green', ...classStats('RANGER'), description: 'Balanced fighter with ranged attacks', icon: '🏹' },
   ];
 
   useEffect(() => {
@@ -170,9 +178,18 @@ function CharacterSelection() {
     setError('');
 
     try {
-      const response = await fetch(`http://localhost:3000/api/characters?playerId=${id}`);
+      const response = await fetch('http://localhost:3000/api/characters', {
+        headers: authHeaders()
+      });
       const data = await response.json();
 
+      // Sessions from before tokens were issued, or expired ones, must log in again
+      if (response.status === 401) {
+        localStorage.removeItem('guildClashUser');
+        navigate('/');
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(data.error || 'Failed to fetch characters');
       }
@@ -214,11 +231,10 @@ function CharacterSelection() {
     try {
       const response = await fetch('http://localhost:3000/api/characters', {
         method: 'POST',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
-          playerId,
           name: newCharName,
           characterClass: newCharClass
         })
@@ -263,10 +279,9 @@ function CharacterSelection() {
     try {
       const response = await fetch(`http://localhost:3000/api/characters/${character._id}/activate`, {
         method: 'PUT',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ playerId })
+        })
       });
 
       const data = await response.json();
@@ -334,10 +349,9 @@ function CharacterSelection() {
     try {
       const response = await fetch(`http://localhost:3000/api/characters/${selectedCharacter._id}`, {
         method: 'DELETE',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ playerId })
+        })
       });
 
       if (!response.ok) {
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('http://localhost:3000/api/auth/forgot-password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not request a password reset');
+      }
+
+      setMessage(data.message);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col min-h-screen bg-[#1a2e35] bg-blend-overlay bg-cover bg-center"
+         style={{ backgroundImage: "url('/placeholder.svg')" }}>
+      <div className="p-4">
+        <Link to="/login">
+          <button className="text-[#e8d7b9] hover:text-[#d6c5a7] hover:bg-transparent bg-transparent p-2 rounded-full">
+            <ArrowLeft className="h-5 w-5" />
+            <span className="sr-only">Back</span>
+          </button>
+        </Link>
+      </div>
+      <div className="flex-1 flex items-center justify-center p-4">
+        <div className="max-w-md w-full mx-auto space-y-8 bg-[#e8d7b9] bg-opacity-90 p-6 rounded-sm border-2 border-[#8b3a3a]/40 shadow-lg relative overflow-hidden">
+          {/* Parchment texture overlay */}
+          <div className="absolute inset-0 opacity-20 mix-blend-overlay pointer-events-none"
+               style={{ backgroundImage: "url('/parchment-texture.svg')" }}></div>
+
+          <div className="text-center space-y-2 relative">
+            <div className="flex justify-center">
+              <img src="/game-logo.svg" alt="Guild Clash Logo" className="h-16 w-16" />
+            </div>
+            <h1 className="text-2xl font-bold text-[#8b3a3a]">Forgot Password</h1>
+            <p className="text-[#5a3e2a]">Enter your email and we will send you a reset link.</p>
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+              <span className="block sm:inline">{error}</span>
+            </div>
+          )}
+
+          {message && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative" role="status">
+              <span className="block sm:inline">{message}</span>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6 relative">
+            <div className="space-y-2">
+              <label htmlFor="email" className="block text-[#5a3e2a]">
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                required
+                className="w-full bg-[#e8d7b9]/60 border border-[#8b3a3a]/30 text-[#5a3e2a] focus:ring-[#8b3a3a] focus:border-[#8b3a3a] p-2 rounded"
+              />
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-[#8b3a3a] hover:bg-[#6e2e2e] text-[#e8d7b9] border border-[#8b3a3a]/50 py-2 px-4 rounded"
+              disabled={isLoading}
+            >
+              {isLoading ? "Sending..." : "Send Reset Link"}
+            </button>
+          </form>
+          <div className="text-center mt-4">
+            <Link to="/login" className="text-[#8b3a3a] hover:text-[#6e2e2e]">Back to Login</Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { Shield, Trophy, Swords, LogOut, Users, User, Settings } from 'lucide-react';
+import { Shield, Trophy, Swords, LogOut, Users, User, Settings, PencilRuler } from 'lucide-react';
 
 function Lobby() {
   const navigate = useNavigate();
@@ -140,6 +140,13 @@ function Lobby() {
               </button>
             </Link>
 
+            <Link to="/map-editor">
+              <button className="text-[#8b3a3a] hover:text-[#6e2e2e] hover:bg-transparent bg-transparent p-2 rounded-full">
+                <PencilRuler className="h-5 w-5" />
+                <span className="sr-only">Map Editor</span>
+              </button>
+            </Link>
+
             <button 
               onClick={handleChangeCharacter}
               className="text-[#8b3a3a] hover:text-[#6e2e2e] hover:bg-transparent bg-transparent p-2 rounded-full"
@@ -132,6 +132,11 @@ function Login() {
               {isLoading ? "Logging in..." : "Login"}
             </button>
           </form>
+          <div className="text-center text-sm relative">
+            <Link to="/forgot-password" className="text-[#8b3a3a] hover:text-[#6e2e2e]">
+              Forgot your password?
+            </Link>
+          </div>
           <div className="text-center text-sm relative">
             <p className="text-[#5a3e2a]">
               Don't have an account?{" "}
@@ -0,0 +1,275 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import eventBus from '../components/core/EventBus.js';
+import mapEditor, {
+  TOOLS,
+  PAINT_TYPES,
+  MIN_RADIUS,
+  MAX_RADIUS,
+  MAX_BRUSH_SIZE
+} from '../components/world/MapEditor.js';
+import { MAP_STYLES, listMapFiles } from '../config/maps.js';
+
+const TOOL_LABELS = {
+  [TOOLS.PAINT]: 'Paint',
+  [TOOLS.RAISE]: 'Raise',
+  [TOOLS.LOWER]: 'Lower',
+  [TOOLS.TREE]: 'Tree',
+  [TOOLS.STONE]: 'Stone',
+  [TOOLS.CLEAR]: 'Clear obstacle',
+  [TOOLS.SPAWN]: 'Spawn point'
+};
+
+const panelStyle = {
+  position: 'absolute',
+  top: '1rem',
+  left: '1rem',
+  width: '280px',
+  maxHeight: 'calc(100vh - 2rem)',
+  overflowY: 'auto',
+  padding: '1rem',
+  backgroundColor: 'rgba(20, 20, 20, 0.85)',
+  color: 'white',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const sectionStyle = { marginBottom: '0.75rem' };
+const inputStyle = { width: '100%', padding: '4px', color: 'black' };
+const rowStyle = { display: 'flex', flexWrap: 'wrap', gap: '4px' };
+
+function buttonStyle(active = false) {
+  return {
+    padding: '4px 8px',
+    cursor: 'pointer',
+    color: 'white',
+    backgroundColor: active ? '#2980b9' : '#444',
+    border: 'none',
+    borderRadius: '4px'
+  };
+}
+
+function MapEditor() {
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const navigate = useNavigate();
+  const [editor, setEditor] = useState(null);
+  const [radiusInput, setRadiusInput] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const bundledMaps = listMapFiles(MAP_STYLES.TOURNAMENT);
+
+  useEffect(() => {
+    // Check if user is logged in
+    if (!localStorage.getItem('guildClashUser')) {
+      navigate('/');
+      return;
+    }
+
+    const handleChange = (state) => setEditor(state);
+    eventBus.on('mapEditor.changed', handleChange);
+
+    mapEditor.init(canvasRef.current).catch(error => {
+      console.error('Error starting map editor:', error);
+      setError(error.message);
+    });
+
+    return () => {
+      eventBus.off('mapEditor.changed', handleChange);
+      mapEditor.dispose();
+    };
+  }, [navigate]);
+
+  // Keep the radius field in step with the map, e.g. after opening another one
+  useEffect(() => {
+    if (editor) setRadiusInput(String(editor.radius));
+  }, [editor?.radius]);
+
+  // Run an editor action, showing what it threw instead of a success message
+  const run = (action, successMessage = '') => {
+    setMessage('');
+    setError('');
+    try {
+      action();
+      setMessage(successMessage);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleOpenBundled = (e) => {
+    const map = bundledMaps.find(bundled => bundled.id === e.target.value);
+    e.target.value = '';
+    if (map) run(() => mapEditor.loadMap(map), `Opened ${map.name}`);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    run(() => mapEditor.importMap(text), `Imported ${file.name}`);
+  };
+
+  const handleExport = () => {
+    run(() => {
+      const text = mapEditor.exportMap();
+      const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${editor.id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }, `Exported ${editor.id}.json - add it to shared/maps/ to ship it`);
+  };
+
+  const applyRadius = () => {
+    if (Number(radiusInput) !== editor.radius) {
+      run(() => mapEditor.setRadius(Number(radiusInput)));
+    }
+  };
+
+  return (
+    <div style={{ width: '100%', height: '100vh', overflow: 'hidden', position: 'relative' }}>
+      <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
+
+      <div style={panelStyle}>
+        <h2 style={{ fontSize: '18px', marginBottom: '0.75rem' }}>Map Editor</h2>
+
+        {!editor ? (
+          <p>Loading...</p>
+        ) : (
+          <>
+            <div style={sectionStyle}>
+              <label htmlFor="map-name">Name</label>
+              <input
+                id="map-name"
+                value={editor.name}
+                onChange={(e) => mapEditor.setDetails({ name: e.target.value })}
+                style={inputStyle}
+              />
+              <label htmlFor="map-id">ID (file name)</label>
+              <input
+                id="map-id"
+                value={editor.id}
+                onChange={(e) => mapEditor.setDetails({ id: e.target.value })}
+                style={inputStyle}
+              />
+              <label htmlFor="map-radius">Radius ({MIN_RADIUS}-{MAX_RADIUS})</label>
+              <input
+                id="map-radius"
+                type="number"
+                min={MIN_RADIUS}
+                max={MAX_RADIUS}
+                value={radiusInput}
+                onChange={(e) => setRadiusInput(e.target.value)}
+                onBlur={applyRadius}
+                onKeyDown={(e) => e.key === 'Enter' && applyRadius()}
+                style={inputStyle}
+              />
+            </div>
+
+            <div style={sectionStyle}>
+              <p>Tool</p>
+              <div style={rowStyle}>
+                {Object.values(TOOLS).map(tool => (
+                  <button key={tool} style={buttonStyle(editor.tool === tool)} onClick={() => mapEditor.setTool(tool)}>
+                    {TOOL_LABELS[tool]}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {editor.tool === TOOLS.PAINT && (
+              <div style={sectionStyle}>
+                <p>Terrain</p>
+                <div style={rowStyle}>
+                  {PAINT_TYPES.map(type => (
+                    <button key={type} style={buttonStyle(editor.paintType === type)} onClick={() => mapEditor.setPaintType(type)}>
+                      {type}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {editor.tool !== TOOLS.SPAWN && (
+              <div style={sectionStyle}>
+                <label htmlFor="brush-size">Brush size: {editor.brushSize}</label>
+                <input
+                  id="brush-size"
+                  type="range"
+                  min="0"
+                  max={MAX_BRUSH_SIZE}
+                  value={editor.brushSize}
+                  onChange={(e) => mapEditor.setBrushSize(Number(e.target.value))}
+                  style={{ width: '100%' }}
+                />
+              </div>
+            )}
+
+            <div style={sectionStyle}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={editor.showWalkable}
+                  onChange={(e) => mapEditor.setShowWalkable(e.target.checked)}
+                />{' '}
+                Show walkable tiles
+              </label>
+            </div>
+
+            <div style={sectionStyle}>
+              <p>{editor.tileCount} tiles, {editor.spawnCount} spawn points</p>
+              {editor.problems.length === 0 ? (
+                <p style={{ color: '#78e08f' }}>Ready to export</p>
+              ) : (
+                <ul style={{ color: '#ff6b6b', paddingLeft: '1rem', listStyle: 'disc' }}>
+                  {editor.problems.slice(0, 8).map(problem => <li key={problem}>{problem}</li>)}
+                  {editor.problems.length > 8 && <li>...and {editor.problems.length - 8} more</li>}
+                </ul>
+              )}
+            </div>
+
+            <div style={{ ...sectionStyle, ...rowStyle }}>
+              <button style={buttonStyle()} onClick={() => run(() => mapEditor.newMap(), 'Started a new map')}>
+                New
+              </button>
+              <button style={buttonStyle()} onClick={() => fileInputRef.current.click()}>
+                Import
+              </button>
+              <button style={buttonStyle()} onClick={handleExport} disabled={editor.problems.length > 0}>
+                Export
+              </button>
+              <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+            </div>
+
+            {bundledMaps.length > 0 && (
+              <div style={sectionStyle}>
+                <select defaultValue="" onChange={handleOpenBundled} style={inputStyle}>
+                  <option value="" disabled>Open a bundled map...</option>
+                  {bundledMaps.map(map => <option key={map.id} value={map.id}>{map.name}</option>)}
+                </select>
+              </div>
+            )}
+          </>
+        )}
+
+        {message && <p style={{ color: '#78e08f', whiteSpace: 'pre-wrap' }}>{message}</p>}
+        {error && <p style={{ color: '#ff6b6b', whiteSpace: 'pre-wrap' }}>{error}</p>}
+
+        <p style={{ marginTop: '0.75rem', color: '#aaa', fontSize: '12px' }}>
+          Click or drag to edit. WASD or arrow keys pan, the mouse wheel zooms.
+        </p>
+
+        <button style={{ ...buttonStyle(), marginTop: '0.5rem' }} onClick={() => navigate('/lobby')}>
+          Back to Lobby
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MapEditor;
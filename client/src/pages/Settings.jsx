@@ -1,9 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { authHeaders } from '../lib/auth';
 
 function Settings() {
   const [volume, setVolume] = useState(50);
   const [username, setUsername] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState('');
+  const [passwordError, setPasswordError] = useState('');
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -33,6 +38,37 @@ function Settings() {
     localStorage.setItem('guildClashVolume', newVolume.toString());
   };
 
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordMessage('');
+    setPasswordError('');
+
+    try {
+      const response = await fetch('http://localhost:3000/api/auth/change-password', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not change password');
+      }
+
+      // Keep the stored session in step with the token issued for the new password
+      const userData = JSON.parse(localStorage.getItem('guildClashUser') || '{}');
+      localStorage.setItem('guildClashUser', JSON.stringify({ ...userData, token: data.token }));
+
+      setCurrentPassword('');
+      setNewPassword('');
+      setPasswordMessage(data.message);
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setPasswordError(error.message);
+    }
+  };
+
   return (
     <div className="page-container">
       <div className="settings-container">
@@ -55,6 +91,34 @@ function Settings() {
           />
         </div>
         
+        <form className="settings-group" onSubmit={handleChangePassword}>
+          <h3>Change Password</h3>
+          <label htmlFor="currentPassword">Current password</label>
+          <input
+            type="password"
+            id="currentPassword"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            required
+            style={{ width: '100%', marginBottom: '0.75rem' }}
+          />
+          <label htmlFor="newPassword">New password</label>
+          <input
+            type="password"
+            id="newPassword"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            minLength={8}
+            required
+            style={{ width: '100%', marginBottom: '0.75rem' }}
+          />
+          {passwordError && <p style={{ color: '#ff6b6b' }}>{passwordError}</p>}
+          {passwordMessage && <p style={{ color: '#78e08f' }}>{passwordMessage}</p>}
+          <button type="submit" className="settings-back" style={{ margin: '0.5rem 0 0' }}>
+            Change Password
+          </button>
+        </form>
+
         <div className="settings-group">
           <h3>Controls</h3>
           <div style={{ backgroundColor: '#222', padding: '1rem', borderRadius: '4px' }}>
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import { nodePolyfills } from 'vite-plugin-node-polyfills';
 import react from '@vitejs/plugin-react';
 import path from "path"
@@ -16,6 +16,10 @@ export default defineConfig({
   server: {
     port: 3001,
     open: true,
+    fs: {
+      // Allow serving the class definitions shared with the server
+      allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../shared')],
+    },
     proxy: {
       '/api': 'http://localhost:3000',
       '/ws': {
@@ -34,6 +38,7 @@ export default defineConfig({
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),
+      "@shared": path.resolve(__dirname, "../shared"),
       'process': 'process/browser',
       'stream': 'stream-browserify',
       'zlib': 'browserify-zlib',
@@ -0,0 +1,193 @@
+/**
+ * Migration: bring stored battle royales and tournament winners in line with the
+ * current BattleRoyale and TournamentWinner models
+ *
+ * - BattleRoyale: uppercase status and tier ('champions' becomes ALL), participant IDs
+ *   become participant entries, and missing startTime/mapSize are filled in
+ * - TournamentWinner: processed becomes battleRoyaleStatus, timestamp becomes winDate,
+ *   and tiers are uppercased
+ *
+ * Documents are read and updated through the raw collections, since old documents do
+ * not pass the current schemas. Running it again changes nothing.
+ * Run with: npm run migrate:battle-royale (from server/)
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { BattleRoyale, TournamentWinner } = require('../models');
+
+// MongoDB connection string
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/guildclash';
+
+/**
+ * Map a stored tier onto the current tiers
+ * @param {string} tier - Stored tier
+ * @returns {string}
+ */
+function migrateTier(tier) {
+  const upper = String(tier || '').toUpperCase();
+  return BattleRoyale.TIERS.includes(upper) ? upper : 'ALL';
+}
+
+/**
+ * Stored IDs may be ObjectIds; the models keep account IDs as strings
+ * @param {*} id - Stored ID
+ * @returns {string|null}
+ */
+function toIdString(id) {
+  return id === undefined || id === null ? null : id.toString();
+}
+
+/**
+ * Work out the update that brings a raw battle royale document up to date
+ * @param {Object} doc - Raw BattleRoyale document
+ * @returns {Object|null} - { $set, $unset } update, or null if nothing changes
+ */
+function planBattleRoyaleUpdate(doc) {
+  const $set = {};
+  const $unset = {};
+
+  const status = String(doc.status || 'PENDING').toUpperCase().replace(/-/g, '_');
+  if (doc.status !== status && BattleRoyale.STATUSES.includes(status)) {
+    $set.status = status;
+  }
+
+  const tier = migrateTier(doc.tier);
+  if (doc.tier !== tier) {
+    $set.tier = tier;
+  }
+
+  // Participants were stored as client IDs, or with live match fields that are not kept
+  const participants = (doc.participants || []).map(participant => {
+    if (typeof participant !== 'object' || participant === null || participant._bsontype) {
+      return { playerId: toIdString(participant) };
+    }
+
+    const entry = { playerId: toIdString(participant.playerId) };
+    ['username', 'characterClass', 'joinedAt'].forEach(field => {
+      if (participant[field] !== undefined) entry[field] = participant[field];
+    });
+    return entry;
+  });
+
+  if (JSON.stringify(participants) !== JSON.stringify(doc.participants || [])) {
+    $set.participants = participants;
+  }
+
+  if (!doc.startTime) {
+    $set.startTime = doc.createdAt || new Date();
+  }
+
+  if (doc.mapSize === undefined) {
+    $set.mapSize = BattleRoyale.DEFAULT_MAP_SIZE;
+  }
+
+  if (doc.winner !== undefined) {
+    if (!doc.winnerId && doc.winner) {
+      $set.winnerId = toIdString(doc.winner);
+    }
+    $unset.winner = '';
+  } else if (doc.winnerId && typeof doc.winnerId !== 'string') {
+    $set.winnerId = toIdString(doc.winnerId);
+  }
+
+  return toUpdate($set, $unset);
+}
+
+/**
+ * Work out the update that brings a raw tournament winner document up to date
+ * @param {Object} doc - Raw TournamentWinner document
+ * @returns {Object|null} - { $set, $unset } update, or null if nothing changes
+ */
+function planTournamentWinnerUpdate(doc) {
+  const $set = {};
+  const $unset = {};
+
+  if (doc.playerId && typeof doc.playerId !== 'string') {
+    $set.playerId = toIdString(doc.playerId);
+  }
+
+  const tier = migrateTier(doc.tier);
+  if (doc.tier !== tier) {
+    $set.tier = tier;
+  }
+
+  if (!doc.battleRoyaleStatus) {
+    $set.battleRoyaleStatus = doc.processed ? 'QUALIFIED' : 'PENDING';
+  }
+  if (doc.processed !== undefined) {
+    $unset.processed = '';
+  }
+
+  if (doc.timestamp !== undefined) {
+    if (!doc.winDate) {
+      $set.winDate = doc.timestamp;
+    }
+    $unset.timestamp = '';
+  } else if (!doc.winDate) {
+    $set.winDate = doc._id && doc._id.getTimestamp ? doc._id.getTimestamp() : new Date();
+  }
+
+  return toUpdate($set, $unset);
+}
+
+/**
+ * @param {Object} $set - Fields to set
+ * @param {Object} $unset - Fields to remove
+ * @returns {Object|null}
+ */
+function toUpdate($set, $unset) {
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return Object.keys(update).length > 0 ? update : null;
+}
+
+/**
+ * Apply a planner to every document of a collection
+ * @param {Collection} collection - Raw MongoDB collection
+ * @param {Function} plan - Returns the update for a document, or null
+ * @returns {Promise<number>} - Number of documents updated
+ */
+async function migrateCollection(collection, plan) {
+  let updated = 0;
+
+  for await (const doc of collection.find({})) {
+    const update = plan(doc);
+    if (!update) continue;
+
+    await collection.updateOne({ _id: doc._id }, update);
+    updated++;
+  }
+
+  return updated;
+}
+
+async function main() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+
+    const battleRoyales = await migrateCollection(BattleRoyale.collection, planBattleRoyaleUpdate);
+    console.log(`Updated ${battleRoyales} battle royales`);
+
+    const winners = await migrateCollection(TournamentWinner.collection, planTournamentWinnerUpdate);
+    console.log(`Updated ${winners} tournament winners`);
+  } catch (error) {
+    console.error('Error migrating battle royale documents:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  planBattleRoyaleUpdate,
+  planTournamentWinnerUpdate
+};
@@ -1,5 +1,58 @@
 const mongoose = require('mongoose');
 
+/**
+ * Battle royale tiers; ALL is open to every tier, like tournaments
+ */
+const TIERS = ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND', 'ALL'];
+
+/**
+ * Battle royale lifecycle: PENDING while players join and the countdown runs,
+ * IN_PROGRESS while it is played, COMPLETED once results are written
+ */
+const STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED'];
+
+// Side length of the map, matching the client's BattleRoyaleMap
+const DEFAULT_MAP_SIZE = 1000;
+
+/**
+ * Participant Schema
+ * A player account that joined or qualified for the battle royale
+ */
+const participantSchema = new mongoose.Schema({
+  // Account ID of the player
+  playerId: {
+    type: String,
+    required: true
+  },
+  username: String,
+  characterClass: String,
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Result Schema
+ * Final placement of one participant
+ */
+const resultSchema = new mongoose.Schema({
+  // Account ID of the player
+  playerId: {
+    type: String,
+    required: true
+  },
+  username: String,
+  position: {
+    type: Number,
+    required: true
+  },
+  kills: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 /**
  * BattleRoyale Schema
  * Stores information about battle royale events
@@ -15,15 +68,16 @@ const battleRoyaleSchema = new mongoose.Schema({
   tier: {
     type: String,
     required: true,
-    enum: ['bronze', 'silver', 'gold', 'platinum', 'diamond', 'champions']
+    enum: TIERS,
+    default: 'ALL'
   },
   
   // Status of the battle royale
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'in-progress', 'completed'],
-    default: 'pending'
+    enum: STATUSES,
+    default: 'PENDING'
   },
   
   // Maximum number of participants
@@ -33,12 +87,23 @@ const battleRoyaleSchema = new mongoose.Schema({
     default: 40
   },
   
-  // Array of participant IDs
-  participants: [{
-    type: String
-  }],
+  // Side length of the map
+  mapSize: {
+    type: Number,
+    default: DEFAULT_MAP_SIZE
+  },
   
-  // Scheduled start time
+  // Map file the battle royale is played on (see shared/maps/); a generated map if null
+  mapId: {
+    type: String,
+    default: null
+  },
+  
+  // Players taking part
+  participants: [participantSchema],
+  
+  // Scheduled start time; moved forward when the battle royale fills up, and set to
+  // the actual start once it begins
   startTime: {
     type: Date,
     required: true
@@ -55,17 +120,13 @@ const battleRoyaleSchema = new mongoose.Schema({
     type: Date
   },
   
-  // Winner of the battle royale (if completed)
+  // Account ID of the winner (if completed)
   winnerId: {
     type: String
   },
   
-  // Results of the battle royale (top 10 placements)
-  results: [{
-    playerId: String,
-    position: Number,
-    kills: Number
-  }]
+  // Results of the battle royale: every placement, winner first
+  results: [resultSchema]
 });
 
 // Create indexes for faster queries
@@ -73,6 +134,29 @@ battleRoyaleSchema.index({ status: 1 });
 battleRoyaleSchema.index({ tier: 1 });
 battleRoyaleSchema.index({ startTime: 1 });
 
+/**
+ * Check whether an account is taking part
+ * @param {string} playerId - Account ID
+ * @returns {boolean}
+ */
+battleRoyaleSchema.methods.hasParticipant = function(playerId) {
+  return this.participants.some(participant => participant.playerId === playerId);
+};
+
+/**
+ * Battle royales that have not finished yet, soonest first
+ * @returns {Promise<Array>}
+ */
+battleRoyaleSchema.statics.getActiveMatches = function() {
+  return this.find({ status: { $in: ['PENDING', 'IN_PROGRESS'] } })
+    .sort({ startTime: 1 })
+    .select('-__v');
+};
+
+battleRoyaleSchema.statics.TIERS = TIERS;
+battleRoyaleSchema.statics.STATUSES = STATUSES;
+battleRoyaleSchema.statics.DEFAULT_MAP_SIZE = DEFAULT_MAP_SIZE;
+
 const BattleRoyale = mongoose.model('BattleRoyale', battleRoyaleSchema);
 
-module.exports = BattleRoyale; 
\ No newline at end of file
+module.exports = BattleRoyale;
@@ -1,5 +1,83 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { promisify } = require('util');
+const Glicko2 = require('../utils/glicko2');
+
+// scrypt parameters for new password hashes; raising them makes existing hashes
+// be rehashed on the next successful login
+const PASSWORD_HASH = {
+  N: 32768,
+  r: 8,
+  p: 1,
+  keyLength: 64
+};
+
+// Hashing runs on the libuv thread pool so a login doesn't stall every room's tick
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Accounts created before scrypt hashing used PBKDF2 with these settings
+const LEGACY_PBKDF2 = {
+  iterations: 1000,
+  keyLength: 64,
+  digest: 'sha512'
+};
+
+// Failed logins allowed before the account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// How long a password reset token stays valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Tiers from lowest to highest, with the conservative rating (rating minus two
+// deviations) each one starts at
+const TIERS = ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND'];
+const TIER_MIN_RATINGS = {
+  BRONZE: -Infinity,
+  SILVER: 1200,
+  GOLD: 1400,
+  PLATINUM: 1600,
+  DIAMOND: 1800
+};
+
+/**
+ * Get the tier a conservative rating falls in
+ * @param {number} conservativeRating - Rating minus two deviations
+ * @returns {string}
+ */
+function getTierForRating(conservativeRating) {
+  return [...TIERS].reverse().find(tier => conservativeRating >= TIER_MIN_RATINGS[tier]) || 'BRONZE';
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex salt
+ * @param {Object} params - { N, r, p, keyLength }
+ * @returns {Promise<string>} - Hex hash
+ */
+async function scryptHash(password, salt, params) {
+  const hash = await scrypt(password, salt, params.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 128 * params.N * params.r * 2
+  });
+  return hash.toString('hex');
+}
+
+/**
+ * Compare two hex hashes in constant time
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {boolean}
+ */
+function hashesMatch(a, b) {
+  const bufferA = Buffer.from(a || '', 'hex');
+  const bufferB = Buffer.from(b || '', 'hex');
+  return bufferA.length === bufferB.length && bufferA.length > 0 && crypto.timingSafeEqual(bufferA, bufferB);
+}
 
 /**
  * Character Schema
@@ -58,6 +136,14 @@ const characterSchema = new mongoose.Schema({
     healingDone: { type: Number, default: 0 },
     gamesPlayed: { type: Number, default: 0 }
   },
+  // Glicko-2 skill rating from server-decided 1v1 games
+  rating: {
+    rating: { type: Number, default: Glicko2.DEFAULT_RATING },
+    rd: { type: Number, default: Glicko2.DEFAULT_RD },
+    volatility: { type: Number, default: Glicko2.DEFAULT_VOLATILITY },
+    ratedAt: { type: Date, default: null },
+    games: { type: Number, default: 0 }
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -106,7 +192,32 @@ const playerSchema = new mongoose.Schema({
   },
   salt: {
     type: String,
-    select: false // Don't include salt in query results by default
+    select: false // Only used by legacy PBKDF2 hashes; scrypt hashes carry their own salt
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Bumped when the password changes; session tokens carry it and older ones are refused
+  tokenVersion: {
+    type: Number,
+    default: 0
   },
   characters: [characterSchema],
   activeCharacterId: {
@@ -119,7 +230,7 @@ const playerSchema = new mongoose.Schema({
   },
   tier: {
     type: String,
-    enum: ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND'],
+    enum: TIERS,
     default: 'BRONZE'
   },
   lastActive: {
@@ -135,7 +246,7 @@ const playerSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to update player score and tier based on character performance
+// Method to update player score based on character performance; the tier comes from ratings
 playerSchema.methods.updateScore = function() {
   // Calculate total score based on all characters
   let totalScore = 0;
@@ -145,18 +256,7 @@ playerSchema.methods.updateScore = function() {
   
   this.score = totalScore;
   
-  // Update tier based on score
-  if (this.score >= 5000) {
-    this.tier = 'DIAMOND';
-  } else if (this.score >= 2500) {
-    this.tier = 'PLATINUM';
-  } else if (this.score >= 1000) {
-    this.tier = 'GOLD';
-  } else if (this.score >= 500) {
-    this.tier = 'SILVER';
-  } else {
-    this.tier = 'BRONZE';
-  }
+  this.tier = this.getRatingTier();
   
   return this.save();
 };
@@ -172,6 +272,25 @@ playerSchema.methods.getCharacter = function(characterId) {
   return this.characters.id(characterId);
 };
 
+// Method to get the character a class is played with: the active character if it
+// has that class, otherwise the first character of the class
+playerSchema.methods.getCharacterByClass = function(characterClass) {
+  const active = this.activeCharacterId ? this.characters.id(this.activeCharacterId) : null;
+  if (active && active.characterClass === characterClass) return active;
+
+  return this.characters.find(character => character.characterClass === characterClass) || null;
+};
+
+// Method to get the tier of the best rated character, with deviations grown by inactivity;
+// accounts without rated games are BRONZE
+playerSchema.methods.getRatingTier = function(now = Date.now()) {
+  const best = this.characters
+    .filter(character => character.rating && character.rating.games > 0)
+    .reduce((max, character) => Math.max(max, Glicko2.getConservativeRating(character.rating, now)), -Infinity);
+
+  return getTierForRating(best);
+};
+
 // Method to set active character
 playerSchema.methods.setActiveCharacter = function(characterId) {
   this.activeCharacterId = characterId;
@@ -179,18 +298,96 @@ playerSchema.methods.setActiveCharacter = function(characterId) {
 };
 
 // Authentication methods
-playerSchema.methods.setPassword = function(password) {
-  this.salt = crypto.randomBytes(16).toString('hex');
-  this.password = crypto
-    .pbkdf2Sync(password, this.salt, 1000, 64, 'sha512')
-    .toString('hex');
+
+// Passwords are stored as "scrypt$N$r$p$salt$hash"; legacy hashes are bare PBKDF2 hex
+playerSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const { N, r, p } = PASSWORD_HASH;
+
+  this.password = ['scrypt', N, r, p, salt, await scryptHash(password, salt, PASSWORD_HASH)].join('$');
+  this.salt = undefined;
+};
+
+playerSchema.methods.validatePassword = async function(password) {
+  if (typeof password !== 'string' || !this.password) return false;
+
+  if (!this.password.startsWith('scrypt$')) {
+    const hash = await pbkdf2(password, this.salt || '', LEGACY_PBKDF2.iterations, LEGACY_PBKDF2.keyLength, LEGACY_PBKDF2.digest);
+    return hashesMatch(this.password, hash.toString('hex'));
+  }
+
+  const [, N, r, p, salt, hash] = this.password.split('$');
+  const params = { N: Number(N), r: Number(r), p: Number(p), keyLength: hash.length / 2 };
+  return hashesMatch(hash, await scryptHash(password, salt, params));
+};
+
+// Sign out every session: tokens issued before this are refused (see AuthManager)
+playerSchema.methods.revokeSessions = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
+// Whether the stored hash uses an older scheme or weaker parameters than setPassword
+playerSchema.methods.needsRehash = function() {
+  if (!this.password || !this.password.startsWith('scrypt$')) return true;
+
+  const [, N, r, p] = this.password.split('$').map(Number);
+  return N !== PASSWORD_HASH.N || r !== PASSWORD_HASH.r || p !== PASSWORD_HASH.p;
+};
+
+// Login lockout
+playerSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+playerSchema.methods.registerFailedLogin = function() {
+  // An expired lock starts a fresh count
+  if (this.lockUntil && this.lockUntil.getTime() <= Date.now()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = null;
+  }
+
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    this.lockUntil = new Date(Date.now() + LOGIN_LOCK_MS);
+  }
+
+  return this.save();
+};
+
+playerSchema.methods.clearFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
+// Password reset: only a hash of the token is stored, the token itself is mailed
+playerSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+
+  return token;
 };
 
-playerSchema.methods.validatePassword = function(password) {
-  const hash = crypto
-    .pbkdf2Sync(password, this.salt, 1000, 64, 'sha512')
-    .toString('hex');
-  return this.password === hash;
+playerSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpires = null;
+};
+
+// Static method to find the player a (non-expired) reset token belongs to
+playerSchema.statics.findByPasswordResetToken = function(token) {
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  return this.findOne({
+    passwordResetTokenHash: tokenHash,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +salt +passwordResetTokenHash +passwordResetExpires +failedLoginAttempts +lockUntil');
+};
+
+// Static method to add to a player's stats and score
+playerSchema.statics.recordResult = function(playerId, increments) {
+  return this.findByIdAndUpdate(playerId, { $inc: increments }, { new: true }).select('score tier');
 };
 
 // Static method to get top players
@@ -201,6 +398,9 @@ playerSchema.statics.getLeaderboard = function(limit = 10) {
     .select('username tier score');
 };
 
+playerSchema.statics.TIERS = TIERS;
+playerSchema.statics.getTierForRating = getTierForRating;
+
 const Player = mongoose.model('Player', playerSchema);
 
 module.exports = Player; 
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rating Change Schema
+ * One player's character rating before and after a rated game
+ */
+const ratingChangeSchema = new mongoose.Schema({
+  // Account ID of the player
+  playerId: {
+    type: String,
+    required: true
+  },
+  characterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  characterClass: String,
+
+  // WIN or LOSS
+  result: {
+    type: String,
+    enum: ['WIN', 'LOSS'],
+    required: true
+  },
+
+  ratingBefore: Number,
+  rdBefore: Number,
+  volatilityBefore: Number,
+  rating: Number,
+  rd: Number,
+  volatility: Number
+}, { _id: false });
+
+/**
+ * RatingHistory Schema
+ * Stores the rating changes of every rated 1v1 game, one document per game
+ */
+const ratingHistorySchema = new mongoose.Schema({
+  // Tournament and bracket match the game was played in
+  tournamentId: String,
+  matchId: String,
+
+  // Game number within the match series
+  game: Number,
+
+  // Winner first, then loser
+  changes: [ratingChangeSchema],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for faster queries
+ratingHistorySchema.index({ 'changes.playerId': 1, createdAt: -1 });
+ratingHistorySchema.index({ tournamentId: 1, matchId: 1 });
+
+// Static method to get an account's most recent rated games
+ratingHistorySchema.statics.getForPlayer = function(playerId, limit = 20) {
+  return this.find({ 'changes.playerId': playerId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-__v');
+};
+
+const RatingHistory = mongoose.model('RatingHistory', ratingHistorySchema);
+
+module.exports = RatingHistory;
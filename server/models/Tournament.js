@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const BracketGenerator = require('../utils/bracketGenerator');
+const BracketManager = require('../utils/bracketManager');
 
 /**
  * Tournament Schema
@@ -15,11 +17,53 @@ const tournamentSchema = new mongoose.Schema({
     enum: ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND', 'ALL'],
     default: 'ALL'
   },
+  // WAITING, IN_PROGRESS and COMPLETED are the live tournament lifecycle;
+  // PENDING is used by tournaments created through the REST API
   status: {
     type: String,
-    enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED'],
+    enum: ['PENDING', 'WAITING', 'IN_PROGRESS', 'COMPLETED'],
     default: 'PENDING'
   },
+  format: {
+    type: String,
+    enum: Object.values(BracketGenerator.FORMATS),
+    default: BracketGenerator.FORMATS.SINGLE_ELIMINATION
+  },
+  // Games per match; a match is decided by the first player to win a majority
+  bestOf: {
+    type: Number,
+    enum: BracketManager.BEST_OF_OPTIONS,
+    default: 1
+  },
+  // Map files the rounds rotate through (see shared/maps/); generated arenas if empty
+  maps: {
+    type: [String],
+    default: []
+  },
+  // Number of rounds in a Swiss tournament
+  swissRounds: {
+    type: Number,
+    default: null
+  },
+  maxPlayers: {
+    type: Number,
+    default: 16
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    default: null
+  },
+  currentRound: {
+    type: Number,
+    default: 0
+  },
+  // Seed for the bracket generator's tiebreaks; with the participants' score and
+  // tier it reproduces the bracket
+  bracketSeed: {
+    type: Number,
+    default: null
+  },
   participants: [{
     playerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -28,6 +72,16 @@ const tournamentSchema = new mongoose.Schema({
     username: String,
     characterClass: String,
     seed: Number,
+    // Rating when the bracket was generated
+    score: {
+      type: Number,
+      default: 0
+    },
+    tier: {
+      type: String,
+      enum: ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND'],
+      default: 'BRONZE'
+    },
     eliminated: {
       type: Boolean,
       default: false
@@ -35,6 +89,12 @@ const tournamentSchema = new mongoose.Schema({
   }],
   bracket: [{
     round: Number,
+    // WINNERS, LOSERS, GRAND_FINAL or SWISS
+    section: {
+      type: String,
+      enum: Object.values(BracketGenerator.SECTIONS),
+      default: BracketGenerator.SECTIONS.WINNERS
+    },
     matches: [{
       matchId: String,
       player1Id: {
@@ -45,6 +105,41 @@ const tournamentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Player'
       },
+      player1Name: String,
+      player2Name: String,
+      player1Seed: Number,
+      player2Seed: Number,
+      // Sides that will never get a player, and whether the match was decided by one
+      player1Bye: {
+        type: Boolean,
+        default: false
+      },
+      player2Bye: {
+        type: Boolean,
+        default: false
+      },
+      bye: {
+        type: Boolean,
+        default: false
+      },
+      // Slots the winner and loser move on to
+      winnerTo: {
+        matchId: String,
+        slot: Number
+      },
+      loserTo: {
+        matchId: String,
+        slot: Number
+      },
+      // Deciding this match decides the tournament, unless it triggers a grand final reset
+      final: {
+        type: Boolean,
+        default: false
+      },
+      resetMatchId: {
+        type: String,
+        default: null
+      },
       winnerId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Player',
@@ -60,9 +155,18 @@ const tournamentSchema = new mongoose.Schema({
           default: 0
         }
       },
+      // Arena the match is played on, kept so a room reopened for a reconnect matches it
+      mapSeed: {
+        type: Number,
+        default: null
+      },
+      mapId: {
+        type: String,
+        default: null
+      },
       status: {
         type: String,
-        enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED'],
+        enum: ['PENDING', 'READY', 'IN_PROGRESS', 'COMPLETED', 'SKIPPED'],
         default: 'PENDING'
       }
     }]
@@ -100,64 +204,31 @@ tournamentSchema.methods.generateBrackets = function() {
     return false;
   }
   
-  // Shuffle participants for random seeding
-  const shuffledParticipants = [...this.participants].sort(() => 0.5 - Math.random());
+  if (this.bracketSeed === null || this.bracketSeed === undefined) {
+    this.bracketSeed = BracketGenerator.createSeed();
+  }
   
-  // Assign seeds
-  shuffledParticipants.forEach((participant, index) => {
-    participant.seed = index + 1;
-  });
+  // Seed by tier and score, with standard placement and byes
+  const { seededPlayers, brackets: bracket } = BracketManager.createBrackets(
+    this.participants.map(participant => ({
+      id: participant.playerId.toString(),
+      name: participant.username,
+      score: participant.score,
+      tier: participant.tier
+    })),
+    this.bracketSeed,
+    this.format
+  );
   
-  // Calculate number of rounds needed (log2 of participants, rounded up)
-  const numRounds = Math.ceil(Math.log2(shuffledParticipants.length));
-  
-  // Calculate total number of matches needed
-  const totalMatches = Math.pow(2, numRounds) - 1;
-  
-  // Generate bracket structure
-  const bracket = [];
-  
-  // First round with actual participants
-  const firstRoundMatches = [];
-  const numFirstRoundMatches = Math.floor(shuffledParticipants.length / 2);
-  
-  for (let i = 0; i < numFirstRoundMatches; i++) {
-    const player1 = shuffledParticipants[i];
-    const player2 = shuffledParticipants[shuffledParticipants.length - 1 - i];
-    
-    firstRoundMatches.push({
-      matchId: `R1-M${i+1}`,
-      player1Id: player1.playerId,
-      player2Id: player2.playerId,
-      status: 'PENDING'
-    });
+  if (this.format === BracketGenerator.FORMATS.SWISS) {
+    this.swissRounds = BracketGenerator.getSwissRoundCount(this.participants.length);
   }
   
-  bracket.push({
-    round: 1,
-    matches: firstRoundMatches
+  seededPlayers.forEach(seeded => {
+    const participant = this.participants.find(p => p.playerId.toString() === seeded.id);
+    participant.seed = seeded.seed;
   });
   
-  // Generate placeholder matches for subsequent rounds
-  for (let round = 2; round <= numRounds; round++) {
-    const numMatches = Math.pow(2, numRounds - round);
-    const matches = [];
-    
-    for (let i = 0; i < numMatches; i++) {
-      matches.push({
-        matchId: `R${round}-M${i+1}`,
-        player1Id: null,
-        player2Id: null,
-        status: 'PENDING'
-      });
-    }
-    
-    bracket.push({
-      round,
-      matches
-    });
-  }
-  
   this.bracket = bracket;
   this.status = 'PENDING';
   
@@ -176,66 +247,61 @@ tournamentSchema.methods.start = function() {
   return this.save();
 };
 
+// Method to get the bracket in the shape BracketManager advances
+tournamentSchema.methods.getBracketState = function() {
+  return {
+    format: this.format,
+    bestOf: this.bestOf,
+    brackets: this.bracket,
+    players: this.participants.map(participant => ({
+      id: participant.playerId.toString(),
+      name: participant.username,
+      seed: participant.seed
+    })),
+    swissRounds: this.swissRounds
+  };
+};
+
+// Method to set the tournament winner once the bracket is decided
+tournamentSchema.methods.setChampion = function(championId) {
+  this.status = 'COMPLETED';
+  this.endDate = new Date();
+  
+  const winnerParticipant = this.participants.find(p => 
+    p.playerId.toString() === championId.toString()
+  );
+  
+  if (winnerParticipant) {
+    this.winner = {
+      playerId: winnerParticipant.playerId,
+      username: winnerParticipant.username,
+      characterClass: winnerParticipant.characterClass
+    };
+  }
+};
+
 // Method to update match result
 tournamentSchema.methods.updateMatchResult = function(matchId, winnerId) {
-  // Find the match in the bracket
-  let match = null;
-  let roundIndex = -1;
-  let matchIndex = -1;
-  
-  for (let i = 0; i < this.bracket.length; i++) {
-    const round = this.bracket[i];
-    for (let j = 0; j < round.matches.length; j++) {
-      if (round.matches[j].matchId === matchId) {
-        match = round.matches[j];
-        roundIndex = i;
-        matchIndex = j;
-        break;
-      }
-    }
-    if (match) break;
+  const result = BracketManager.recordResult(this.getBracketState(), matchId, winnerId);
+  
+  if (!result) return false;
+  
+  if (result.championId) {
+    this.setChampion(result.championId);
   }
   
-  if (!match) return false;
-  
-  // Update match result
-  match.winnerId = winnerId;
-  match.status = 'COMPLETED';
-  
-  // If not the final round, update the next round's match
-  if (roundIndex < this.bracket.length - 1) {
-    const nextRound = this.bracket[roundIndex + 1];
-    const nextMatchIndex = Math.floor(matchIndex / 2);
-    const nextMatch = nextRound.matches[nextMatchIndex];
-    
-    // Determine if this winner goes to player1 or player2 slot
-    if (matchIndex % 2 === 0) {
-      nextMatch.player1Id = winnerId;
-    } else {
-      nextMatch.player2Id = winnerId;
-    }
-    
-    // If both players are set, update match status
-    if (nextMatch.player1Id && nextMatch.player2Id) {
-      nextMatch.status = 'PENDING';
-    }
-  } else {
-    // This was the final match, tournament is complete
-    this.status = 'COMPLETED';
-    this.endDate = new Date();
-    
-    // Set tournament winner
-    const winnerParticipant = this.participants.find(p => 
-      p.playerId.toString() === winnerId.toString()
-    );
-    
-    if (winnerParticipant) {
-      this.winner = {
-        playerId: winnerId,
-        username: winnerParticipant.username,
-        characterClass: winnerParticipant.characterClass
-      };
-    }
+  return this.save();
+};
+
+// Method to record one game of a best-of series; the match is decided when a
+// player reaches the wins its bestOf needs
+tournamentSchema.methods.updateGameResult = function(matchId, winnerId) {
+  const result = BracketManager.recordGame(this.getBracketState(), matchId, winnerId);
+  
+  if (!result) return false;
+  
+  if (result.championId) {
+    this.setChampion(result.championId);
   }
   
   return this.save();
@@ -1,42 +1,58 @@
 const mongoose = require('mongoose');
 
+/**
+ * Where a winner stands in the battle royale queue: PENDING until enough winners
+ * have gathered, QUALIFIED once assigned to a battle royale
+ */
+const BATTLE_ROYALE_STATUSES = ['PENDING', 'QUALIFIED'];
+
 /**
  * TournamentWinner Schema
  * Stores information about tournament winners who qualify for battle royale events
  */
 const tournamentWinnerSchema = new mongoose.Schema({
-  // Player ID who won the tournament
+  // Account ID of the player who won the tournament
   playerId: {
     type: String,
     required: true
   },
   
+  // Name and class of the player when they won
+  username: String,
+  characterClass: String,
+  
   // Tournament ID that was won
   tournamentId: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
     required: true
   },
   
+  // Tournament name when it was won
+  tournamentName: String,
+  
   // Tournament tier
   tier: {
     type: String,
     required: true,
-    enum: ['bronze', 'silver', 'gold', 'platinum', 'diamond']
+    enum: ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND', 'ALL'],
+    default: 'ALL'
   },
   
-  // Timestamp when the tournament was won
-  timestamp: {
+  // When the tournament was won
+  winDate: {
     type: Date,
     default: Date.now
   },
   
-  // Whether this winner has been processed for a battle royale
-  processed: {
-    type: Boolean,
-    default: false
+  // Whether this winner is still waiting for a battle royale
+  battleRoyaleStatus: {
+    type: String,
+    enum: BATTLE_ROYALE_STATUSES,
+    default: 'PENDING'
   },
   
-  // Battle royale ID this winner was invited to (if processed)
+  // Battle royale ID this winner was invited to (once qualified)
   battleRoyaleId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BattleRoyale',
@@ -45,10 +61,46 @@ const tournamentWinnerSchema = new mongoose.Schema({
 });
 
 // Create indexes for faster queries
-tournamentWinnerSchema.index({ processed: 1 });
+tournamentWinnerSchema.index({ battleRoyaleStatus: 1, tier: 1, winDate: 1 });
 tournamentWinnerSchema.index({ playerId: 1 });
 tournamentWinnerSchema.index({ tournamentId: 1 });
 
+/**
+ * Check whether enough winners of a tier are waiting to fill a battle royale
+ * @param {number} count - Number of winners needed
+ * @param {string} [tier] - Tier of the tournaments they won
+ * @returns {Promise<boolean>}
+ */
+tournamentWinnerSchema.statics.hasEnoughWinners = async function(count, tier = 'ALL') {
+  const pending = await this.countDocuments({ battleRoyaleStatus: 'PENDING', tier });
+  return pending >= count;
+};
+
+/**
+ * Qualify the longest-waiting winners of a tier for a battle royale
+ * @param {ObjectId} battleRoyaleId - Battle royale they are assigned to
+ * @param {number} count - Maximum number of winners to assign
+ * @param {string} [tier] - Tier of the tournaments they won
+ * @returns {Promise<Array>} - The assigned winners, oldest win first
+ */
+tournamentWinnerSchema.statics.assignToBattleRoyale = async function(battleRoyaleId, count, tier = 'ALL') {
+  const winners = await this.find({ battleRoyaleStatus: 'PENDING', tier })
+    .sort({ winDate: 1 })
+    .limit(count);
+
+  const ids = winners.map(winner => winner._id);
+
+  // Only claim winners that are still pending, in case another battle royale took them
+  await this.updateMany(
+    { _id: { $in: ids }, battleRoyaleStatus: 'PENDING' },
+    { battleRoyaleStatus: 'QUALIFIED', battleRoyaleId }
+  );
+
+  return this.find({ _id: { $in: ids }, battleRoyaleId }).sort({ winDate: 1 });
+};
+
+tournamentWinnerSchema.statics.BATTLE_ROYALE_STATUSES = BATTLE_ROYALE_STATUSES;
+
 const TournamentWinner = mongoose.model('TournamentWinner', tournamentWinnerSchema);
 
-module.exports = TournamentWinner; 
\ No newline at end of file
+module.exports = TournamentWinner;
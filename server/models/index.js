@@ -2,10 +2,12 @@ const Player = require('./Player');
 const Tournament = require('./Tournament');
 const BattleRoyale = require('./BattleRoyale');
 const TournamentWinner = require('./TournamentWinner');
+const RatingHistory = require('./RatingHistory');
 
 module.exports = {
   Player,
   Tournament,
   BattleRoyale,
-  TournamentWinner
+  TournamentWinner,
+  RatingHistory
 }; 
\ No newline at end of file
@@ -11,71 +11,54 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 
 // Import models
-const { Player } = require('./models');
+const { Player, RatingHistory } = require('./models');
 const Tournament = require('./models/Tournament');
 const TournamentWinner = require('./models/TournamentWinner');
 const BattleRoyale = require('./models/BattleRoyale');
 const BattleRoyaleManager = require('./utils/battleRoyaleManager');
+const CombatManager = require('./utils/combatManager');
+const ClassDefinitions = require('./utils/classDefinitions');
+const RoomManager = require('./utils/roomManager');
+const WorldSimulation = require('./utils/worldSimulation');
+const AuthManager = require('./utils/authManager');
+const Mailer = require('./utils/mailer');
+const RateLimiter = require('./utils/rateLimiter');
+const TournamentStore = require('./utils/tournamentStore');
+const BracketGenerator = require('./utils/bracketGenerator');
+const BracketManager = require('./utils/bracketManager');
+const SafeZone = require('./utils/safeZone');
+const PickupField = require('./utils/pickupField');
+const Glicko2 = require('./utils/glicko2');
+const BattleRoyaleMatch = require('./utils/battleRoyaleMatch');
+const NavGrid = require('./utils/navGrid');
+const MapLibrary = require('./utils/mapLibrary');
+const MapSeed = require('./utils/mapSeed');
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Every WebSocket connection must present a session token issued at login
+const wss = new WebSocket.Server({ server, verifyClient: AuthManager.verifyWebSocketClient });
 
 // Environment variables
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/guildclash';
 const NODE_ENV = process.env.NODE_ENV || 'development';
+// Used to build links in account emails
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Minimum length for passwords set through the change and reset flows
+const MIN_PASSWORD_LENGTH = 8;
+
+// Per-IP limits on the unauthenticated account endpoints
+const loginLimiter = new RateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+const passwordResetLimiter = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
 
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
-// Character class definitions
-const CHARACTER_CLASSES = {
-  CLERK: {
-    health: 80,
-    damage: 15,
-    speed: 0.15,
-    attackSpeed: 1.0,
-    range: 8
-  },
-  WARRIOR: {
-    health: 120,
-    damage: 20,
-    speed: 0.08,
-    attackSpeed: 1.0,
-    range: 2
-  },
-  RANGER: {
-    health: 100,
-    damage: 18,
-    speed: 0.12,
-    attackSpeed: 1.0,
-    range: 6
-  }
-};
-
-/**
- * Get stats for a character class
- * @param {string} characterClass - The character class (CLERK, WARRIOR, RANGER)
- * @returns {Object} The stats for the character class
- */
-function getClassStats(characterClass) {
-  // Normalize character class to uppercase
-  const normalizedClass = characterClass.toUpperCase();
-  
-  // Return stats for the class or default stats if class not found
-  return CHARACTER_CLASSES[normalizedClass] || {
-    health: 100,
-    damage: 10,
-    speed: 0.1,
-    attackSpeed: 1.0,
-    range: 5
-  };
-}
-
 // Connect to MongoDB
 const connectMongoDB = async () => {
   try {
@@ -117,6 +100,12 @@ const connectMongoDB = async () => {
       }
     }
     
+    // Pick up tournaments that were running when the server last stopped
+    await rehydrateTournaments();
+    
+    // Restart the countdowns of battle royales that have not started yet
+    await rescheduleBattleRoyales();
+    
     return true;
   } catch (err) {
     console.warn('MongoDB connection error:', err.message);
@@ -139,6 +128,10 @@ app.post('/api/auth/register', async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
     // Check if username or email already exists
     const existingPlayer = await Player.findOne({
       $or: [{ username }, { email }]
@@ -160,18 +153,19 @@ app.post('/api/auth/register', async (req, res) => {
     });
 
     // Set password (this uses the method defined in the Player model)
-    newPlayer.setPassword(password);
+    await newPlayer.setPassword(password);
 
     // Save player to database
     await newPlayer.save();
 
-    // Return player data (excluding password and salt)
+    // Return player data (excluding password and salt) with a session token
     res.status(201).json({
       id: newPlayer._id,
       username: newPlayer.username,
       email: newPlayer.email,
       tier: newPlayer.tier,
-      characters: []
+      characters: [],
+      token: AuthManager.issueToken(newPlayer)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -188,30 +182,52 @@ app.post('/api/auth/login', async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // Find player by username and include password and salt fields
-    const player = await Player.findOne({ username }).select('+password +salt');
+    const limit = loginLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+      return res.status(429).json({ error: 'Too many login attempts, please try again later' });
+    }
+
+    // Find player by username and include the credential and lockout fields
+    const player = await Player.findOne({ username })
+      .select('+password +salt +failedLoginAttempts +lockUntil');
 
     if (!player) {
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
+    if (player.isLocked()) {
+      res.set('Retry-After', String(Math.ceil((player.lockUntil.getTime() - Date.now()) / 1000)));
+      return res.status(423).json({ error: 'Account temporarily locked after too many failed logins, please try again later' });
+    }
+
     // Validate password
-    if (!player.validatePassword(password)) {
+    if (!await player.validatePassword(password)) {
+      await player.registerFailedLogin();
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
+    loginLimiter.reset(req.ip);
+    player.clearFailedLogins();
+
+    // Upgrade legacy or outdated hashes now that we have the plain password
+    if (player.needsRehash()) {
+      await player.setPassword(password);
+    }
+
     // Update last active timestamp
     player.lastActive = Date.now();
     await player.save();
 
-    // Return player data (excluding password and salt)
+    // Return player data (excluding password and salt) with a session token
     res.json({
       id: player._id,
       username: player.username,
       email: player.email,
       tier: player.tier,
       characters: player.characters,
-      activeCharacterId: player.activeCharacterId
+      activeCharacterId: player.activeCharacterId,
+      token: AuthManager.issueToken(player)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -220,17 +236,123 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 /**
- * @route   GET /api/characters
- * @desc    Get all characters for a player
+ * @route   POST /api/auth/change-password
+ * @desc    Change the password of the logged-in player
  * @access  Private
  */
-app.get('/api/characters', async (req, res) => {
+app.post('/api/auth/change-password', AuthManager.requireAuth, async (req, res) => {
   try {
-    const { playerId } = req.query;
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const player = await Player.findById(req.auth.playerId).select('+password +salt');
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    if (!await player.validatePassword(currentPassword)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await player.setPassword(newPassword);
+    player.revokeSessions();
+    player.clearPasswordResetToken();
+    await player.save();
+
+    res.json({
+      message: 'Password changed',
+      token: AuthManager.issueToken(player)
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Server error changing password' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+app.post('/api/auth/forgot-password',
+  passwordResetLimiter.middleware('Too many password reset requests, please try again later'),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      // The response is the same whether or not the email is registered
+      const response = { message: 'If that email is registered, a reset link has been sent' };
+
+      if (typeof email !== 'string' || !email) {
+        return res.json(response);
+      }
+
+      const player = await Player.findOne({ email: email.trim().toLowerCase() });
+
+      if (player) {
+        const token = player.createPasswordResetToken();
+        await player.save();
+
+        await Mailer.sendPasswordReset(player, `${CLIENT_URL}/reset-password?token=${token}`);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({ error: 'Server error requesting password reset' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using an emailed reset token
+ * @access  Public
+ */
+app.post('/api/auth/reset-password',
+  passwordResetLimiter.middleware('Too many password reset attempts, please try again later'),
+  async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
 
-    if (!playerId) {
-      return res.status(400).json({ error: 'Player ID is required' });
+      if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const player = typeof token === 'string' && token
+        ? await Player.findByPasswordResetToken(token)
+        : null;
+
+      if (!player) {
+        return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+      }
+
+      await player.setPassword(newPassword);
+      player.revokeSessions();
+      player.clearPasswordResetToken();
+      player.clearFailedLogins();
+      await player.save();
+
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({ error: 'Server error resetting password' });
     }
+  }
+);
+
+/**
+ * @route   GET /api/characters
+ * @desc    Get all characters for a player
+ * @access  Private
+ */
+app.get('/api/characters', AuthManager.requireAuth, async (req, res) => {
+  try {
+    const { playerId } = req.auth;
 
     const player = await Player.findById(playerId);
 
@@ -253,12 +375,13 @@ app.get('/api/characters', async (req, res) => {
  * @desc    Create a new character for a player
  * @access  Private
  */
-app.post('/api/characters', async (req, res) => {
+app.post('/api/characters', AuthManager.requireAuth, async (req, res) => {
   try {
-    const { playerId, name, characterClass } = req.body;
+    const { playerId } = req.auth;
+    const { name, characterClass } = req.body;
 
-    if (!playerId || !name || !characterClass) {
-      return res.status(400).json({ error: 'Player ID, name, and character class are required' });
+    if (!name || !characterClass) {
+      return res.status(400).json({ error: 'Name and character class are required' });
     }
 
     const player = await Player.findById(playerId);
@@ -268,12 +391,11 @@ app.post('/api/characters', async (req, res) => {
     }
 
     // Validate character class
-    const validClasses = ['CLERK', 'WARRIOR', 'RANGER'];
-    const normalizedClass = characterClass.toUpperCase();
-    
-    if (!validClasses.includes(normalizedClass)) {
+    if (!ClassDefinitions.isValidClass(characterClass)) {
       return res.status(400).json({ error: 'Invalid character class' });
     }
+    
+    const normalizedClass = characterClass.toUpperCase();
 
     // Create new character
     const newCharacter = {
@@ -323,14 +445,10 @@ app.post('/api/characters', async (req, res) => {
  * @desc    Set a character as active
  * @access  Private
  */
-app.put('/api/characters/:characterId/activate', async (req, res) => {
+app.put('/api/characters/:characterId/activate', AuthManager.requireAuth, async (req, res) => {
   try {
     const { characterId } = req.params;
-    const { playerId } = req.body;
-
-    if (!playerId) {
-      return res.status(400).json({ error: 'Player ID is required' });
-    }
+    const { playerId } = req.auth;
 
     const player = await Player.findById(playerId);
 
@@ -364,14 +482,10 @@ app.put('/api/characters/:characterId/activate', async (req, res) => {
  * @desc    Get a specific character
  * @access  Private
  */
-app.get('/api/characters/:characterId', async (req, res) => {
+app.get('/api/characters/:characterId', AuthManager.requireAuth, async (req, res) => {
   try {
     const { characterId } = req.params;
-    const { playerId } = req.query;
-
-    if (!playerId) {
-      return res.status(400).json({ error: 'Player ID is required' });
-    }
+    const { playerId } = req.auth;
 
     const player = await Player.findById(playerId);
 
@@ -393,13 +507,25 @@ app.get('/api/characters/:characterId', async (req, res) => {
   }
 });
 
+/**
+ * Read the winner pool tier of a battle royale request; anything unknown means ALL
+ * @param {string} tier - Requested tier
+ * @returns {string}
+ */
+function getRequestedTier(tier) {
+  const upper = String(tier || '').toUpperCase();
+  return BattleRoyale.TIERS.includes(upper) ? upper : 'ALL';
+}
+
 // API endpoint to check for battle royale triggers
 app.get('/api/check-battle-royale-trigger', async (req, res) => {
   try {
-    const pendingCount = await BattleRoyaleManager.getPendingWinnersCount();
-    const canTrigger = await BattleRoyaleManager.checkForBattleRoyaleTrigger();
+    const tier = getRequestedTier(req.query.tier);
+    const pendingCount = await BattleRoyaleManager.getPendingWinnersCount(tier);
+    const canTrigger = await BattleRoyaleManager.checkForBattleRoyaleTrigger(40, tier);
     
     res.json({
+      tier,
       pendingWinners: pendingCount,
       canTrigger,
       requiredWinners: 40
@@ -411,9 +537,17 @@ app.get('/api/check-battle-royale-trigger', async (req, res) => {
 });
 
 // API endpoint to manually trigger a battle royale
-app.post('/api/trigger-battle-royale', async (req, res) => {
+app.post('/api/trigger-battle-royale', AuthManager.requireAuth, async (req, res) => {
   try {
-    const battleRoyale = await BattleRoyaleManager.checkAndTriggerBattleRoyale();
+    const tier = getRequestedTier(req.query.tier);
+    
+    // Optionally played on a battle royale map file
+    const map = req.query.mapId ? MapLibrary.get(req.query.mapId) : null;
+    if (req.query.mapId && (!map || map.style !== MapLibrary.STYLES.BATTLE_ROYALE)) {
+      return res.status(400).json({ success: false, message: `Unknown battle royale map: ${req.query.mapId}` });
+    }
+    
+    const battleRoyale = await BattleRoyaleManager.checkAndTriggerBattleRoyale(tier, map);
     
     if (battleRoyale) {
       res.json({
@@ -421,15 +555,16 @@ app.post('/api/trigger-battle-royale', async (req, res) => {
         battleRoyale: {
           id: battleRoyale._id,
           name: battleRoyale.name,
+          tier: battleRoyale.tier,
           participants: battleRoyale.participants.length,
           status: battleRoyale.status
         }
       });
     } else {
-      const pendingCount = await BattleRoyaleManager.getPendingWinnersCount();
+      const pendingCount = await BattleRoyaleManager.getPendingWinnersCount(tier);
       res.status(400).json({
         success: false,
-        message: `Not enough tournament winners (${pendingCount}/40)`,
+        message: `Not enough ${tier} tournament winners (${pendingCount}/40)`,
         pendingWinners: pendingCount
       });
     }
@@ -440,9 +575,10 @@ app.post('/api/trigger-battle-royale', async (req, res) => {
 });
 
 // API endpoint to add test tournament winners
-app.post('/api/add-test-winners', async (req, res) => {
+app.post('/api/add-test-winners', AuthManager.requireAuth, async (req, res) => {
   try {
     const count = parseInt(req.query.count || '1', 10);
+    const tier = getRequestedTier(req.query.tier);
     
     if (isNaN(count) || count < 1 || count > 40) {
       return res.status(400).json({ error: 'Count must be between 1 and 40' });
@@ -451,7 +587,7 @@ app.post('/api/add-test-winners', async (req, res) => {
     const results = [];
     
     for (let i = 0; i < count; i++) {
-      const winner = await BattleRoyaleManager.addTestWinner({});
+      const winner = await BattleRoyaleManager.addTestWinner({ tier });
       if (winner) {
         results.push({
           id: winner._id,
@@ -461,10 +597,11 @@ app.post('/api/add-test-winners', async (req, res) => {
       }
     }
     
-    const pendingCount = await BattleRoyaleManager.getPendingWinnersCount();
+    const pendingCount = await BattleRoyaleManager.getPendingWinnersCount(tier);
     
     res.json({
       success: true,
+      tier,
       added: results.length,
       winners: results,
       pendingWinners: pendingCount
@@ -501,6 +638,18 @@ app.get('/api/players/:id', async (req, res) => {
   }
 });
 
+// Most recent rated games of a player, newest first
+app.get('/api/players/:id/rating-history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+    const history = await RatingHistory.getForPlayer(req.params.id, limit);
+    res.json(history);
+  } catch (err) {
+    console.error('Error fetching rating history:', err);
+    res.status(500).json({ error: 'Failed to fetch rating history' });
+  }
+});
+
 app.post('/api/players', async (req, res) => {
   try {
     const { username, characterClass } = req.body;
@@ -545,9 +694,15 @@ app.post('/api/players', async (req, res) => {
   }
 });
 
-app.put('/api/players/:id', async (req, res) => {
+app.put('/api/players/:id', AuthManager.requireAuth, async (req, res) => {
   try {
-    const { username, characterClass, score, stats } = req.body;
+    // Score and stats are only changed by the server, as results are recorded (see Player.recordResult)
+    const { username, characterClass } = req.body;
+    
+    // Players may only update their own record
+    if (req.params.id !== req.auth.playerId) {
+      return res.status(403).json({ error: 'You can only update your own player' });
+    }
     
     // Find player
     const player = await Player.findById(req.params.id);
@@ -559,15 +714,6 @@ app.put('/api/players/:id', async (req, res) => {
     // Update fields if provided
     if (username) player.username = username;
     if (characterClass) player.characterClass = characterClass;
-    if (score !== undefined) player.score = score;
-    if (stats) {
-      // Update only provided stats
-      Object.keys(stats).forEach(key => {
-        if (player.stats[key] !== undefined) {
-          player.stats[key] = stats[key];
-        }
-      });
-    }
     
     // Update lastActive
     player.lastActive = Date.now();
@@ -612,11 +758,14 @@ app.post('/api/tournaments', async (req, res) => {
       return res.status(400).json({ error: 'Tournament name is required' });
     }
     
+    // Seed participants by their current rating
+    const ratings = await getPlayerRatings((participants || []).map(p => p.playerId));
+    
     // Create new tournament
     const newTournament = new Tournament({
       name,
       tier: tier || 'ALL',
-      participants: participants || []
+      participants: (participants || []).map(p => ({ ...p, ...ratings[p.playerId] }))
     });
     
     // Generate brackets if participants are provided
@@ -632,6 +781,11 @@ app.post('/api/tournaments', async (req, res) => {
   }
 });
 
+// Map files that tournaments and battle royales can be played on
+app.get('/api/maps', (req, res) => {
+  res.json(MapLibrary.list(req.query.style));
+});
+
 // Battle Royale routes
 app.get('/api/battle-royale', async (req, res) => {
   try {
@@ -665,9 +819,74 @@ app.get('*', (req, res, next) => {
 // Store active players
 const players = {};
 
+// Rooms scope gameplay messages to the players of a single match
+const roomManager = new RoomManager(players);
+
 // Global tournament state
 const activeTournaments = {};
 
+// Where the two players of a tournament match start each game of their series, on
+// generated arenas; map files bring their own spawn points
+const TOURNAMENT_SPAWN_POINTS = [
+  { x: -8, y: 0.8, z: 0 },
+  { x: 8, y: 0.8, z: 0 }
+];
+
+// Where players respawn in the lobby, which has no map file or arena of its own
+const LOBBY_SPAWN_POINTS = [
+  { x: 0, y: 0.8, z: 0 },
+  { x: -4, y: 0.8, z: -4 },
+  { x: 4, y: 0.8, z: -4 },
+  { x: -4, y: 0.8, z: 4 },
+  { x: 4, y: 0.8, z: 4 }
+];
+
+// Height players stand at above the ground of a spawn point
+const MAP_SPAWN_HEIGHT = 0.8;
+
+// Most map files a tournament can rotate through
+const MAX_TOURNAMENT_MAPS = 8;
+
+// Pause between the games of a series, so both players see the result
+const TOURNAMENT_GAME_RESET_DELAY_MS = 3000;
+
+// How long a player who drops out of a match being played has to reconnect before
+// forfeiting it, and how long both players have to confirm a match once it is ready
+const TOURNAMENT_FORFEIT_TIMEOUT_MS = Number(process.env.TOURNAMENT_FORFEIT_TIMEOUT_MS) || 60 * 1000;
+const TOURNAMENT_READY_CHECK_MS = Number(process.env.TOURNAMENT_READY_CHECK_MS) || 30 * 1000;
+
+// Ready-check timers of tournament matches, keyed by `${tournamentId}:${matchId}`
+const readyCheckTimers = new Map();
+
+// Tournament players whose socket closed, keyed by account ID; their position, health
+// and match are kept for TOURNAMENT_FORFEIT_TIMEOUT_MS so a reconnect can resume
+const disconnectedPlayers = new Map();
+
+// How often players outside the safe zone take damage
+const SAFE_ZONE_DAMAGE_INTERVAL_MS = 1000;
+
+// Lobby countdown before a full battle royale starts, or before retrying a start that
+// had too few connected players
+const BATTLE_ROYALE_COUNTDOWN_MS = Number(process.env.BATTLE_ROYALE_COUNTDOWN_MS) || 30 * 1000;
+
+// Connected participants needed for a battle royale to start
+const BATTLE_ROYALE_MIN_PLAYERS = 2;
+
+// Time the results stay on screen before players return to the lobby
+const BATTLE_ROYALE_CLOSE_DELAY_MS = 10 * 1000;
+
+// Start timers of pending battle royales, keyed by battle royale ID
+const battleRoyaleStartTimers = new Map();
+
+// Accounts with a battle royale join being checked and saved
+const pendingBattleRoyaleJoins = new Set();
+
+// Time a dead player waits before coming back; the client's death screen counts down the same
+const RESPAWN_DELAY_MS = 5000;
+
+// Respawns waiting for RESPAWN_DELAY_MS to pass, keyed by client ID
+const respawnTimers = new Map();
+
 // Function to check if a tournament is ready to start
 function checkTournamentReady(tournamentId) {
   const tournament = activeTournaments[tournamentId];
@@ -683,66 +902,89 @@ function checkTournamentReady(tournamentId) {
   return false;
 }
 
-// Function to create tournament brackets
-function createTournamentBrackets(tournamentId) {
-  const tournament = activeTournaments[tournamentId];
-  if (!tournament) return null;
-  
-  // Shuffle players for random seeding
-  const shuffledPlayers = [...tournament.players].sort(() => 0.5 - Math.random());
+/**
+ * Look up the rating (score, and tier from character ratings) of player accounts
+ * Accounts that cannot be found, or every account while the database is unavailable,
+ * are left out
+ * @param {string[]} dbIds - Player account IDs
+ * @returns {Promise<Object>} - { [dbId]: { score, tier } }
+ */
+async function getPlayerRatings(dbIds) {
+  const ratings = {};
+  if (mongoose.connection.readyState !== 1) return ratings;
   
-  // Calculate number of rounds needed
-  const numPlayers = shuffledPlayers.length;
-  const numRounds = Math.ceil(Math.log2(numPlayers));
+  try {
+    const accounts = await Player.find({ _id: { $in: dbIds.filter(Boolean) } }).select('score tier characters');
+    accounts.forEach(account => {
+      // Derived on every lookup, since inactivity lowers a tier without any game being played
+      ratings[account._id.toString()] = { score: account.score, tier: account.getRatingTier() };
+    });
+  } catch (err) {
+    console.error('Error loading player ratings:', err);
+  }
   
-  // Create bracket structure
-  const brackets = [];
+  return ratings;
+}
+
+/**
+ * Look up the tier of a player account
+ * Unknown accounts, or every account while the database is unavailable, count as BRONZE
+ * @param {string} dbId - Player account ID
+ * @returns {Promise<string>}
+ */
+async function getPlayerTier(dbId) {
+  const ratings = await getPlayerRatings([dbId]);
+  return (ratings[dbId] && ratings[dbId].tier) || 'BRONZE';
+}
+
+/**
+ * Check whether a player of a tier may take part in a tournament or battle royale
+ * Events of tier ALL are open to everyone
+ * @param {string} eventTier - Tier of the tournament or battle royale
+ * @param {string} playerTier - Tier of the player
+ * @returns {boolean}
+ */
+function isTierAllowed(eventTier, playerTier) {
+  return !eventTier || eventTier === 'ALL' || eventTier === playerTier;
+}
+
+/**
+ * Create seeded tournament brackets
+ * Each player's score and tier are recorded on the tournament, so together with
+ * tournament.bracketSeed the bracket can be regenerated and audited
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object[]|null>} - Brackets, or null if the tournament is unknown
+ */
+async function createTournamentBrackets(tournamentId) {
+  const tournament = activeTournaments[tournamentId];
+  if (!tournament) return null;
   
-  // First round with actual participants
-  const firstRoundMatches = [];
-  const numFirstRoundMatches = Math.floor(numPlayers / 2);
+  const ratings = await getPlayerRatings(tournament.players.map(p => p.dbId));
+  tournament.players.forEach(p => {
+    const rating = ratings[p.dbId] || {};
+    p.score = rating.score || 0;
+    p.tier = rating.tier || 'BRONZE';
+  });
   
-  for (let i = 0; i < numFirstRoundMatches; i++) {
-    const player1 = shuffledPlayers[i];
-    const player2 = shuffledPlayers[numPlayers - 1 - i];
-    
-    firstRoundMatches.push({
-      matchId: `R1-M${i+1}`,
-      player1Id: player1.id,
-      player2Id: player2.id,
-      player1Name: player1.username || player1.id,
-      player2Name: player2.username || player2.id,
-      winnerId: null,
-      status: 'PENDING'
-    });
-  }
+  // Tiebreaks are drawn by account ID, which (unlike the client ID) is stable
+  const { seededPlayers, brackets } = BracketManager.createBrackets(
+    tournament.players.map(p => ({
+      id: p.id,
+      key: p.dbId,
+      name: p.username || p.id,
+      score: p.score,
+      tier: p.tier
+    })),
+    tournament.bracketSeed,
+    tournament.format
+  );
   
-  brackets.push({
-    round: 1,
-    matches: firstRoundMatches
+  seededPlayers.forEach(seeded => {
+    tournament.players.find(p => p.id === seeded.id).seed = seeded.seed;
   });
   
-  // Generate placeholder matches for subsequent rounds
-  for (let round = 2; round <= numRounds; round++) {
-    const numMatches = Math.pow(2, numRounds - round);
-    const matches = [];
-    
-    for (let i = 0; i < numMatches; i++) {
-      matches.push({
-        matchId: `R${round}-M${i+1}`,
-        player1Id: null,
-        player2Id: null,
-        player1Name: 'TBD',
-        player2Name: 'TBD',
-        winnerId: null,
-        status: 'PENDING'
-      });
-    }
-    
-    brackets.push({
-      round,
-      matches
-    });
+  if (tournament.format === BracketGenerator.FORMATS.SWISS) {
+    tournament.swissRounds = BracketGenerator.getSwissRoundCount(tournament.players.length);
   }
   
   return brackets;
@@ -753,103 +995,1038 @@ function updateTournamentBracket(tournamentId, matchId, winnerId) {
   const tournament = activeTournaments[tournamentId];
   if (!tournament) return false;
   
-  // Find the match in the bracket
-  let match = null;
-  let roundIndex = -1;
-  let matchIndex = -1;
-  
-  for (let i = 0; i < tournament.brackets.length; i++) {
-    const round = tournament.brackets[i];
-    for (let j = 0; j < round.matches.length; j++) {
-      if (round.matches[j].matchId === matchId) {
-        match = round.matches[j];
-        roundIndex = i;
-        matchIndex = j;
-        break;
-      }
-    }
-    if (match) break;
+  // Validates the result and moves the players on according to the tournament format
+  const result = BracketManager.recordResult(tournament, matchId, winnerId);
+  if (!result) return false;
+  
+  advanceTournament(tournament, result);
+  return true;
+}
+
+/**
+ * Record a death the server has applied and decide whatever game it ends
+ * @param {string} playerId - Player (client) ID of the player who died
+ * @param {string|null} killerId - Player credited with the kill
+ */
+function handlePlayerDeath(playerId, killerId) {
+  const room = roomManager.getPlayerRoom(playerId);
+  if (!room) return;
+  
+  room.recordDeath(playerId, killerId);
+  
+  if (room.type === RoomManager.ROOM_TYPES.TOURNAMENT_MATCH) {
+    decideTournamentGame(room, playerId);
+  } else if (room.battleRoyale) {
+    eliminateBattleRoyalePlayer(room, playerId, killerId);
+  }
+}
+
+/**
+ * Spawn points of a room: its map file's, else the tournament arena's or the lobby's
+ * Tournament players start on the first two; anyone else may use any of them
+ * @param {Room} room - Room to spawn in
+ * @returns {Array<Object>} - Positions {x, y, z}
+ */
+function getRoomSpawnPoints(room) {
+  const map = room.mapId ? MapLibrary.get(room.mapId) : null;
+  if (map) {
+    return map.spawnPoints.map(({ x, z }) => ({ x, y: MAP_SPAWN_HEIGHT, z }));
+  }
+  
+  return room.type === RoomManager.ROOM_TYPES.TOURNAMENT_MATCH
+    ? TOURNAMENT_SPAWN_POINTS
+    : LOBBY_SPAWN_POINTS;
+}
+
+/**
+ * Move a spawn point onto walkable ground in a room and stand it on the terrain
+ * A spawn point may have landed on a tree or stone in the room's arena
+ * @param {Room} room - Room to spawn in
+ * @param {Object} spawnPoint - Position {x, y, z}
+ * @returns {Object} - Position {x, y, z}
+ */
+function placeOnGround(room, spawnPoint) {
+  if (!room.navGrid) return { ...spawnPoint };
+  
+  const { x, z } = room.navGrid.findNearestWalkable(spawnPoint);
+  return { x, y: room.navGrid.getHeightAt({ x, z }) + MAP_SPAWN_HEIGHT, z };
+}
+
+/**
+ * One of a room's spawn points at random, on walkable ground
+ * @param {Room} room - Room to spawn in
+ * @returns {Object} - Position {x, y, z}
+ */
+function pickSpawnPoint(room) {
+  const spawnPoints = getRoomSpawnPoints(room);
+  return placeOnGround(room, spawnPoints[Math.floor(Math.random() * spawnPoints.length)]);
+}
+
+/**
+ * Where a joining player starts in a room
+ * The position the client reports is kept if it is on the room's walkable ground, standing
+ * on the terrain; anything else gets one of the room's spawn points
+ * @param {Room} room - Room the player joins
+ * @param {Object} [position] - Position {x, y, z} reported by the client
+ * @returns {Object} - Position {x, y, z}
+ */
+function getJoinPosition(room, position) {
+  if (!WorldSimulation.isValidPosition(position) || (room.navGrid && !room.navGrid.isWalkable(position))) {
+    return pickSpawnPoint(room);
   }
   
-  if (!match) return false;
+  const ground = room.navGrid ? room.navGrid.getHeightAt(position) : 0;
+  return { x: position.x, y: ground + MAP_SPAWN_HEIGHT, z: position.z };
+}
+
+/**
+ * Bring a dead player back at full health once their respawn delay is over
+ * The server picks one of the room's spawn points; does nothing if the player has since
+ * left the room or is no longer dead
+ * @param {string} clientId - Player (client) ID
+ * @param {Room} room - Room the player died in
+ */
+function respawnPlayer(clientId, room) {
+  respawnTimers.delete(clientId);
+  
+  const player = players[clientId];
+  if (!player || !player.stats || player.stats.health > 0 || !room.hasPlayer(clientId)) return;
   
-  // Update match result
-  match.winnerId = winnerId;
-  match.status = 'COMPLETED';
+  // Respawn health always comes from the class definition, not the client
+  const maxHealth = ClassDefinitions.getClassStats(player.characterClass).health;
   
-  // Find winner name
-  const winner = tournament.players.find(p => p.id === winnerId);
-  const winnerName = winner ? (winner.username || winner.id) : winnerId;
+  WorldSimulation.resetPlayer(player, pickSpawnPoint(room), maxHealth);
   
-  // If not the final round, update the next round's match
-  if (roundIndex < tournament.brackets.length - 1) {
-    const nextRound = tournament.brackets[roundIndex + 1];
-    const nextMatchIndex = Math.floor(matchIndex / 2);
-    const nextMatch = nextRound.matches[nextMatchIndex];
+  roomManager.broadcast(room.id, {
+    type: 'playerRespawn',
+    id: clientId,
+    position: player.position,
+    health: maxHealth,
+    maxHealth
+  });
+}
+
+/**
+ * Start the countdown to a pending battle royale's startTime and tell its participants
+ * Rescheduling replaces the previous timer
+ * @param {Object} battleRoyale - BattleRoyale document
+ */
+function scheduleBattleRoyaleStart(battleRoyale) {
+  const id = battleRoyale._id.toString();
+  const startTime = new Date(battleRoyale.startTime).getTime();
+  
+  clearTimeout(battleRoyaleStartTimers.get(id));
+  battleRoyaleStartTimers.set(id, setTimeout(() => {
+    battleRoyaleStartTimers.delete(id);
+    startBattleRoyale(id).catch(error => console.error(`Error starting battle royale ${id}:`, error));
+  }, Math.max(0, startTime - Date.now())));
+  
+  const countdown = {
+    type: 'battleRoyaleCountdown',
+    battleRoyaleId: id,
+    startTime,
+    participantCount: battleRoyale.participants.length,
+    maxParticipants: battleRoyale.maxParticipants,
+    serverTime: Date.now()
+  };
+  
+  getConnectedParticipants(battleRoyale).forEach(clientId => roomManager.send(clientId, countdown));
+}
+
+/**
+ * Public details of a battle royale, without its participants' account IDs
+ * @param {Object} battleRoyale - BattleRoyale document
+ * @returns {Object}
+ */
+function getBattleRoyaleSummary(battleRoyale) {
+  return {
+    battleRoyaleId: battleRoyale._id.toString(),
+    name: battleRoyale.name,
+    tier: battleRoyale.tier,
+    status: battleRoyale.status,
+    startTime: battleRoyale.startTime,
+    participantCount: battleRoyale.participants.length,
+    maxParticipants: battleRoyale.maxParticipants,
+    participants: battleRoyale.participants.map(({ username, characterClass }) => ({ username, characterClass }))
+  };
+}
+
+/**
+ * Client IDs of a battle royale's participants who are connected right now
+ * Participants are stored by account, so this follows them across reconnects
+ * @param {Object} battleRoyale - BattleRoyale document
+ * @returns {Array<string>}
+ */
+function getConnectedParticipants(battleRoyale) {
+  const accountIds = new Set(battleRoyale.participants.map(participant => participant.playerId));
+  
+  return Object.keys(players).filter(clientId =>
+    players[clientId].connected && accountIds.has(players[clientId].dbId)
+  );
+}
+
+/**
+ * Client IDs of the participants a battle royale can start with
+ * Only players waiting in the lobby who have joined the game (and so have stats) take
+ * part, and only through the newest connection of each account
+ * @param {Object} battleRoyale - BattleRoyale document
+ * @returns {Array<string>}
+ */
+function getStartingParticipants(battleRoyale) {
+  const newest = new Map();
+  
+  getConnectedParticipants(battleRoyale).forEach(clientId => {
+    const player = players[clientId];
+    const room = roomManager.getPlayerRoom(clientId);
+    if (!player.stats || !room || room.id !== RoomManager.LOBBY_ROOM_ID) return;
     
-    // Determine if this winner goes to player1 or player2 slot
-    if (matchIndex % 2 === 0) {
-      nextMatch.player1Id = winnerId;
-      nextMatch.player1Name = winnerName;
-    } else {
-      nextMatch.player2Id = winnerId;
-      nextMatch.player2Name = winnerName;
+    const current = newest.get(player.dbId);
+    if (!current || players[current].connectedAt < player.connectedAt) {
+      newest.set(player.dbId, clientId);
     }
+  });
+  
+  return [...newest.values()];
+}
+
+/**
+ * Schedule the start of every pending battle royale stored in the database
+ * Used on boot, since start timers do not survive a restart
+ */
+async function rescheduleBattleRoyales() {
+  try {
+    const pending = await BattleRoyale.find({ status: 'PENDING' });
+    pending.forEach(scheduleBattleRoyaleStart);
     
-    // If both players are set, update match status
-    if (nextMatch.player1Id && nextMatch.player2Id) {
-      nextMatch.status = 'READY';
+    if (pending.length > 0) {
+      console.log(`Rescheduled ${pending.length} pending battle royales`);
     }
-  } else {
-    // This was the final match, tournament is complete
-    tournament.status = 'COMPLETED';
-    tournament.winner = {
-      id: winnerId,
-      name: winnerName
-    };
+  } catch (err) {
+    console.error('Error rescheduling battle royales:', err);
+  }
+}
+
+/**
+ * Start a battle royale whose countdown ran out
+ * Participants waiting in the lobby are spread over the spawn ring with full health; if
+ * too few are there the start is pushed back by another countdown
+ * @param {string} battleRoyaleId - BattleRoyale document ID
+ */
+async function startBattleRoyale(battleRoyaleId) {
+  const battleRoyale = await BattleRoyale.findById(battleRoyaleId);
+  if (!battleRoyale || battleRoyale.status !== 'PENDING') return;
+  
+  const playerIds = getStartingParticipants(battleRoyale);
+  
+  if (playerIds.length < BATTLE_ROYALE_MIN_PLAYERS) {
+    console.log(`Battle royale ${battleRoyaleId} has ${playerIds.length} players ready in the lobby, postponing start`);
+    battleRoyale.startTime = new Date(Date.now() + BATTLE_ROYALE_COUNTDOWN_MS);
+    await battleRoyale.save();
+    scheduleBattleRoyaleStart(battleRoyale);
+    return;
+  }
+  
+  battleRoyale.status = 'IN_PROGRESS';
+  battleRoyale.startTime = new Date();
+  await battleRoyale.save();
+  
+  // Participants play in their own room, away from the lobby
+  const room = openBattleRoyaleRoom(battleRoyale, playerIds);
+  room.battleRoyale = new BattleRoyaleMatch({ battleRoyaleId, playerIds });
+  
+  const map = getBattleRoyaleMap(battleRoyale);
+  const spawnPoints = BattleRoyaleMatch.getSpawnPoints(
+    playerIds.length,
+    battleRoyale.mapSize,
+    map ? map.spawnPoints : []
+  );
+  
+  playerIds.forEach((playerId, index) => {
+    const player = players[playerId];
+    const maxHealth = ClassDefinitions.getClassStats(player.characterClass).health;
+    WorldSimulation.resetPlayer(player, placeOnGround(room, spawnPoints[index]), maxHealth);
     
-    // Broadcast tournament completion
-    broadcastToAll({
-      type: 'tournamentComplete',
-      tournamentId,
-      winner: tournament.winner
+    roomManager.broadcast(room.id, {
+      type: 'playerRespawn',
+      id: playerId,
+      position: player.position,
+      health: maxHealth,
+      maxHealth
     });
-    
-    // Save tournament results to database if connected
-    if (mongoose.connection.readyState === 1) {
-      // Use a self-executing async function to allow await
-      (async () => {
-        try {
-          // Create a database record of the tournament
-          const dbTournament = new Tournament({
-            name: tournament.name,
-            tier: tournament.tier || 'ALL',
-            participants: tournament.players.map(p => ({
-              playerId: p.dbId,
-              username: p.username || p.id,
-              characterClass: p.characterClass
-            })),
-            winner: {
-              playerId: winner.dbId,
-              username: winner.username || winner.id,
-              characterClass: winner.characterClass
-            }
-          });
-          
-          // Generate brackets and save
-          dbTournament.generateBrackets();
-          dbTournament.status = 'COMPLETED';
-          dbTournament.endDate = new Date();
-          await dbTournament.save();
+  });
+  
+  console.log(`Battle royale ${battleRoyaleId} started with ${playerIds.length} players`);
+  
+  // Notify all clients that battle royale has started; participants are named, not identified by account
+  broadcastToAll({
+    type: 'battleRoyaleStarted',
+    battleRoyaleId: battleRoyale._id.toString(),
+    participants: getBattleRoyaleSummary(battleRoyale).participants,
+    roomId: room.id,
+    mapSeed: room.mapSeed,
+    mapId: room.mapId,
+    remaining: playerIds.length
+  });
+}
+
+/**
+ * Take a player out of the battle royale being played in a room
+ * The battle royale completes once one player is left
+ * @param {Room} room - Battle royale room
+ * @param {string} playerId - Player (client) ID of the eliminated player
+ * @param {string|null} killerId - Player credited with the kill
+ */
+function eliminateBattleRoyalePlayer(room, playerId, killerId) {
+  const elimination = room.battleRoyale.eliminate(playerId, killerId);
+  if (!elimination) return;
+  
+  roomManager.broadcast(room.id, {
+    type: 'battleRoyaleElimination',
+    battleRoyaleId: room.battleRoyale.battleRoyaleId,
+    playerId,
+    playerName: players[playerId]?.username || playerId,
+    killerId: elimination.killerId,
+    killerName: elimination.killerId ? players[elimination.killerId]?.username || elimination.killerId : null,
+    placement: elimination.placement,
+    remaining: elimination.remaining
+  });
+  
+  if (room.battleRoyale.isOver()) {
+    completeBattleRoyale(room);
+  }
+}
+
+/**
+ * Finish a battle royale: announce the placements, store them and send everyone back to the lobby
+ * @param {Room} room - Battle royale room
+ */
+function completeBattleRoyale(room) {
+  const match = room.battleRoyale;
+  match.complete();
+  
+  const winnerId = match.getWinnerId();
+  
+  // Stored results refer to accounts, which outlive the connections the match was played with
+  const results = match.getPlacements().map(placement => ({
+    ...placement,
+    playerId: players[placement.playerId]?.dbId || placement.playerId,
+    name: players[placement.playerId]?.username || placement.playerId
+  }));
+  
+  console.log(`Battle royale ${match.battleRoyaleId} won by ${winnerId}`);
+  
+  broadcastToAll({
+    type: 'battleRoyaleComplete',
+    battleRoyaleId: match.battleRoyaleId,
+    roomId: room.id,
+    winnerId,
+    winnerName: winnerId ? players[winnerId]?.username || winnerId : null,
+    results
+  });
+  
+  setTimeout(() => closeRoom(room.id), BATTLE_ROYALE_CLOSE_DELAY_MS);
+  
+  if (mongoose.connection.readyState !== 1) return;
+  
+  (async () => {
+    try {
+      await BattleRoyale.findByIdAndUpdate(match.battleRoyaleId, {
+        status: 'COMPLETED',
+        endedAt: new Date(match.completedAt),
+        winnerId: results.length > 0 && results[0].position === 1 ? results[0].playerId : null,
+        results: results.map(({ playerId, name, position, kills }) => ({ playerId, username: name, position, kills }))
+      });
+      
+      for (const result of results) {
+        if (!mongoose.Types.ObjectId.isValid(result.playerId)) continue;
+        
+        await Player.recordResult(result.playerId, result.position === 1
+          ? { 'stats.wins': 1, 'stats.gamesPlayed': 1, score: 100 }
+          : { 'stats.losses': 1, 'stats.gamesPlayed': 1 });
+      }
+      
+      console.log(`Battle royale ${match.battleRoyaleId} results saved`);
+    } catch (error) {
+      console.error(`Error saving battle royale ${match.battleRoyaleId} results:`, error);
+    }
+  })();
+}
+
+/**
+ * Map file a battle royale is played on
+ * @param {Object} battleRoyale - BattleRoyale document
+ * @returns {Object|null} - The map, or null for a generated map
+ */
+function getBattleRoyaleMap(battleRoyale) {
+  const map = battleRoyale.mapId ? MapLibrary.get(battleRoyale.mapId) : null;
+  return map && map.style === MapLibrary.STYLES.BATTLE_ROYALE ? map : null;
+}
+
+/**
+ * Open the room a battle royale is played in, with its safe zone and health pickups,
+ * and move the participants into it
+ * @param {Object} battleRoyale - BattleRoyale document
+ * @param {Array<string>} playerIds - Client IDs of the connected participants
+ * @returns {Room} - The battle royale room
+ */
+function openBattleRoyaleRoom(battleRoyale, playerIds) {
+  const map = getBattleRoyaleMap(battleRoyale);
+  
+  const room = roomManager.createRoom({
+    id: `battleRoyale:${battleRoyale._id}`,
+    type: RoomManager.ROOM_TYPES.BATTLE_ROYALE,
+    metadata: { battleRoyaleId: battleRoyale._id.toString() },
+    mapSeed: MapSeed.createMapSeed(),
+    mapId: map ? map.id : null
+  });
+  
+  if (!room.safeZone) {
+    room.safeZone = new SafeZone({
+      mapSize: battleRoyale.mapSize,
+      centres: map && map.zoneCentres ? map.zoneCentres : []
+    });
+    room.safeZoneDamageAt = Date.now() + SAFE_ZONE_DAMAGE_INTERVAL_MS;
+    room.onTick(updateSafeZone);
+  }
+  
+  if (!room.pickups) {
+    room.pickups = new PickupField({
+      mapSize: battleRoyale.mapSize,
+      spawnPoints: map ? map.pickupSpawns : null
+    });
+    room.onTick(respawnPickups);
+  }
+  
+  if (!room.navGrid) {
+    room.setNavGrid(map ? NavGrid.forMapFile(map) : NavGrid.forSquareMap(battleRoyale.mapSize));
+  }
+  
+  playerIds.forEach(playerId => movePlayerToRoom(playerId, room.id));
+  
+  return room;
+}
+
+/**
+ * Advance a room's safe zone, announce phase changes and damage players outside it
+ * Runs on every tick of a battle royale room
+ * @param {Room} room - Battle royale room
+ */
+function updateSafeZone(room) {
+  const zone = room.safeZone;
+  const now = Date.now();
+  
+  if (zone.update(now)) {
+    roomManager.broadcast(room.id, { type: 'safeZoneUpdate', roomId: room.id, ...zone.toJSON(now) });
+  }
+  
+  if (now < room.safeZoneDamageAt) return;
+  room.safeZoneDamageAt = now + SAFE_ZONE_DAMAGE_INTERVAL_MS;
+  
+  const damage = zone.getDamagePerSecond() * SAFE_ZONE_DAMAGE_INTERVAL_MS / 1000;
+  if (damage <= 0) return;
+  
+  room.playerIds.forEach(playerId => {
+    const player = players[playerId];
+    if (!player || !player.connected || !player.stats || !player.position) return;
+    if (player.stats.health <= 0 || zone.contains(player.position, now)) return;
+    
+    player.stats.health = Math.max(0, player.stats.health - damage);
+    
+    roomManager.broadcast(room.id, {
+      type: 'playerHealth',
+      id: playerId,
+      health: player.stats.health,
+      maxHealth: player.stats.maxHealth,
+      damage,
+      attackerId: null,
+      source: 'safeZone'
+    });
+    
+    if (player.stats.health <= 0) {
+      roomManager.broadcast(room.id, {
+        type: 'playerDeath',
+        id: playerId,
+        attackerId: null,
+        source: 'safeZone'
+      });
+      
+      handlePlayerDeath(playerId, null);
+    }
+  });
+}
+
+/**
+ * Bring back collected pickups whose respawn timer has run out
+ * Runs on every tick of a battle royale room
+ * @param {Room} room - Battle royale room
+ */
+function respawnPickups(room) {
+  room.pickups.update().forEach(pickup => {
+    roomManager.broadcast(room.id, {
+      type: 'pickupRespawned',
+      roomId: room.id,
+      pickupId: pickup.id,
+      position: pickup.position
+    });
+  });
+}
+
+/**
+ * Collect a health pickup for a player if the server agrees they can
+ * @param {string} clientId - Collecting player
+ * @param {string} pickupId - Pickup ID
+ * @returns {string|null} - Reason the pickup was refused, or null if it was collected
+ */
+function collectPickup(clientId, pickupId) {
+  const player = players[clientId];
+  const room = roomManager.getPlayerRoom(clientId);
+  
+  if (!room || !room.pickups) return PickupField.REJECT_REASONS.NOT_FOUND;
+  if (!player || !player.stats || !player.position || player.stats.health <= 0) {
+    return PickupField.REJECT_REASONS.UNAVAILABLE;
+  }
+  
+  const result = room.pickups.collect(pickupId, player.position);
+  if (result.error) return result.error;
+  
+  const { pickup } = result;
+  player.stats.health = Math.min(player.stats.maxHealth, player.stats.health + pickup.healAmount);
+  
+  roomManager.broadcast(room.id, {
+    type: 'pickupCollected',
+    roomId: room.id,
+    pickupId: pickup.id,
+    playerId: clientId,
+    healAmount: pickup.healAmount,
+    health: player.stats.health,
+    maxHealth: player.stats.maxHealth,
+    respawnAt: pickup.respawnAt
+  });
+  
+  return null;
+}
+
+/**
+ * Give the current game of a tournament match to the opponent of the player who died
+ * Only the first death of a game counts; the room's deaths are cleared when the next game starts
+ * @param {Room} room - Tournament match room
+ * @param {string} deadPlayerId - Player (client) ID of the player who died
+ */
+function decideTournamentGame(room, deadPlayerId) {
+  if (room.deaths.length !== 1) return;
+  
+  const { tournamentId, matchId } = room.metadata;
+  const tournament = activeTournaments[tournamentId];
+  const match = tournament ? BracketManager.findMatch(tournament.brackets, matchId) : null;
+  
+  // Deaths before both players confirmed the ready check do not count
+  if (!match || match.status !== 'IN_PROGRESS') return;
+  
+  const winnerId = match.player1Id === deadPlayerId ? match.player2Id : match.player1Id;
+  
+  // Captured now, since either player may have disconnected by the time the ratings are saved
+  const game = {
+    tournamentId,
+    matchId,
+    number: match.score.player1 + match.score.player2 + 1,
+    winner: players[winnerId] && { clientId: winnerId, dbId: players[winnerId].dbId, characterClass: players[winnerId].characterClass },
+    loser: players[deadPlayerId] && { clientId: deadPlayerId, dbId: players[deadPlayerId].dbId, characterClass: players[deadPlayerId].characterClass }
+  };
+  
+  if (recordTournamentGame(tournamentId, matchId, winnerId)) {
+    console.log(`Tournament ${tournamentId} match ${matchId} game won by ${winnerId}`);
+    rateTournamentGame(game);
+  }
+}
+
+/**
+ * Update the Glicko-2 ratings of the characters that played a decided tournament game
+ * Only games decided by a death are rated; forfeits and byes are not. Both ratings,
+ * before and after, are stored in RatingHistory and sent to the two players.
+ * @param {Object} game - { tournamentId, matchId, number, winner, loser } with winner and
+ *   loser as { clientId, dbId, characterClass }
+ */
+async function rateTournamentGame(game) {
+  if (mongoose.connection.readyState !== 1 || !game.winner || !game.loser) return;
+  
+  try {
+    const [winnerAccount, loserAccount] = await Promise.all([
+      Player.findById(game.winner.dbId),
+      Player.findById(game.loser.dbId)
+    ]);
+    
+    const winnerCharacter = winnerAccount && winnerAccount.getCharacterByClass(game.winner.characterClass);
+    const loserCharacter = loserAccount && loserAccount.getCharacterByClass(game.loser.characterClass);
+    
+    if (!winnerCharacter || !loserCharacter) {
+      console.warn(`Not rating ${game.tournamentId} match ${game.matchId} game ${game.number}: character not found`);
+      return;
+    }
+    
+    const now = Date.now();
+    const before = { winner: winnerCharacter.rating.toObject(), loser: loserCharacter.rating.toObject() };
+    const after = Glicko2.rateGame(before.winner, before.loser, now);
+    
+    winnerCharacter.rating = after.winner;
+    loserCharacter.rating = after.loser;
+    winnerAccount.tier = winnerAccount.getRatingTier(now);
+    loserAccount.tier = loserAccount.getRatingTier(now);
+    
+    await Promise.all([winnerAccount.save(), loserAccount.save()]);
+    
+    const toChange = (side, account, character, result) => ({
+      playerId: account._id.toString(),
+      characterId: character._id,
+      characterClass: character.characterClass,
+      result,
+      ratingBefore: before[side].rating,
+      rdBefore: before[side].rd,
+      volatilityBefore: before[side].volatility,
+      rating: after[side].rating,
+      rd: after[side].rd,
+      volatility: after[side].volatility
+    });
+    
+    await RatingHistory.create({
+      tournamentId: game.tournamentId,
+      matchId: game.matchId,
+      game: game.number,
+      changes: [
+        toChange('winner', winnerAccount, winnerCharacter, 'WIN'),
+        toChange('loser', loserAccount, loserCharacter, 'LOSS')
+      ]
+    });
+    
+    [['winner', winnerAccount], ['loser', loserAccount]].forEach(([side, account]) => {
+      roomManager.send(game[side].clientId, {
+        type: 'ratingUpdated',
+        characterClass: game[side].characterClass,
+        rating: Math.round(after[side].rating),
+        rd: Math.round(after[side].rd),
+        change: Math.round(after[side].rating - before[side].rating),
+        tier: account.tier
+      });
+    });
+    
+    console.log(`Rated ${game.tournamentId} match ${game.matchId} game ${game.number}: ` +
+      `${Math.round(before.winner.rating)} -> ${Math.round(after.winner.rating)}, ` +
+      `${Math.round(before.loser.rating)} -> ${Math.round(after.loser.rating)}`);
+  } catch (error) {
+    console.error(`Error rating ${game.tournamentId} match ${game.matchId} game ${game.number}:`, error);
+  }
+}
+
+/**
+ * Log a result a client tried to report itself
+ * Outcomes come from the server's own record of deaths, so the claim is ignored;
+ * the count per connection makes repeat offenders stand out in the logs
+ * @param {string} clientId - Client that sent the claim
+ * @param {string} type - Message type
+ * @param {Object} claim - Message as received
+ */
+function flagResultClaim(clientId, type, claim) {
+  const player = players[clientId];
+  if (!player) return;
+  
+  player.flaggedClaims = (player.flaggedClaims || 0) + 1;
+  
+  console.warn(`Ignored ${type} claim from ${clientId} (account ${player.dbId || 'none'}, ` +
+    `${player.flaggedClaims} flagged):`, JSON.stringify(claim));
+}
+
+/**
+ * Record the winner of one game of a tournament match series
+ * The bracket only advances once a player has won the majority of the match's
+ * games; until then both players are reset in the same arena for the next game
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ * @param {string} winnerId - Client ID of the game winner
+ * @returns {boolean} - Whether the result was accepted
+ */
+function recordTournamentGame(tournamentId, matchId, winnerId) {
+  const tournament = activeTournaments[tournamentId];
+  if (!tournament) return false;
+  
+  const result = BracketManager.recordGame(tournament, matchId, winnerId);
+  if (!result) return false;
+  
+  const { match } = result;
+  
+  if (match.roomId) {
+    roomManager.broadcast(match.roomId, {
+      type: 'tournamentGameComplete',
+      tournamentId,
+      matchId,
+      winnerId,
+      score: match.score,
+      bestOf: tournament.bestOf,
+      seriesOver: result.seriesOver
+    });
+  }
+  
+  if (result.seriesOver) {
+    advanceTournament(tournament, result);
+    return true;
+  }
+  
+  broadcastToAll({
+    type: 'tournamentBracketUpdate',
+    tournamentId,
+    format: tournament.format,
+    bestOf: tournament.bestOf,
+    brackets: tournament.brackets
+  });
+  
+  TournamentStore.save(tournament);
+  
+  setTimeout(() => startTournamentGame(tournament, match), TOURNAMENT_GAME_RESET_DELAY_MS);
+  return true;
+}
+
+/**
+ * Reset the arena of a match series for its next game
+ * Both players get full health, their starting positions and no cooldowns
+ * @param {Object} tournament - Live tournament
+ * @param {Object} match - Bracket match being played
+ */
+function startTournamentGame(tournament, match) {
+  // The match may have been decided or its room closed during the pause
+  const room = match.roomId ? roomManager.getRoom(match.roomId) : null;
+  if (match.status !== 'IN_PROGRESS' || !room) return;
+  
+  room.clearDeaths();
+  
+  const game = match.score.player1 + match.score.player2 + 1;
+  
+  const spawnPoints = getRoomSpawnPoints(room);
+  
+  [match.player1Id, match.player2Id].forEach((playerId, index) => {
+    const player = players[playerId];
+    if (!player) return;
+    
+    const spawnPoint = placeOnGround(room, spawnPoints[index]);
+    
+    const maxHealth = ClassDefinitions.getClassStats(player.characterClass).health;
+    WorldSimulation.resetPlayer(player, spawnPoint, maxHealth);
+    
+    // Clients already reset health, position and death state on respawn
+    roomManager.broadcast(match.roomId, {
+      type: 'playerRespawn',
+      id: playerId,
+      position: player.position,
+      health: maxHealth,
+      maxHealth
+    });
+  });
+  
+  roomManager.broadcast(match.roomId, {
+    type: 'tournamentGameStart',
+    tournamentId: tournament.id,
+    matchId: match.matchId,
+    game,
+    score: match.score,
+    bestOf: tournament.bestOf
+  });
+}
+
+/**
+ * Make a match whose players are both known ready to play
+ * The match gets its room, and both players must confirm within
+ * TOURNAMENT_READY_CHECK_MS or the one who did not forfeits
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} match - Bracket match with both players assigned
+ */
+function scheduleTournamentMatch(tournamentId, match) {
+  const key = `${tournamentId}:${match.matchId}`;
+  clearTimeout(readyCheckTimers.get(key));
+  
+  match.status = 'READY';
+  match.readyCheck = {
+    player1: false,
+    player2: false,
+    expiresAt: Date.now() + TOURNAMENT_READY_CHECK_MS
+  };
+  
+  readyCheckTimers.set(key, setTimeout(() => expireReadyCheck(tournamentId, match.matchId), TOURNAMENT_READY_CHECK_MS));
+  
+  openTournamentMatchRoom(tournamentId, match);
+  notifyTournamentMatchReady(tournamentId, match);
+}
+
+/**
+ * Confirm that a player is ready for their match; the match starts once both are
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ * @param {string} playerId - Player (client) ID confirming
+ * @returns {string|null} - Error message, or null if the confirmation was accepted
+ */
+function confirmTournamentMatchReady(tournamentId, matchId, playerId) {
+  const tournament = activeTournaments[tournamentId];
+  const match = tournament ? BracketManager.findMatch(tournament.brackets, matchId) : null;
+  
+  if (!match || match.status !== 'READY' || !match.readyCheck) {
+    return 'Match is not waiting for players';
+  }
+  
+  const slot = match.player1Id === playerId ? 'player1' : (match.player2Id === playerId ? 'player2' : null);
+  if (!slot) {
+    return 'You are not playing in this match';
+  }
+  
+  match.readyCheck[slot] = true;
+  
+  roomManager.broadcast(match.roomId, {
+    type: 'tournamentMatchReadyUpdate',
+    tournamentId,
+    matchId,
+    readyCheck: match.readyCheck
+  });
+  
+  if (match.readyCheck.player1 && match.readyCheck.player2) {
+    clearTimeout(readyCheckTimers.get(`${tournamentId}:${matchId}`));
+    readyCheckTimers.delete(`${tournamentId}:${matchId}`);
+    
+    match.status = 'IN_PROGRESS';
+    startTournamentGame(tournament, match);
+    TournamentStore.save(tournament);
+  }
+  
+  return null;
+}
+
+/**
+ * Forfeit a match whose ready check ran out
+ * A player who confirmed advances; if neither did, the better seed advances
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} matchId - Match ID
+ */
+function expireReadyCheck(tournamentId, matchId) {
+  readyCheckTimers.delete(`${tournamentId}:${matchId}`);
+  
+  const tournament = activeTournaments[tournamentId];
+  const match = tournament ? BracketManager.findMatch(tournament.brackets, matchId) : null;
+  if (!match || match.status !== 'READY' || !match.readyCheck) return;
+  
+  const { player1, player2 } = match.readyCheck;
+  let noShowId;
+  
+  if (player1 !== player2) {
+    noShowId = player1 ? match.player2Id : match.player1Id;
+  } else {
+    const seed1 = match.player1Seed || Infinity;
+    const seed2 = match.player2Seed || Infinity;
+    noShowId = seed2 < seed1 ? match.player1Id : match.player2Id;
+  }
+  
+  forfeitTournamentMatch(tournament, match, noShowId, 'NO_SHOW');
+}
+
+/**
+ * Award a match to the opponent of a player who did not show up or did not come back
+ * @param {Object} tournament - Live tournament
+ * @param {Object} match - Bracket match
+ * @param {string} forfeitedId - Player (client) ID who forfeits
+ * @param {string} reason - NO_SHOW or DISCONNECT
+ */
+function forfeitTournamentMatch(tournament, match, forfeitedId, reason) {
+  const winnerId = match.player1Id === forfeitedId ? match.player2Id : match.player1Id;
+  
+  console.log(`Tournament ${tournament.id} match ${match.matchId}: ${forfeitedId} forfeits (${reason})`);
+  
+  broadcastToAll({
+    type: 'tournamentMatchForfeit',
+    tournamentId: tournament.id,
+    matchId: match.matchId,
+    forfeitedId,
+    winnerId,
+    reason
+  });
+  
+  updateTournamentBracket(tournament.id, match.matchId, winnerId);
+}
+
+/**
+ * Keep the tournament state of a player whose socket closed
+ * If they were playing a match, their opponent is told and the match is forfeited
+ * unless they reconnect within TOURNAMENT_FORFEIT_TIMEOUT_MS
+ * @param {string} clientId - Client ID of the disconnected player
+ */
+function holdTournamentPlayer(clientId) {
+  const player = players[clientId];
+  if (!player || !player.dbId) return;
+  
+  const tournament = activeTournaments[player.currentTournament];
+  if (!tournament || tournament.status !== 'IN_PROGRESS' || !tournament.players.some(p => p.id === clientId)) return;
+  
+  const match = BracketManager.getMatches(tournament.brackets).find(m =>
+    m.status === 'IN_PROGRESS' && (m.player1Id === clientId || m.player2Id === clientId)
+  );
+  
+  const previous = disconnectedPlayers.get(player.dbId);
+  if (previous) {
+    clearTimeout(previous.timer);
+  }
+  
+  const forfeitAt = Date.now() + TOURNAMENT_FORFEIT_TIMEOUT_MS;
+  
+  disconnectedPlayers.set(player.dbId, {
+    clientId,
+    tournamentId: tournament.id,
+    matchId: match ? match.matchId : null,
+    characterClass: player.characterClass,
+    position: player.position,
+    stats: player.stats ? { ...player.stats } : null,
+    forfeitAt,
+    timer: setTimeout(() => expireDisconnectedPlayer(player.dbId), TOURNAMENT_FORFEIT_TIMEOUT_MS)
+  });
+  
+  if (match) {
+    const opponentId = match.player1Id === clientId ? match.player2Id : match.player1Id;
+    roomManager.send(opponentId, {
+      type: 'tournamentOpponentDisconnected',
+      tournamentId: tournament.id,
+      matchId: match.matchId,
+      forfeitAt
+    });
+  }
+}
+
+/**
+ * Drop a disconnected player's saved state; a match they were playing is forfeited
+ * @param {string} dbId - Account ID of the player
+ */
+function expireDisconnectedPlayer(dbId) {
+  const session = disconnectedPlayers.get(dbId);
+  if (!session) return;
+  
+  disconnectedPlayers.delete(dbId);
+  if (!session.matchId) return;
+  
+  const tournament = activeTournaments[session.tournamentId];
+  const match = tournament ? BracketManager.findMatch(tournament.brackets, session.matchId) : null;
+  
+  // A player who came back has a new client ID in the match
+  if (match && match.status === 'IN_PROGRESS' &&
+      (match.player1Id === session.clientId || match.player2Id === session.clientId)) {
+    forfeitTournamentMatch(tournament, match, session.clientId, 'DISCONNECT');
+  }
+}
+
+/**
+ * Give a reconnecting player back the position, health and class they had when
+ * their socket closed during a tournament; their match slot is restored when
+ * they are re-attached to the tournament
+ * @param {string} clientId - New client ID of the player
+ */
+function restoreTournamentPlayer(clientId) {
+  const player = players[clientId];
+  const session = player && player.dbId ? disconnectedPlayers.get(player.dbId) : null;
+  if (!session) return;
+  
+  clearTimeout(session.timer);
+  disconnectedPlayers.delete(player.dbId);
+  
+  player.characterClass = session.characterClass;
+  player.position = session.position;
+  if (session.stats) {
+    player.stats = session.stats;
+  }
+  player.currentTournament = session.tournamentId;
+  
+  player.ws.send(JSON.stringify({
+    type: 'tournamentSessionRestored',
+    tournamentId: session.tournamentId,
+    matchId: session.matchId,
+    position: player.position,
+    health: player.stats ? player.stats.health : null,
+    maxHealth: player.stats ? player.stats.maxHealth : null
+  }));
+  
+  const tournament = activeTournaments[session.tournamentId];
+  const match = tournament && session.matchId ? BracketManager.findMatch(tournament.brackets, session.matchId) : null;
+  
+  if (match && match.status === 'IN_PROGRESS') {
+    const opponentId = match.player1Id === session.clientId ? match.player2Id : match.player1Id;
+    roomManager.send(opponentId, {
+      type: 'tournamentOpponentReconnected',
+      tournamentId: session.tournamentId,
+      matchId: session.matchId
+    });
+  }
+  
+  console.log(`Restored tournament state of ${clientId} (account ${player.dbId})`);
+}
+
+/**
+ * Move a tournament on after one of its matches has been decided
+ * @param {Object} tournament - Live tournament
+ * @param {Object} result - Result from BracketManager.recordResult or recordGame
+ */
+function advanceTournament(tournament, result) {
+  const tournamentId = tournament.id;
+  
+  // The match is over, so its players return to the lobby
+  clearTimeout(readyCheckTimers.get(`${tournamentId}:${result.match.matchId}`));
+  readyCheckTimers.delete(`${tournamentId}:${result.match.matchId}`);
+  
+  if (result.match.roomId) {
+    closeRoom(result.match.roomId);
+  }
+  
+  // Schedule every match whose players are now known: the next round, a losers
+  // bracket match, a grand final reset or a new Swiss round
+  BracketManager.getPlayableMatches(tournament.brackets).forEach(nextMatch => {
+    scheduleTournamentMatch(tournamentId, nextMatch);
+  });
+  
+  if (result.championId) {
+    // The tournament is decided
+    const winner = tournament.players.find(p => p.id === result.championId);
+    const winnerName = winner ? (winner.username || winner.id) : result.championId;
+    
+    tournament.status = 'COMPLETED';
+    tournament.completedAt = Date.now();
+    tournament.winner = {
+      id: result.championId,
+      name: winnerName
+    };
+    
+    // Broadcast tournament completion
+    broadcastToAll({
+      type: 'tournamentComplete',
+      tournamentId,
+      winner: tournament.winner
+    });
+    
+    // Save tournament results to database if connected
+    if (mongoose.connection.readyState === 1) {
+      // Use a self-executing async function to allow await
+      (async () => {
+        try {
+          // The tournament record itself is kept up to date by TournamentStore
+          await TournamentStore.save(tournament);
           
           console.log(`Tournament ${tournamentId} saved to database`);
           
+          // The opponent in the deciding match finishes second
+          const { match } = result;
+          const runnerUpId = match.player1Id === result.championId ? match.player2Id : match.player1Id;
+          const runnerUp = tournament.players.find(p => p.id === runnerUpId);
+          
+          if (winner && winner.dbId) {
+            await Player.recordResult(winner.dbId, { 'stats.wins': 1, 'stats.gamesPlayed': 1, score: 50 });
+          }
+          
+          if (runnerUp && runnerUp.dbId) {
+            await Player.recordResult(runnerUp.dbId, { 'stats.losses': 1, 'stats.gamesPlayed': 1, score: 10 });
+          }
+          
           // Save the winner to the TournamentWinner collection
           const tournamentWinner = new TournamentWinner({
             playerId: winner.dbId,
             username: winner.username || winner.id,
             characterClass: winner.characterClass,
-            tournamentId: dbTournament._id,
+            tournamentId,
             tournamentName: tournament.name,
             tier: tournament.tier || 'ALL'
           });
@@ -857,13 +2034,13 @@ function updateTournamentBracket(tournamentId, matchId, winnerId) {
           await tournamentWinner.save();
           console.log(`Tournament winner ${winner.username || winner.id} saved to database`);
           
-          // Check if we have enough winners to trigger a battle royale
-          const pendingCount = await BattleRoyaleManager.getPendingWinnersCount();
-          console.log(`Current pending tournament winners: ${pendingCount}/40`);
+          // Winners are pooled by tier; a full pool triggers a battle royale of that tier
+          const pendingCount = await BattleRoyaleManager.getPendingWinnersCount(tournamentWinner.tier);
+          console.log(`Current pending ${tournamentWinner.tier} tournament winners: ${pendingCount}/40`);
           
           if (pendingCount >= 40) {
-            console.log('Triggering battle royale from tournament winners...');
-            const battleRoyale = await BattleRoyaleManager.createBattleRoyaleFromWinners();
+            console.log(`Triggering ${tournamentWinner.tier} battle royale from tournament winners...`);
+            const battleRoyale = await BattleRoyaleManager.createBattleRoyaleFromWinners(40, tournamentWinner.tier);
             
             if (battleRoyale) {
               console.log(`Battle Royale created: ${battleRoyale.name} (${battleRoyale._id})`);
@@ -877,6 +2054,9 @@ function updateTournamentBracket(tournamentId, matchId, winnerId) {
               // Notify players about the battle royale event
               notifyBattleRoyaleEvent(battleRoyale, qualifiedWinners);
               
+              // Qualified players who are online get the countdown
+              scheduleBattleRoyaleStart(battleRoyale);
+              
               // Broadcast battle royale creation to all players
               broadcastToAll({
                 type: 'battleRoyaleCreated',
@@ -902,10 +2082,113 @@ function updateTournamentBracket(tournamentId, matchId, winnerId) {
   broadcastToAll({
     type: 'tournamentBracketUpdate',
     tournamentId,
+    format: tournament.format,
+    bestOf: tournament.bestOf,
     brackets: tournament.brackets
   });
   
-  return true;
+  // Completed tournaments were already saved above, before the winner was recorded
+  if (tournament.status !== 'COMPLETED') {
+    TournamentStore.save(tournament);
+  }
+}
+
+/**
+ * Load unfinished tournaments from the database into activeTournaments
+ * Players who are already connected are re-attached straight away
+ */
+async function rehydrateTournaments() {
+  try {
+    const tournaments = await TournamentStore.loadActive();
+    
+    tournaments.forEach(tournament => {
+      if (!activeTournaments[tournament.id]) {
+        activeTournaments[tournament.id] = tournament;
+      }
+    });
+    
+    if (tournaments.length > 0) {
+      console.log(`Restored ${tournaments.length} unfinished tournaments`);
+    }
+    
+    Object.keys(players).forEach(playerId => {
+      if (players[playerId].username) {
+        reattachTournamentPlayer(playerId);
+      }
+    });
+  } catch (err) {
+    console.error('Error restoring tournaments:', err);
+  }
+}
+
+/**
+ * Re-attach a (re)connected player to the unfinished tournaments of their account
+ * The player's old ID in the tournament (a previous connection, or the account ID
+ * after a restart) is replaced by the new client ID, and a pending match is reopened
+ * @param {string} clientId - New client ID of the player
+ */
+function reattachTournamentPlayer(clientId) {
+  const player = players[clientId];
+  if (!player || !player.dbId) return;
+  
+  Object.values(activeTournaments).forEach(tournament => {
+    if (tournament.status === 'COMPLETED') return;
+    
+    const entry = tournament.players.find(p => p.dbId === player.dbId);
+    if (!entry) return;
+    
+    const previousId = entry.id;
+    entry.id = clientId;
+    player.currentTournament = tournament.id;
+    
+    if (previousId !== clientId) {
+      if (tournament.createdBy === previousId) {
+        tournament.createdBy = clientId;
+      }
+      
+      (tournament.brackets || []).forEach(round => {
+        round.matches.forEach(match => {
+          ['player1Id', 'player2Id', 'winnerId'].forEach(field => {
+            if (match[field] === previousId) {
+              match[field] = clientId;
+            }
+          });
+        });
+      });
+      
+      console.log(`Re-attached player ${clientId} (${player.username}) to tournament ${tournament.id}`);
+    }
+    
+    // Bring the player up to date with the bracket
+    player.ws.send(JSON.stringify({
+      type: 'tournamentBracket',
+      tournamentId: tournament.id,
+      name: tournament.name,
+      status: tournament.status,
+      format: tournament.format,
+      bestOf: tournament.bestOf,
+      brackets: tournament.brackets,
+      winner: tournament.winner
+    }));
+    
+    // Reopen the player's pending match (its room closes when it empties)
+    const pendingMatch = BracketManager.getMatches(tournament.brackets).find(match =>
+      (match.status === 'READY' || match.status === 'IN_PROGRESS') &&
+      (match.player1Id === clientId || match.player2Id === clientId)
+    );
+    
+    if (!pendingMatch) return;
+    
+    if (pendingMatch.status === 'IN_PROGRESS') {
+      openTournamentMatchRoom(tournament.id, pendingMatch);
+    } else if (readyCheckTimers.has(`${tournament.id}:${pendingMatch.matchId}`)) {
+      openTournamentMatchRoom(tournament.id, pendingMatch);
+      notifyTournamentMatchReady(tournament.id, pendingMatch);
+    } else {
+      // Ready checks do not survive a restart, so the match gets a new one
+      scheduleTournamentMatch(tournament.id, pendingMatch);
+    }
+  });
 }
 
 // Helper function to broadcast message to all clients
@@ -926,20 +2209,214 @@ function broadcastToOthers(senderId, message) {
   });
 }
 
+/**
+ * Build the public view of a player sent to other clients
+ * @param {string} playerId - Player (client) ID
+ * @returns {Object|null} - Player summary or null if the player is unknown
+ */
+function getPublicPlayerData(playerId) {
+  const player = players[playerId];
+  if (!player) return null;
+  
+  return {
+    id: playerId,
+    username: player.username,
+    characterClass: player.characterClass,
+    position: player.position || { x: 0, y: 0, z: 0 },
+    stats: player.stats,
+    health: player.stats?.health,
+    maxHealth: player.stats?.maxHealth
+  };
+}
+
+/**
+ * Move a player into a room and tell both rooms about it
+ * The moving player receives a roomJoined message followed by the room's players
+ * @param {string} playerId - Player (client) ID
+ * @param {string} roomId - Destination room ID
+ * @returns {boolean} - Whether the player was moved
+ */
+function movePlayerToRoom(playerId, roomId) {
+  const move = roomManager.movePlayer(playerId, roomId);
+  if (!move) return false;
+  
+  const { from, to } = move;
+  if (from === to) return true;
+  
+  // Players left behind no longer see this player
+  if (from) {
+    roomManager.broadcast(from.id, { type: 'playerLeft', id: playerId });
+  }
+  
+  // Players already in the destination room see the newcomer
+  const playerData = getPublicPlayerData(playerId);
+  if (playerData && playerData.username) {
+    roomManager.broadcast(to.id, { type: 'playerJoined', ...playerData, roomId: to.id }, playerId);
+  }
+  
+  // The newcomer gets the room and everyone already in it
+  const ws = players[playerId].ws;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'roomJoined',
+      room: to.toJSON()
+    }));
+    
+    ws.send(JSON.stringify({
+      type: 'existingPlayers',
+      players: [...to.playerIds]
+        .filter(id => id !== playerId && players[id]?.connected && players[id]?.username)
+        .map(getPublicPlayerData),
+      roomId: to.id
+    }));
+    
+    // Battle royale players need the zone before its next phase change
+    if (to.safeZone) {
+      ws.send(JSON.stringify({ type: 'safeZoneUpdate', roomId: to.id, ...to.safeZone.toJSON() }));
+    }
+    
+    if (to.pickups) {
+      ws.send(JSON.stringify({ type: 'pickupsState', roomId: to.id, ...to.pickups.toJSON() }));
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Map file a tournament match is played on
+ * Tournaments with a map rotation play each round on the next map of the rotation
+ * @param {Object} tournament - Live tournament
+ * @param {Object} match - Bracket match
+ * @returns {string|null} - Map ID, or null for a generated arena
+ */
+function getTournamentMatchMapId(tournament, match) {
+  const maps = tournament && tournament.maps ? tournament.maps : [];
+  if (maps.length === 0) return null;
+  
+  const round = (tournament.brackets || []).find(bracketRound =>
+    bracketRound.matches.some(roundMatch => roundMatch.matchId === match.matchId)
+  );
+  const roundNumber = round ? round.round : 1;
+  
+  return maps[(roundNumber - 1) % maps.length];
+}
+
+/**
+ * Open a room for a tournament match and move both players into it
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} match - Bracket match with both players assigned
+ * @returns {Room|null} - The match room or null if a player is missing
+ */
+function openTournamentMatchRoom(tournamentId, match) {
+  if (!match.player1Id || !match.player2Id) return null;
+  
+  // A room reopened for a reconnecting player keeps the arena the match started on
+  const hasArena = typeof match.mapSeed === 'number';
+  
+  const room = roomManager.createRoom({
+    id: `match:${tournamentId}:${match.matchId}`,
+    type: RoomManager.ROOM_TYPES.TOURNAMENT_MATCH,
+    metadata: { tournamentId, matchId: match.matchId },
+    mapSeed: hasArena ? match.mapSeed : MapSeed.createMapSeed(),
+    mapId: hasArena ? match.mapId : getTournamentMatchMapId(activeTournaments[tournamentId], match)
+  });
+  
+  match.roomId = room.id;
+  if (!hasArena) {
+    match.mapSeed = room.mapSeed;
+    match.mapId = room.mapId;
+    TournamentStore.save(activeTournaments[tournamentId]);
+  }
+  
+  // Moves in the arena are checked against the terrain both players build from the
+  // map file or generate from the seed
+  if (!room.navGrid) {
+    room.setNavGrid(room.mapId
+      ? NavGrid.forMapFile(MapLibrary.get(room.mapId))
+      : NavGrid.forTournamentArena(room.mapSeed));
+  }
+  
+  [match.player1Id, match.player2Id].forEach(playerId => {
+    const player = players[playerId];
+    if (!player) return;
+    
+    // A position restored after a reconnect has to be on this arena's ground
+    if (WorldSimulation.isValidPosition(player.position)) {
+      player.position = room.navGrid.findNearestWalkable(player.position);
+    }
+    
+    movePlayerToRoom(playerId, room.id);
+  });
+  
+  return room;
+}
+
+/**
+ * Tell both players of a match that it is ready
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} match - Bracket match with both players assigned
+ */
+function notifyTournamentMatchReady(tournamentId, match) {
+  [
+    { playerId: match.player1Id, opponentId: match.player2Id, opponentName: match.player2Name },
+    { playerId: match.player2Id, opponentId: match.player1Id, opponentName: match.player1Name }
+  ].forEach(({ playerId, opponentId, opponentName }) => {
+    if (players[playerId] && players[playerId].ws) {
+      players[playerId].ws.send(JSON.stringify({
+        type: 'tournamentMatchReady',
+        tournamentId,
+        matchId: match.matchId,
+        roomId: match.roomId,
+        // Both players build the arena from this seed, or from the map file if set
+        mapSeed: match.mapSeed,
+        mapId: match.mapId || null,
+        opponent: {
+          id: opponentId,
+          name: opponentName
+        },
+        // Both players must send tournamentMatchReadyConfirm before this time
+        readyCheckExpiresAt: match.readyCheck ? match.readyCheck.expiresAt : null
+      }));
+    }
+  });
+}
+
+/**
+ * Close a room and send its players back to the lobby
+ * @param {string} roomId - Room ID
+ */
+function closeRoom(roomId) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return;
+  
+  // Move players one by one so both rooms are notified
+  [...room.playerIds].forEach(playerId => movePlayerToRoom(playerId, RoomManager.LOBBY_ROOM_ID));
+  roomManager.closeRoom(roomId);
+}
+
 // WebSocket connection handling
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   // Generate a unique client ID
   const clientId = uuidv4();
-  console.log(`Client connected: ${clientId}`);
   
-  // Initialize player data
+  // The handshake was only accepted with a valid session token (see AuthManager.verifyWebSocketClient)
+  const auth = req.auth;
+  console.log(`Client connected: ${clientId} (account ${auth.username})`);
+  
+  // Initialize player data, bound to the verified account
   players[clientId] = {
     id: clientId,
     ws: ws,
     connected: true,
-    lastSeen: Date.now()
+    connectedAt: Date.now(),
+    lastSeen: Date.now(),
+    dbId: auth.playerId
   };
   
+  // Every player starts in the lobby room
+  roomManager.movePlayer(clientId, RoomManager.LOBBY_ROOM_ID);
+  
   // Send client ID to the client
   ws.send(JSON.stringify({
     type: 'id',
@@ -963,20 +2440,48 @@ wss.on('connection', (ws) => {
         if (data.playerData) {
           console.log('Player joined with data:', data.playerData);
           
+          // Refuse clients built against different class/ability definitions
+          if (!ClassDefinitions.isCompatible(data.playerData.classDefinitions)) {
+            console.warn(`Refusing join from ${clientId}: class definitions mismatch`, data.playerData.classDefinitions);
+            ws.send(JSON.stringify({
+              type: 'joinRefused',
+              reason: 'CLASS_DEFINITIONS_MISMATCH',
+              message: 'Your game client is out of date. Please refresh the page.',
+              expected: ClassDefinitions.getVersionInfo()
+            }));
+            ws.close(4001, 'Class definitions mismatch');
+            return;
+          }
+          
           // Initialize player properties if they don't exist
           if (!players[clientId]) {
             players[clientId] = {
               id: clientId,
               ws: ws,
               connected: true,
-              lastSeen: Date.now()
+              connectedAt: Date.now(),
+              lastSeen: Date.now(),
+              dbId: auth.playerId
             };
           }
           
-          // Update player data
-          players[clientId].username = data.playerData.username || `Player_${clientId.substring(0, 6)}`;
-          players[clientId].characterClass = data.playerData.characterClass || 'clerk';
-          players[clientId].position = data.playerData.position || { x: 0, y: 0, z: 0 };
+          // Update player data; the username always comes from the verified account
+          players[clientId].username = auth.username;
+          
+          // The class is fixed by the first join, as the player's stats and health come from it
+          const characterClass = ClassDefinitions.normalizeClass(data.playerData.characterClass);
+          if (!players[clientId].stats) {
+            players[clientId].characterClass = characterClass;
+          } else if (characterClass !== players[clientId].characterClass) {
+            console.warn(`Player ${clientId} tried to change class to ${characterClass}, keeping ${players[clientId].characterClass}`);
+          }
+          
+          // The server has the final say on where the player starts; after that, positions only
+          // change through moves, so joining again cannot teleport the player
+          if (!players[clientId].position) {
+            const joinRoom = roomManager.getPlayerRoom(clientId) || roomManager.lobby;
+            players[clientId].position = getJoinPosition(joinRoom, data.playerData.position);
+          }
           
           // If player has a tournament ID, update it
           if (data.playerData.tournamentId) {
@@ -984,18 +2489,21 @@ wss.on('connection', (ws) => {
             console.log(`Player ${clientId} joined with tournament ID: ${data.playerData.tournamentId}`);
           }
           
+          // A player who dropped out of a tournament match gets their state back
+          restoreTournamentPlayer(clientId);
+          
           // Initialize player stats if needed
           if (!players[clientId].stats) {
             // Get class stats
-            const classStats = getClassStats(data.playerData.characterClass);
+            const classStats = ClassDefinitions.getClassStats(players[clientId].characterClass);
             
             players[clientId].stats = {
-              health: classStats.health || 100,
-              maxHealth: classStats.health || 100,
-              damage: classStats.damage || 10,
-              speed: classStats.speed || 10,
-              attackSpeed: classStats.attackSpeed || 1.0,
-              range: classStats.range || 5
+              health: classStats.health,
+              maxHealth: classStats.health,
+              damage: classStats.damage,
+              speed: classStats.speed,
+              attackSpeed: classStats.attackSpeed,
+              range: classStats.range
             };
           }
           
@@ -1005,27 +2513,8 @@ wss.on('connection', (ws) => {
             currentTournament: players[clientId].currentTournament
           });
           
-          // Check for authentication data
-          let dbPlayer = null;
-          if (data.playerData.auth && data.playerData.auth.userId) {
-            try {
-              // Find the player in the database
-              dbPlayer = await Player.findById(data.playerData.auth.userId);
-              
-              if (dbPlayer) {
-                console.log(`Authenticated player joined: ${dbPlayer.username} (${dbPlayer._id})`);
-                
-                // Store database ID reference
-                players[clientId].dbId = dbPlayer._id;
-                
-                // Update username from database if available
-                if (dbPlayer.username) {
-                  players[clientId].username = dbPlayer.username;
-                }
-              }
-            } catch (dbError) {
-              console.error('Error authenticating player from database:', dbError);
-            }
+          if (data.playerData.username && data.playerData.username !== auth.username) {
+            console.warn(`Player ${clientId} sent username ${data.playerData.username}, using account name ${auth.username}`);
           }
           
           // Send acknowledgment back to the client
@@ -1035,22 +2524,30 @@ wss.on('connection', (ws) => {
             username: players[clientId].username,
             characterClass: players[clientId].characterClass,
             stats: players[clientId].stats,
-            currentTournament: players[clientId].currentTournament
+            position: players[clientId].position,
+            currentTournament: players[clientId].currentTournament,
+            classDefinitions: ClassDefinitions.getVersionInfo()
           }));
           
-          // Broadcast to other players that a new player has joined
-          broadcastToOthers(clientId, {
+          // Make sure the player is in a room (the lobby unless already in a match)
+          if (!roomManager.getPlayerRoom(clientId)) {
+            roomManager.movePlayer(clientId, RoomManager.LOBBY_ROOM_ID);
+          }
+          const room = roomManager.getPlayerRoom(clientId);
+          
+          // Broadcast to other players in the room that a new player has joined
+          roomManager.broadcast(room.id, {
             type: 'playerJoined',
             id: clientId,
             username: players[clientId].username,
             characterClass: players[clientId].characterClass,
             position: players[clientId].position
-          });
+          }, clientId);
           
-          // Send current players list to the new player
+          // Send current players list (of this room) to the new player
           const activePlayers = {};
-          Object.keys(players).forEach(id => {
-            if (id !== clientId && players[id].connected) {
+          room.playerIds.forEach(id => {
+            if (id !== clientId && players[id] && players[id].connected) {
               activePlayers[id] = {
                 id: id,
                 username: players[id].username,
@@ -1065,40 +2562,90 @@ wss.on('connection', (ws) => {
             players: activePlayers
           }));
           
-          // Send active tournaments list to the new player
+          // Send active tournaments list to the new player, with their tier so the
+          // lobby can tell which ones they may join
           const tournamentsList = Object.keys(activeTournaments)
             .filter(id => activeTournaments[id].status === 'WAITING')
             .map(id => ({
+              id,
               tournamentId: id,
               name: activeTournaments[id].name,
+              tier: activeTournaments[id].tier || 'ALL',
+              format: activeTournaments[id].format,
+              bestOf: activeTournaments[id].bestOf,
+              maxPlayers: activeTournaments[id].maxPlayers,
               playerCount: activeTournaments[id].players.length,
               status: activeTournaments[id].status
             }));
           
-          if (tournamentsList.length > 0) {
-            console.log(`Sending ${tournamentsList.length} active tournaments to new player`);
-            ws.send(JSON.stringify({
-              type: 'activeTournaments',
-              tournaments: tournamentsList
-            }));
-          }
+          console.log(`Sending ${tournamentsList.length} active tournaments to new player`);
+          ws.send(JSON.stringify({
+            type: 'activeTournaments',
+            tournaments: tournamentsList,
+            playerTier: await getPlayerTier(players[clientId].dbId)
+          }));
+          
+          // Put a reconnecting player back into their tournaments
+          reattachTournamentPlayer(clientId);
         }
       }
       
       // Handle player movement
       else if (data.type === 'playerMove') {
-        // Update player position
+        // Queue the position; the room simulation applies it on its next tick
+        // and replicates it to the room in a worldSnapshot
         if (players[clientId]) {
-          players[clientId].position = data.position;
           players[clientId].lastSeen = Date.now();
           
-          // Broadcast position to other players
-          broadcastToOthers(clientId, {
-            type: 'playerMoved',
-            id: clientId,
-            position: data.position
-          });
+          if (!WorldSimulation.queueMove(players[clientId], data.position, data.seq, data.evade === true)) {
+            console.warn(`Ignoring invalid position from ${clientId}:`, data.position);
+          }
+        }
+      }
+      
+      // Health pickups are only handed out if the server sees the player next to one
+      else if (data.type === 'collectPickup') {
+        const reason = collectPickup(clientId, data.pickupId);
+        
+        if (reason) {
+          ws.send(JSON.stringify({
+            type: 'pickupRejected',
+            pickupId: data.pickupId,
+            reason
+          }));
+        }
+      }
+      
+      // Handle the checksum of the arena a client generated from its room's seed
+      else if (data.type === 'mapChecksum') {
+        const room = roomManager.getPlayerRoom(clientId);
+        
+        // Reports for a room or seed the player has already left are stale
+        if (!room || room.id !== data.roomId || room.mapSeed === null || room.mapSeed !== data.mapSeed) {
+          return;
+        }
+        
+        if (typeof data.checksum !== 'string' || data.checksum.length === 0) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: 'Invalid map checksum'
+          }));
+          return;
         }
+        
+        const { valid, expected } = room.recordMapChecksum(clientId, data.checksum);
+        
+        if (!valid) {
+          console.warn(`Player ${clientId} generated a different arena in room ${room.id} (seed ${room.mapSeed}): ${data.checksum}, expected ${expected}`);
+        }
+        
+        ws.send(JSON.stringify({
+          type: 'mapChecksumResult',
+          roomId: room.id,
+          mapSeed: room.mapSeed,
+          valid,
+          checksum: expected
+        }));
       }
       
       // Handle getExistingPlayers request
@@ -1108,9 +2655,18 @@ wss.on('connection', (ws) => {
         
         // Get all active players except the requesting player
         const activePlayers = [];
+        const room = roomManager.getPlayerRoom(clientId);
         
+        // Players in a match only ever see the other players of that match
+        if (room && room.type !== RoomManager.ROOM_TYPES.LOBBY) {
+          room.playerIds.forEach(id => {
+            if (id !== clientId && players[id] && players[id].connected) {
+              activePlayers.push(getPublicPlayerData(id));
+            }
+          });
+        }
         // If a tournament ID is specified, only return players in that tournament
-        if (data.tournamentId && activeTournaments[data.tournamentId]) {
+        else if (data.tournamentId && activeTournaments[data.tournamentId]) {
           console.log(`Filtering players for tournament: ${data.tournamentId}`);
           const tournament = activeTournaments[data.tournamentId];
           
@@ -1148,12 +2704,12 @@ wss.on('connection', (ws) => {
             });
           });
         } 
-        // Otherwise, return all active players
+        // Otherwise, return all active players in the lobby
         else {
-          console.log('No tournament ID specified, returning all active players');
+          console.log('No tournament ID specified, returning all active lobby players');
           
-          Object.keys(players).forEach(id => {
-            if (id !== clientId && players[id].connected) {
+          roomManager.lobby.playerIds.forEach(id => {
+            if (id !== clientId && players[id] && players[id].connected) {
               console.log(`Adding player ${id} to response`);
               
               activePlayers.push({
@@ -1182,288 +2738,184 @@ wss.on('connection', (ws) => {
       
       // Handle player attacks
       else if (data.type === 'playerAttack') {
-        const { targetId, damage, attackType } = data;
+        const { targetId, attackType, attackId } = data;
+        const attacker = players[clientId];
         
         // Validate attack data
-        if (!targetId || !players[targetId] || damage === undefined) {
+        if (!attacker || !targetId || !players[targetId]) {
           console.warn(`Invalid attack data from ${clientId}`);
           return;
         }
         
-        console.log(`Player ${clientId} attacks ${targetId} for ${damage} damage`);
+        const target = players[targetId];
         
-        // Broadcast attack to all players (including attacker for visual feedback)
-        broadcastToAll({
+        // Players can only attack someone in their own room
+        if (!roomManager.inSameRoom(clientId, targetId)) {
+          console.warn(`Rejected attack from ${clientId} on ${targetId}: not in the same room`);
+          ws.send(JSON.stringify({
+            type: 'playerAttackMissed',
+            id: clientId,
+            targetId,
+            attackType,
+            attackId,
+            reason: CombatManager.REJECT_REASONS.INVALID_TARGET,
+            distance: 0,
+            maxRange: 0
+          }));
+          return;
+        }
+        
+        // Resolve the attack from server-side class data and positions;
+        // any damage value sent by the client is ignored
+        const result = CombatManager.resolveAttack({
+          attacker,
+          target,
+          classStats: ClassDefinitions.getClassStats(attacker.characterClass),
+          attackType,
+          viewTime: data.viewTime
+        });
+        
+        if (!result.allowed) {
+          console.warn(`Rejected attack from ${clientId} on ${targetId}: ${result.reason}`);
+          
+          // Only the attacker needs to know why the attack did not land
+          ws.send(JSON.stringify({
+            type: 'playerAttackMissed',
+            id: clientId,
+            targetId,
+            attackType,
+            attackId,
+            reason: result.reason,
+            distance: result.distance || 0,
+            maxRange: result.maxRange || 0
+          }));
+          return;
+        }
+        
+        if (data.damage !== undefined && data.damage !== result.damage) {
+          console.warn(`Player ${clientId} claimed ${data.damage} damage, server resolved ${result.damage}`);
+        }
+        
+        const damage = result.damage;
+        CombatManager.startCooldown(attacker, result.abilityKey, result.ability);
+        CombatManager.applyStatusEffects(target, result.ability);
+        
+        console.log(`Player ${clientId} attacks ${targetId} with ${result.ability.name} for ${damage} damage` +
+          (result.rewindMs ? ` (target rewound ${result.rewindMs}ms)` : ''));
+        
+        // Broadcast attack to the room (including attacker for visual feedback)
+        roomManager.broadcastToPlayerRoom(clientId, {
           type: 'playerAttacked',
           id: clientId,
           targetId,
           damage,
-          attackType
+          attackType,
+          attackId,
+          inRange: true,
+          distance: result.distance
         });
         
         // Update target's health
-        if (players[targetId] && players[targetId].stats) {
-          const targetStats = players[targetId].stats;
-          const newHealth = Math.max(0, targetStats.health - damage);
-          targetStats.health = newHealth;
-          
-          // Broadcast health update
-          broadcastToAll({
-            type: 'playerHealth',
+        const targetStats = target.stats;
+        const newHealth = Math.max(0, targetStats.health - damage);
+        targetStats.health = newHealth;
+        
+        // Broadcast health update
+        roomManager.broadcastToPlayerRoom(clientId, {
+          type: 'playerHealth',
+          id: targetId,
+          health: newHealth,
+          maxHealth: targetStats.maxHealth,
+          damage,
+          attackerId: clientId
+        });
+        
+        // Broadcast death as soon as the server sees the target reach zero health
+        if (newHealth <= 0) {
+          roomManager.broadcastToPlayerRoom(clientId, {
+            type: 'playerDeath',
             id: targetId,
-            health: newHealth,
-            maxHealth: targetStats.maxHealth,
-            damage,
             attackerId: clientId
           });
           
-          // Try to update database stats
-          try {
-            if (mongoose.connection.readyState === 1) {
-              // Update attacker's damage dealt
-              if (players[clientId] && players[clientId].dbId) {
-                await Player.findByIdAndUpdate(
-                  players[clientId].dbId,
-                  { $inc: { 'stats.damageDealt': damage } }
-                );
+          handlePlayerDeath(targetId, clientId);
+        }
+        
+        // Try to update database stats
+        try {
+          if (mongoose.connection.readyState === 1) {
+            // Update attacker's damage dealt
+            if (attacker.dbId) {
+              await Player.findByIdAndUpdate(
+                attacker.dbId,
+                { $inc: { 'stats.damageDealt': damage } }
+              );
+            }
+            
+            // Check if target is defeated
+            if (newHealth <= 0) {
+              // Increment attacker's kills
+              if (attacker.dbId) {
+                await Player.recordResult(attacker.dbId, {
+                  'stats.kills': 1,
+                  score: 10 // Award points for kill
+                });
               }
               
-              // Check if target is defeated
-              if (newHealth <= 0) {
-                // Broadcast death
-                broadcastToAll({
-                  type: 'playerDeath',
-                  id: targetId,
-                  attackerId: clientId
-                });
-                
-                // Update database stats
-                if (players[clientId] && players[clientId].dbId) {
-                  // Increment attacker's kills
-                  await Player.findByIdAndUpdate(
-                    players[clientId].dbId,
-                    { 
-                      $inc: { 
-                        'stats.kills': 1,
-                        score: 10 // Award points for kill
-                      } 
-                    }
-                  );
-                }
-                
-                if (players[targetId] && players[targetId].dbId) {
-                  // Increment target's deaths
-                  await Player.findByIdAndUpdate(
-                    players[targetId].dbId,
-                    { $inc: { 'stats.deaths': 1 } }
-                  );
-                }
+              // Increment target's deaths
+              if (target.dbId) {
+                await Player.findByIdAndUpdate(
+                  target.dbId,
+                  { $inc: { 'stats.deaths': 1 } }
+                );
               }
             }
-          } catch (dbError) {
-            console.error('Error updating player stats in database:', dbError);
           }
+        } catch (dbError) {
+          console.error('Error updating player stats in database:', dbError);
         }
       }
       
       // Handle player respawn
       else if (data.type === 'playerRespawn') {
-        const { position, health, maxHealth } = data;
+        const room = roomManager.getPlayerRoom(clientId);
+        const player = players[clientId];
         
-        // Update player data
-        if (players[clientId]) {
-          players[clientId].position = position;
-          if (players[clientId].stats) {
-            players[clientId].stats.health = health;
-            players[clientId].stats.maxHealth = maxHealth;
+        // Battle royale players are placed by the server and do not come back once eliminated
+        if (room && room.battleRoyale) {
+          console.warn(`Ignoring respawn request from ${clientId} in battle royale room ${room.id}`);
+        }
+        
+        // Only a player the server has seen die can respawn
+        else if (player && room) {
+          const death = room.getLastDeath(clientId);
+          
+          if (!player.stats || player.stats.health > 0 || !death) {
+            console.warn(`Ignoring respawn request from ${clientId}: not dead`);
           }
           
-          // Broadcast respawn to all players
-          broadcastToAll({
-            type: 'playerRespawn',
-            id: clientId,
-            position,
-            health,
-            maxHealth
-          });
+          // The server decides when the delay is over; repeated requests wait for the same respawn
+          else if (!respawnTimers.has(clientId)) {
+            const delay = Math.max(0, death.time + RESPAWN_DELAY_MS - Date.now());
+            respawnTimers.set(clientId, setTimeout(() => respawnPlayer(clientId, room), delay));
+          }
         }
       }
       
       // Handle player died notification
       else if (data.type === 'playerDied') {
-        console.log(`Player ${clientId} died notification received`);
-        
-        // Validate data
-        if (!data.id) {
-          console.warn(`Invalid playerDied data from ${clientId}`);
-          return;
-        }
-        
-        const playerId = data.id;
-        
-        // Update player stats
-        if (players[playerId] && players[playerId].stats) {
-          players[playerId].stats.health = 0;
-          players[playerId].stats.deaths = (players[playerId].stats.deaths || 0) + 1;
-          
-          console.log(`Updated player ${playerId} health to 0 and incremented deaths`);
-        }
-        
-        // Broadcast death to all players
-        broadcastToAll({
-          type: 'playerDied',
-          id: playerId,
-          attackerId: data.attackerId || null
-        });
+        // Deaths are recorded when the server applies the killing blow; a client may
+        // only confirm its own death, and only once the server has seen it
+        const player = players[clientId];
         
-        // Try to update database stats
-        try {
-          if (mongoose.connection.readyState === 1 && players[playerId] && players[playerId].dbId) {
-            // Increment player's deaths
-            await Player.findByIdAndUpdate(
-              players[playerId].dbId,
-              { $inc: { 'stats.deaths': 1 } }
-            );
-            
-            console.log(`Updated database stats for player ${playerId}`);
-          }
-        } catch (dbError) {
-          console.error('Error updating player death stats in database:', dbError);
+        if (data.id !== clientId || !player || !player.stats || player.stats.health > 0) {
+          flagResultClaim(clientId, data.type, data);
         }
       }
       
-      // Handle game completion (for tournament or battle royale)
+      // Game results are decided by the server from the deaths it recorded
       else if (data.type === 'gameComplete') {
-        const { gameType, gameId, winnerId, playerResults } = data;
-        
-        // Try to update database with game results
-        try {
-          if (mongoose.connection.readyState === 1) {
-            if (gameType === 'tournament' && gameId) {
-              // Update tournament results
-              const tournament = await Tournament.findById(gameId);
-              if (tournament) {
-                // Find the final match
-                const finalRound = tournament.bracket[tournament.bracket.length - 1];
-                if (finalRound && finalRound.matches.length > 0) {
-                  const finalMatch = finalRound.matches[0];
-                  
-                  // Update match result
-                  await tournament.updateMatchResult(finalMatch.matchId, players[winnerId].dbId);
-                  console.log(`Tournament ${gameId} completed. Winner: ${winnerId}`);
-                  
-                  // Update player stats
-                  if (players[winnerId] && players[winnerId].dbId) {
-                    await Player.findByIdAndUpdate(
-                      players[winnerId].dbId,
-                      { 
-                        $inc: { 
-                          'stats.wins': 1,
-                          'stats.gamesPlayed': 1,
-                          score: 50 // Award points for tournament win
-                        } 
-                      }
-                    );
-                  }
-                  
-                  // Update loser stats
-                  const loserId = finalMatch.player1Id.toString() === players[winnerId].dbId.toString() 
-                    ? finalMatch.player2Id 
-                    : finalMatch.player1Id;
-                  
-                  if (loserId) {
-                    await Player.findByIdAndUpdate(
-                      loserId,
-                      { 
-                        $inc: { 
-                          'stats.losses': 1,
-                          'stats.gamesPlayed': 1,
-                          score: 10 // Award some points for second place
-                        } 
-                      }
-                    );
-                  }
-                }
-              }
-            } 
-            else if (gameType === 'battleRoyale' && gameId) {
-              // Update battle royale results
-              const battleRoyale = await BattleRoyale.findById(gameId);
-              if (battleRoyale && battleRoyale.status === 'IN_PROGRESS') {
-                // Set winner
-                if (players[winnerId] && players[winnerId].dbId) {
-                  const winner = await Player.findById(players[winnerId].dbId);
-                  if (winner) {
-                    battleRoyale.winner = {
-                      playerId: winner._id,
-                      username: winner.username,
-                      characterClass: winner.characterClass,
-                      kills: playerResults[winnerId]?.kills || 0
-                    };
-                    
-                    // Update winner stats
-                    await Player.findByIdAndUpdate(
-                      winner._id,
-                      { 
-                        $inc: { 
-                          'stats.wins': 1,
-                          'stats.gamesPlayed': 1,
-                          score: 100 // Award points for battle royale win
-                        } 
-                      }
-                    );
-                  }
-                }
-                
-                // Update all player placements and stats
-                if (playerResults) {
-                  for (const [playerId, result] of Object.entries(playerResults)) {
-                    const player = players[playerId];
-                    if (player && player.dbId) {
-                      // Find participant in battle royale
-                      const participantIndex = battleRoyale.participants.findIndex(
-                        p => p.playerId.toString() === player.dbId.toString()
-                      );
-                      
-                      if (participantIndex !== -1) {
-                        // Update participant data
-                        battleRoyale.participants[participantIndex].placement = result.placement;
-                        battleRoyale.participants[participantIndex].kills = result.kills;
-                        battleRoyale.participants[participantIndex].damageDealt = result.damageDealt;
-                        
-                        // Update player stats in database
-                        await Player.findByIdAndUpdate(
-                          player.dbId,
-                          { 
-                            $inc: { 
-                              'stats.kills': result.kills,
-                              'stats.deaths': result.placement > 1 ? 1 : 0,
-                              'stats.gamesPlayed': 1,
-                              'stats.damageDealt': result.damageDealt,
-                              // Award points based on placement
-                              score: result.placement === 1 ? 100 : 
-                                    result.placement <= 3 ? 50 :
-                                    result.placement <= 10 ? 25 : 10
-                            } 
-                          }
-                        );
-                      }
-                    }
-                  }
-                }
-                
-                // Mark battle royale as completed
-                battleRoyale.status = 'COMPLETED';
-                battleRoyale.endDate = new Date();
-                await battleRoyale.save();
-                
-                console.log(`Battle Royale ${gameId} completed. Winner: ${winnerId}`);
-              }
-            }
-          }
-        } catch (dbError) {
-          console.error('Error updating game results in database:', dbError);
-        }
+        flagResultClaim(clientId, data.type, data);
       }
       
       // Handle tournament creation
@@ -1480,19 +2932,38 @@ wss.on('connection', (ws) => {
           return;
         }
         
-        // Create tournament ID
-        const tournamentId = `tournament_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        // Tier tournaments can only be created by players of that tier, who play in them
+        const tier = Player.TIERS.includes(data.tier) ? data.tier : 'ALL';
+        const creatorTier = await getPlayerTier(players[clientId].dbId);
+        
+        if (!isTierAllowed(tier, creatorTier)) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: `You can only create tournaments for your own tier (${creatorTier}) or for all tiers`
+          }));
+          return;
+        }
+        
+        // Tournament IDs double as the ID of the persisted Tournament document
+        const tournamentId = new mongoose.Types.ObjectId().toString();
         
         // Set up tournament data
         const tournament = {
           id: tournamentId,
-          name: data.name || `Tournament ${tournamentId.substring(0, 6)}`,
+          name: data.name || `Tournament ${tournamentId.slice(-6)}`,
           createdBy: clientId,
           createdAt: Date.now(),
-          tier: data.tier || 'ALL',
+          tier,
+          format: BracketManager.isValidFormat(data.format) ? data.format : BracketManager.FORMATS.SINGLE_ELIMINATION,
+          bestOf: BracketManager.isValidBestOf(Number(data.bestOf)) ? Number(data.bestOf) : 1,
+          // Map files the rounds rotate through; generated arenas if empty
+          maps: MapLibrary.filterIds(data.maps, MapLibrary.STYLES.TOURNAMENT).slice(0, MAX_TOURNAMENT_MAPS),
           maxPlayers: 16,
+          // Stored so the bracket can be reproduced
+          bracketSeed: BracketGenerator.createSeed(),
           players: [{
             id: clientId,
+            dbId: players[clientId].dbId,
             username: players[clientId].username,
             characterClass: players[clientId].characterClass
           }],
@@ -1509,6 +2980,8 @@ wss.on('connection', (ws) => {
         // Add the creator to the tournament players
         players[clientId].currentTournament = tournamentId;
         
+        TournamentStore.save(tournament);
+        
         // Send confirmation to creator
         ws.send(JSON.stringify({
           type: 'tournamentCreated',
@@ -1516,6 +2989,9 @@ wss.on('connection', (ws) => {
             id: tournamentId,
             name: tournament.name,
             tier: tournament.tier,
+            format: tournament.format,
+            bestOf: tournament.bestOf,
+            maps: tournament.maps,
             maxPlayers: tournament.maxPlayers,
             playerCount: tournament.players.length,
             status: tournament.status
@@ -1529,6 +3005,9 @@ wss.on('connection', (ws) => {
             id: tournamentId,
             name: tournament.name,
             tier: tournament.tier,
+            format: tournament.format,
+            bestOf: tournament.bestOf,
+            maps: tournament.maps,
             maxPlayers: tournament.maxPlayers,
             playerCount: tournament.players.length,
             status: tournament.status
@@ -1560,8 +3039,15 @@ wss.on('connection', (ws) => {
           return;
         }
         
+        // Look the tier up first, so every check below sees the state after the lookup
+        const playerTier = await getPlayerTier(players[clientId].dbId);
         const tournament = activeTournaments[data.tournamentId];
         
+        // The socket may have closed or the tournament been removed while the tier was looked up
+        if (!players[clientId] || !tournament) {
+          return;
+        }
+        
         // Verify tournament is in WAITING status
         if (tournament.status !== 'WAITING') {
           console.error(`Tournament ${data.tournamentId} is not accepting new players (status: ${tournament.status})`);
@@ -1572,12 +3058,19 @@ wss.on('connection', (ws) => {
           return;
         }
         
-        // Check if player is already in this tournament
-        const existingPlayerIndex = tournament.players.findIndex(p => p.id === clientId);
+        // Check if player (or another connection of the same account) is already in this tournament
+        const existingPlayerIndex = tournament.players.findIndex(p =>
+          p.id === clientId || p.dbId === players[clientId].dbId
+        );
         
         if (existingPlayerIndex >= 0) {
           console.log(`Player ${clientId} is already in tournament ${data.tournamentId}`);
           
+          // A new connection of the same account takes over the tournament slot
+          if (tournament.players[existingPlayerIndex].id !== clientId) {
+            reattachTournamentPlayer(clientId);
+          }
+          
           // Send confirmation to the player
           ws.send(JSON.stringify({
             type: 'tournamentJoined',
@@ -1592,11 +3085,29 @@ wss.on('connection', (ws) => {
           return;
         }
         
+        // Only players of the tournament's tier may join
+        if (!isTierAllowed(tournament.tier, playerTier)) {
+          console.log(`Player ${clientId} (${playerTier}) cannot join ${tournament.tier} tournament ${data.tournamentId}`);
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: `This tournament is for ${tournament.tier} tier players (you are ${playerTier})`
+          }));
+          return;
+        }
+        
         // Add player to tournament
-        tournament.players.push({ id: clientId });
+        tournament.players.push({
+          id: clientId,
+          dbId: players[clientId].dbId,
+          username: players[clientId].username,
+          characterClass: players[clientId].characterClass
+        });
+        players[clientId].currentTournament = tournament.id;
         console.log(`Player ${clientId} joined tournament ${data.tournamentId}`);
         console.log(`Tournament ${data.tournamentId} now has ${tournament.players.length} players`);
         
+        TournamentStore.save(tournament);
+        
         // Send confirmation to the player
         ws.send(JSON.stringify({
           type: 'tournamentJoined',
@@ -1727,10 +3238,12 @@ wss.on('connection', (ws) => {
           return;
         }
         
-        // Create brackets
-        tournament.brackets = createTournamentBrackets(tournamentId);
+        // Ratings are loaded from the database, so hold the tournament while the brackets are built
+        tournament.status = 'STARTING';
+        tournament.brackets = await createTournamentBrackets(tournamentId);
         tournament.status = 'IN_PROGRESS';
         tournament.currentRound = 1;
+        tournament.startedAt = Date.now();
         
         console.log(`Tournament ${tournamentId} started with ${tournament.players.length} players`);
         
@@ -1739,96 +3252,34 @@ wss.on('connection', (ws) => {
           type: 'tournamentStarted',
           tournamentId,
           name: tournament.name,
+          format: tournament.format,
+          bestOf: tournament.bestOf,
+          maps: tournament.maps,
           brackets: tournament.brackets
         });
         
-        // Notify first round players to prepare for their matches
-        const firstRound = tournament.brackets[0];
-        firstRound.matches.forEach(match => {
-          // Set match status to READY
-          match.status = 'READY';
-          
-          // Notify players
-          if (players[match.player1Id] && players[match.player1Id].ws) {
-            players[match.player1Id].ws.send(JSON.stringify({
-              type: 'tournamentMatchReady',
-              tournamentId,
-              matchId: match.matchId,
-              opponent: {
-                id: match.player2Id,
-                name: match.player2Name
-              }
-            }));
-          }
-          
-          if (players[match.player2Id] && players[match.player2Id].ws) {
-            players[match.player2Id].ws.send(JSON.stringify({
-              type: 'tournamentMatchReady',
-              tournamentId,
-              matchId: match.matchId,
-              opponent: {
-                id: match.player1Id,
-                name: match.player1Name
-              }
-            }));
-          }
+        // Give each match whose players are known its own room and tell the players;
+        // byes are already completed, and can fill second round matches
+        BracketManager.getPlayableMatches(tournament.brackets).forEach(match => {
+          scheduleTournamentMatch(tournamentId, match);
         });
+        
+        TournamentStore.save(tournament);
       }
       
-      // Handle tournament match complete
+      // Match results are decided by the server from the deaths in the match room
       else if (data.type === 'tournamentMatchComplete') {
-        const { tournamentId, matchId, winnerId } = data;
-        const tournament = activeTournaments[tournamentId];
-        
-        if (!tournament) {
-          ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Tournament not found'
-          }));
-          return;
-        }
-        
-        // Update bracket
-        const updated = updateTournamentBracket(tournamentId, matchId, winnerId);
+        flagResultClaim(clientId, data.type, data);
+      }
+      
+      // Handle a player confirming they are ready for their tournament match
+      else if (data.type === 'tournamentMatchReadyConfirm') {
+        const error = confirmTournamentMatchReady(data.tournamentId, data.matchId, clientId);
         
-        if (updated) {
-          console.log(`Tournament ${tournamentId} match ${matchId} completed. Winner: ${winnerId}`);
-          
-          // Find the next match for the winner
-          let nextMatchId = null;
-          let nextOpponentId = null;
-          let nextOpponentName = null;
-          
-          // Look for matches in the next round where the winner is a player
-          for (let i = 1; i < tournament.brackets.length; i++) {
-            const round = tournament.brackets[i];
-            for (const match of round.matches) {
-              if ((match.player1Id === winnerId || match.player2Id === winnerId) && match.status === 'READY') {
-                nextMatchId = match.matchId;
-                nextOpponentId = match.player1Id === winnerId ? match.player2Id : match.player1Id;
-                nextOpponentName = match.player1Id === winnerId ? match.player2Name : match.player1Name;
-                break;
-              }
-            }
-            if (nextMatchId) break;
-          }
-          
-          // If there's a next match, notify the winner
-          if (nextMatchId && players[winnerId] && players[winnerId].ws) {
-            players[winnerId].ws.send(JSON.stringify({
-              type: 'tournamentMatchReady',
-              tournamentId,
-              matchId: nextMatchId,
-              opponent: {
-                id: nextOpponentId,
-                name: nextOpponentName
-              }
-            }));
-          }
-        } else {
+        if (error) {
           ws.send(JSON.stringify({
             type: 'error',
-            message: 'Failed to update tournament bracket'
+            message: error
           }));
         }
       }
@@ -1852,6 +3303,8 @@ wss.on('connection', (ws) => {
           tournamentId,
           name: tournament.name,
           status: tournament.status,
+          format: tournament.format,
+          bestOf: tournament.bestOf,
           brackets: tournament.brackets,
           winner: tournament.winner
         }));
@@ -1904,14 +3357,28 @@ wss.on('connection', (ws) => {
       // Handle battle royale join request
       else if (data.type === 'joinBattleRoyale') {
         const { battleRoyaleId } = data;
-        const playerId = clientId;
+        const player = players[clientId];
+        const playerId = player.dbId;
+        
+        // A second join from the same account waits for the first to be saved
+        if (pendingBattleRoyaleJoins.has(playerId)) {
+          console.warn(`Ignoring join of battle royale ${battleRoyaleId} from ${clientId}: a join is in progress`);
+          return;
+        }
         
-        console.log(`Player ${playerId} is joining battle royale ${battleRoyaleId}`);
+        console.log(`Player ${clientId} (account ${playerId}) is joining battle royale ${battleRoyaleId}`);
+        pendingBattleRoyaleJoins.add(playerId);
         
         try {
-          // Add player to battle royale
+          // Look the tier up first, so every check below sees the battle royale as loaded
+          const playerTier = await getPlayerTier(playerId);
           const battleRoyale = await BattleRoyale.findById(battleRoyaleId);
           
+          // The socket may have closed while the lookups ran
+          if (!players[clientId]) {
+            return;
+          }
+          
           if (!battleRoyale) {
             console.error(`Battle royale ${battleRoyaleId} not found`);
             ws.send(JSON.stringify({
@@ -1924,23 +3391,57 @@ wss.on('connection', (ws) => {
           }
           
           // Check if player is already in the battle royale
-          if (battleRoyale.participants.includes(playerId)) {
+          if (battleRoyale.hasParticipant(playerId)) {
             console.log(`Player ${playerId} is already in battle royale ${battleRoyaleId}`);
             ws.send(JSON.stringify({
               type: 'battleRoyaleJoined',
-              data: battleRoyale
+              data: getBattleRoyaleSummary(battleRoyale)
+            }));
+            return;
+          }
+          
+          // Only players of the battle royale's tier may join
+          if (!isTierAllowed(battleRoyale.tier, playerTier)) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              data: {
+                message: `This battle royale is for ${battleRoyale.tier} tier players (you are ${playerTier})`
+              }
+            }));
+            return;
+          }
+          
+          if (battleRoyale.status !== 'PENDING' || battleRoyale.participants.length >= battleRoyale.maxParticipants) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              data: {
+                message: battleRoyale.status !== 'PENDING' ? 'Battle royale has already started' : 'Battle royale is full'
+              }
             }));
             return;
           }
           
           // Add player to battle royale
-          battleRoyale.participants.push(playerId);
+          battleRoyale.participants.push({
+            playerId,
+            username: player.username,
+            characterClass: player.characterClass
+          });
+          
+          // A full battle royale does not wait for its scheduled time, only for the countdown
+          const countdownEnd = Date.now() + BATTLE_ROYALE_COUNTDOWN_MS;
+          if (battleRoyale.participants.length >= battleRoyale.maxParticipants &&
+              new Date(battleRoyale.startTime).getTime() > countdownEnd) {
+            console.log(`Battle royale ${battleRoyaleId} is full, starting countdown`);
+            battleRoyale.startTime = new Date(countdownEnd);
+          }
+          
           await battleRoyale.save();
           
           // Notify player they've joined
           ws.send(JSON.stringify({
             type: 'battleRoyaleJoined',
-            data: battleRoyale
+            data: getBattleRoyaleSummary(battleRoyale)
           }));
           
           // Notify all clients about updated participant count
@@ -1954,21 +3455,8 @@ wss.on('connection', (ws) => {
           
           console.log(`Player ${playerId} joined battle royale ${battleRoyaleId}`);
           
-          // Check if battle royale is full and should start
-          if (battleRoyale.participants.length >= battleRoyale.maxParticipants) {
-            console.log(`Battle royale ${battleRoyaleId} is full, starting...`);
-            
-            // Start the battle royale
-            battleRoyale.status = 'in-progress';
-            battleRoyale.startTime = new Date();
-            await battleRoyale.save();
-            
-            // Notify all clients that battle royale has started
-            broadcastToAll({
-              type: 'battleRoyaleStarted',
-              data: battleRoyale
-            });
-          }
+          // Participants get the (possibly moved) start time; the battle royale starts when it runs out
+          scheduleBattleRoyaleStart(battleRoyale);
         } catch (error) {
           console.error('Error joining battle royale:', error);
           ws.send(JSON.stringify({
@@ -1977,42 +3465,14 @@ wss.on('connection', (ws) => {
               message: 'Failed to join battle royale'
             }
           }));
+        } finally {
+          pendingBattleRoyaleJoins.delete(playerId);
         }
       }
       
-      // Handle tournament completion
+      // Tournaments are completed by the server when their final match is decided
       else if (data.type === 'tournamentCompleted') {
-        console.log('Tournament completed:', data.tournamentId);
-        
-        try {
-          // Find the tournament
-          const tournament = await Tournament.findById(data.tournamentId);
-          
-          if (!tournament) {
-            console.error(`Tournament ${data.tournamentId} not found`);
-            return;
-          }
-          
-          // Update tournament status
-          tournament.status = 'completed';
-          tournament.completedAt = new Date();
-          await tournament.save();
-          
-          // Handle tournament completion (save winner, check for battle royale, etc.)
-          await handleTournamentCompletion(tournament);
-          
-          // Broadcast tournament completion to all clients
-          broadcastToAll({
-            type: 'tournamentUpdated',
-            data: {
-              tournamentId: tournament._id,
-              status: 'completed',
-              winner: data.winner
-            }
-          });
-        } catch (error) {
-          console.error('Error handling tournament completion:', error);
-        }
+        flagResultClaim(clientId, data.type, data);
       }
     } catch (error) {
       console.error('Error processing message:', error);
@@ -2027,25 +3487,43 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     console.log('Client disconnected:', clientId);
     
-    // Notify all clients about the disconnection
-    wss.clients.forEach((client) => {
-      if (client !== ws && client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({
-          type: 'playerLeft',
-          id: clientId
-        }));
-      }
-    });
+    // Tournament players keep their state and match slot for a while so they can reconnect
+    holdTournamentPlayer(clientId);
+    
+    // Leaving a battle royale being played counts as being eliminated
+    const room = roomManager.getPlayerRoom(clientId);
+    if (room && room.battleRoyale) {
+      eliminateBattleRoyalePlayer(room, clientId, null);
+    }
+    
+    // Notify the player's room about the disconnection
+    roomManager.broadcastToPlayerRoom(clientId, {
+      type: 'playerLeft',
+      id: clientId
+    }, false);
+    
+    // Leave the room (empty match rooms are closed)
+    roomManager.removePlayer(clientId);
     
     // Remove the player from our store
+    clearTimeout(respawnTimers.get(clientId));
+    respawnTimers.delete(clientId);
     delete players[clientId];
   });
 });
 
-// Start the server
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Load the shared class definitions, map files and arena generation before accepting connections
+Promise.all([ClassDefinitions.load(), MapLibrary.load(), MapSeed.load()])
+  .then(() => {
+    // Start the server
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to load class definitions, map files or arena generation:', error);
+    process.exit(1);
+  });
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
@@ -2090,103 +3568,3 @@ function notifyBattleRoyaleEvent(battleRoyale) {
     }
   });
 }
-
-/**
- * Notify tournament winners about a battle royale invitation
- * @param {Object} battleRoyale - The battle royale event data
- * @param {Array} winners - Array of tournament winner IDs
- */
-function notifyBattleRoyaleInvitation(battleRoyale, winners) {
-  console.log(`Notifying ${winners.length} tournament winners about battle royale invitation`);
-  
-  winners.forEach(winnerId => {
-    const socket = wss.clients.find(c => c.id === winnerId);
-    
-    if (socket) {
-      socket.send(JSON.stringify({
-        type: 'battleRoyaleInvitation',
-        data: {
-          battleRoyaleId: battleRoyale._id,
-          message: 'You have been invited to join the Battle Royale as a tournament winner!',
-          name: battleRoyale.name,
-          tier: battleRoyale.tier,
-          startTime: battleRoyale.startTime
-        }
-      }));
-    }
-  });
-}
-
-/**
- * Handle tournament completion
- * @param {Object} tournament - The completed tournament
- */
-async function handleTournamentCompletion(tournament) {
-  console.log(`Tournament ${tournament._id} completed`);
-  
-  try {
-    // Get the winner
-    const winner = tournament.participants.find(p => p.position === 1);
-    
-    if (!winner) {
-      console.error(`No winner found for tournament ${tournament._id}`);
-      return;
-    }
-    
-    console.log(`Tournament winner: ${winner.playerId}`);
-    
-    // Save winner to TournamentWinner collection
-    const tournamentWinner = new TournamentWinner({
-      playerId: winner.playerId,
-      tournamentId: tournament._id,
-      tier: tournament.tier,
-      timestamp: new Date(),
-      processed: false
-    });
-    
-    await tournamentWinner.save();
-    console.log(`Saved tournament winner to database: ${tournamentWinner._id}`);
-    
-    // Check if we have enough winners to trigger a battle royale
-    const pendingWinners = await TournamentWinner.find({ processed: false });
-    console.log(`Current pending tournament winners: ${pendingWinners.length}`);
-    
-    // If we have 40 winners, trigger a battle royale
-    if (pendingWinners.length >= 40) {
-      console.log('We have 40 tournament winners. Triggering battle royale event!');
-      
-      // Create a new battle royale
-      const battleRoyale = new BattleRoyale({
-        name: 'Tournament Champions Battle Royale',
-        tier: 'champions',
-        status: 'pending',
-        maxParticipants: 40,
-        participants: [],
-        startTime: new Date(Date.now() + (15 * 60 * 1000)), // Start in 15 minutes
-        createdAt: new Date()
-      });
-      
-      await battleRoyale.save();
-      console.log(`Created battle royale: ${battleRoyale._id}`);
-      
-      // Mark winners as processed
-      const winnerIds = pendingWinners.map(w => w.playerId);
-      await TournamentWinner.updateMany(
-        { _id: { $in: pendingWinners.map(w => w._id) } },
-        { $set: { processed: true, battleRoyaleId: battleRoyale._id } }
-      );
-      
-      // Notify all players about the battle royale event
-      notifyBattleRoyaleEvent(battleRoyale);
-      
-      // Send special invitations to the tournament winners
-      notifyBattleRoyaleInvitation(battleRoyale, winnerIds);
-    }
-    
-    // Update player stats
-    // ... existing code to update player stats ...
-    
-  } catch (error) {
-    console.error('Error handling tournament completion:', error);
-  }
-}
\ No newline at end of file
@@ -114,48 +114,53 @@ async function testDatabase() {
     const testBattleRoyale = new BattleRoyale({
       name: `Test Battle Royale ${Date.now()}`,
       tier: 'ALL',
-      mapSize: 1000
+      mapSize: 1000,
+      startTime: new Date(Date.now() + 60 * 1000)
     });
     
     // Add participants
     const allPlayers = await Player.find().limit(10);
     testBattleRoyale.participants = allPlayers.map(player => ({
-      playerId: player._id,
+      playerId: player._id.toString(),
       username: player.username,
-      characterClass: player.characterClass,
-      isAlive: true,
-      kills: 0,
-      damageDealt: 0
+      characterClass: player.characterClass
     }));
     
     // Save the battle royale
     await testBattleRoyale.save();
     console.log('Created test battle royale with', testBattleRoyale.participants.length, 'participants');
     
-    // Start battle royale
-    await testBattleRoyale.start();
-    console.log('Started battle royale. Status:', testBattleRoyale.status);
-    console.log('Safe zone stages:', testBattleRoyale.safeZoneStages.length);
-    
-    // Simulate some eliminations
-    if (testBattleRoyale.participants.length >= 3) {
-      const player1 = testBattleRoyale.participants[0];
-      const player2 = testBattleRoyale.participants[1];
-      const player3 = testBattleRoyale.participants[2];
-      
-      // Player 1 eliminates Player 2
-      await testBattleRoyale.eliminatePlayer(player2.playerId, player1.playerId);
-      console.log(`${player1.username} eliminated ${player2.username}`);
-      
-      // Update player damage
-      await testBattleRoyale.updatePlayerDamage(player1.playerId, 100);
-      console.log(`${player1.username} dealt 100 damage`);
-      
-      // Get updated battle royale
-      const updatedBR = await BattleRoyale.findById(testBattleRoyale._id);
-      console.log('Remaining players:', updatedBR.participants.filter(p => p.isAlive).length);
-      console.log('Player 1 kills:', updatedBR.participants[0].kills);
+    // Join the way the server does, by account
+    const joiningPlayer = allPlayers[0];
+    const joined = await BattleRoyale.findById(testBattleRoyale._id);
+    if (joiningPlayer && !joined.hasParticipant(joiningPlayer._id.toString())) {
+      joined.participants.push({
+        playerId: joiningPlayer._id.toString(),
+        username: joiningPlayer.username,
+        characterClass: joiningPlayer.characterClass
+      });
+      await joined.save();
     }
+    console.log('Active battle royales:', (await BattleRoyale.getActiveMatches()).length);
+    
+    // Complete it with every participant placed, winner first
+    const results = joined.participants.map((participant, index) => ({
+      playerId: participant.playerId,
+      username: participant.username,
+      position: index + 1,
+      kills: 0
+    }));
+    
+    await BattleRoyale.findByIdAndUpdate(testBattleRoyale._id, {
+      status: 'COMPLETED',
+      endedAt: new Date(),
+      winnerId: results.length > 0 ? results[0].playerId : null,
+      results
+    });
+    
+    const completedBR = await BattleRoyale.findById(testBattleRoyale._id);
+    console.log('Completed battle royale. Status:', completedBR.status);
+    console.log('Winner:', completedBR.winnerId, 'Results:', completedBR.results.length);
     
     console.log('\nDatabase tests completed successfully!');
   } catch (error) {
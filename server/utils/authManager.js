@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const Player = require('../models/Player');
+
+/**
+ * AuthManager
+ * Issues and verifies signed session tokens (HS256 JWTs) for REST routes and
+ * the WebSocket handshake
+ */
+
+// How long a session token stays valid (seconds)
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Without a configured secret, tokens are signed with a per-process key and
+// every session ends when the server restarts
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('AUTH_TOKEN_SECRET is not set; using a random secret, sessions will not survive a restart');
+}
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string}
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Sign the header and payload segments of a token
+ * @param {string} unsigned - "header.payload"
+ * @returns {string} - base64url signature
+ */
+function sign(unsigned) {
+  return base64url(crypto.createHmac('sha256', TOKEN_SECRET).update(unsigned).digest());
+}
+
+class AuthManager {
+  /**
+   * Issue a session token for a player account
+   * @param {Object} player - Player document
+   * @returns {string} - Signed token
+   */
+  static issueToken(player) {
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      sub: player._id.toString(),
+      username: player.username,
+      ver: player.tokenVersion || 0,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS
+    }));
+
+    const unsigned = `${header}.${payload}`;
+    return `${unsigned}.${sign(unsigned)}`;
+  }
+
+  /**
+   * Verify a session token's signature and expiry
+   * Use isCurrent as well to refuse tokens from before a password change
+   * @param {string} token - Token from the client
+   * @returns {{playerId: string, username: string, tokenVersion: number}|null} - Account the token
+   *   belongs to, or null if invalid or expired
+   */
+  static verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`);
+
+    // Compare in constant time so the signature cannot be guessed byte by byte
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+
+      if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+
+      return { playerId: claims.sub, username: claims.username, tokenVersion: claims.ver || 0 };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a verified token was issued since the account's password last changed
+   * @param {Object} auth - Result of verifyToken
+   * @returns {Promise<boolean>} - False if the account is gone or its sessions were revoked
+   */
+  static async isCurrent(auth) {
+    const player = await Player.findById(auth.playerId).select('tokenVersion').lean();
+    return Boolean(player) && (player.tokenVersion || 0) === auth.tokenVersion;
+  }
+
+  /**
+   * Read the bearer token from a request's Authorization header
+   * @param {Object} req - HTTP request
+   * @returns {string|null}
+   */
+  static getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Read the token from a WebSocket upgrade request
+   * Browsers cannot set headers on WebSocket connections, so it is sent as ?token=
+   * @param {Object} req - HTTP upgrade request
+   * @returns {string|null}
+   */
+  static getUpgradeToken(req) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      return url.searchParams.get('token') || this.getRequestToken(req);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware rejecting requests without a valid session token
+   * The verified account is available as req.auth ({ playerId, username })
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  static async requireAuth(req, res, next) {
+    const auth = AuthManager.verifyToken(AuthManager.getRequestToken(req));
+
+    try {
+      if (!auth || !await AuthManager.isCurrent(auth)) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+    } catch (error) {
+      console.error('Error checking session token:', error);
+      return res.status(500).json({ error: 'Server error checking session' });
+    }
+
+    req.auth = auth;
+    next();
+  }
+
+  /**
+   * WebSocket verifyClient hook; refuses the handshake without a valid token
+   * The verified account is attached to the upgrade request as req.auth
+   * @param {Object} info - { origin, secure, req }
+   * @param {Function} callback - (result, code, message)
+   */
+  static async verifyWebSocketClient(info, callback) {
+    const auth = AuthManager.verifyToken(AuthManager.getUpgradeToken(info.req));
+
+    try {
+      if (!auth || !await AuthManager.isCurrent(auth)) {
+        console.warn('Refused WebSocket connection without a valid session token');
+        return callback(false, 401, 'Authentication required');
+      }
+    } catch (error) {
+      console.error('Error checking session token:', error);
+      return callback(false, 500, 'Server error checking session');
+    }
+
+    info.req.auth = auth;
+    callback(true);
+  }
+}
+
+AuthManager.TOKEN_TTL_SECONDS = TOKEN_TTL_SECONDS;
+
+module.exports = AuthManager;
@@ -1,24 +1,29 @@
 const { TournamentWinner, BattleRoyale } = require('../models');
 const mongoose = require('mongoose');
 
+// Time between creating a battle royale from winners and its start, so qualified
+// players can come online (milliseconds)
+const START_DELAY_MS = 10 * 60 * 1000;
+
 /**
  * BattleRoyaleManager
  * Manages the connection between tournaments and battle royale events
  */
 class BattleRoyaleManager {
   /**
-   * Check if there are enough tournament winners to trigger a battle royale
+   * Check if there are enough tournament winners of a tier to trigger a battle royale
    * @param {number} requiredWinners - Number of winners required (default: 40)
+   * @param {string} tier - Tier of the winners' tournaments (default: ALL)
    * @returns {Promise<boolean>} - Whether there are enough winners
    */
-  static async checkForBattleRoyaleTrigger(requiredWinners = 40) {
+  static async checkForBattleRoyaleTrigger(requiredWinners = 40, tier = 'ALL') {
     if (mongoose.connection.readyState !== 1) {
       console.log('Database not connected, skipping battle royale trigger check');
       return false;
     }
     
     try {
-      const hasEnough = await TournamentWinner.hasEnoughWinners(requiredWinners);
+      const hasEnough = await TournamentWinner.hasEnoughWinners(requiredWinners, tier);
       return hasEnough;
     } catch (error) {
       console.error('Error checking for battle royale trigger:', error);
@@ -27,11 +32,14 @@ class BattleRoyaleManager {
   }
   
   /**
-   * Create a battle royale event from tournament winners
+   * Create a battle royale event from tournament winners of one tier
+   * Winners of tier tournaments play a battle royale of that tier, open only to that tier
    * @param {number} playerCount - Number of players to include (default: 40)
+   * @param {string} tier - Tier of the winners' tournaments (default: ALL)
+   * @param {Object} [map] - Battle royale map file to play on; a generated map if omitted
    * @returns {Promise<BattleRoyale|null>} - The created battle royale or null if failed
    */
-  static async createBattleRoyaleFromWinners(playerCount = 40) {
+  static async createBattleRoyaleFromWinners(playerCount = 40, tier = 'ALL', map = null) {
     if (mongoose.connection.readyState !== 1) {
       console.log('Database not connected, cannot create battle royale');
       return null;
@@ -39,34 +47,35 @@ class BattleRoyaleManager {
     
     try {
       // Check if we have enough winners
-      const hasEnough = await TournamentWinner.hasEnoughWinners(playerCount);
+      const hasEnough = await TournamentWinner.hasEnoughWinners(playerCount, tier);
       if (!hasEnough) {
-        console.log(`Not enough tournament winners for battle royale (need ${playerCount})`);
+        console.log(`Not enough ${tier} tournament winners for battle royale (need ${playerCount})`);
         return null;
       }
       
       // Create a new battle royale
+      const tierName = tier === 'ALL' ? '' : `${tier.charAt(0)}${tier.slice(1).toLowerCase()} `;
       const battleRoyale = new BattleRoyale({
-        name: `Champions Battle Royale ${new Date().toISOString().split('T')[0]}`,
-        tier: 'ALL',
+        name: `${tierName}Champions Battle Royale ${new Date().toISOString().split('T')[0]}`,
+        tier,
         status: 'PENDING',
-        mapSize: 1000
+        maxParticipants: playerCount,
+        mapSize: map ? map.size : BattleRoyale.DEFAULT_MAP_SIZE,
+        mapId: map ? map.id : null,
+        startTime: new Date(Date.now() + START_DELAY_MS)
       });
       
       // Save to get an ID
       await battleRoyale.save();
       
       // Get winners and assign them to this battle royale
-      const winners = await TournamentWinner.assignToBattleRoyale(battleRoyale._id, playerCount);
+      const winners = await TournamentWinner.assignToBattleRoyale(battleRoyale._id, playerCount, tier);
       
       // Add winners as participants
       battleRoyale.participants = winners.map(winner => ({
         playerId: winner.playerId,
         username: winner.username,
-        characterClass: winner.characterClass,
-        isAlive: true,
-        kills: 0,
-        damageDealt: 0
+        characterClass: winner.characterClass
       }));
       
       // Save the updated battle royale
@@ -112,16 +121,17 @@ class BattleRoyaleManager {
   }
   
   /**
-   * Get the count of pending tournament winners
+   * Get the count of pending tournament winners of a tier
+   * @param {string} tier - Tier of the winners' tournaments (default: ALL)
    * @returns {Promise<number>} - The count of pending winners
    */
-  static async getPendingWinnersCount() {
+  static async getPendingWinnersCount(tier = 'ALL') {
     if (mongoose.connection.readyState !== 1) {
       return 0;
     }
     
     try {
-      return await TournamentWinner.countDocuments({ battleRoyaleStatus: 'PENDING' });
+      return await TournamentWinner.countDocuments({ battleRoyaleStatus: 'PENDING', tier });
     } catch (error) {
       console.error('Error getting pending winners count:', error);
       return 0;
@@ -130,15 +140,19 @@ class BattleRoyaleManager {
   
   /**
    * Check for battle royale trigger and create one if needed
+   * @param {string} tier - Tier of the winners' tournaments (default: ALL)
+   * @param {Object} [map] - Battle royale map file to play on; a generated map if omitted
    * @returns {Promise<BattleRoyale|null>} - The created battle royale or null
    */
-  static async checkAndTriggerBattleRoyale() {
-    const shouldTrigger = await this.checkForBattleRoyaleTrigger();
+  static async checkAndTriggerBattleRoyale(tier = 'ALL', map = null) {
+    const shouldTrigger = await this.checkForBattleRoyaleTrigger(40, tier);
     if (shouldTrigger) {
-      return await this.createBattleRoyaleFromWinners();
+      return await this.createBattleRoyaleFromWinners(40, tier, map);
     }
     return null;
   }
 }
 
+BattleRoyaleManager.START_DELAY_MS = START_DELAY_MS;
+
 module.exports = BattleRoyaleManager; 
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * BattleRoyaleMatch
+ * Live state of a battle royale being played: who is still alive, who eliminated whom
+ * and in which order. Placements are derived from the elimination order, so the last
+ * player standing is first and the first player out is last.
+ */
+
+// Spawn ring radius as a share of the map size; well inside the first safe zone
+const SPAWN_RING_SCALE = 0.35;
+
+// Height players spawn at
+const SPAWN_HEIGHT = 0.8;
+
+class BattleRoyaleMatch {
+  /**
+   * Create the state of a battle royale that is starting
+   * @param {Object} options
+   * @param {string} options.battleRoyaleId - BattleRoyale document ID
+   * @param {Array<string>} options.playerIds - Player (client) IDs taking part
+   */
+  constructor({ battleRoyaleId, playerIds }) {
+    this.battleRoyaleId = battleRoyaleId;
+    this.playerIds = [...playerIds];
+    this.alive = new Set(playerIds);
+    this.kills = new Map(playerIds.map(playerId => [playerId, 0]));
+
+    // Eliminations in the order they happened
+    this.eliminations = [];
+
+    this.startedAt = Date.now();
+    this.completedAt = null;
+  }
+
+  /**
+   * Number of players still alive
+   * @returns {number}
+   */
+  get remaining() {
+    return this.alive.size;
+  }
+
+  /**
+   * Check whether a player is still in the match
+   * @param {string} playerId - Player (client) ID
+   * @returns {boolean}
+   */
+  isAlive(playerId) {
+    return this.alive.has(playerId);
+  }
+
+  /**
+   * Take a player out of the match
+   * The killer is credited if they are another player still in the match
+   * @param {string} playerId - Player (client) ID of the eliminated player
+   * @param {string|null} killerId - Player credited with the kill
+   * @returns {Object|null} - Elimination { playerId, killerId, placement, remaining, time },
+   *   or null if the player was not alive in this match
+   */
+  eliminate(playerId, killerId) {
+    if (this.completedAt || !this.alive.has(playerId)) {
+      return null;
+    }
+
+    const placement = this.alive.size;
+    this.alive.delete(playerId);
+
+    const creditedId = killerId && killerId !== playerId && this.alive.has(killerId) ? killerId : null;
+    if (creditedId) {
+      this.kills.set(creditedId, this.kills.get(creditedId) + 1);
+    }
+
+    const elimination = {
+      playerId,
+      killerId: creditedId,
+      placement,
+      remaining: this.alive.size,
+      time: Date.now()
+    };
+
+    this.eliminations.push(elimination);
+    return elimination;
+  }
+
+  /**
+   * Whether only one player (or nobody) is left
+   * @returns {boolean}
+   */
+  isOver() {
+    return this.alive.size <= 1;
+  }
+
+  /**
+   * Last player standing, once the match is over
+   * @returns {string|null}
+   */
+  getWinnerId() {
+    return this.alive.size === 1 ? [...this.alive][0] : null;
+  }
+
+  /**
+   * Mark the match as finished; later eliminations are ignored
+   */
+  complete() {
+    this.completedAt = Date.now();
+  }
+
+  /**
+   * Final placements, winner first
+   * @returns {Array<Object>} - { playerId, position, kills }
+   */
+  getPlacements() {
+    const standing = [...this.alive].map(playerId => ({
+      playerId,
+      position: 1,
+      kills: this.kills.get(playerId)
+    }));
+
+    const eliminated = [...this.eliminations].reverse().map(elimination => ({
+      playerId: elimination.playerId,
+      position: elimination.placement,
+      kills: this.kills.get(elimination.playerId)
+    }));
+
+    return [...standing, ...eliminated];
+  }
+
+  /**
+   * Spawn points spread evenly on a ring around the map centre, or over a map file's
+   * spawn points when it has one for every player
+   * @param {number} count - Number of players
+   * @param {number} mapSize - Side length of the map
+   * @param {Array<Object>} [mapSpawnPoints] - Spawn points {x, z} of the map file
+   * @returns {Array<{x: number, y: number, z: number}>}
+   */
+  static getSpawnPoints(count, mapSize, mapSpawnPoints = []) {
+    if (mapSpawnPoints.length >= count) {
+      // Every n-th point, so a small game still spreads out over the whole map
+      return Array.from({ length: count }, (_, i) => {
+        const { x, z } = mapSpawnPoints[Math.floor((i * mapSpawnPoints.length) / count)];
+        return { x, y: SPAWN_HEIGHT, z };
+      });
+    }
+
+    const radius = mapSize * SPAWN_RING_SCALE;
+    const points = [];
+
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      points.push({
+        x: Math.round(Math.cos(angle) * radius * 100) / 100,
+        y: SPAWN_HEIGHT,
+        z: Math.round(Math.sin(angle) * radius * 100) / 100
+      });
+    }
+
+    return points;
+  }
+}
+
+module.exports = BattleRoyaleMatch;
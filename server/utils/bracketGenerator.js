@@ -0,0 +1,479 @@
+/**
+ * BracketGenerator
+ * Builds single-elimination, double-elimination and Swiss brackets. Players are
+ * seeded by tier, then score; ties are broken by a PRNG seeded from a number
+ * stored on the tournament, so the same inputs always produce the same bracket.
+ */
+
+const MapSeed = require('./mapSeed');
+
+// Tiers from weakest to strongest
+const TIER_ORDER = ['BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'DIAMOND'];
+
+// Shown in place of the missing opponent of a bye
+const BYE_NAME = 'BYE';
+
+// Supported tournament formats
+const FORMATS = {
+  SINGLE_ELIMINATION: 'SINGLE_ELIMINATION',
+  DOUBLE_ELIMINATION: 'DOUBLE_ELIMINATION',
+  SWISS: 'SWISS'
+};
+
+// Parts of a tournament a round belongs to
+const SECTIONS = {
+  WINNERS: 'WINNERS',
+  LOSERS: 'LOSERS',
+  GRAND_FINAL: 'GRAND_FINAL',
+  SWISS: 'SWISS'
+};
+
+// Upper bound on pairing attempts when avoiding Swiss rematches
+const MAX_PAIRING_STEPS = 10000;
+
+/**
+ * Create a new random bracket seed
+ * @returns {number} - 32-bit unsigned integer
+ */
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Get the rank of a tier (higher is stronger)
+ * @param {string} tier - Tier name
+ * @returns {number}
+ */
+function getTierRank(tier) {
+  return Math.max(TIER_ORDER.indexOf(tier), 0);
+}
+
+/**
+ * Order seeds so that, if higher seeds always win, seed 1 meets seed 2 in the final
+ * e.g. 8 slots -> [1, 8, 4, 5, 2, 7, 3, 6]
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]} - Seed numbers in slot order
+ */
+function getSeedOrder(size) {
+  let order = [1];
+
+  while (order.length < size) {
+    const nextSize = order.length * 2;
+    order = order.flatMap(seed => [seed, nextSize + 1 - seed]);
+  }
+
+  return order;
+}
+
+/**
+ * Create an empty match
+ * @param {string} matchId - Match ID
+ * @returns {Object} - Match
+ */
+function createMatch(matchId) {
+  return {
+    matchId,
+    player1Id: null,
+    player2Id: null,
+    player1Name: 'TBD',
+    player2Name: 'TBD',
+    player1Seed: null,
+    player2Seed: null,
+    player1Bye: false,
+    player2Bye: false,
+    winnerId: null,
+    bye: false,
+    winnerTo: null,
+    loserTo: null,
+    final: false,
+    resetMatchId: null,
+    score: { player1: 0, player2: 0 },
+    status: 'PENDING'
+  };
+}
+
+/**
+ * Mark one side of a match as a bye (no player will ever fill it)
+ * @param {Object} match - Match
+ * @param {number} slot - 1 or 2
+ */
+function markBye(match, slot) {
+  match[`player${slot}Bye`] = true;
+  match[`player${slot}Name`] = BYE_NAME;
+}
+
+/**
+ * Reference to a slot of another match
+ * @param {Object} match - Target match
+ * @param {number} slot - 1 or 2
+ * @returns {{matchId: string, slot: number}}
+ */
+function linkTo(match, slot) {
+  return { matchId: match.matchId, slot };
+}
+
+/**
+ * Create the empty rounds of an elimination bracket
+ * @param {number} numRounds - Number of rounds
+ * @param {string} section - Section of the rounds
+ * @param {string} prefix - Match ID prefix
+ * @returns {Object[]} - Rounds
+ */
+function createEliminationRounds(numRounds, section, prefix) {
+  const rounds = [];
+
+  for (let round = 1; round <= numRounds; round++) {
+    const numMatches = Math.pow(2, numRounds - round);
+    const matches = [];
+    for (let i = 0; i < numMatches; i++) {
+      matches.push(createMatch(`${prefix}${round}-M${i + 1}`));
+    }
+    rounds.push({ round, section, matches });
+  }
+
+  return rounds;
+}
+
+/**
+ * Pair players in standings order, avoiding rematches where possible
+ * @param {Object[]} standings - Standings entries (even count)
+ * @returns {Array<Object[]>} - Pairs
+ */
+function pairSwissPlayers(standings) {
+  let steps = 0;
+
+  const pair = remaining => {
+    if (remaining.length === 0) return [];
+    if (++steps > MAX_PAIRING_STEPS) return null;
+
+    const [first, ...rest] = remaining;
+    for (let i = 0; i < rest.length; i++) {
+      if (first.opponents.includes(String(rest[i].id))) continue;
+
+      const others = pair([...rest.slice(0, i), ...rest.slice(i + 1)]);
+      if (others) return [[first, rest[i]], ...others];
+    }
+    return null;
+  };
+
+  const pairs = pair(standings);
+  if (pairs) return pairs;
+
+  // Every arrangement has a rematch; pair neighbours in the standings
+  const fallback = [];
+  for (let i = 0; i < standings.length; i += 2) {
+    fallback.push([standings[i], standings[i + 1]]);
+  }
+  return fallback;
+}
+
+class BracketGenerator {
+  /**
+   * Rank players and assign seed numbers (1 is the strongest)
+   * @param {Object[]} players - Players with id, and optionally key, score and tier
+   *   (key is a stable identity such as the account ID; it defaults to id)
+   * @param {number} bracketSeed - Seed for breaking ties
+   * @returns {Object[]} - Copies of the players with a seed field, in seed order
+   */
+  static seedPlayers(players, bracketSeed) {
+    const random = MapSeed.createRandom(bracketSeed);
+    const keyOf = player => String(player.key || player.id);
+
+    // Draw tiebreakers in key order so join order does not affect the result
+    const tiebreakers = new Map();
+    [...players]
+      .sort((a, b) => keyOf(a).localeCompare(keyOf(b)))
+      .forEach(player => tiebreakers.set(player.id, random()));
+
+    return [...players]
+      .sort((a, b) =>
+        getTierRank(b.tier) - getTierRank(a.tier) ||
+        (b.score || 0) - (a.score || 0) ||
+        tiebreakers.get(a.id) - tiebreakers.get(b.id)
+      )
+      .map((player, index) => ({ ...player, seed: index + 1 }));
+  }
+
+  /**
+   * Generate the brackets of a tournament
+   * Slots without a player are marked as byes (player1Bye / player2Bye); matches
+   * are linked to the matches their winner and loser move on to (winnerTo / loserTo).
+   * Byes are resolved by BracketManager, not here.
+   * @param {Object[]} players - Players with id, name, and optionally key, score and tier
+   * @param {number} bracketSeed - Seed for breaking ties
+   * @param {string} [format] - One of FORMATS (defaults to single elimination)
+   * @returns {{seededPlayers: Object[], brackets: Object[]}}
+   */
+  static generate(players, bracketSeed, format = FORMATS.SINGLE_ELIMINATION) {
+    const seededPlayers = this.seedPlayers(players, bracketSeed);
+    if (seededPlayers.length < 2) {
+      return { seededPlayers, brackets: [] };
+    }
+
+    let brackets;
+    switch (format) {
+      case FORMATS.DOUBLE_ELIMINATION:
+        brackets = this._createDoubleElimination(seededPlayers);
+        break;
+      case FORMATS.SWISS:
+        brackets = [this.createSwissRound(seededPlayers, [], 1)];
+        break;
+      default:
+        brackets = this._createSingleElimination(seededPlayers);
+    }
+
+    return { seededPlayers, brackets };
+  }
+
+  /**
+   * Get the default number of Swiss rounds for a player count
+   * Enough rounds for a single undefeated player to remain
+   * @param {number} playerCount - Number of players
+   * @returns {number}
+   */
+  static getSwissRoundCount(playerCount) {
+    return Math.max(Math.ceil(Math.log2(playerCount)), 1);
+  }
+
+  /**
+   * Compute Swiss standings from completed matches
+   * Ranked by points (one per win, byes included), then Buchholz (the sum of
+   * the opponents' points), then seed
+   * @param {Object[]} players - Seeded players (id, name, seed)
+   * @param {Object[]} rounds - Rounds played so far
+   * @returns {Object[]} - { id, name, seed, points, buchholz, opponents, hadBye }
+   */
+  static getSwissStandings(players, rounds) {
+    const standings = new Map(players.map(player => [String(player.id), {
+      id: player.id,
+      name: player.name,
+      seed: player.seed,
+      points: 0,
+      buchholz: 0,
+      opponents: [],
+      hadBye: false
+    }]));
+
+    rounds.forEach(round => {
+      round.matches.forEach(match => {
+        if (match.status !== 'COMPLETED') return;
+
+        const one = standings.get(String(match.player1Id));
+        const two = standings.get(String(match.player2Id));
+
+        if (one && two) {
+          one.opponents.push(String(match.player2Id));
+          two.opponents.push(String(match.player1Id));
+        } else if (one || two) {
+          (one || two).hadBye = true;
+        }
+
+        const winner = standings.get(String(match.winnerId));
+        if (winner) winner.points++;
+      });
+    });
+
+    standings.forEach(entry => {
+      entry.buchholz = entry.opponents.reduce((sum, id) => sum + (standings.get(id)?.points || 0), 0);
+    });
+
+    return [...standings.values()].sort((a, b) =>
+      b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed
+    );
+  }
+
+  /**
+   * Pair the next Swiss round
+   * Round 1 pairs the top half of the seeds against the bottom half; later rounds
+   * pair players with equal or nearby scores who have not met yet. With an odd
+   * player count the lowest-ranked player without a bye gets one.
+   * @param {Object[]} players - Seeded players (id, name, seed)
+   * @param {Object[]} rounds - Rounds played so far
+   * @param {number} roundNumber - Number of the round to create
+   * @returns {Object} - Round { round, section, matches }
+   */
+  static createSwissRound(players, rounds, roundNumber) {
+    const standings = this.getSwissStandings(players, rounds);
+    const pairs = [];
+
+    let byePlayer = null;
+    if (standings.length % 2 === 1) {
+      byePlayer = [...standings].reverse().find(entry => !entry.hadBye) || standings[standings.length - 1];
+      standings.splice(standings.indexOf(byePlayer), 1);
+    }
+
+    if (roundNumber === 1) {
+      const half = standings.length / 2;
+      for (let i = 0; i < half; i++) {
+        pairs.push([standings[i], standings[i + half]]);
+      }
+    } else {
+      pairs.push(...pairSwissPlayers(standings));
+    }
+
+    const matches = pairs.map(([one, two], i) => {
+      const match = createMatch(`S${roundNumber}-M${i + 1}`);
+      this._assignSlot(match, 1, one);
+      this._assignSlot(match, 2, two);
+      return match;
+    });
+
+    if (byePlayer) {
+      const match = createMatch(`S${roundNumber}-M${matches.length + 1}`);
+      this._assignSlot(match, 1, byePlayer);
+      markBye(match, 2);
+      matches.push(match);
+    }
+
+    return { round: roundNumber, section: SECTIONS.SWISS, matches };
+  }
+
+  /**
+   * Create a single-elimination bracket
+   * @param {Object[]} seededPlayers - Players in seed order
+   * @returns {Object[]} - Rounds
+   * @private
+   */
+  static _createSingleElimination(seededPlayers) {
+    const numRounds = Math.ceil(Math.log2(seededPlayers.length));
+    const rounds = createEliminationRounds(numRounds, SECTIONS.WINNERS, 'R');
+
+    rounds.forEach((round, r) => {
+      if (r === rounds.length - 1) {
+        round.matches[0].final = true;
+        return;
+      }
+      round.matches.forEach((match, i) => {
+        match.winnerTo = linkTo(rounds[r + 1].matches[Math.floor(i / 2)], (i % 2) + 1);
+      });
+    });
+
+    this._seedFirstRound(rounds[0], seededPlayers);
+    return rounds;
+  }
+
+  /**
+   * Create a double-elimination bracket
+   * Losers of the winners bracket drop into the losers bracket; the two bracket
+   * winners meet in a grand final, which is replayed (reset) if the losers
+   * bracket winner wins the first one
+   * @param {Object[]} seededPlayers - Players in seed order
+   * @returns {Object[]} - Rounds
+   * @private
+   */
+  static _createDoubleElimination(seededPlayers) {
+    const numRounds = Math.ceil(Math.log2(seededPlayers.length));
+    const size = Math.pow(2, numRounds);
+
+    const winners = createEliminationRounds(numRounds, SECTIONS.WINNERS, 'W');
+
+    // Losers rounds alternate between halving the field and taking in the
+    // losers of the next winners round
+    const losers = [];
+    for (let round = 1; round <= 2 * (numRounds - 1); round++) {
+      const numMatches = size / Math.pow(2, Math.floor((round + 1) / 2) + 1);
+      const matches = [];
+      for (let i = 0; i < numMatches; i++) {
+        matches.push(createMatch(`L${round}-M${i + 1}`));
+      }
+      losers.push({ round, section: SECTIONS.LOSERS, matches });
+    }
+
+    const grandFinal = createMatch('GF-M1');
+    const grandFinalReset = createMatch('GF-M2');
+    grandFinal.final = true;
+    grandFinal.resetMatchId = grandFinalReset.matchId;
+    grandFinalReset.final = true;
+
+    // Winners bracket
+    winners.forEach((round, r) => {
+      round.matches.forEach((match, i) => {
+        match.winnerTo = r === winners.length - 1
+          ? linkTo(grandFinal, 1)
+          : linkTo(winners[r + 1].matches[Math.floor(i / 2)], (i % 2) + 1);
+
+        if (losers.length === 0) {
+          match.loserTo = linkTo(grandFinal, 2);
+        } else if (r === 0) {
+          match.loserTo = linkTo(losers[0].matches[Math.floor(i / 2)], (i % 2) + 1);
+        } else {
+          // Winners round r + 1 drops into losers round 2r; alternate rounds are
+          // fed in reverse to postpone rematches
+          const target = losers[2 * r - 1].matches;
+          const index = r % 2 === 1 ? target.length - 1 - i : i;
+          match.loserTo = linkTo(target[index], 2);
+        }
+      });
+    });
+
+    // Losers bracket
+    losers.forEach((round, r) => {
+      round.matches.forEach((match, i) => {
+        if (r === losers.length - 1) {
+          match.winnerTo = linkTo(grandFinal, 2);
+        } else if (r % 2 === 0) {
+          // Odd losers rounds feed the same position in the next round
+          match.winnerTo = linkTo(losers[r + 1].matches[i], 1);
+        } else {
+          match.winnerTo = linkTo(losers[r + 1].matches[Math.floor(i / 2)], (i % 2) + 1);
+        }
+      });
+    });
+
+    this._seedFirstRound(winners[0], seededPlayers);
+
+    return [
+      ...winners,
+      ...losers,
+      { round: 1, section: SECTIONS.GRAND_FINAL, matches: [grandFinal] },
+      { round: 2, section: SECTIONS.GRAND_FINAL, matches: [grandFinalReset] }
+    ];
+  }
+
+  /**
+   * Place seeded players into the first round in standard order
+   * Missing slots are marked as byes
+   * @param {Object} round - First round
+   * @param {Object[]} seededPlayers - Players in seed order
+   * @private
+   */
+  static _seedFirstRound(round, seededPlayers) {
+    const size = round.matches.length * 2;
+    const slots = getSeedOrder(size).map(seed => seededPlayers[seed - 1] || null);
+
+    round.matches.forEach((match, i) => {
+      [1, 2].forEach(slot => {
+        const player = slots[i * 2 + slot - 1];
+        if (player) {
+          this._assignSlot(match, slot, player);
+        } else {
+          markBye(match, slot);
+        }
+      });
+    });
+  }
+
+  /**
+   * Put a player into one side of a match
+   * @param {Object} match - Bracket match
+   * @param {number} slot - 1 or 2
+   * @param {Object|null} player - Seeded player
+   * @private
+   */
+  static _assignSlot(match, slot, player) {
+    if (!player) return;
+
+    match[`player${slot}Id`] = player.id;
+    match[`player${slot}Name`] = player.name || player.id;
+    match[`player${slot}Seed`] = player.seed;
+  }
+}
+
+BracketGenerator.FORMATS = FORMATS;
+BracketGenerator.SECTIONS = SECTIONS;
+BracketGenerator.TIER_ORDER = TIER_ORDER;
+BracketGenerator.BYE_NAME = BYE_NAME;
+BracketGenerator.createSeed = createSeed;
+BracketGenerator.getSeedOrder = getSeedOrder;
+
+module.exports = BracketGenerator;
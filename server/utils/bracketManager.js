@@ -0,0 +1,358 @@
+const BracketGenerator = require('./bracketGenerator');
+
+const { FORMATS } = BracketGenerator;
+
+// Series lengths a tournament's matches can be played as
+const BEST_OF_OPTIONS = [1, 3, 5];
+
+/**
+ * BracketManager
+ * Advances tournament brackets of every format as match results come in.
+ * Matches name the slots their winner and loser move on to (winnerTo / loserTo);
+ * slots that will never be filled are byes, and a match with a bye is completed
+ * as soon as the other side is known.
+ *
+ * Works on any object with the shape { format, bestOf, brackets, players, swissRounds },
+ * where players have id, name (or username) and seed. IDs are compared as strings,
+ * so both live tournaments and Tournament documents can be advanced.
+ */
+
+/**
+ * Compare two player IDs
+ * @param {any} a - First ID
+ * @param {any} b - Second ID
+ * @returns {boolean}
+ */
+function sameId(a, b) {
+  return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+}
+
+/**
+ * Check whether a slot link points anywhere
+ * @param {Object} link - { matchId, slot }
+ * @returns {boolean}
+ */
+function hasLink(link) {
+  return Boolean(link && link.matchId);
+}
+
+/**
+ * Read one side of a match
+ * @param {Object} match - Match
+ * @param {number} slot - 1 or 2
+ * @returns {Object|null} - { id, name, seed } or null if the side is empty
+ */
+function getEntrant(match, slot) {
+  const id = match[`player${slot}Id`];
+  if (id === null || id === undefined) return null;
+
+  return { id, name: match[`player${slot}Name`], seed: match[`player${slot}Seed`] };
+}
+
+class BracketManager {
+  /**
+   * Generate the brackets of a tournament and resolve its first-round byes
+   * @param {Object[]} players - Players with id, name, and optionally key, score and tier
+   * @param {number} bracketSeed - Seed for breaking ties
+   * @param {string} [format] - One of BracketGenerator.FORMATS
+   * @returns {{seededPlayers: Object[], brackets: Object[]}}
+   */
+  static createBrackets(players, bracketSeed, format = FORMATS.SINGLE_ELIMINATION) {
+    const { seededPlayers, brackets } = BracketGenerator.generate(players, bracketSeed, format);
+
+    const state = { format, brackets, players: seededPlayers };
+    this._resolveByes(state, this.getMatches(brackets), {});
+
+    return { seededPlayers, brackets };
+  }
+
+  /**
+   * Check whether a format is supported
+   * @param {string} format - Format name
+   * @returns {boolean}
+   */
+  static isValidFormat(format) {
+    return Object.values(FORMATS).includes(format);
+  }
+
+  /**
+   * Check whether a series length is supported
+   * @param {number} bestOf - Games per match
+   * @returns {boolean}
+   */
+  static isValidBestOf(bestOf) {
+    return BEST_OF_OPTIONS.includes(bestOf);
+  }
+
+  /**
+   * Number of game wins that decide a match
+   * @param {number} [bestOf] - Games per match
+   * @returns {number}
+   */
+  static getWinsNeeded(bestOf = 1) {
+    return Math.floor(bestOf / 2) + 1;
+  }
+
+  /**
+   * Get every match of a tournament
+   * @param {Object[]} brackets - Rounds
+   * @returns {Object[]}
+   */
+  static getMatches(brackets) {
+    return (brackets || []).flatMap(round => round.matches);
+  }
+
+  /**
+   * Find a match by ID
+   * @param {Object[]} brackets - Rounds
+   * @param {string} matchId - Match ID
+   * @returns {Object|null}
+   */
+  static findMatch(brackets, matchId) {
+    return this.getMatches(brackets).find(match => match.matchId === matchId) || null;
+  }
+
+  /**
+   * Get matches that have both players but have not been played or scheduled yet
+   * @param {Object[]} brackets - Rounds
+   * @returns {Object[]}
+   */
+  static getPlayableMatches(brackets) {
+    return this.getMatches(brackets).filter(match =>
+      match.status === 'PENDING' && match.player1Id && match.player2Id
+    );
+  }
+
+  /**
+   * Check whether a player is out of the tournament
+   * One loss eliminates in single elimination and two in double elimination;
+   * Swiss players play every round
+   * @param {Object} state - { format, brackets }
+   * @param {string} playerId - Player ID
+   * @returns {boolean}
+   */
+  static isEliminated(state, playerId) {
+    if (state.format === FORMATS.SWISS) return false;
+
+    const losses = this.getMatches(state.brackets).filter(match =>
+      match.status === 'COMPLETED' && match.winnerId && !sameId(match.winnerId, playerId) &&
+      (sameId(match.player1Id, playerId) || sameId(match.player2Id, playerId))
+    ).length;
+
+    return losses >= (state.format === FORMATS.DOUBLE_ELIMINATION ? 2 : 1);
+  }
+
+  /**
+   * Record the winner of a match and advance the bracket
+   * @param {Object} state - { format, brackets, players, swissRounds }
+   * @param {string} matchId - Match ID
+   * @param {string} winnerId - ID of the winning player
+   * @returns {Object|null} - { match, championId, newRound }, or null if the match
+   *   cannot take this result (unknown, already decided, or winner not in it)
+   */
+  static recordResult(state, matchId, winnerId) {
+    const match = this.findMatch(state.brackets, matchId);
+    if (!this._canRecord(match, winnerId)) {
+      return null;
+    }
+
+    const result = { match, championId: null, newRound: false };
+    this._completeMatch(state, match, winnerId, result);
+
+    return result;
+  }
+
+  /**
+   * Record the winner of one game of a match series
+   * The match is decided, and the bracket advanced, once a player reaches the
+   * number of wins the tournament's bestOf needs
+   * @param {Object} state - { format, bestOf, brackets, players, swissRounds }
+   * @param {string} matchId - Match ID
+   * @param {string} winnerId - ID of the player who won the game
+   * @returns {Object|null} - { match, seriesOver, championId, newRound }, or null if
+   *   the match cannot take this result
+   */
+  static recordGame(state, matchId, winnerId) {
+    const match = this.findMatch(state.brackets, matchId);
+    if (!this._canRecord(match, winnerId)) {
+      return null;
+    }
+
+    const key = sameId(winnerId, match.player1Id) ? 'player1' : 'player2';
+    if (!match.score) {
+      match.score = { player1: 0, player2: 0 };
+    }
+    match.score[key] = (match.score[key] || 0) + 1;
+
+    if (match.score[key] < this.getWinsNeeded(state.bestOf)) {
+      return { match, seriesOver: false, championId: null, newRound: false };
+    }
+
+    return { ...this.recordResult(state, matchId, winnerId), seriesOver: true };
+  }
+
+  /**
+   * Check whether a match is waiting for a result the given player can win
+   * @param {Object|null} match - Match
+   * @param {string} winnerId - Reported winner
+   * @returns {boolean}
+   * @private
+   */
+  static _canRecord(match, winnerId) {
+    if (!match || match.status === 'COMPLETED' || match.status === 'SKIPPED') {
+      return false;
+    }
+
+    return Boolean(match.player1Id && match.player2Id) &&
+      (sameId(winnerId, match.player1Id) || sameId(winnerId, match.player2Id));
+  }
+
+  /**
+   * Mark a match as won and move its players on
+   * @param {Object} state - Tournament state
+   * @param {Object} match - Match
+   * @param {string|null} winnerId - Winner, or null if neither side had a player
+   * @param {Object} result - Result being built by recordResult
+   * @private
+   */
+  static _completeMatch(state, match, winnerId, result) {
+    const winnerSlot = sameId(winnerId, match.player1Id) ? 1 : (sameId(winnerId, match.player2Id) ? 2 : null);
+    const winner = winnerSlot ? getEntrant(match, winnerSlot) : null;
+    const loser = winnerSlot ? getEntrant(match, 3 - winnerSlot) : null;
+
+    match.winnerId = winner ? winner.id : null;
+    match.status = 'COMPLETED';
+
+    if (match.final) {
+      const reset = match.resetMatchId ? this.findMatch(state.brackets, match.resetMatchId) : null;
+
+      // The losers bracket winner has now lost once too, so the grand final is replayed
+      if (reset && winnerSlot === 2) {
+        this._placeEntrant(reset, 1, getEntrant(match, 1));
+        this._placeEntrant(reset, 2, getEntrant(match, 2));
+        return;
+      }
+
+      if (reset) {
+        reset.status = 'SKIPPED';
+      }
+      result.championId = winner ? winner.id : null;
+      return;
+    }
+
+    const touched = [];
+    if (hasLink(match.winnerTo)) {
+      touched.push(this._advance(state, match.winnerTo, winner));
+    }
+    if (hasLink(match.loserTo)) {
+      touched.push(this._advance(state, match.loserTo, loser));
+    }
+
+    this._resolveByes(state, touched.filter(Boolean), result);
+
+    if (state.format === FORMATS.SWISS) {
+      this._advanceSwiss(state, result);
+    }
+  }
+
+  /**
+   * Put a player (or a bye, if there is none) into a linked slot
+   * @param {Object} state - Tournament state
+   * @param {Object} link - { matchId, slot }
+   * @param {Object|null} entrant - Player moving on
+   * @returns {Object|null} - The target match
+   * @private
+   */
+  static _advance(state, link, entrant) {
+    const target = this.findMatch(state.brackets, link.matchId);
+    if (!target) return null;
+
+    this._placeEntrant(target, link.slot, entrant);
+    return target;
+  }
+
+  /**
+   * Fill one side of a match
+   * @param {Object} match - Match
+   * @param {number} slot - 1 or 2
+   * @param {Object|null} entrant - { id, name, seed }, or null for a bye
+   * @private
+   */
+  static _placeEntrant(match, slot, entrant) {
+    if (entrant) {
+      match[`player${slot}Id`] = entrant.id;
+      match[`player${slot}Name`] = entrant.name;
+      match[`player${slot}Seed`] = entrant.seed;
+    } else {
+      match[`player${slot}Bye`] = true;
+      match[`player${slot}Name`] = BracketGenerator.BYE_NAME;
+    }
+  }
+
+  /**
+   * Complete matches that have a bye once their other side is known
+   * @param {Object} state - Tournament state
+   * @param {Object[]} matches - Matches to check
+   * @param {Object} result - Result being built by recordResult
+   * @private
+   */
+  static _resolveByes(state, matches, result) {
+    matches.forEach(match => {
+      if (match.status !== 'PENDING' || !(match.player1Bye || match.player2Bye)) return;
+
+      const oneKnown = Boolean(match.player1Id) || match.player1Bye;
+      const twoKnown = Boolean(match.player2Id) || match.player2Bye;
+      if (!oneKnown || !twoKnown) return;
+
+      match.bye = true;
+      this._completeMatch(state, match, match.player1Id || match.player2Id || null, result);
+    });
+  }
+
+  /**
+   * Pair the next Swiss round once the current one is finished, or decide the
+   * tournament after the last round
+   * @param {Object} state - Tournament state
+   * @param {Object} result - Result being built by recordResult
+   * @private
+   */
+  static _advanceSwiss(state, result) {
+    const rounds = state.brackets;
+    const current = rounds[rounds.length - 1];
+    if (!current || current.matches.some(match => match.status !== 'COMPLETED')) return;
+
+    const players = this._getSeededPlayers(state);
+    const totalRounds = state.swissRounds || BracketGenerator.getSwissRoundCount(players.length);
+
+    if (current.round >= totalRounds) {
+      const [leader] = BracketGenerator.getSwissStandings(players, rounds);
+      result.championId = leader ? leader.id : null;
+      return;
+    }
+
+    rounds.push(BracketGenerator.createSwissRound(players, rounds, current.round + 1));
+    result.newRound = true;
+
+    // Read the round back, since Tournament documents cast what is pushed
+    this._resolveByes(state, rounds[rounds.length - 1].matches, result);
+  }
+
+  /**
+   * Normalize the tournament's players for the generator
+   * @param {Object} state - Tournament state
+   * @returns {Object[]} - { id, name, seed }
+   * @private
+   */
+  static _getSeededPlayers(state) {
+    return state.players.map(player => ({
+      id: player.id,
+      name: player.name || player.username || player.id,
+      seed: player.seed
+    }));
+  }
+}
+
+BracketManager.FORMATS = FORMATS;
+BracketManager.BEST_OF_OPTIONS = BEST_OF_OPTIONS;
+
+module.exports = BracketManager;
@@ -0,0 +1,103 @@
+/**
+ * ClassDefinitions
+ * Server access to the class and ability definitions shared with the client
+ * (shared/classDefinitions.mjs). The shared module is ESM, so it must be loaded
+ * once with load() before any other method is used.
+ */
+
+// Class used when a client sends an unknown or missing class
+const DEFAULT_CLASS = 'CLERK';
+
+let loaded = null;
+
+class ClassDefinitions {
+  /**
+   * Load and validate the shared definitions
+   * Validation runs inside the shared module and rejects on any invalid entry
+   * @returns {Promise<Object>} - { classes, version, hash }
+   */
+  static async load() {
+    if (loaded) return loaded;
+
+    const shared = await import('../../shared/classDefinitions.mjs');
+
+    loaded = {
+      classes: shared.CHARACTER_CLASSES,
+      version: shared.CLASS_DEFINITIONS_VERSION,
+      hash: shared.CLASS_DEFINITIONS_HASH
+    };
+
+    console.log(`Loaded class definitions v${loaded.version} (${loaded.hash})`);
+    return loaded;
+  }
+
+  /**
+   * Get the loaded definitions, failing loudly if load() has not completed
+   * @returns {Object} - { classes, version, hash }
+   * @private
+   */
+  static _get() {
+    if (!loaded) {
+      throw new Error('Class definitions have not been loaded');
+    }
+    return loaded;
+  }
+
+  /**
+   * Normalize a client-supplied class name to a known class ID
+   * @param {string} characterClass - Class name in any case
+   * @returns {string} - Known class ID, or the default class if unknown
+   */
+  static normalizeClass(characterClass) {
+    const normalizedClass = (characterClass || '').toUpperCase();
+    return this._get().classes[normalizedClass] ? normalizedClass : DEFAULT_CLASS;
+  }
+
+  /**
+   * Check whether a class name refers to a known class
+   * @param {string} characterClass - Class name in any case
+   * @returns {boolean}
+   */
+  static isValidClass(characterClass) {
+    return Boolean(this._get().classes[(characterClass || '').toUpperCase()]);
+  }
+
+  /**
+   * Get stats for a character class
+   * Includes the flat damage/range/attackSpeed fields derived from the primary ability
+   * @param {string} characterClass - The character class (CLERK, WARRIOR, RANGER)
+   * @returns {Object} The stats for the character class
+   */
+  static getClassStats(characterClass) {
+    const definition = this._get().classes[this.normalizeClass(characterClass)];
+    const primary = definition.abilities.primary;
+
+    return {
+      ...definition,
+      damage: primary.damage,
+      range: primary.range,
+      attackSpeed: 1 / primary.cooldown
+    };
+  }
+
+  /**
+   * Version information sent to clients and compared on join
+   * @returns {{version: number, hash: string}}
+   */
+  static getVersionInfo() {
+    const { version, hash } = this._get();
+    return { version, hash };
+  }
+
+  /**
+   * Check whether a client's definitions match the server's
+   * @param {Object} clientInfo - { version, hash } sent by the client
+   * @returns {boolean}
+   */
+  static isCompatible(clientInfo) {
+    const { version, hash } = this._get();
+    return Boolean(clientInfo) && clientInfo.version === version && clientInfo.hash === hash;
+  }
+}
+
+module.exports = ClassDefinitions;
@@ -0,0 +1,238 @@
+/**
+ * CombatManager
+ * Resolves player attacks on the server so clients cannot dictate damage,
+ * range or attack rate
+ */
+
+// Extra distance allowed on top of an ability's range to absorb position update latency
+const RANGE_TOLERANCE = 1.5;
+
+// Cooldown slack in milliseconds to absorb network jitter between two attack messages
+const COOLDOWN_TOLERANCE_MS = 100;
+
+// Furthest back (milliseconds) a lag-compensated attack may rewind its target
+const MAX_REWIND_MS = 500;
+
+// Reasons reported back to the attacker when an attack is rejected
+const REJECT_REASONS = {
+  INVALID_ABILITY: 'INVALID_ABILITY',
+  INVALID_TARGET: 'INVALID_TARGET',
+  ATTACKER_DEAD: 'ATTACKER_DEAD',
+  STUNNED: 'STUNNED',
+  TARGET_DEAD: 'TARGET_DEAD',
+  ON_COOLDOWN: 'ON_COOLDOWN',
+  OUT_OF_RANGE: 'OUT_OF_RANGE'
+};
+
+// Status effects applied by ability flags, with their duration in milliseconds
+const STATUS_EFFECT_DURATIONS = {
+  stun: 1000,
+  slow: 2000
+};
+
+class CombatManager {
+  /**
+   * Find the ability an attack refers to
+   * Clients send either the ability slot ('primary') or the ability name ('Magic Bolt')
+   * @param {Object} classStats - Stats for the attacker's class
+   * @param {string} attackType - Ability slot or ability name sent by the client
+   * @returns {{key: string, ability: Object}|null} - The resolved ability or null if unknown
+   */
+  static resolveAbility(classStats, attackType) {
+    const abilities = classStats && classStats.abilities;
+    if (!abilities) return null;
+
+    const requested = attackType || 'primary';
+
+    if (abilities[requested]) {
+      return { key: requested, ability: abilities[requested] };
+    }
+
+    const key = Object.keys(abilities).find(
+      slot => abilities[slot].name.toLowerCase() === String(requested).toLowerCase()
+    );
+
+    return key ? { key, ability: abilities[key] } : null;
+  }
+
+  /**
+   * Calculate the horizontal distance between two positions
+   * Height is ignored because terrain height differs slightly between clients
+   * @param {Object} pos1 - First position {x, y, z}
+   * @param {Object} pos2 - Second position {x, y, z}
+   * @returns {number} - Distance on the XZ plane
+   */
+  static getDistance(pos1, pos2) {
+    const dx = (pos1.x || 0) - (pos2.x || 0);
+    const dz = (pos1.z || 0) - (pos2.z || 0);
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  /**
+   * Find where a player was at a past time from their recorded position history
+   * @param {Object} player - Player record with positionHistory
+   * @param {number} time - Server time in milliseconds
+   * @returns {Object|null} - Interpolated position {x, y, z}, or null without history
+   */
+  static getRewoundPosition(player, time) {
+    const history = player.positionHistory;
+    if (!history || history.length === 0) return null;
+
+    if (time <= history[0].time) {
+      return history[0].position;
+    }
+
+    for (let i = history.length - 1; i > 0; i--) {
+      const from = history[i - 1];
+      const to = history[i];
+
+      if (time >= from.time && time <= to.time) {
+        const alpha = (time - from.time) / (to.time - from.time);
+        return {
+          x: from.position.x + (to.position.x - from.position.x) * alpha,
+          y: from.position.y + (to.position.y - from.position.y) * alpha,
+          z: from.position.z + (to.position.z - from.position.z) * alpha
+        };
+      }
+    }
+
+    return history[history.length - 1].position;
+  }
+
+  /**
+   * Validate an attack and compute its damage from server-side data only
+   * Lag-compensated abilities check range against the target's position at viewTime,
+   * the server time the attacker was rendering, limited to MAX_REWIND_MS in the past
+   * @param {Object} options
+   * @param {Object} options.attacker - Attacking player record
+   * @param {Object} options.target - Target player record
+   * @param {Object} options.classStats - Stats for the attacker's class
+   * @param {string} options.attackType - Ability slot or name sent by the client
+   * @param {number} [options.viewTime] - Server time the attacker saw the target at
+   * @param {number} [options.now] - Current time in milliseconds
+   * @returns {Object} - { allowed, reason, abilityKey, ability, damage, distance, maxRange, rewindMs }
+   */
+  static resolveAttack({ attacker, target, classStats, attackType, viewTime, now = Date.now() }) {
+    const resolved = this.resolveAbility(classStats, attackType);
+
+    if (!resolved) {
+      return { allowed: false, reason: REJECT_REASONS.INVALID_ABILITY };
+    }
+
+    const { key: abilityKey, ability } = resolved;
+    const maxRange = ability.range;
+    const result = { abilityKey, ability, maxRange, distance: 0 };
+
+    if (!target || target === attacker || !target.stats) {
+      return { ...result, allowed: false, reason: REJECT_REASONS.INVALID_TARGET };
+    }
+
+    if (!attacker.stats || attacker.stats.health <= 0) {
+      return { ...result, allowed: false, reason: REJECT_REASONS.ATTACKER_DEAD };
+    }
+
+    if (target.stats.health <= 0) {
+      return { ...result, allowed: false, reason: REJECT_REASONS.TARGET_DEAD };
+    }
+
+    if (this.hasStatusEffect(attacker, 'stun', now)) {
+      return { ...result, allowed: false, reason: REJECT_REASONS.STUNNED };
+    }
+
+    // Enforce per-ability cooldowns
+    const readyAt = attacker.cooldowns ? attacker.cooldowns[abilityKey] || 0 : 0;
+    if (now + COOLDOWN_TOLERANCE_MS < readyAt) {
+      return {
+        ...result,
+        allowed: false,
+        reason: REJECT_REASONS.ON_COOLDOWN,
+        remaining: (readyAt - now) / 1000
+      };
+    }
+
+    // Verify range against the server's positions, rewound for lag-compensated abilities
+    let targetPosition = target.position;
+    result.rewindMs = 0;
+
+    if (ability.lagCompensated && typeof viewTime === 'number' && Number.isFinite(viewTime)) {
+      const rewindTime = Math.min(Math.max(viewTime, now - MAX_REWIND_MS), now);
+      const rewoundPosition = this.getRewoundPosition(target, rewindTime);
+
+      if (rewoundPosition) {
+        targetPosition = rewoundPosition;
+        result.rewindMs = now - rewindTime;
+      }
+    }
+
+    result.distance = this.getDistance(
+      attacker.position || { x: 0, y: 0, z: 0 },
+      targetPosition || { x: 0, y: 0, z: 0 }
+    );
+
+    if (result.distance > maxRange + RANGE_TOLERANCE) {
+      return { ...result, allowed: false, reason: REJECT_REASONS.OUT_OF_RANGE };
+    }
+
+    return {
+      ...result,
+      allowed: true,
+      damage: ability.damage
+    };
+  }
+
+  /**
+   * Start the cooldown for an ability after a successful attack
+   * @param {Object} attacker - Attacking player record
+   * @param {string} abilityKey - Ability slot that was used
+   * @param {Object} ability - Ability definition
+   * @param {number} [now] - Current time in milliseconds
+   */
+  static startCooldown(attacker, abilityKey, ability, now = Date.now()) {
+    if (!attacker.cooldowns) {
+      attacker.cooldowns = {};
+    }
+
+    attacker.cooldowns[abilityKey] = now + ability.cooldown * 1000;
+  }
+
+  /**
+   * Apply the status effects carried by an ability to its target
+   * Reapplying an effect refreshes its expiry
+   * @param {Object} target - Target player record
+   * @param {Object} ability - Ability definition
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array<string>} - Effects applied
+   */
+  static applyStatusEffects(target, ability, now = Date.now()) {
+    const applied = Object.keys(STATUS_EFFECT_DURATIONS).filter(effect => ability[effect]);
+    if (applied.length === 0) return applied;
+
+    if (!target.statusEffects) {
+      target.statusEffects = {};
+    }
+
+    applied.forEach(effect => {
+      target.statusEffects[effect] = now + STATUS_EFFECT_DURATIONS[effect];
+    });
+
+    return applied;
+  }
+
+  /**
+   * Check whether a player is under an active status effect
+   * @param {Object} player - Player record
+   * @param {string} effect - Effect name (stun, slow)
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean}
+   */
+  static hasStatusEffect(player, effect, now = Date.now()) {
+    return Boolean(player.statusEffects && player.statusEffects[effect] > now);
+  }
+}
+
+CombatManager.REJECT_REASONS = REJECT_REASONS;
+CombatManager.RANGE_TOLERANCE = RANGE_TOLERANCE;
+CombatManager.MAX_REWIND_MS = MAX_REWIND_MS;
+CombatManager.STATUS_EFFECT_DURATIONS = STATUS_EFFECT_DURATIONS;
+
+module.exports = CombatManager;
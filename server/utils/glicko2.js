@@ -0,0 +1,200 @@
+/**
+ * Glicko2
+ * Glicko-2 skill ratings, following Glickman's "Example of the Glicko-2 system".
+ * Every rated game is its own rating period. Between games a rating's deviation grows
+ * with the time the player has been inactive, so a returning player's rating moves
+ * faster until their skill has been measured again.
+ */
+
+// Rating, deviation and volatility of a player who has never been rated
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// Deviation never drops below this, so established ratings can still move
+const MIN_RD = 30;
+
+// System constant: how much volatility may change per rating period
+const TAU = 0.5;
+
+// Conversion between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+
+// Precision of the volatility iteration
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Inactivity that counts as one rating period when the deviation grows
+const DECAY_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number} phi - Deviation on the Glicko-2 scale
+ * @returns {number}
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent
+ * @param {number} mu - Player rating on the Glicko-2 scale
+ * @param {number} muOpponent - Opponent rating on the Glicko-2 scale
+ * @param {number} phiOpponent - Opponent deviation on the Glicko-2 scale
+ * @returns {number}
+ */
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * New volatility, found with the Illinois algorithm (step 5 of the paper)
+ * @param {number} phi - Deviation on the Glicko-2 scale
+ * @param {number} sigma - Current volatility
+ * @param {number} delta - Estimated improvement
+ * @param {number} v - Estimated variance
+ * @returns {number}
+ */
+function computeVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) -
+      (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+class Glicko2 {
+  /**
+   * Rating of a player who has never played a rated game
+   * @returns {Object} - { rating, rd, volatility, ratedAt, games }
+   */
+  static createRating() {
+    return {
+      rating: DEFAULT_RATING,
+      rd: DEFAULT_RD,
+      volatility: DEFAULT_VOLATILITY,
+      ratedAt: null,
+      games: 0
+    };
+  }
+
+  /**
+   * Deviation of a rating after the player's inactivity since their last rated game
+   * Each DECAY_PERIOD_MS without games adds one period of volatility, up to DEFAULT_RD
+   * @param {Object} rating - { rd, volatility, ratedAt }
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number}
+   */
+  static getDecayedRd(rating, now = Date.now()) {
+    if (!rating.ratedAt) return rating.rd;
+
+    const periods = Math.max(0, now - new Date(rating.ratedAt).getTime()) / DECAY_PERIOD_MS;
+    const phi = rating.rd / SCALE;
+    const decayed = Math.sqrt(phi * phi + periods * rating.volatility * rating.volatility) * SCALE;
+
+    return Math.min(decayed, DEFAULT_RD);
+  }
+
+  /**
+   * Rating minus two deviations: with 95% confidence the player is at least this good
+   * Used for tiers, so new and long-inactive players are not ranked on an uncertain rating
+   * @param {Object} rating - { rating, rd, volatility, ratedAt }
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number}
+   */
+  static getConservativeRating(rating, now = Date.now()) {
+    return rating.rating - 2 * Glicko2.getDecayedRd(rating, now);
+  }
+
+  /**
+   * Update a rating with the games of one rating period
+   * @param {Object} rating - { rating, rd, volatility, ratedAt, games }
+   * @param {Array<Object>} results - { opponent: { rating, rd, ratedAt, volatility }, score } with
+   *   score 1 for a win, 0.5 for a draw and 0 for a loss
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} - The updated rating
+   */
+  static rate(rating, results, now = Date.now()) {
+    const mu = (rating.rating - DEFAULT_RATING) / SCALE;
+    const phi = Glicko2.getDecayedRd(rating, now) / SCALE;
+
+    // A period without games only widens the deviation
+    if (results.length === 0) {
+      return { ...rating, rd: phi * SCALE };
+    }
+
+    const opponents = results.map(({ opponent, score }) => {
+      const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+      const phiOpponent = Glicko2.getDecayedRd(opponent, now) / SCALE;
+      return { g: g(phiOpponent), e: expectedScore(mu, muOpponent, phiOpponent), score };
+    });
+
+    const v = 1 / opponents.reduce((sum, o) => sum + o.g * o.g * o.e * (1 - o.e), 0);
+    const improvement = opponents.reduce((sum, o) => sum + o.g * (o.score - o.e), 0);
+    const delta = v * improvement;
+
+    const volatility = computeVolatility(phi, rating.volatility, delta, v);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+      rating: newMu * SCALE + DEFAULT_RATING,
+      rd: Math.max(newPhi * SCALE, MIN_RD),
+      volatility,
+      ratedAt: new Date(now),
+      games: (rating.games || 0) + 1
+    };
+  }
+
+  /**
+   * Rate a decided 1v1 game; both players are rated against the other's rating before the game
+   * @param {Object} winner - Winner's rating
+   * @param {Object} loser - Loser's rating
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{winner: Object, loser: Object}} - The updated ratings
+   */
+  static rateGame(winner, loser, now = Date.now()) {
+    return {
+      winner: Glicko2.rate(winner, [{ opponent: loser, score: 1 }], now),
+      loser: Glicko2.rate(loser, [{ opponent: winner, score: 0 }], now)
+    };
+  }
+}
+
+Glicko2.DEFAULT_RATING = DEFAULT_RATING;
+Glicko2.DEFAULT_RD = DEFAULT_RD;
+Glicko2.DEFAULT_VOLATILITY = DEFAULT_VOLATILITY;
+Glicko2.DECAY_PERIOD_MS = DECAY_PERIOD_MS;
+
+module.exports = Glicko2;
@@ -0,0 +1,71 @@
+/**
+ * Mailer
+ * Sends account emails through a pluggable transport. Until a transport is
+ * configured, messages are written to the console so local development works
+ * without a mail server.
+ */
+
+/**
+ * Default transport: print the message instead of sending it
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function consoleTransport(message) {
+  console.log(`[mail] To: ${message.to}`);
+  console.log(`[mail] Subject: ${message.subject}`);
+  console.log(message.text);
+}
+
+let transport = consoleTransport;
+
+class Mailer {
+  /**
+   * Replace the transport used to deliver mail
+   * A transport is an async function receiving { to, subject, text }
+   * (for example a wrapper around an SMTP client)
+   * @param {Function} nextTransport - Transport function, or null for the console transport
+   */
+  static setTransport(nextTransport) {
+    transport = typeof nextTransport === 'function' ? nextTransport : consoleTransport;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<boolean>} - Whether the transport accepted the message
+   */
+  static async send(message) {
+    try {
+      await transport(message);
+      return true;
+    } catch (error) {
+      console.error('Error sending mail:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} player - Player document (needs email and username)
+   * @param {string} resetUrl - Link containing the reset token
+   * @returns {Promise<boolean>}
+   */
+  static sendPasswordReset(player, resetUrl) {
+    return Mailer.send({
+      to: player.email,
+      subject: 'Reset your Guild Clash password',
+      text: [
+        `Hi ${player.username},`,
+        '',
+        'Someone asked to reset the password for your Guild Clash account.',
+        `Use this link within the next hour to choose a new password: ${resetUrl}`,
+        '',
+        'If this was not you, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+Mailer.consoleTransport = consoleTransport;
+
+module.exports = Mailer;
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * MapLibrary
+ * The hand-authored arenas in shared/maps/, validated against the shared map format
+ * (shared/mapFormat.mjs). The format module is ESM, so the library must be loaded
+ * once with load() before any other method is used; its exports, such as the map
+ * styles and tile geometry, are available from getFormat() after that.
+ */
+
+// Directory the map files are shipped in, shared with the client bundle
+const MAPS_DIR = path.join(__dirname, '../../shared/maps');
+
+let loaded = null;
+let format = null;
+
+class MapLibrary {
+  /**
+   * Load and validate every map file
+   * Rejects on the first invalid file, listing its problems
+   * @returns {Promise<Map<string, Object>>} - Maps keyed by ID
+   */
+  static async load() {
+    if (loaded) return loaded;
+
+    const mapFormat = await import('../../shared/mapFormat.mjs');
+    const maps = new Map();
+
+    const files = fs.existsSync(MAPS_DIR)
+      ? fs.readdirSync(MAPS_DIR).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    files.forEach(file => {
+      const map = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8'));
+      mapFormat.validateMap(map);
+
+      if (maps.has(map.id)) {
+        throw new Error(`Map ID ${map.id} is used by more than one file (${file})`);
+      }
+      maps.set(map.id, map);
+    });
+
+    loaded = maps;
+    format = mapFormat;
+
+    console.log(`Loaded ${maps.size} map file(s)${maps.size ? `: ${[...maps.keys()].join(', ')}` : ''}`);
+    return loaded;
+  }
+
+  /**
+   * Get the loaded maps, failing loudly if load() has not completed
+   * @returns {Map<string, Object>}
+   * @private
+   */
+  static _get() {
+    if (!loaded) {
+      throw new Error('Map files have not been loaded');
+    }
+    return loaded;
+  }
+
+  /**
+   * Get the exports of the shared map format, failing loudly if load() has not completed
+   * @returns {Object}
+   */
+  static getFormat() {
+    if (!format) {
+      throw new Error('Map files have not been loaded');
+    }
+    return format;
+  }
+
+  /**
+   * Map styles, as in MAP_STYLES of the shared format
+   * @returns {{TOURNAMENT: string, BATTLE_ROYALE: string}}
+   */
+  static get STYLES() {
+    return this.getFormat().MAP_STYLES;
+  }
+
+  /**
+   * Get a map by ID
+   * @param {string} mapId - Map ID
+   * @returns {Object|null}
+   */
+  static get(mapId) {
+    return this._get().get(mapId) || null;
+  }
+
+  /**
+   * Summaries of the maps of one style, in file order
+   * @param {string} [style] - 'tournament' or 'battleRoyale'; all maps if omitted
+   * @returns {Array<{id: string, name: string, style: string}>}
+   */
+  static list(style) {
+    return [...this._get().values()]
+      .filter(map => !style || map.style === style)
+      .map(map => ({ id: map.id, name: map.name, style: map.style }));
+  }
+
+  /**
+   * Keep the IDs of known maps of a style, dropping unknown IDs and repeats
+   * @param {Array<string>} mapIds - Requested map IDs
+   * @param {string} style - Style the maps must have
+   * @returns {Array<string>}
+   */
+  static filterIds(mapIds, style) {
+    if (!Array.isArray(mapIds)) return [];
+
+    return [...new Set(mapIds)].filter(mapId => {
+      const map = this.get(mapId);
+      return map && map.style === style;
+    });
+  }
+}
+
+module.exports = MapLibrary;
@@ -0,0 +1,62 @@
+/**
+ * MapSeed
+ * Server access to the seeded randomness, walkable tile checksums and terrain constants
+ * clients generate match arenas with (shared/mapSeed.mjs). Its seeded sequence is also the
+ * one bracket tiebreaks are drawn from. The shared module is ESM, so it must be loaded once
+ * with load() before any other method is used.
+ */
+
+let loaded = null;
+
+class MapSeed {
+  /**
+   * Load the shared module
+   * @returns {Promise<Object>} - The module's exports
+   */
+  static async load() {
+    if (loaded) return loaded;
+
+    loaded = await import('../../shared/mapSeed.mjs');
+    return loaded;
+  }
+
+  /**
+   * Get the shared module's exports, e.g. the terrain constants, failing loudly if
+   * load() has not completed
+   * @returns {Object}
+   */
+  static get() {
+    if (!loaded) {
+      throw new Error('Map seed module has not been loaded');
+    }
+    return loaded;
+  }
+
+  /**
+   * Create a seeded random number generator, the same as the client's
+   * @param {number} seed - 32-bit integer seed
+   * @returns {Function} - Returns numbers in [0, 1)
+   */
+  static createRandom(seed) {
+    return this.get().createRandom(seed);
+  }
+
+  /**
+   * Seed for a new arena
+   * @returns {number} - 31-bit integer seed
+   */
+  static createMapSeed() {
+    return this.get().createMapSeed();
+  }
+
+  /**
+   * Checksum of a set of tile keys, independent of their order
+   * @param {Iterable<string>} keys - Tile keys such as "x,y"
+   * @returns {string} - 8 hex digits
+   */
+  static checksumTiles(keys) {
+    return this.get().checksumTiles(keys);
+  }
+}
+
+module.exports = MapSeed;
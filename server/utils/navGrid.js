@@ -0,0 +1,296 @@
+const { createNoise2D } = require('simplex-noise');
+const MapSeed = require('./mapSeed');
+const MapLibrary = require('./mapLibrary');
+
+/**
+ * NavGrid
+ * The server's copy of a match arena's walkability. The tournament arena is the same
+ * hex terrain TournamentMap generates on the client from the room's seed: the noise
+ * permutation and the tree and stone rolls come from one seeded sequence, drawn in
+ * tile order, with the terrain constants of shared/mapSeed.mjs (see MapSeed). Tile
+ * coordinates and spacing are those of the shared map format (see MapLibrary).
+ * Arenas loaded from a map file take their tiles from the file instead.
+ * Battle royale maps are open ground, so only their bounds are checked.
+ */
+
+// Share of the arena radius without tile data that still counts as walkable
+const UNTILED_WALKABLE_SCALE = 0.95;
+
+// Distance between the points checked along a movement
+const SEGMENT_STEP = 0.25;
+
+// How far from a point the nearest walkable tile is searched for
+const NEAREST_WALKABLE_RADIUS = 8;
+
+/**
+ * Key of the tile at tile coordinates
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {string}
+ */
+function tileKey(tileX, tileY) {
+  return `${tileX},${tileY}`;
+}
+
+/**
+ * Tile whose centre is nearest to a world position
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @returns {{x: number, y: number}} - Tile coordinates
+ */
+function worldToTile(x, z) {
+  const { TILE_WIDTH, TILE_DEPTH, tileToPosition } = MapLibrary.getFormat();
+  const row = z / TILE_DEPTH;
+  let best = null;
+
+  // The nearest centre is always in one of the two rows around the position
+  [Math.floor(row), Math.ceil(row)].forEach(tileY => {
+    const tileX = Math.round(x / TILE_WIDTH - (tileY % 2) * 0.5);
+    const centre = tileToPosition(tileX, tileY);
+    const distance = (x - centre.x) ** 2 + (z - centre.z) ** 2;
+
+    if (!best || distance < best.distance) {
+      best = { x: tileX, y: tileY, distance };
+    }
+  });
+
+  return { x: best.x, y: best.y };
+}
+
+/**
+ * Type of a tile, drawing its obstacle roll from the seeded sequence
+ * Stone tiles draw a roll too, for the decorative stone TournamentMap may put on them
+ * @param {number} height - Tile height
+ * @param {Function} random - Seeded random sequence
+ * @returns {string}
+ */
+function getTileType(height, random) {
+  const { STONE_HEIGHT, DIRT_HEIGHT, GRASS_HEIGHT, SAND_HEIGHT, DIRT2_HEIGHT, OBSTACLE_ROLL } = MapSeed.get();
+
+  if (height > STONE_HEIGHT) {
+    random();
+    return 'stone';
+  }
+  if (height > DIRT_HEIGHT) {
+    return 'dirt';
+  }
+  if (height > GRASS_HEIGHT) {
+    return random() > OBSTACLE_ROLL ? 'grass_with_tree' : 'grass';
+  }
+  if (height > SAND_HEIGHT) {
+    return random() > OBSTACLE_ROLL ? 'sand_with_stone' : 'sand';
+  }
+  if (height > DIRT2_HEIGHT) {
+    return 'dirt2';
+  }
+  return '';
+}
+
+/**
+ * Build a nav grid tile
+ * @param {string} type - Tile type
+ * @param {number} height - Tile height
+ * @returns {{type: string, height: number, walkable: boolean}}
+ */
+function makeTile(type, height) {
+  const { WALKABLE_TILE_TYPES, WATER_HEIGHT } = MapSeed.get();
+  return { type, height, walkable: WALKABLE_TILE_TYPES.includes(type) && height > WATER_HEIGHT };
+}
+
+class NavGrid {
+  /**
+   * Create a grid; use forTournamentArena or forSquareMap
+   * @param {Object} options
+   * @param {Map} [options.tiles] - Hex tiles keyed by tileKey, each { type, height, walkable }
+   * @param {number} [options.radius] - Radius of a circular arena
+   * @param {number} [options.halfSize] - Half the side length of a square map
+   */
+  constructor({ tiles = null, radius = null, halfSize = null }) {
+    this.tiles = tiles;
+    this.radius = radius;
+    this.halfSize = halfSize;
+  }
+
+  /**
+   * Generate the hex tournament arena a client builds from the same seed
+   * @param {number} seed - Room map seed
+   * @returns {NavGrid}
+   */
+  static forTournamentArena(seed) {
+    const { ARENA_TILE_RANGE, ARENA_RADIUS, NOISE_SCALE, MAX_HEIGHT } = MapSeed.get();
+    const { tileToPosition } = MapLibrary.getFormat();
+    const random = MapSeed.createRandom(seed);
+    const noise2D = createNoise2D(random);
+    const tiles = new Map();
+
+    for (let i = -ARENA_TILE_RANGE; i < ARENA_TILE_RANGE; i++) {
+      for (let j = -ARENA_TILE_RANGE; j < ARENA_TILE_RANGE; j++) {
+        const { x, z } = tileToPosition(i, j);
+        if (Math.hypot(x, z) > ARENA_RADIUS) continue;
+
+        const noise = (noise2D(i * NOISE_SCALE, j * NOISE_SCALE) + 1) * 0.5;
+        const height = Math.pow(noise, 2) * MAX_HEIGHT;
+
+        tiles.set(tileKey(i, j), makeTile(getTileType(height, random), height));
+      }
+    }
+
+    return new NavGrid({ tiles, radius: ARENA_RADIUS });
+  }
+
+  /**
+   * Grid of a hand-authored map file (see shared/mapFormat.mjs)
+   * Tournament maps use the file's tiles; battle royale maps, like generated ones, only
+   * have bounds, since their obstacles don't block movement
+   * @param {Object} map - Validated map file
+   * @returns {NavGrid}
+   */
+  static forMapFile(map) {
+    if (map.style !== 'tournament') {
+      return NavGrid.forSquareMap(map.size);
+    }
+
+    const tiles = new Map();
+
+    map.tiles.forEach(({ x, y, type, height }) => {
+      tiles.set(tileKey(x, y), makeTile(type, height));
+    });
+
+    return new NavGrid({ tiles, radius: map.radius });
+  }
+
+  /**
+   * Open square map centred on the origin, e.g. a battle royale map
+   * @param {number} mapSize - Side length of the map
+   * @returns {NavGrid}
+   */
+  static forSquareMap(mapSize) {
+    return new NavGrid({ halfSize: mapSize / 2 });
+  }
+
+  /**
+   * Check whether a player may stand at a position
+   * Mirrors TournamentMap.isWalkable on the client
+   * @param {Object} position - Position {x, z}
+   * @returns {boolean}
+   */
+  isWalkable(position) {
+    if (this.halfSize !== null) {
+      return Math.abs(position.x) <= this.halfSize && Math.abs(position.z) <= this.halfSize;
+    }
+
+    const distance = Math.hypot(position.x, position.z);
+    if (distance > this.radius) return false;
+
+    const tile = this.getTile(position);
+
+    // Positions between the outermost tiles and the edge have no tile of their own
+    if (!tile) return distance < this.radius * UNTILED_WALKABLE_SCALE;
+
+    return tile.walkable;
+  }
+
+  /**
+   * Check that every point along a straight movement is walkable
+   * Points still on the starting tile are skipped, so a player standing on an
+   * obstacle (e.g. after a respawn) can always step off it
+   * @param {Object} from - Start position {x, z}
+   * @param {Object} to - End position {x, z}
+   * @returns {boolean}
+   */
+  isSegmentWalkable(from, to) {
+    if (!this.isWalkable(to)) return false;
+    if (!this.tiles) return true;
+
+    const startKey = this._getTileKey(from);
+    const steps = Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / SEGMENT_STEP);
+
+    for (let step = 1; step < steps; step++) {
+      const t = step / steps;
+      const point = { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t };
+
+      if (this._getTileKey(point) !== startKey && !this.isWalkable(point)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Tile under a position
+   * @param {Object} position - Position {x, z}
+   * @returns {Object|null} - { type, height, walkable }, or null off the tiles
+   */
+  getTile(position) {
+    return this.tiles ? this.tiles.get(this._getTileKey(position)) || null : null;
+  }
+
+  /**
+   * Ground height at a position
+   * @param {Object} position - Position {x, z}
+   * @returns {number}
+   */
+  getHeightAt(position) {
+    const tile = this.getTile(position);
+    return tile ? tile.height : 0;
+  }
+
+  /**
+   * Nearest walkable tile centre to a position, e.g. for spawn points that landed on a tree
+   * @param {Object} position - Position {x, y, z}
+   * @returns {Object} - The position itself if walkable, else the nearest walkable centre,
+   *   or the position unchanged if none is within NEAREST_WALKABLE_RADIUS
+   */
+  findNearestWalkable(position) {
+    if (this.isWalkable(position) || !this.tiles) return position;
+
+    const { tileToPosition } = MapLibrary.getFormat();
+    let best = null;
+
+    this.tiles.forEach((tile, key) => {
+      if (!tile.walkable) return;
+
+      const [tileX, tileY] = key.split(',').map(Number);
+      const centre = tileToPosition(tileX, tileY);
+      const distance = Math.hypot(centre.x - position.x, centre.z - position.z);
+
+      if (distance <= NEAREST_WALKABLE_RADIUS && (!best || distance < best.distance)) {
+        best = { x: centre.x, z: centre.z, distance };
+      }
+    });
+
+    return best ? { x: best.x, y: position.y, z: best.z } : position;
+  }
+
+  /**
+   * Checksum of the walkable tiles, as reported by clients in mapChecksum
+   * @returns {string|null} - 8 hex digits, or null for maps without tiles
+   */
+  getChecksum() {
+    if (!this.tiles) return null;
+
+    const { WALKABLE_TILE_TYPES } = MapSeed.get();
+
+    const walkable = [];
+    this.tiles.forEach((tile, key) => {
+      if (WALKABLE_TILE_TYPES.includes(tile.type)) walkable.push(key);
+    });
+
+    return MapSeed.checksumTiles(walkable);
+  }
+
+  /**
+   * @param {Object} position - Position {x, z}
+   * @returns {string}
+   * @private
+   */
+  _getTileKey(position) {
+    const tile = worldToTile(position.x, position.z);
+    return tileKey(tile.x, tile.y);
+  }
+}
+
+NavGrid.worldToTile = worldToTile;
+
+module.exports = NavGrid;
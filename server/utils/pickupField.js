@@ -0,0 +1,179 @@
+const MapSeed = require('./mapSeed');
+
+/**
+ * PickupField
+ * Health pickups of a battle royale room. Positions come from a seeded random sequence
+ * so a field can be reproduced from its seed; collection is checked against the
+ * server's own record of where the player is, and taken pickups respawn elsewhere
+ * after a delay. Maps loaded from a file list their pickup spawns instead: one pickup
+ * stands on each, and respawns where it was taken.
+ */
+
+// Default number of pickups on the map
+const DEFAULT_PICKUP_COUNT = 20;
+
+// Health restored by a pickup
+const DEFAULT_HEAL_AMOUNT = 20;
+
+// Time before a collected pickup reappears (milliseconds)
+const DEFAULT_RESPAWN_MS = 30000;
+
+// Distance from the map edge kept free of pickups
+const EDGE_MARGIN = 10;
+
+// Height pickups float at
+const PICKUP_HEIGHT = 1.5;
+
+// How close a player must be to collect a pickup; clients collect at 2 units, the rest
+// allows for the position the server has not applied yet
+const COLLECT_RANGE = 3;
+
+/**
+ * Reasons a collection is refused
+ */
+const REJECT_REASONS = {
+  NOT_FOUND: 'NOT_FOUND',
+  UNAVAILABLE: 'UNAVAILABLE',
+  TOO_FAR: 'TOO_FAR'
+};
+
+class PickupField {
+  /**
+   * Create the pickups for a square map centred on the origin
+   * @param {Object} options
+   * @param {number} options.mapSize - Side length of the map
+   * @param {number} [options.seed] - Seed for pickup positions; random if omitted
+   * @param {number} [options.count] - Number of pickups
+   * @param {number} [options.healAmount] - Health restored per pickup
+   * @param {number} [options.respawnMs] - Delay before a collected pickup reappears
+   * @param {Array<Object>} [options.spawnPoints] - Fixed pickup positions {x, z}; replaces
+   *   count and the random positions
+   */
+  constructor({
+    mapSize,
+    seed = MapSeed.createMapSeed(),
+    count = DEFAULT_PICKUP_COUNT,
+    healAmount = DEFAULT_HEAL_AMOUNT,
+    respawnMs = DEFAULT_RESPAWN_MS,
+    spawnPoints = null
+  }) {
+    this.seed = seed;
+    this.halfSize = mapSize / 2 - EDGE_MARGIN;
+    this.healAmount = healAmount;
+    this.respawnMs = respawnMs;
+    this.random = MapSeed.createRandom(seed);
+    this.spawnPoints = spawnPoints && spawnPoints.length > 0 ? spawnPoints : null;
+
+    this.pickups = new Map();
+
+    const total = this.spawnPoints ? this.spawnPoints.length : count;
+
+    for (let i = 0; i < total; i++) {
+      const id = `pickup_${i}`;
+
+      this.pickups.set(id, {
+        id,
+        position: this.spawnPoints ? this._getSpawnPosition(i) : this._pickPosition(),
+        healAmount,
+        available: true,
+        respawnAt: null
+      });
+    }
+  }
+
+  /**
+   * Try to collect a pickup
+   * @param {string} pickupId - Pickup ID
+   * @param {Object} position - Server-side position of the collecting player
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{pickup: Object}|{error: string}} - The collected pickup, or why it was refused
+   */
+  collect(pickupId, position, now = Date.now()) {
+    const pickup = this.pickups.get(pickupId);
+
+    if (!pickup) {
+      return { error: REJECT_REASONS.NOT_FOUND };
+    }
+
+    if (!pickup.available) {
+      return { error: REJECT_REASONS.UNAVAILABLE };
+    }
+
+    const dx = position.x - pickup.position.x;
+    const dz = position.z - pickup.position.z;
+
+    if (dx * dx + dz * dz > COLLECT_RANGE * COLLECT_RANGE) {
+      return { error: REJECT_REASONS.TOO_FAR };
+    }
+
+    pickup.available = false;
+    pickup.respawnAt = now + this.respawnMs;
+
+    return { pickup };
+  }
+
+  /**
+   * Respawn pickups whose timer has run out, each at a new position unless the
+   * pickups stand on fixed spawn points
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array<Object>} - Pickups that respawned
+   */
+  update(now = Date.now()) {
+    const respawned = [];
+
+    this.pickups.forEach(pickup => {
+      if (pickup.available || pickup.respawnAt > now) return;
+
+      if (!this.spawnPoints) {
+        pickup.position = this._pickPosition();
+      }
+      pickup.available = true;
+      pickup.respawnAt = null;
+      respawned.push(pickup);
+    });
+
+    return respawned;
+  }
+
+  /**
+   * State sent to clients in pickupsState
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      seed: this.seed,
+      pickups: [...this.pickups.values()].map(pickup => ({ ...pickup, position: { ...pickup.position } }))
+    };
+  }
+
+  /**
+   * Position of a fixed pickup spawn point, at pickup height
+   * @param {number} index - Spawn point index
+   * @returns {{x: number, y: number, z: number}}
+   * @private
+   */
+  _getSpawnPosition(index) {
+    const { x, z } = this.spawnPoints[index];
+    return { x, y: PICKUP_HEIGHT, z };
+  }
+
+  /**
+   * Next position from the seeded sequence
+   * @returns {{x: number, y: number, z: number}}
+   * @private
+   */
+  _pickPosition() {
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      x: round((this.random() * 2 - 1) * this.halfSize),
+      y: PICKUP_HEIGHT,
+      z: round((this.random() * 2 - 1) * this.halfSize)
+    };
+  }
+}
+
+PickupField.REJECT_REASONS = REJECT_REASONS;
+PickupField.COLLECT_RANGE = COLLECT_RANGE;
+
+module.exports = PickupField;
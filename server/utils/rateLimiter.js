@@ -0,0 +1,81 @@
+/**
+ * RateLimiter
+ * Fixed-window request counter keyed by an arbitrary string (usually the client IP)
+ */
+class RateLimiter {
+  /**
+   * Create a limiter
+   * @param {Object} options - { windowMs, max }
+   * @param {number} options.windowMs - Length of a window in milliseconds
+   * @param {number} options.max - Requests allowed per key in one window
+   */
+  constructor({ windowMs, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.hits = new Map();
+  }
+
+  /**
+   * Count a request for a key
+   * @param {string} key - Client key
+   * @returns {{allowed: boolean, retryAfterMs: number}}
+   */
+  hit(key) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.windowMs };
+      this.hits.set(key, entry);
+      this._prune(now);
+    }
+
+    entry.count++;
+
+    return {
+      allowed: entry.count <= this.max,
+      retryAfterMs: entry.count <= this.max ? 0 : entry.resetAt - now
+    };
+  }
+
+  /**
+   * Forget a key, e.g. after a successful login
+   * @param {string} key - Client key
+   */
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * Express middleware answering 429 once a client exceeds the limit
+   * @param {string} message - Error message sent to the client
+   * @returns {Function} - Middleware
+   */
+  middleware(message) {
+    return (req, res, next) => {
+      const result = this.hit(req.ip);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+        return res.status(429).json({ error: message });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Drop expired windows so the map does not grow without bound
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _prune(now) {
+    this.hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RateLimiter;
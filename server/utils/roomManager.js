@@ -0,0 +1,406 @@
+const WebSocket = require('ws');
+const WorldSimulation = require('./worldSimulation');
+
+/**
+ * Room types
+ * Every connected player is in exactly one room at a time
+ */
+const ROOM_TYPES = {
+  LOBBY: 'LOBBY',
+  TOURNAMENT_MATCH: 'TOURNAMENT_MATCH',
+  BATTLE_ROYALE: 'BATTLE_ROYALE'
+};
+
+// ID of the shared room players return to between matches
+const LOBBY_ROOM_ID = 'lobby';
+
+// Default simulation rate for rooms (ticks per second)
+const DEFAULT_TICK_RATE = 20;
+
+/**
+ * Room
+ * A single game instance with its own player set, tick counter and message scope
+ */
+class Room {
+  /**
+   * Create a new room
+   * @param {Object} options
+   * @param {string} options.id - Unique room ID
+   * @param {string} options.type - One of ROOM_TYPES
+   * @param {Object} [options.metadata] - Match context (tournamentId, matchId, battleRoyaleId...)
+   * @param {number} [options.tickRate] - Ticks per second
+   * @param {number|null} [options.mapSeed] - Seed clients generate the arena from; null for the lobby
+   * @param {string|null} [options.mapId] - Map file the arena is built from; null for a generated arena
+   */
+  constructor({ id, type, metadata = {}, tickRate = DEFAULT_TICK_RATE, mapSeed = null, mapId = null }) {
+    this.id = id;
+    this.type = type;
+    this.metadata = metadata;
+    this.mapSeed = mapSeed;
+    this.mapId = mapId;
+    this.tickRate = tickRate;
+    this.tick = 0;
+    this.playerIds = new Set();
+    this.createdAt = Date.now();
+
+    // Deaths the server has applied in this room since it opened or was last reset, oldest first
+    this.deaths = [];
+
+    // Server copy of the arena's walkability (see setNavGrid); moves are only checked against it if set
+    this.navGrid = null;
+
+    // Walkable tile checksum of the arena, and the checksum each player reported
+    this.mapChecksum = null;
+    this.mapChecksums = new Map();
+
+    this._tickHandlers = [];
+    this._interval = null;
+  }
+
+  /**
+   * Number of players in the room
+   * @returns {number}
+   */
+  get size() {
+    return this.playerIds.size;
+  }
+
+  /**
+   * Add a player to the room
+   * @param {string} playerId - Player (client) ID
+   */
+  addPlayer(playerId) {
+    this.playerIds.add(playerId);
+  }
+
+  /**
+   * Remove a player from the room
+   * @param {string} playerId - Player (client) ID
+   */
+  removePlayer(playerId) {
+    this.playerIds.delete(playerId);
+  }
+
+  /**
+   * Check whether a player is in the room
+   * @param {string} playerId - Player (client) ID
+   * @returns {boolean}
+   */
+  hasPlayer(playerId) {
+    return this.playerIds.has(playerId);
+  }
+
+  /**
+   * Record a death the server applied to a member of the room
+   * @param {string} playerId - Player (client) ID of the player who died
+   * @param {string|null} killerId - Player credited with the kill
+   * @returns {Object} - The death record { playerId, killerId, tick, time }
+   */
+  recordDeath(playerId, killerId) {
+    const death = { playerId, killerId, tick: this.tick, time: Date.now() };
+    this.deaths.push(death);
+    return death;
+  }
+
+  /**
+   * Most recent recorded death of a player
+   * @param {string} playerId - Player (client) ID
+   * @returns {Object|null} - The death record, or null if the player has not died here
+   */
+  getLastDeath(playerId) {
+    for (let i = this.deaths.length - 1; i >= 0; i--) {
+      if (this.deaths[i].playerId === playerId) {
+        return this.deaths[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget recorded deaths, e.g. when the next game of a series starts
+   */
+  clearDeaths() {
+    this.deaths = [];
+  }
+
+  /**
+   * Set the walkability moves in this room are checked against
+   * A grid generated from the room's seed also gives the reference checksum for player reports
+   * @param {NavGrid} navGrid - Arena walkability
+   */
+  setNavGrid(navGrid) {
+    this.navGrid = navGrid;
+    this.mapChecksum = navGrid.getChecksum();
+  }
+
+  /**
+   * Record the checksum of the arena a player generated from the room's seed
+   * Reports are compared with the nav grid's checksum, or with the first report if the
+   * server has no tiles for the arena
+   * @param {string} playerId - Player (client) ID
+   * @param {string} checksum - Checksum of the player's walkable tiles
+   * @returns {{valid: boolean, expected: string}} - Whether it matches, and the reference checksum
+   */
+  recordMapChecksum(playerId, checksum) {
+    if (this.mapChecksum === null) {
+      this.mapChecksum = checksum;
+    }
+
+    this.mapChecksums.set(playerId, checksum);
+
+    return { valid: checksum === this.mapChecksum, expected: this.mapChecksum };
+  }
+
+  /**
+   * Register a function to run on every tick
+   * @param {Function} handler - Called with the room on each tick
+   * @returns {Function} - Unsubscribe function
+   */
+  onTick(handler) {
+    this._tickHandlers.push(handler);
+    return () => {
+      this._tickHandlers = this._tickHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Start the room's tick loop
+   */
+  start() {
+    if (this._interval) return;
+
+    this._interval = setInterval(() => {
+      this.tick++;
+
+      this._tickHandlers.forEach(handler => {
+        try {
+          handler(this);
+        } catch (error) {
+          console.error(`Error in tick handler for room ${this.id}:`, error);
+        }
+      });
+    }, 1000 / this.tickRate);
+  }
+
+  /**
+   * Stop the room's tick loop
+   */
+  stop() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+
+  /**
+   * Summary sent to clients
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      metadata: this.metadata,
+      tick: this.tick,
+      tickRate: this.tickRate,
+      mapSeed: this.mapSeed,
+      mapId: this.mapId,
+      playerIds: [...this.playerIds]
+    };
+  }
+}
+
+/**
+ * RoomManager
+ * Owns every room and scopes message fan-out to the members of a room
+ */
+class RoomManager {
+  /**
+   * Create a room manager
+   * @param {Object} players - Shared player store keyed by client ID (each entry has a `ws`)
+   */
+  constructor(players) {
+    this.players = players;
+    this.rooms = new Map();
+
+    this.lobby = this.createRoom({ id: LOBBY_ROOM_ID, type: ROOM_TYPES.LOBBY });
+  }
+
+  /**
+   * Create a room, or return the existing room with the same ID
+   * Every room runs its own simulation and starts ticking immediately
+   * @param {Object} options - See Room constructor
+   * @returns {Room}
+   */
+  createRoom(options) {
+    if (this.rooms.has(options.id)) {
+      return this.rooms.get(options.id);
+    }
+
+    const room = new Room(options);
+    this.rooms.set(room.id, room);
+
+    room.simulation = new WorldSimulation(room, this);
+    room.onTick(room.simulation.step);
+    room.start();
+
+    console.log(`Room created: ${room.id} (${room.type})`);
+    return room;
+  }
+
+  /**
+   * Get a room by ID
+   * @param {string} roomId - Room ID
+   * @returns {Room|null}
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Get the room a player is currently in
+   * @param {string} playerId - Player (client) ID
+   * @returns {Room|null}
+   */
+  getPlayerRoom(playerId) {
+    const player = this.players[playerId];
+    return player ? this.getRoom(player.roomId) : null;
+  }
+
+  /**
+   * Check whether two players are in the same room
+   * @param {string} playerId - First player ID
+   * @param {string} otherPlayerId - Second player ID
+   * @returns {boolean}
+   */
+  inSameRoom(playerId, otherPlayerId) {
+    const room = this.getPlayerRoom(playerId);
+    return Boolean(room) && room.hasPlayer(otherPlayerId);
+  }
+
+  /**
+   * Move a player into a room, leaving their current one
+   * @param {string} playerId - Player (client) ID
+   * @param {string} roomId - Destination room ID
+   * @returns {{from: Room|null, to: Room}|null} - Rooms involved, or null if the move failed
+   */
+  movePlayer(playerId, roomId) {
+    const player = this.players[playerId];
+    const to = this.getRoom(roomId);
+
+    if (!player || !to) {
+      return null;
+    }
+
+    const from = this.getPlayerRoom(playerId);
+
+    if (from === to) {
+      return { from, to };
+    }
+
+    if (from) {
+      from.removePlayer(playerId);
+    }
+
+    to.addPlayer(playerId);
+    player.roomId = to.id;
+
+    return { from, to };
+  }
+
+  /**
+   * Remove a player from whichever room they are in
+   * Empty match rooms are closed
+   * @param {string} playerId - Player (client) ID
+   * @returns {Room|null} - The room the player left
+   */
+  removePlayer(playerId) {
+    const room = this.getPlayerRoom(playerId);
+    if (!room) return null;
+
+    room.removePlayer(playerId);
+
+    if (this.players[playerId]) {
+      this.players[playerId].roomId = null;
+    }
+
+    if (room.size === 0 && room.type !== ROOM_TYPES.LOBBY) {
+      this.closeRoom(room.id);
+    }
+
+    return room;
+  }
+
+  /**
+   * Close a room and return its remaining players to the lobby
+   * @param {string} roomId - Room ID
+   * @returns {Array<string>} - IDs of players moved back to the lobby
+   */
+  closeRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room || room === this.lobby) return [];
+
+    room.stop();
+
+    const remaining = [...room.playerIds];
+    remaining.forEach(playerId => this.movePlayer(playerId, LOBBY_ROOM_ID));
+
+    this.rooms.delete(roomId);
+    console.log(`Room closed: ${roomId}`);
+
+    return remaining;
+  }
+
+  /**
+   * Send a message to a single player
+   * @param {string} playerId - Player (client) ID
+   * @param {Object} message - Message to send
+   */
+  send(playerId, message) {
+    const ws = this.players[playerId] && this.players[playerId].ws;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send a message to every member of a room
+   * @param {string} roomId - Room ID
+   * @param {Object} message - Message to send
+   * @param {string} [excludeId] - Player to skip (usually the sender)
+   */
+  broadcast(roomId, message, excludeId = null) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    const payload = JSON.stringify(message);
+
+    room.playerIds.forEach(playerId => {
+      if (playerId === excludeId) return;
+
+      const ws = this.players[playerId] && this.players[playerId].ws;
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
+      }
+    });
+  }
+
+  /**
+   * Send a message to every member of the room a player is in
+   * @param {string} playerId - Player whose room is the target
+   * @param {Object} message - Message to send
+   * @param {boolean} [includeSelf] - Whether the player also receives the message
+   */
+  broadcastToPlayerRoom(playerId, message, includeSelf = true) {
+    const room = this.getPlayerRoom(playerId);
+    if (!room) return;
+
+    this.broadcast(room.id, message, includeSelf ? null : playerId);
+  }
+}
+
+RoomManager.ROOM_TYPES = ROOM_TYPES;
+RoomManager.LOBBY_ROOM_ID = LOBBY_ROOM_ID;
+RoomManager.Room = Room;
+
+module.exports = RoomManager;
@@ -0,0 +1,218 @@
+/**
+ * SafeZone
+ * Circular battle royale zone that shrinks in phases. Each phase first waits with the
+ * next circle announced, then shrinks the current circle onto it. Players outside the
+ * current circle take the phase's damage every second.
+ */
+
+/**
+ * Zone status within a phase
+ */
+const ZONE_STATUS = {
+  WAITING: 'WAITING',
+  SHRINKING: 'SHRINKING',
+  FINAL: 'FINAL'
+};
+
+// Phase timings; radiusScale is the size of the phase's target circle relative to the starting circle
+const DEFAULT_PHASES = [
+  { waitMs: 90000, shrinkMs: 60000, radiusScale: 0.6, damagePerSecond: 1 },
+  { waitMs: 60000, shrinkMs: 45000, radiusScale: 0.35, damagePerSecond: 2 },
+  { waitMs: 45000, shrinkMs: 30000, radiusScale: 0.18, damagePerSecond: 4 },
+  { waitMs: 30000, shrinkMs: 20000, radiusScale: 0.08, damagePerSecond: 8 },
+  { waitMs: 20000, shrinkMs: 15000, radiusScale: 0, damagePerSecond: 15 }
+];
+
+/**
+ * Linear interpolation
+ * @param {number} from - Start value
+ * @param {number} to - End value
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number}
+ */
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+class SafeZone {
+  /**
+   * Create a zone covering a square map centred on the origin
+   * @param {Object} options
+   * @param {number} options.mapSize - Side length of the map
+   * @param {Array<Object>} [options.phases] - Phase timings, see DEFAULT_PHASES
+   * @param {number} [options.startTime] - Time the first phase starts (milliseconds)
+   * @param {Function} [options.random] - Random number source returning [0, 1)
+   * @param {Array<Object>} [options.centres] - Candidate circle centres {x, z}, e.g. from a
+   *   map file; each phase picks one whose circle fits, or a random centre if none does
+   */
+  constructor({ mapSize, phases = DEFAULT_PHASES, startTime = Date.now(), random = Math.random, centres = [] }) {
+    this.phases = phases;
+    this.random = random;
+    this.centres = centres;
+
+    // The first circle touches the map corners so the whole map starts safe
+    this.initialRadius = (mapSize / 2) * Math.SQRT2;
+
+    this.phaseIndex = -1;
+    this.status = null;
+    this.center = { x: 0, z: 0 };
+    this.radius = this.initialRadius;
+    this.nextCenter = null;
+    this.nextRadius = null;
+    this.shrinkStartsAt = null;
+    this.shrinkEndsAt = null;
+
+    this._startPhase(0, startTime);
+  }
+
+  /**
+   * Advance the zone to a point in time
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - Whether the phase or status changed
+   */
+  update(now = Date.now()) {
+    let changed = false;
+
+    while (this.status !== ZONE_STATUS.FINAL) {
+      if (this.status === ZONE_STATUS.WAITING && now >= this.shrinkStartsAt) {
+        this.status = ZONE_STATUS.SHRINKING;
+      } else if (this.status === ZONE_STATUS.SHRINKING && now >= this.shrinkEndsAt) {
+        this.center = this.nextCenter;
+        this.radius = this.nextRadius;
+        this._startPhase(this.phaseIndex + 1, this.shrinkEndsAt);
+      } else {
+        break;
+      }
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Current safe circle, moving towards the next one while the zone shrinks
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{center: {x: number, z: number}, radius: number}}
+   */
+  getCircle(now = Date.now()) {
+    if (this.status !== ZONE_STATUS.SHRINKING) {
+      return { center: { ...this.center }, radius: this.radius };
+    }
+
+    const t = Math.min(1, Math.max(0, (now - this.shrinkStartsAt) / (this.shrinkEndsAt - this.shrinkStartsAt)));
+
+    return {
+      center: {
+        x: lerp(this.center.x, this.nextCenter.x, t),
+        z: lerp(this.center.z, this.nextCenter.z, t)
+      },
+      radius: lerp(this.radius, this.nextRadius, t)
+    };
+  }
+
+  /**
+   * Check whether a position is inside the current safe circle
+   * @param {Object} position - Position {x, y, z}
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean}
+   */
+  contains(position, now = Date.now()) {
+    const { center, radius } = this.getCircle(now);
+    const dx = position.x - center.x;
+    const dz = position.z - center.z;
+
+    return dx * dx + dz * dz <= radius * radius;
+  }
+
+  /**
+   * Damage per second dealt to players outside the zone
+   * @returns {number}
+   */
+  getDamagePerSecond() {
+    const phase = this.phases[Math.min(this.phaseIndex, this.phases.length - 1)];
+    return phase ? phase.damagePerSecond : 0;
+  }
+
+  /**
+   * State sent to clients in safeZoneUpdate
+   * Clients interpolate the shrink themselves from the phase times
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object}
+   */
+  toJSON(now = Date.now()) {
+    return {
+      stage: Math.min(this.phaseIndex + 1, this.phases.length),
+      stageCount: this.phases.length,
+      status: this.status,
+      center: { ...this.center },
+      radius: this.radius,
+      nextCenter: this.nextCenter ? { ...this.nextCenter } : null,
+      nextRadius: this.nextRadius,
+      shrinkStartsAt: this.shrinkStartsAt,
+      shrinkEndsAt: this.shrinkEndsAt,
+      damagePerSecond: this.getDamagePerSecond(),
+      serverTime: now
+    };
+  }
+
+  /**
+   * Begin a phase: announce its target circle and schedule the shrink
+   * Once every phase has run, the zone stays at its last circle
+   * @param {number} index - Phase index
+   * @param {number} startTime - Time the phase starts (milliseconds)
+   * @private
+   */
+  _startPhase(index, startTime) {
+    const phase = this.phases[index];
+
+    if (!phase) {
+      this.phaseIndex = this.phases.length;
+      this.status = ZONE_STATUS.FINAL;
+      this.nextCenter = null;
+      this.nextRadius = null;
+      this.shrinkStartsAt = null;
+      this.shrinkEndsAt = null;
+      return;
+    }
+
+    this.phaseIndex = index;
+    this.status = ZONE_STATUS.WAITING;
+    this.nextRadius = this.initialRadius * phase.radiusScale;
+    this.nextCenter = this._pickNextCenter(this.nextRadius);
+    this.shrinkStartsAt = startTime + phase.waitMs;
+    this.shrinkEndsAt = this.shrinkStartsAt + phase.shrinkMs;
+  }
+
+  /**
+   * Pick a centre for the next circle so that it lies entirely inside the current one
+   * @param {number} nextRadius - Radius of the next circle
+   * @returns {{x: number, z: number}}
+   * @private
+   */
+  _pickNextCenter(nextRadius) {
+    const maxOffset = Math.max(0, this.radius - nextRadius);
+
+    const candidates = this.centres.filter(({ x, z }) =>
+      Math.hypot(x - this.center.x, z - this.center.z) <= maxOffset
+    );
+
+    if (candidates.length > 0) {
+      const { x, z } = candidates[Math.floor(this.random() * candidates.length)];
+      return { x, z };
+    }
+
+    // Square root keeps the centre uniformly distributed over the disc
+    const distance = Math.sqrt(this.random()) * maxOffset;
+    const angle = this.random() * Math.PI * 2;
+
+    return {
+      x: this.center.x + Math.cos(angle) * distance,
+      z: this.center.z + Math.sin(angle) * distance
+    };
+  }
+}
+
+SafeZone.ZONE_STATUS = ZONE_STATUS;
+SafeZone.DEFAULT_PHASES = DEFAULT_PHASES;
+
+module.exports = SafeZone;
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const BracketManager = require('./bracketManager');
+
+/**
+ * TournamentStore
+ * Persists live tournaments to the Tournament model and rebuilds them on boot.
+ *
+ * Live tournaments refer to players by WebSocket client ID, which changes on every
+ * connection, so documents refer to them by account (Player) ID instead. A rebuilt
+ * tournament uses the account ID as each player's ID until that player reconnects
+ * and is re-attached.
+ */
+
+// Statuses of tournaments that are rebuilt on boot
+const LIVE_STATUSES = ['WAITING', 'IN_PROGRESS'];
+
+// Pending saves per tournament, so writes land in the order they were made
+const saveQueues = new Map();
+
+/**
+ * Copy a winnerTo / loserTo link
+ * @param {Object} link - { matchId, slot }
+ * @returns {Object|null}
+ */
+function copyLink(link) {
+  return link && link.matchId ? { matchId: link.matchId, slot: link.slot } : null;
+}
+
+class TournamentStore {
+  /**
+   * Save the current state of a live tournament
+   * Does nothing without a database connection
+   * @param {Object} tournament - Live tournament
+   * @returns {Promise<boolean>} - Whether the tournament was written
+   */
+  static save(tournament) {
+    if (mongoose.connection.readyState !== 1) {
+      return Promise.resolve(false);
+    }
+
+    // Snapshot now; the live object keeps changing while earlier saves are pending
+    const { createdAt, ...fields } = this.toDocument(tournament);
+    const previous = saveQueues.get(tournament.id) || Promise.resolve();
+
+    // createdAt is immutable, so it is only written when the document is created
+    const update = { $set: fields, $setOnInsert: { createdAt } };
+
+    const next = previous
+      .then(() => Tournament.findByIdAndUpdate(tournament.id, update, {
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true
+      }))
+      .then(() => true)
+      .catch(error => {
+        console.error(`Error saving tournament ${tournament.id}:`, error);
+        return false;
+      });
+
+    saveQueues.set(tournament.id, next);
+    next.then(() => {
+      if (saveQueues.get(tournament.id) === next) {
+        saveQueues.delete(tournament.id);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Load the tournaments that were still running when the server stopped
+   * @returns {Promise<Object[]>} - Live tournaments
+   */
+  static async loadActive() {
+    if (mongoose.connection.readyState !== 1) {
+      return [];
+    }
+
+    const documents = await Tournament.find({ status: { $in: LIVE_STATUSES } });
+    return documents.map(document => this.fromDocument(document));
+  }
+
+  /**
+   * Convert a live tournament to Tournament model fields
+   * @param {Object} tournament - Live tournament
+   * @returns {Object}
+   */
+  static toDocument(tournament) {
+    const accountIds = new Map(tournament.players.map(player => [player.id, player.dbId]));
+    const toAccountId = playerId => (playerId && accountIds.get(playerId)) || null;
+
+    const brackets = tournament.brackets || [];
+
+    const winner = tournament.winner
+      ? tournament.players.find(player => player.id === tournament.winner.id)
+      : null;
+
+    return {
+      name: tournament.name,
+      tier: tournament.tier || 'ALL',
+      status: tournament.status,
+      format: tournament.format,
+      bestOf: tournament.bestOf || 1,
+      maps: tournament.maps || [],
+      swissRounds: tournament.swissRounds || null,
+      maxPlayers: tournament.maxPlayers,
+      createdBy: toAccountId(tournament.createdBy),
+      currentRound: tournament.currentRound || 0,
+      bracketSeed: tournament.bracketSeed,
+      participants: tournament.players.map(player => ({
+        playerId: player.dbId,
+        username: player.username,
+        characterClass: player.characterClass,
+        seed: player.seed,
+        score: player.score,
+        tier: player.tier,
+        eliminated: BracketManager.isEliminated(tournament, player.id)
+      })),
+      bracket: brackets.map(round => ({
+        round: round.round,
+        section: round.section,
+        matches: round.matches.map(match => ({
+          matchId: match.matchId,
+          player1Id: toAccountId(match.player1Id),
+          player2Id: toAccountId(match.player2Id),
+          player1Name: match.player1Name,
+          player2Name: match.player2Name,
+          player1Seed: match.player1Seed,
+          player2Seed: match.player2Seed,
+          player1Bye: Boolean(match.player1Bye),
+          player2Bye: Boolean(match.player2Bye),
+          bye: Boolean(match.bye),
+          winnerTo: copyLink(match.winnerTo),
+          loserTo: copyLink(match.loserTo),
+          final: Boolean(match.final),
+          resetMatchId: match.resetMatchId || null,
+          winnerId: toAccountId(match.winnerId),
+          score: {
+            player1: (match.score && match.score.player1) || 0,
+            player2: (match.score && match.score.player2) || 0
+          },
+          mapSeed: typeof match.mapSeed === 'number' ? match.mapSeed : null,
+          mapId: match.mapId || null,
+          status: match.status
+        }))
+      })),
+      winner: winner
+        ? { playerId: winner.dbId, username: winner.username, characterClass: winner.characterClass }
+        : { playerId: null },
+      startDate: tournament.startedAt ? new Date(tournament.startedAt) : null,
+      endDate: tournament.completedAt ? new Date(tournament.completedAt) : null,
+      createdAt: new Date(tournament.createdAt || Date.now())
+    };
+  }
+
+  /**
+   * Rebuild a live tournament from a Tournament document
+   * Players are identified by account ID until they reconnect
+   * @param {Object} document - Tournament document
+   * @returns {Object} - Live tournament
+   */
+  static fromDocument(document) {
+    const toId = value => (value ? value.toString() : null);
+
+    return {
+      id: document._id.toString(),
+      name: document.name,
+      createdBy: toId(document.createdBy),
+      createdAt: document.createdAt ? document.createdAt.getTime() : Date.now(),
+      startedAt: document.startDate ? document.startDate.getTime() : null,
+      tier: document.tier,
+      format: document.format,
+      bestOf: document.bestOf,
+      maps: document.maps ? [...document.maps] : [],
+      swissRounds: document.swissRounds,
+      maxPlayers: document.maxPlayers,
+      bracketSeed: document.bracketSeed,
+      players: document.participants.map(participant => ({
+        id: toId(participant.playerId),
+        dbId: toId(participant.playerId),
+        username: participant.username,
+        characterClass: participant.characterClass,
+        seed: participant.seed,
+        score: participant.score,
+        tier: participant.tier
+      })),
+      status: document.status,
+      matches: [],
+      round: 0,
+      currentRound: document.currentRound,
+      brackets: document.bracket.length > 0
+        ? document.bracket.map(round => ({
+          round: round.round,
+          section: round.section,
+          matches: round.matches.map(match => ({
+            matchId: match.matchId,
+            player1Id: toId(match.player1Id),
+            player2Id: toId(match.player2Id),
+            player1Name: match.player1Name || 'TBD',
+            player2Name: match.player2Name || 'TBD',
+            player1Seed: match.player1Seed,
+            player2Seed: match.player2Seed,
+            player1Bye: match.player1Bye,
+            player2Bye: match.player2Bye,
+            bye: match.bye,
+            winnerTo: copyLink(match.winnerTo),
+            loserTo: copyLink(match.loserTo),
+            final: match.final,
+            resetMatchId: match.resetMatchId,
+            winnerId: toId(match.winnerId),
+            score: { player1: match.score.player1, player2: match.score.player2 },
+            mapSeed: typeof match.mapSeed === 'number' ? match.mapSeed : undefined,
+            mapId: match.mapId || null,
+            // Nobody is connected after a restart, so matches being played go back to a ready check
+            status: match.status === 'IN_PROGRESS' ? 'READY' : match.status
+          }))
+        }))
+        : undefined
+    };
+  }
+}
+
+TournamentStore.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = TournamentStore;
@@ -0,0 +1,438 @@
+/**
+ * WorldSimulation
+ * Fixed-tick simulation for a single room. Client input is only queued when it
+ * arrives; positions, health, cooldowns and status effects are advanced here on
+ * every tick, and the resulting world state is broadcast as delta snapshots.
+ * Moves are held to the class's speed, stun and slow, and, where the room has a
+ * nav grid, to walkable ground.
+ */
+
+const ClassDefinitions = require('./classDefinitions');
+const CombatManager = require('./combatManager');
+
+// Decimal places kept for positions in snapshots; smaller changes are not sent
+const POSITION_PRECISION = 2;
+
+// Milliseconds of position history kept per player for hit rewind
+const POSITION_HISTORY_MS = 1000;
+
+// Distance moved per second for each point of class speed (as in the client's Player.update)
+const DISTANCE_PER_SPEED = 40;
+
+// Slack on the movement rate for the difference between client frames and server ticks
+const SPEED_TOLERANCE = 1.25;
+
+// Movement a player can save up while standing still, as milliseconds at full speed;
+// covers inputs that arrive bunched up after network jitter
+const MOVE_BUDGET_MS = 1000;
+
+// Distance always allowed on top of the budget, for rounding and reconciliation nudges
+const MOVE_ALLOWANCE = 0.5;
+
+// Share of the movement rate left to a slowed player
+const SLOW_SPEED_FACTOR = 0.5;
+
+// Evade dash (Player._handleEvade): distance and the server's cooldown, a little under
+// the client's 1.5s so jitter does not refuse a legitimate evade
+const EVADE_DISTANCE = 5;
+const EVADE_COOLDOWN_MS = 1200;
+
+// Moves further than this beyond what is allowed are flagged as teleports
+const TELEPORT_DISTANCE = 3;
+
+/**
+ * What happened to a queued move
+ */
+const MOVE_RESULTS = {
+  APPLIED: 'APPLIED',
+  CLAMPED: 'CLAMPED',
+  BLOCKED: 'BLOCKED'
+};
+
+// Fields compared between ticks to build an entity delta
+const SNAPSHOT_FIELDS = ['position', 'health', 'maxHealth', 'isDead', 'statusEffects', 'lastInputSeq'];
+
+/**
+ * Check that a client-supplied position has finite x, y and z values
+ * @param {Object} position - Position sent by the client
+ * @returns {boolean}
+ */
+function isValidPosition(position) {
+  return Boolean(position) &&
+    ['x', 'y', 'z'].every(axis => typeof position[axis] === 'number' && Number.isFinite(position[axis]));
+}
+
+/**
+ * Round a position to snapshot precision
+ * @param {Object} position - Position {x, y, z}
+ * @returns {Object} - Rounded position
+ */
+function quantizePosition(position) {
+  const factor = Math.pow(10, POSITION_PRECISION);
+  const round = value => Math.round((value || 0) * factor) / factor;
+
+  return { x: round(position.x), y: round(position.y), z: round(position.z) };
+}
+
+/**
+ * Compare two snapshot field values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a && b && typeof a === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+class WorldSimulation {
+  /**
+   * Create a simulation for a room
+   * @param {Room} room - Room whose members are simulated
+   * @param {RoomManager} roomManager - Owner of the shared player store and message delivery
+   */
+  constructor(room, roomManager) {
+    this.room = room;
+    this.roomManager = roomManager;
+
+    // Last state broadcast for each entity, used as the delta baseline
+    this.lastStates = new Map();
+
+    // Players that have received a full snapshot since entering the room
+    this.syncedPlayers = new Set();
+
+    this.step = this.step.bind(this);
+  }
+
+  /**
+   * Queue a position reported by a client; it is applied on the next tick
+   * Only the newest input is kept, since each one carries an absolute position
+   * @param {Object} player - Player record
+   * @param {Object} position - Reported position {x, y, z}
+   * @param {number} [seq] - Client input sequence number, acknowledged in snapshots
+   * @param {boolean} [evade] - Whether the move includes an evade dash
+   * @returns {boolean} - Whether the input was accepted
+   */
+  static queueMove(player, position, seq, evade = false) {
+    if (!player || !isValidPosition(position)) {
+      return false;
+    }
+
+    // Inputs can only arrive out of order across a reconnect; never go backwards
+    if (typeof seq === 'number' && seq <= (player.pendingSeq || player.lastInputSeq || 0)) {
+      return false;
+    }
+
+    player.pendingPosition = { x: position.x, y: position.y, z: position.z };
+    player.pendingSeq = typeof seq === 'number' ? seq : null;
+
+    // A later input in the same tick still covers the dash
+    player.pendingEvade = Boolean(player.pendingEvade || evade);
+    return true;
+  }
+
+  /**
+   * Put a player back to a fresh state at a position, e.g. between the games of a series
+   * Queued input, cooldowns, status effects, position history and saved-up movement are dropped
+   * @param {Object} player - Player record
+   * @param {Object} position - Position {x, y, z}
+   * @param {number} maxHealth - Health the player starts with
+   */
+  static resetPlayer(player, position, maxHealth) {
+    player.position = { x: position.x, y: position.y, z: position.z };
+    player.pendingPosition = null;
+    player.pendingSeq = null;
+    player.pendingEvade = false;
+    player.positionHistory = [];
+    player.cooldowns = {};
+    player.statusEffects = {};
+    player.moveBudget = 0;
+    player.moveBudgetAt = null;
+    player.evadeReadyAt = 0;
+
+    if (player.stats) {
+      player.stats.health = maxHealth;
+      player.stats.maxHealth = maxHealth;
+    }
+  }
+
+  /**
+   * Advance the room by one tick and broadcast the resulting snapshot
+   */
+  step() {
+    const now = Date.now();
+    const states = new Map();
+
+    this.room.playerIds.forEach(playerId => {
+      const player = this.roomManager.players[playerId];
+      if (!player || !player.connected) return;
+
+      this._simulatePlayer(player, now);
+      this._recordPositionHistory(player, now);
+
+      if (player.username) {
+        states.set(playerId, this._getEntityState(playerId, player, now));
+      }
+    });
+
+    this._broadcastSnapshot(states, now);
+    this.lastStates = states;
+  }
+
+  /**
+   * Apply queued input and expire timed state for one player
+   * @param {Object} player - Player record
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _simulatePlayer(player, now) {
+    const isDead = Boolean(player.stats) && player.stats.health <= 0;
+
+    // Dead players stay where they fell until they respawn, but their input is still
+    // acknowledged so the client can reconcile against the position it was refused
+    if (player.pendingPosition) {
+      if (!isDead) {
+        this._applyMove(player, player.pendingPosition, player.pendingEvade, now);
+      }
+      if (typeof player.pendingSeq === 'number') {
+        player.lastInputSeq = player.pendingSeq;
+      }
+      player.pendingPosition = null;
+      player.pendingSeq = null;
+      player.pendingEvade = false;
+    }
+
+    if (player.stats) {
+      player.stats.health = Math.min(Math.max(player.stats.health, 0), player.stats.maxHealth);
+    }
+
+    if (player.cooldowns) {
+      Object.keys(player.cooldowns).forEach(key => {
+        if (player.cooldowns[key] <= now) {
+          delete player.cooldowns[key];
+        }
+      });
+    }
+
+    if (player.statusEffects) {
+      Object.keys(player.statusEffects).forEach(effect => {
+        if (player.statusEffects[effect] <= now) {
+          delete player.statusEffects[effect];
+        }
+      });
+    }
+  }
+
+  /**
+   * Move a player towards a reported position as far as the rules allow
+   * Players accumulate movement at their class's speed, less while slowed; a move longer
+   * than that is cut short, and one made while stunned or across unwalkable ground is
+   * refused. The client reconciles against the position that results.
+   * @param {Object} player - Player record
+   * @param {Object} position - Reported position {x, y, z}
+   * @param {boolean} evade - Whether the move includes an evade dash
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} - One of MOVE_RESULTS
+   * @private
+   */
+  _applyMove(player, position, evade, now) {
+    const navGrid = this.room.navGrid;
+    const from = player.position;
+
+    // Nothing to measure the first position against
+    if (!from) {
+      if (navGrid && !navGrid.isWalkable(position)) return MOVE_RESULTS.BLOCKED;
+      player.position = position;
+      return MOVE_RESULTS.APPLIED;
+    }
+
+    // Stunned players stand still, and save up no movement for when the stun ends
+    if (CombatManager.hasStatusEffect(player, 'stun', now)) {
+      player.moveBudget = 0;
+      player.moveBudgetAt = now;
+      return MOVE_RESULTS.BLOCKED;
+    }
+
+    const speed = ClassDefinitions.getClassStats(player.characterClass).speed;
+    const slowFactor = CombatManager.hasStatusEffect(player, 'slow', now) ? SLOW_SPEED_FACTOR : 1;
+    const rate = (speed * slowFactor * DISTANCE_PER_SPEED * SPEED_TOLERANCE) / 1000;
+    const elapsed = player.moveBudgetAt ? now - player.moveBudgetAt : MOVE_BUDGET_MS;
+
+    player.moveBudget = Math.min((player.moveBudget || 0) + elapsed * rate, MOVE_BUDGET_MS * rate);
+    player.moveBudgetAt = now;
+
+    let allowed = player.moveBudget + MOVE_ALLOWANCE;
+    if (evade && !(player.evadeReadyAt > now)) {
+      allowed += EVADE_DISTANCE;
+      player.evadeReadyAt = now + EVADE_COOLDOWN_MS;
+    }
+
+    const dx = position.x - from.x;
+    const dz = position.z - from.z;
+    const distance = Math.hypot(dx, dz);
+
+    let target = position;
+    let result = MOVE_RESULTS.APPLIED;
+
+    if (distance > allowed) {
+      if (distance - allowed > TELEPORT_DISTANCE) {
+        this._flagMove(player, distance, allowed);
+      }
+
+      const scale = allowed / distance;
+      target = { x: from.x + dx * scale, y: position.y, z: from.z + dz * scale };
+      result = MOVE_RESULTS.CLAMPED;
+    }
+
+    if (navGrid && !navGrid.isSegmentWalkable(from, target)) {
+      return MOVE_RESULTS.BLOCKED;
+    }
+
+    player.position = target;
+    player.moveBudget = Math.max(0, player.moveBudget - Math.min(distance, allowed));
+    return result;
+  }
+
+  /**
+   * Log a move further than the player could have gone, e.g. a client-side teleport
+   * The count per connection makes repeat offenders stand out in the logs
+   * @param {Object} player - Player record
+   * @param {number} distance - Distance the client reported moving
+   * @param {number} allowed - Distance the server allowed
+   * @private
+   */
+  _flagMove(player, distance, allowed) {
+    player.flaggedMoves = (player.flaggedMoves || 0) + 1;
+
+    console.warn(`Impossible move by ${player.username || 'unknown'} (account ${player.dbId || 'none'}) ` +
+      `in room ${this.room.id}: ${distance.toFixed(2)} units, ${allowed.toFixed(2)} allowed ` +
+      `(${player.flaggedMoves} flagged)`);
+  }
+
+  /**
+   * Remember where a player was at this tick so attacks can be checked against the past
+   * @param {Object} player - Player record
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _recordPositionHistory(player, now) {
+    if (!player.position) return;
+
+    if (!player.positionHistory) {
+      player.positionHistory = [];
+    }
+
+    const { x, y, z } = player.position;
+    player.positionHistory.push({ time: now, position: { x, y, z } });
+
+    while (player.positionHistory.length > 0 && player.positionHistory[0].time < now - POSITION_HISTORY_MS) {
+      player.positionHistory.shift();
+    }
+  }
+
+  /**
+   * Build the replicated state of one player
+   * @param {string} playerId - Player (client) ID
+   * @param {Object} player - Player record
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - Entity state
+   * @private
+   */
+  _getEntityState(playerId, player, now) {
+    const stats = player.stats || {};
+
+    return {
+      id: playerId,
+      position: quantizePosition(player.position || { x: 0, y: 0, z: 0 }),
+      health: stats.health,
+      maxHealth: stats.maxHealth,
+      isDead: stats.health <= 0,
+      statusEffects: Object.keys(player.statusEffects || {})
+        .filter(effect => player.statusEffects[effect] > now)
+        .sort(),
+      lastInputSeq: player.lastInputSeq || 0
+    };
+  }
+
+  /**
+   * Get the fields of an entity that changed since the last tick
+   * @param {Object} state - Current entity state
+   * @returns {Object|null} - Delta including the ID, or null if nothing changed
+   * @private
+   */
+  _getEntityDelta(state) {
+    const previous = this.lastStates.get(state.id);
+    if (!previous) return state;
+
+    const delta = { id: state.id };
+    let changed = false;
+
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (!isSameValue(previous[field], state[field])) {
+        delta[field] = state[field];
+        changed = true;
+      }
+    });
+
+    return changed ? delta : null;
+  }
+
+  /**
+   * Send a delta snapshot to synced players and a full snapshot to newcomers
+   * Nothing is sent to synced players on ticks where nothing changed
+   * @param {Map} states - Current entity states keyed by player ID
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _broadcastSnapshot(states, now) {
+    const base = {
+      type: 'worldSnapshot',
+      roomId: this.room.id,
+      tick: this.room.tick,
+      tickRate: this.room.tickRate,
+      serverTime: now
+    };
+
+    const entities = [];
+    states.forEach(state => {
+      const delta = this._getEntityDelta(state);
+      if (delta) entities.push(delta);
+    });
+
+    const removed = [...this.lastStates.keys()].filter(id => !states.has(id));
+
+    const deltaSnapshot = { ...base, full: false, entities, removed };
+    const fullSnapshot = { ...base, full: true, entities: [...states.values()], removed: [] };
+    const hasChanges = entities.length > 0 || removed.length > 0;
+
+    // Forget players who left so they get a full snapshot if they come back
+    this.syncedPlayers.forEach(playerId => {
+      if (!this.room.hasPlayer(playerId)) {
+        this.syncedPlayers.delete(playerId);
+      }
+    });
+
+    this.room.playerIds.forEach(playerId => {
+      const player = this.roomManager.players[playerId];
+      if (!player || !player.connected || !player.username) return;
+
+      if (!this.syncedPlayers.has(playerId)) {
+        this.roomManager.send(playerId, fullSnapshot);
+        this.syncedPlayers.add(playerId);
+      } else if (hasChanges) {
+        this.roomManager.send(playerId, deltaSnapshot);
+      }
+    });
+  }
+}
+
+WorldSimulation.isValidPosition = isValidPosition;
+WorldSimulation.MOVE_RESULTS = MOVE_RESULTS;
+WorldSimulation.EVADE_DISTANCE = EVADE_DISTANCE;
+WorldSimulation.SLOW_SPEED_FACTOR = SLOW_SPEED_FACTOR;
+WorldSimulation.POSITION_PRECISION = POSITION_PRECISION;
+WorldSimulation.POSITION_HISTORY_MS = POSITION_HISTORY_MS;
+
+module.exports = WorldSimulation;
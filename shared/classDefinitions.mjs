@@ -0,0 +1,196 @@
+/**
+ * Character class and ability definitions for Guild Clash
+ * Shared by the Vite client and the Node server; this is the only place class
+ * balance values live. Bump CLASS_DEFINITIONS_VERSION on every balance change.
+ *
+ * Ability flags: areaOfEffect, stun, slow, multiTarget, and lagCompensated (the server
+ * checks range against where the target was when the shooter saw it).
+ */
+
+export const CLASS_DEFINITIONS_VERSION = 3;
+
+export const ABILITY_SLOTS = ['primary', 'secondary', 'ultimate'];
+
+export const CHARACTER_CLASSES = {
+  CLERK: {
+    id: 'CLERK',
+    name: 'Clerk',
+    color: 0x4287f5, // Blue
+    health: 80,
+    speed: 0.15,
+    description: 'High speed, lower health. Uses magic attacks.',
+    abilities: {
+      primary: {
+        name: 'Magic Bolt',
+        damage: 15,
+        cooldown: 1,
+        range: 8,
+        lagCompensated: true
+      },
+      secondary: {
+        name: 'Frost Nova',
+        damage: 10,
+        cooldown: 6,
+        range: 5,
+        areaOfEffect: true
+      },
+      ultimate: {
+        name: 'Arcane Barrage',
+        damage: 25,
+        cooldown: 10,
+        range: 10
+      }
+    }
+  },
+
+  WARRIOR: {
+    id: 'WARRIOR',
+    name: 'Warrior',
+    color: 0xe74c3c, // Red
+    health: 120,
+    speed: 0.08,
+    description: 'High health, lower speed. Uses melee attacks.',
+    abilities: {
+      primary: {
+        name: 'Slash',
+        damage: 20,
+        cooldown: 1,
+        range: 2
+      },
+      secondary: {
+        name: 'Shield Bash',
+        damage: 10,
+        cooldown: 4,
+        range: 2,
+        stun: true
+      },
+      ultimate: {
+        name: 'Whirlwind',
+        damage: 30,
+        cooldown: 10,
+        range: 3,
+        areaOfEffect: true
+      }
+    }
+  },
+
+  RANGER: {
+    id: 'RANGER',
+    name: 'Ranger',
+    color: 0x2ecc71, // Green
+    health: 100,
+    speed: 0.12,
+    description: 'Balanced health and speed. Uses ranged attacks.',
+    abilities: {
+      primary: {
+        name: 'Quick Shot',
+        damage: 18,
+        cooldown: 1,
+        range: 6,
+        lagCompensated: true
+      },
+      secondary: {
+        name: 'Trap',
+        damage: 5,
+        cooldown: 6,
+        range: 4,
+        slow: true
+      },
+      ultimate: {
+        name: 'Volley',
+        damage: 35,
+        cooldown: 10,
+        range: 7,
+        multiTarget: true
+      }
+    }
+  }
+};
+
+/**
+ * Check that a set of class definitions is complete and sane
+ * @param {Object} classes - Class definitions keyed by class ID
+ * @throws {Error} - Lists every problem found
+ */
+export function validateClassDefinitions(classes) {
+  const errors = [];
+  const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  Object.entries(classes).forEach(([classId, definition]) => {
+    if (definition.id !== classId) {
+      errors.push(`${classId}: id must match its key (got ${definition.id})`);
+    }
+    if (!definition.name) {
+      errors.push(`${classId}: name is required`);
+    }
+    if (!isPositiveNumber(definition.health)) {
+      errors.push(`${classId}: health must be a positive number`);
+    }
+    if (!isPositiveNumber(definition.speed)) {
+      errors.push(`${classId}: speed must be a positive number`);
+    }
+
+    ABILITY_SLOTS.forEach(slot => {
+      const ability = definition.abilities && definition.abilities[slot];
+
+      if (!ability) {
+        errors.push(`${classId}: missing ${slot} ability`);
+        return;
+      }
+
+      if (!ability.name) {
+        errors.push(`${classId}.${slot}: name is required`);
+      }
+      ['damage', 'cooldown', 'range'].forEach(field => {
+        if (!isPositiveNumber(ability[field])) {
+          errors.push(`${classId}.${slot}: ${field} must be a positive number`);
+        }
+      });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid class definitions:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+/**
+ * Serialize a value with sorted object keys so equal data always produces the same string
+ * @param {any} value - Value to serialize
+ * @returns {string} - Canonical JSON string
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash class definitions so client and server can detect any divergence
+ * Uses 32-bit FNV-1a, which needs no crypto API and runs identically in both environments
+ * @param {Object} classes - Class definitions keyed by class ID
+ * @param {number} version - Definitions version
+ * @returns {string} - Hash as an 8-character hex string
+ */
+export function hashClassDefinitions(classes, version) {
+  const input = `${version}:${stableStringify(classes)}`;
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Validate on load so a bad balance edit fails fast on both client and server
+validateClassDefinitions(CHARACTER_CLASSES);
+
+export const CLASS_DEFINITIONS_HASH = hashClassDefinitions(CHARACTER_CLASSES, CLASS_DEFINITIONS_VERSION);
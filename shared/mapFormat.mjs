@@ -0,0 +1,185 @@
+/**
+ * Map file format for hand-authored arenas
+ * Shared by the Vite client and the Node server, which both validate every map file
+ * they load. Map files live in shared/maps/, one JSON document per arena:
+ *
+ *   id, name, style     - style is 'tournament' (hex tiles) or 'battleRoyale' (open square)
+ *   radius, tiles       - tournament: arena radius and its hex tiles { x, y, type, height }
+ *   size, obstacles     - battle royale: side length and obstacles { type, x, z }
+ *   spawnPoints         - { x, z } player starting positions; tournaments use the first two
+ *   pickupSpawns        - { x, z } health pickup positions (battle royale)
+ *   zoneCentres         - { x, z } candidate safe zone centres (battle royale)
+ *
+ * Tile coordinates are the same as TournamentMap's: odd rows are shifted by half a tile.
+ */
+
+export const MAP_FORMAT_VERSION = 1;
+
+export const MAP_STYLES = {
+  TOURNAMENT: 'tournament',
+  BATTLE_ROYALE: 'battleRoyale'
+};
+
+// Terrain types of tournament tiles; the _with_ types carry an obstacle and block movement
+export const TILE_TYPES = ['stone', 'dirt', 'grass', 'grass_with_tree', 'sand', 'sand_with_stone', 'dirt2'];
+export const OBSTACLE_TILE_TYPES = ['grass_with_tree', 'sand_with_stone'];
+
+// Obstacles that can stand on a battle royale map
+export const OBSTACLE_TYPES = ['tree'];
+
+// Tallest tile allowed; the generated arenas stay below 2.5
+export const MAX_TILE_HEIGHT = 10;
+
+// Map IDs are used in file names and sent over the network
+const MAP_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Spacing of tile centres along a row and between rows
+export const TILE_WIDTH = 1.77;
+export const TILE_DEPTH = 1.535;
+
+/**
+ * World position of a tile centre; odd rows are shifted by half a tile
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {{x: number, z: number}}
+ */
+export function tileToPosition(tileX, tileY) {
+  return { x: (tileX + (tileY % 2) * 0.5) * TILE_WIDTH, z: tileY * TILE_DEPTH };
+}
+
+/**
+ * List every problem with a map file
+ * @param {Object} map - Parsed map file
+ * @returns {Array<string>} - Problems found; empty when the map is valid
+ */
+export function getMapErrors(map) {
+  const errors = [];
+  const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isPositiveNumber = value => isFiniteNumber(value) && value > 0;
+
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    return ['map must be an object'];
+  }
+
+  if (map.formatVersion !== MAP_FORMAT_VERSION) {
+    errors.push(`formatVersion must be ${MAP_FORMAT_VERSION}`);
+  }
+  if (typeof map.id !== 'string' || !MAP_ID_PATTERN.test(map.id)) {
+    errors.push('id must be lowercase letters, digits and dashes');
+  }
+  if (typeof map.name !== 'string' || !map.name.trim()) {
+    errors.push('name is required');
+  }
+
+  const isTournament = map.style === MAP_STYLES.TOURNAMENT;
+  const isBattleRoyale = map.style === MAP_STYLES.BATTLE_ROYALE;
+
+  if (!isTournament && !isBattleRoyale) {
+    errors.push(`style must be one of ${Object.values(MAP_STYLES).join(', ')}`);
+    return errors;
+  }
+
+  // Whether a position is on the playable ground of the map
+  let isOnMap = () => true;
+
+  if (isTournament) {
+    if (!isPositiveNumber(map.radius)) {
+      errors.push('radius must be a positive number');
+    } else {
+      isOnMap = ({ x, z }) => Math.hypot(x, z) <= map.radius;
+    }
+
+    if (!Array.isArray(map.tiles) || map.tiles.length === 0) {
+      errors.push('tiles must be a non-empty array');
+    } else {
+      const seen = new Set();
+
+      map.tiles.forEach((tile, index) => {
+        const label = `tiles[${index}]`;
+
+        if (!tile || !Number.isInteger(tile.x) || !Number.isInteger(tile.y)) {
+          errors.push(`${label}: x and y must be integers`);
+          return;
+        }
+        if (!TILE_TYPES.includes(tile.type)) {
+          errors.push(`${label}: type must be one of ${TILE_TYPES.join(', ')}`);
+        }
+        if (!isFiniteNumber(tile.height) || tile.height < 0 || tile.height > MAX_TILE_HEIGHT) {
+          errors.push(`${label}: height must be between 0 and ${MAX_TILE_HEIGHT}`);
+        }
+
+        const key = `${tile.x},${tile.y}`;
+        if (seen.has(key)) {
+          errors.push(`${label}: duplicate tile ${key}`);
+        }
+        seen.add(key);
+
+        if (!isOnMap(tileToPosition(tile.x, tile.y))) {
+          errors.push(`${label}: tile ${key} is outside the arena radius`);
+        }
+      });
+    }
+  }
+
+  if (isBattleRoyale) {
+    if (!isPositiveNumber(map.size)) {
+      errors.push('size must be a positive number');
+    } else {
+      isOnMap = ({ x, z }) => Math.abs(x) <= map.size / 2 && Math.abs(z) <= map.size / 2;
+    }
+
+    if (map.obstacles !== undefined && !Array.isArray(map.obstacles)) {
+      errors.push('obstacles must be an array');
+    }
+    (Array.isArray(map.obstacles) ? map.obstacles : []).forEach((obstacle, index) => {
+      if (!obstacle || !OBSTACLE_TYPES.includes(obstacle.type)) {
+        errors.push(`obstacles[${index}]: type must be one of ${OBSTACLE_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  // Every list of positions must hold finite points on the map
+  const checkPoints = (field, minimum) => {
+    const points = map[field];
+
+    if (points === undefined && minimum === 0) return;
+    if (!Array.isArray(points)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    if (points.length < minimum) {
+      errors.push(`${field} needs at least ${minimum} point${minimum === 1 ? '' : 's'}`);
+    }
+
+    points.forEach((point, index) => {
+      if (!point || !isFiniteNumber(point.x) || !isFiniteNumber(point.z)) {
+        errors.push(`${field}[${index}]: x and z must be numbers`);
+      } else if (!isOnMap(point)) {
+        errors.push(`${field}[${index}]: (${point.x}, ${point.z}) is off the map`);
+      }
+    });
+  };
+
+  checkPoints('spawnPoints', isTournament ? 2 : 1);
+  checkPoints('pickupSpawns', 0);
+  checkPoints('zoneCentres', 0);
+  if (isBattleRoyale) {
+    checkPoints('obstacles', 0);
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a map file is complete and sane
+ * @param {Object} map - Parsed map file
+ * @throws {Error} - Lists every problem found
+ */
+export function validateMap(map) {
+  const errors = getMapErrors(map);
+
+  if (errors.length > 0) {
+    const name = map && typeof map.id === 'string' ? map.id : 'map';
+    throw new Error(`Invalid map ${name}:\n  ${errors.join('\n  ')}`);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Seeded randomness, checksums and terrain constants for match arenas
+ * Shared by the Vite client and the Node server. The server issues a seed with every
+ * match room; generating the arena from it gives every player, and the server's nav grid,
+ * the same terrain. The checksum of the walkable tiles is reported back so the server can
+ * tell when a client built a different one.
+ */
+
+// Tiles generated on each axis of a seeded arena, from -ARENA_TILE_RANGE to ARENA_TILE_RANGE - 1
+export const ARENA_TILE_RANGE = 40;
+
+// Radius of the seeded tournament arena; map files set their own
+export const ARENA_RADIUS = 32;
+
+// Scale of the noise sampled per tile; heights are the noise squared times MAX_HEIGHT
+export const NOISE_SCALE = 0.1;
+
+// Tiles are stone/dirt/... by height; at or below WATER_HEIGHT nothing is walkable
+export const MAX_HEIGHT = 2.5;
+export const STONE_HEIGHT = MAX_HEIGHT * 0.8;
+export const DIRT_HEIGHT = MAX_HEIGHT * 0.7;
+export const GRASS_HEIGHT = MAX_HEIGHT * 0.5;
+export const SAND_HEIGHT = MAX_HEIGHT * 0.3;
+export const DIRT2_HEIGHT = MAX_HEIGHT * 0;
+export const WATER_HEIGHT = -0.1;
+
+// Rolls above this put a tree on a grass tile or a stone on a sand or stone tile
+export const OBSTACLE_ROLL = 0.8;
+
+// Tile types players can stand on; the others carry an obstacle
+export const WALKABLE_TILE_TYPES = ['stone', 'dirt', 'grass', 'sand', 'dirt2'];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed for a new arena
+ * @returns {number} - 31-bit integer seed
+ */
+export function createMapSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+/**
+ * Checksum of a set of tile keys, independent of their order (32-bit FNV-1a)
+ * @param {Iterable<string>} keys - Tile keys such as "x,y"
+ * @returns {string} - 8 hex digits
+ */
+export function checksumTiles(keys) {
+  const text = [...keys].sort().join(';');
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}